@@ -0,0 +1,298 @@
+/**
+ * Azure Speech Services synthesis backend
+ *
+ * Wraps SpeechSynthesizer from the Microsoft Cognitive Services Speech SDK,
+ * and SpeechRecognizer for transcribing WAV files.
+ */
+
+import {
+    AudioConfig,
+    CancellationDetails,
+    CancellationErrorCode,
+    CancellationReason,
+    PhraseListGrammar,
+    ResultReason,
+    SpeechConfig,
+    SpeechRecognizer,
+    SpeechSynthesisOutputFormat,
+    SpeechSynthesizer,
+    SynthesisVoiceGender
+} from 'microsoft-cognitiveservices-speech-sdk';
+import { ERROR_CODES, codedError } from '../errors.mjs';
+import { log } from '../logging.mjs';
+
+// SDK offsets and durations are reported in 100-nanosecond ticks
+const TICKS_PER_MS = 10000;
+
+// Error codes for the SDK's cancellation reasons; other reasons are generic failures
+const CANCELLATION_ERROR_CODES = {
+    [CancellationErrorCode.AuthenticationFailure]: ERROR_CODES.CREDENTIALS_INVALID,
+    [CancellationErrorCode.Forbidden]: ERROR_CODES.CREDENTIALS_INVALID,
+    [CancellationErrorCode.TooManyRequests]: ERROR_CODES.QUOTA_EXCEEDED,
+    [CancellationErrorCode.ConnectionFailure]: ERROR_CODES.NETWORK,
+    [CancellationErrorCode.ServiceTimeout]: ERROR_CODES.NETWORK
+};
+
+/**
+ * Stable error code for a canceled SDK result
+ */
+function cancellationCode(result) {
+    const { ErrorCode: sdkCode } = CancellationDetails.fromResult(result);
+    if (sdkCode === CancellationErrorCode.BadRequestParameters) {
+        return /voice/i.test(result.errorDetails || '') ? ERROR_CODES.INVALID_VOICE : ERROR_CODES.INVALID_REQUEST;
+    }
+    return CANCELLATION_ERROR_CODES[sdkCode] || ERROR_CODES.SYNTHESIS_FAILED;
+}
+
+/**
+ * Convert an SDK VoiceInfo into a voice catalog entry
+ */
+function toCatalogEntry(voiceInfo) {
+    const secondaryLocales = voiceInfo.secondaryLocaleList || [];
+    return {
+        name: voiceInfo.shortName,
+        locale: voiceInfo.locale,
+        displayName: voiceInfo.localName || voiceInfo.displayName,
+        gender: SynthesisVoiceGender[voiceInfo.gender] || 'Unknown',
+        styles: voiceInfo.styleList || [],
+        multilingual: secondaryLocales.length > 0 || /Multilingual/.test(voiceInfo.shortName),
+        secondaryLocales
+    };
+}
+
+/**
+ * Create an Azure backend for the given subscription
+ *
+ * `endpoint` is a speech service host (such as a container at
+ * ws://localhost:5000) used instead of the region; the key is then optional.
+ */
+export function createAzureBackend({ key, region, endpoint = null } = {}) {
+    function assertCredentials() {
+        if (!endpoint && (!key || !region)) {
+            throw codedError(ERROR_CODES.CREDENTIALS_MISSING, 'Azure Speech Service credentials not configured. Please set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION environment variables.');
+        }
+    }
+
+    function createSpeechConfig() {
+        return endpoint ? SpeechConfig.fromHost(new URL(endpoint), key || undefined) : SpeechConfig.fromSubscription(key, region);
+    }
+
+    return {
+        name: 'azure',
+
+        async listVoices({ signal } = {}) {
+            assertCredentials();
+
+            const synthesizer = new SpeechSynthesizer(createSpeechConfig());
+            const onAbort = () => synthesizer.close();
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            try {
+                const result = await synthesizer.getVoicesAsync();
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                if (result.reason !== ResultReason.VoicesListRetrieved) {
+                    throw codedError(cancellationCode(result), `Voice listing failed: ${result.errorDetails || 'unknown error'}`);
+                }
+                return result.voices.map(toCatalogEntry);
+            } catch (error) {
+                // Whatever the closed synthesizer reported, the request was aborted
+                throw signal && signal.aborted ? signal.reason : error;
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (!signal || !signal.aborted) {
+                    synthesizer.close();
+                }
+            }
+        },
+
+        async synthesize({ text, ssml, language, voice, format, signal, onAudio }) {
+            assertCredentials();
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+
+            return new Promise((promiseResolve, promiseReject) => {
+                let synthesizer;
+                try {
+                    const speechConfig = createSpeechConfig();
+                    speechConfig.speechSynthesisLanguage = language;
+                    speechConfig.speechSynthesisVoiceName = voice;
+                    if (format) {
+                        speechConfig.speechSynthesisOutputFormat = SpeechSynthesisOutputFormat[format.sdkFormat];
+                    }
+
+                    // Use default audio config to get proper audio data in the result
+                    synthesizer = new SpeechSynthesizer(speechConfig);
+                } catch (error) {
+                    promiseReject(new Error(`Speech synthesis setup error: ${error.message}`));
+                    return;
+                }
+
+                // The synthesizer is closed exactly once, by whichever of the
+                // abort and the speak callbacks comes first; closing it drops
+                // the connection of an abandoned request
+                let settled = false;
+                const finish = (error, result) => {
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    synthesizer.close();
+                    if (error) {
+                        promiseReject(error);
+                    } else {
+                        promiseResolve(result);
+                    }
+                };
+                const onAbort = () => finish(signal.reason);
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                const wordBoundaries = [];
+                const visemes = [];
+                const bookmarks = [];
+                synthesizer.wordBoundary = (sender, event) => {
+                    wordBoundaries.push({
+                        text: event.text,
+                        offset: event.audioOffset / TICKS_PER_MS,
+                        duration: event.duration / TICKS_PER_MS,
+                        textOffset: event.textOffset,
+                        wordLength: event.wordLength
+                    });
+                };
+                synthesizer.visemeReceived = (sender, event) => {
+                    visemes.push({
+                        offset: event.audioOffset / TICKS_PER_MS,
+                        visemeId: event.visemeId
+                    });
+                };
+                synthesizer.bookmarkReached = (sender, event) => {
+                    bookmarks.push({
+                        name: event.text,
+                        offset: event.audioOffset / TICKS_PER_MS
+                    });
+                };
+                if (onAudio) {
+                    // Audio as the service sends it, long before speakTextAsync completes
+                    synthesizer.synthesizing = (sender, event) => {
+                        const { audioData } = event.result;
+                        if (audioData && audioData.byteLength > 0) {
+                            onAudio(Buffer.from(audioData));
+                        }
+                    };
+                }
+
+                // SSML carries its own voice and prosody; plain text uses the config above
+                const speak = ssml
+                    ? synthesizer.speakSsmlAsync.bind(synthesizer, ssml)
+                    : synthesizer.speakTextAsync.bind(synthesizer, text);
+
+                speak(
+                    (result) => {
+                        log.debug('Speech synthesis callback result', {
+                            resultId: result.resultId,
+                            reason: result.reason,
+                            errorDetails: result.errorDetails,
+                            audioDuration: result.audioDuration,
+                            audioDataLength: result.audioData ? result.audioData.byteLength : 0
+                        });
+
+                        if (result.errorDetails) {
+                            finish(codedError(cancellationCode(result), `Speech synthesis failed: ${result.errorDetails}`));
+                            return;
+                        }
+
+                        finish(null, {
+                            audioData: result.audioData ? Buffer.from(result.audioData) : Buffer.alloc(0),
+                            audioDuration: result.audioDuration ? (result.audioDuration / TICKS_PER_MS) : 0,
+                            wordBoundaries,
+                            visemes,
+                            bookmarks
+                        });
+                    },
+                    (error) => finish(new Error(`Speech synthesis error: ${error}`))
+                );
+            });
+        },
+
+        async transcribe({ audioData, language, phrases = [], signal }) {
+            assertCredentials();
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+
+            return new Promise((promiseResolve, promiseReject) => {
+                let recognizer;
+                try {
+                    const speechConfig = createSpeechConfig();
+                    speechConfig.speechRecognitionLanguage = language;
+                    recognizer = new SpeechRecognizer(speechConfig, AudioConfig.fromWavFileInput(audioData));
+                    if (phrases.length > 0) {
+                        const phraseList = PhraseListGrammar.fromRecognizer(recognizer);
+                        phrases.forEach((phrase) => phraseList.addPhrase(phrase));
+                    }
+                } catch (error) {
+                    promiseReject(new Error(`Speech recognition setup error: ${error.message}`));
+                    return;
+                }
+
+                // Continuous recognition: one result per utterance until the file ends
+                const segments = [];
+                let settled = false;
+                const finish = (error) => {
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    recognizer.stopContinuousRecognitionAsync(() => recognizer.close(), () => recognizer.close());
+                    if (error) {
+                        promiseReject(error);
+                    } else {
+                        promiseResolve({ text: segments.map((segment) => segment.text).join(' '), language, segments });
+                    }
+                };
+                const onAbort = () => finish(signal.reason);
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                recognizer.recognized = (sender, event) => {
+                    if (event.result.reason === ResultReason.RecognizedSpeech && event.result.text) {
+                        segments.push({
+                            text: event.result.text,
+                            offset: event.result.offset / TICKS_PER_MS,
+                            duration: event.result.duration / TICKS_PER_MS
+                        });
+                    }
+                };
+                recognizer.canceled = (sender, event) => {
+                    if (event.reason === CancellationReason.Error) {
+                        const code = CANCELLATION_ERROR_CODES[event.errorCode] || ERROR_CODES.SYNTHESIS_FAILED;
+                        finish(codedError(code, `Speech recognition failed: ${event.errorDetails}`));
+                    } else {
+                        // End of the file
+                        finish();
+                    }
+                };
+                recognizer.sessionStopped = () => finish();
+
+                recognizer.startContinuousRecognitionAsync(
+                    () => {},
+                    (error) => finish(new Error(`Speech recognition error: ${error}`))
+                );
+            });
+        }
+    };
+}
@@ -0,0 +1,306 @@
+/**
+ * Offline fake synthesis backend
+ *
+ * Produces deterministic WAV audio without any network access: every word
+ * becomes a short sine tone whose length follows the word length and whose
+ * pitch is derived from the word itself. Word-boundary, viseme (one per
+ * letter) and SSML bookmark events line up with the generated tones, so the
+ * full MCP flow can be exercised in CI.
+ *
+ * PCM formats (WAV and raw) carry the tones; MP3 output is made of silent
+ * frames of the same duration. Opus formats are not available offline.
+ * Streamed audio arrives in 100 ms chunks at ten times real time, like a
+ * fast service.
+ *
+ * The matching fake recognizer finds the tones in a WAV file and names each
+ * one after the word of its pitch and length. It has no vocabulary of its
+ * own: only words from the request's `vocabulary` and `phrases` can be
+ * recognized, anything else is heard as UNKNOWN_WORD.
+ */
+
+import { readFileSync } from 'fs';
+import { encodeWav, parseWav, pcmDurationMs } from '../wav.mjs';
+import { BUNDLED_SNAPSHOT_FILE } from '../voices.mjs';
+import { ssmlToText } from '../ssml.mjs';
+import { DEFAULT_OUTPUT_FORMAT, getOutputFormat, pcmLayout } from '../formats.mjs';
+import { ERROR_CODES, codedError } from '../errors.mjs';
+import { delay } from '../concurrency.mjs';
+
+const LEAD_SILENCE_MS = 100;
+const TRAIL_SILENCE_MS = 100;
+const WORD_GAP_MS = 80;
+const MS_PER_CHARACTER = 60;
+const MIN_WORD_MS = 120;
+const FADE_MS = 5;
+const AMPLITUDE = 0.3;
+const STREAM_CHUNK_MS = 100;
+const STREAM_SPEEDUP = 10;
+
+// Tone detection for the fake recognizer
+const UNKNOWN_WORD = '<unk>';
+const DETECTION_WINDOW_MS = 10;
+const DETECTION_THRESHOLD = 0.05; // Window RMS, as a fraction of full scale
+const FREQUENCY_TOLERANCE_HZ = 3;
+const DURATION_TOLERANCE_MS = 30;
+
+const WORD_PATTERN = /[\p{L}\p{N}'’-]+/gu;
+const BOOKMARK_PATTERN = /<bookmark\b[^>]*\bmark\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*\/?>/g;
+
+// Rough letter-to-viseme mapping using the Azure (en-US) viseme IDs; 0 is silence
+const LETTER_VISEMES = {
+    a: 2, e: 4, i: 6, o: 8, u: 7, y: 6, w: 7, h: 12, r: 13, l: 14,
+    s: 15, z: 15, c: 15, j: 16, f: 18, v: 18, d: 19, t: 19, n: 19,
+    k: 20, g: 20, q: 20, x: 20, p: 21, b: 21, m: 21
+};
+
+/**
+ * Stable 32-bit FNV-1a hash used to pick a tone per word
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (const char of value) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function toneFrequency(word) {
+    return 180 + (hashString(word.toLowerCase()) % 220);
+}
+
+function toneDuration(word) {
+    return Math.max(MIN_WORD_MS, word.length * MS_PER_CHARACTER);
+}
+
+function msToSamples(ms, sampleRate) {
+    return Math.round((ms / 1000) * sampleRate);
+}
+
+/**
+ * Split text into words with their character offsets
+ */
+function tokenize(text) {
+    return Array.from(text.matchAll(WORD_PATTERN), (match) => ({
+        text: match[0],
+        textOffset: match.index
+    }));
+}
+
+/**
+ * Render the tone sequence for the given words as 16-bit mono PCM
+ */
+function renderTones(words, format) {
+    const { sampleRate } = format;
+    const segments = [];
+    const wordBoundaries = [];
+    const visemes = [{ offset: 0, visemeId: 0 }];
+    let cursorMs = LEAD_SILENCE_MS;
+
+    segments.push(Buffer.alloc(msToSamples(LEAD_SILENCE_MS, sampleRate) * 2));
+
+    words.forEach((word, index) => {
+        const durationMs = toneDuration(word.text);
+        const sampleCount = msToSamples(durationMs, sampleRate);
+        const fadeSamples = msToSamples(FADE_MS, sampleRate);
+        const frequency = toneFrequency(word.text);
+        const tone = Buffer.alloc(sampleCount * 2);
+
+        for (let i = 0; i < sampleCount; i++) {
+            const fade = Math.min(1, i / fadeSamples, (sampleCount - 1 - i) / fadeSamples);
+            const sample = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * AMPLITUDE * fade;
+            tone.writeInt16LE(Math.round(sample * 32767), i * 2);
+        }
+
+        segments.push(tone);
+        Array.from(word.text.toLowerCase()).forEach((letter, letterIndex, letters) => {
+            visemes.push({
+                offset: cursorMs + Math.round((letterIndex * durationMs) / letters.length),
+                visemeId: LETTER_VISEMES[letter] ?? 1
+            });
+        });
+        wordBoundaries.push({
+            text: word.text,
+            offset: cursorMs,
+            duration: durationMs,
+            textOffset: word.textOffset,
+            wordLength: word.text.length
+        });
+        cursorMs += durationMs;
+
+        if (index < words.length - 1) {
+            segments.push(Buffer.alloc(msToSamples(WORD_GAP_MS, sampleRate) * 2));
+            cursorMs += WORD_GAP_MS;
+        }
+    });
+
+    segments.push(Buffer.alloc(msToSamples(TRAIL_SILENCE_MS, sampleRate) * 2));
+    visemes.push({ offset: cursorMs, visemeId: 0 });
+
+    return { pcm: Buffer.concat(segments), wordBoundaries, visemes };
+}
+
+/**
+ * Find the tones in 16-bit mono PCM as `{ offset, duration, frequency }` (ms, Hz)
+ *
+ * A tone is a run of windows louder than DETECTION_THRESHOLD; its pitch is
+ * estimated from the zero crossings inside the run.
+ */
+function detectTones(pcm, sampleRate) {
+    const windowSamples = msToSamples(DETECTION_WINDOW_MS, sampleRate);
+    const sampleCount = Math.floor(pcm.length / 2);
+    const tones = [];
+    let start = null;
+
+    const finish = (end) => {
+        let crossings = 0;
+        for (let i = start + 1; i < end; i++) {
+            if ((pcm.readInt16LE((i - 1) * 2) < 0) !== (pcm.readInt16LE(i * 2) < 0)) {
+                crossings++;
+            }
+        }
+        const duration = ((end - start) / sampleRate) * 1000;
+        tones.push({ offset: (start / sampleRate) * 1000, duration, frequency: crossings / 2 / (duration / 1000) });
+        start = null;
+    };
+
+    for (let windowStart = 0; windowStart < sampleCount; windowStart += windowSamples) {
+        const windowEnd = Math.min(sampleCount, windowStart + windowSamples);
+        let energy = 0;
+        for (let i = windowStart; i < windowEnd; i++) {
+            energy += (pcm.readInt16LE(i * 2) / 32768) ** 2;
+        }
+        const loud = Math.sqrt(energy / (windowEnd - windowStart)) > DETECTION_THRESHOLD;
+        if (loud && start === null) {
+            start = windowStart;
+        } else if (!loud && start !== null) {
+            finish(windowStart);
+        }
+    }
+    if (start !== null) {
+        finish(sampleCount);
+    }
+    return tones;
+}
+
+/**
+ * Place SSML bookmarks at the end of the word spoken just before them
+ */
+function findBookmarks(ssml, wordBoundaries) {
+    if (!ssml) {
+        return [];
+    }
+    return Array.from(ssml.matchAll(BOOKMARK_PATTERN), (match) => {
+        const wordsBefore = tokenize(ssmlToText(ssml.slice(0, match.index))).length;
+        const previous = wordBoundaries[Math.min(wordsBefore, wordBoundaries.length) - 1];
+        return {
+            name: match[1] ?? match[2],
+            offset: previous ? previous.offset + previous.duration : LEAD_SILENCE_MS
+        };
+    });
+}
+
+// Layer III bitrate tables (kbit/s) indexed by the header bitrate index
+const MP3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+    mpeg1: [44100, 48000, 32000],
+    mpeg2: [22050, 24000, 16000]
+};
+
+/**
+ * Encode silence as constant-bitrate mono MP3 frames
+ *
+ * Each frame is a header followed by all-zero side information and main
+ * data, which decoders play back as silence.
+ */
+function encodeSilentMp3(durationMs, format) {
+    const version = format.sampleRate >= 32000 ? 'mpeg1' : 'mpeg2';
+    const samplesPerFrame = version === 'mpeg1' ? 1152 : 576;
+    const bitrateIndex = MP3_BITRATES[version].indexOf(format.bitrate);
+    const sampleRateIndex = MP3_SAMPLE_RATES[version].indexOf(format.sampleRate);
+    const frameLength = Math.floor(((samplesPerFrame / 8) * format.bitrate * 1000) / format.sampleRate);
+    const frameCount = Math.max(1, Math.ceil(((durationMs / 1000) * format.sampleRate) / samplesPerFrame));
+
+    const header = (0xFFE00000
+        | ((version === 'mpeg1' ? 3 : 2) << 19) // MPEG version
+        | (1 << 17) // Layer III
+        | (1 << 16) // No CRC
+        | (bitrateIndex << 12)
+        | (sampleRateIndex << 10)
+        | (3 << 6)) >>> 0; // Mono
+
+    const frame = Buffer.alloc(frameLength);
+    frame.writeUInt32BE(header, 0);
+
+    return Buffer.concat(Array.from({ length: frameCount }, () => frame));
+}
+
+/**
+ * Create the fake backend
+ */
+export function createFakeBackend() {
+    return {
+        name: 'fake',
+
+        // The fake service offers exactly the voices in the bundled snapshot
+        async listVoices() {
+            return JSON.parse(readFileSync(BUNDLED_SNAPSHOT_FILE, 'utf8')).voices;
+        },
+
+        async synthesize({ text, ssml, format = getOutputFormat(DEFAULT_OUTPUT_FORMAT), signal, onAudio }) {
+            const layout = pcmLayout(format);
+            const { pcm, wordBoundaries, visemes } = renderTones(tokenize(text), layout);
+            const audioDuration = pcmDurationMs(pcm.length, layout);
+
+            let audioData;
+            if (format.container === 'riff') {
+                audioData = encodeWav(pcm, layout);
+            } else if (format.container === 'raw') {
+                audioData = pcm;
+            } else if (format.container === 'mp3') {
+                audioData = encodeSilentMp3(audioDuration, format);
+            } else {
+                throw codedError(ERROR_CODES.INVALID_REQUEST, `The fake backend cannot produce ${format.name} audio. Use a WAV, PCM or MP3 format.`);
+            }
+
+            if (onAudio) {
+                const chunkBytes = Math.max(1, Math.round((audioData.length * STREAM_CHUNK_MS) / Math.max(audioDuration, 1)));
+                for (let offset = 0; offset < audioData.length; offset += chunkBytes) {
+                    if (offset > 0) {
+                        await delay(STREAM_CHUNK_MS / STREAM_SPEEDUP, signal);
+                    }
+                    onAudio(audioData.subarray(offset, offset + chunkBytes));
+                }
+            }
+
+            return { audioData, audioDuration, wordBoundaries, visemes, bookmarks: findBookmarks(ssml, wordBoundaries) };
+        },
+
+        async transcribe({ audioData, language, phrases = [], vocabulary = [] }) {
+            let wav;
+            try {
+                wav = parseWav(audioData);
+            } catch (error) {
+                throw codedError(ERROR_CODES.INVALID_REQUEST, `The fake recognizer only reads WAV files: ${error.message}`);
+            }
+            const { format, pcm } = wav;
+            if (format.audioFormat !== 1 || format.channels !== 1 || format.bitsPerSample !== 16) {
+                throw codedError(ERROR_CODES.INVALID_REQUEST, 'The fake recognizer only reads 16-bit mono PCM WAV files');
+            }
+
+            const candidates = tokenize([...vocabulary, ...phrases].join(' '));
+            const segments = detectTones(pcm, format.sampleRate).map((tone) => {
+                const match = candidates.find((word) => (
+                    Math.abs(toneFrequency(word.text) - tone.frequency) <= FREQUENCY_TOLERANCE_HZ
+                    && Math.abs(toneDuration(word.text) - tone.duration) <= DURATION_TOLERANCE_MS
+                ));
+                return { text: match ? match.text : UNKNOWN_WORD, offset: Math.round(tone.offset), duration: Math.round(tone.duration) };
+            });
+
+            return { text: segments.map((segment) => segment.text).join(' '), language, segments };
+        }
+    };
+}
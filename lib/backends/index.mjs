@@ -0,0 +1,56 @@
+/**
+ * Synthesis backend registry
+ *
+ * A backend is an object with a `name`, an async `listVoices({ signal })`
+ * method that resolves with voice catalog entries (see voices.mjs), and an async
+ * `synthesize(request)` method. The request carries
+ * `{ text, ssml, language, voice, format, signal, onAudio }` where `ssml` is an
+ * optional complete SSML document, `text` is always the plain text that will
+ * be spoken, `format` is an output format from formats.mjs and `signal` is an
+ * optional AbortSignal (aborted on timeout; backends should release the
+ * request and reject with `signal.reason`). Backends that understand SSML
+ * should prefer it. The optional `onAudio(chunk)` callback receives the audio
+ * as it is produced, as Buffers that concatenate to the encoded audio (for
+ * WAV formats the first may or may not carry a RIFF header). The backend
+ * resolves with:
+ *
+ *   {
+ *     audioData: Buffer,        // complete audio file contents
+ *     audioDuration: number,    // milliseconds
+ *     wordBoundaries: [{ text, offset, duration, textOffset, wordLength }],
+ *     visemes: [{ offset, visemeId }],         // optional, Azure viseme IDs 0-21
+ *     bookmarks: [{ name, offset }]            // optional, SSML <bookmark> marks
+ *   }
+ *
+ * Backends may also offer speech recognition with an async
+ * `transcribe({ audioData, language, phrases, vocabulary, signal })` for a
+ * 16-bit PCM WAV file, resolving with
+ * `{ text, language, segments: [{ text, offset, duration }] }`. `phrases`
+ * are recognition hints; `vocabulary` lists the words expected in the audio,
+ * which only recognizers without a language model of their own (the fake
+ * one) rely on.
+ *
+ * Offsets and durations are in milliseconds. Backends reject with an Error
+ * whose message is safe to show to the caller.
+ */
+
+import { createAzureBackend } from './azure.mjs';
+import { createFakeBackend } from './fake.mjs';
+
+const BACKEND_FACTORIES = {
+    azure: createAzureBackend,
+    fake: createFakeBackend
+};
+
+export const BACKEND_NAMES = Object.keys(BACKEND_FACTORIES);
+
+/**
+ * Create a backend by name
+ */
+export function createBackend(name, options = {}) {
+    const factory = BACKEND_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown synthesis backend: ${name}. Available backends: ${BACKEND_NAMES.join(', ')}`);
+    }
+    return factory(options);
+}
@@ -0,0 +1,64 @@
+/**
+ * Batch manifests
+ *
+ * A batch records one row per item: where its audio went, or why it failed
+ * or was never started. Manifests are written as JSON (the full record) or
+ * CSV (one line per item, for spreadsheets).
+ */
+
+export const BATCH_MANIFEST_FORMATS = ['json', 'csv'];
+
+export const BATCH_ITEM_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const CSV_COLUMNS = [
+    ['index', (item) => item.index],
+    ['status', (item) => item.status],
+    ['language', (item) => item.language],
+    ['voice', (item) => item.voice],
+    ['text', (item) => item.text],
+    ['file', (item) => item.file],
+    ['audio_duration_ms', (item) => item.audioDuration],
+    ['attempts', (item) => item.attempts],
+    ['cached', (item) => item.cached],
+    ['error_code', (item) => item.error && item.error.code],
+    ['error_message', (item) => item.error && item.error.message]
+];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Count the items of a batch by status
+ */
+export function summarizeBatch(items) {
+    const summary = { total: items.length };
+    for (const status of BATCH_ITEM_STATUSES) {
+        summary[status] = items.filter((item) => item.status === status).length;
+    }
+    return summary;
+}
+
+/**
+ * Render a batch manifest `{ ..., items }` in one of BATCH_MANIFEST_FORMATS
+ */
+export function renderBatchManifest(format, manifest) {
+    switch (format) {
+    case 'json':
+        return `${JSON.stringify(manifest, null, 2)}\n`;
+    case 'csv': {
+        const header = CSV_COLUMNS.map(([name]) => name).join(',');
+        const rows = manifest.items.map((item) => CSV_COLUMNS.map(([, value]) => csvField(value(item))).join(','));
+        return `${[header, ...rows].join('\r\n')}\r\n`;
+    }
+    default:
+        throw new Error(`Unsupported manifest format: ${format}. Supported formats: ${BATCH_MANIFEST_FORMATS.join(', ')}`);
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Content-addressed synthesis cache
+ *
+ * Stores synthesized audio under a hash of everything that affects the
+ * output (normalized text, voice, language, prosody, output format, backend),
+ * so identical requests are served from disk instead of the service. An
+ * index.json next to the audio files records size and access times for
+ * age- and size-based eviction. Cache hits only update the index in memory;
+ * it is written when entries are added or removed and on flush().
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, unlinkSync, renameSync } from 'fs';
+import { resolve } from 'path';
+import { log } from './logging.mjs';
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+/**
+ * Normalize text so insignificant differences share a cache entry
+ */
+export function normalizeCacheText(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Serialize a value with sorted object keys so equal options hash equally
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Compute the cache key for a synthesis request
+ */
+export function createCacheKey({ text, voice, language, options = {}, format = 'default', backend = '' }) {
+    const material = stableStringify({
+        text: normalizeCacheText(text),
+        voice,
+        language,
+        options,
+        format,
+        backend
+    });
+    return createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Create a synthesis cache in `dir`
+ *
+ * `maxBytes` bounds the total audio size (least recently used entries are
+ * evicted first) and `maxAgeMs` expires entries regardless of use.
+ */
+export function createSynthesisCache({ dir, maxBytes, maxAgeMs }) {
+    const indexPath = resolve(dir, INDEX_FILE);
+    let entries = {};
+    // Access times and hit counts changed since the index was last written
+    let dirty = false;
+
+    mkdirSync(dir, { recursive: true });
+
+    if (existsSync(indexPath)) {
+        try {
+            const index = JSON.parse(readFileSync(indexPath, 'utf8'));
+            if (index.version === INDEX_VERSION && index.entries) {
+                entries = index.entries;
+            }
+        } catch (error) {
+            log.warn('Ignoring unreadable synthesis cache index', { file: indexPath, error: error.message });
+        }
+    }
+
+    function saveIndex() {
+        // Write then rename so a crash never leaves a truncated index
+        const temporaryPath = `${indexPath}.tmp`;
+        writeFileSync(temporaryPath, JSON.stringify({ version: INDEX_VERSION, entries }, null, 2));
+        renameSync(temporaryPath, indexPath);
+        dirty = false;
+    }
+
+    function entryPath(key) {
+        return resolve(dir, entries[key].file);
+    }
+
+    function remove(key) {
+        const path = entryPath(key);
+        if (existsSync(path)) {
+            unlinkSync(path);
+        }
+        delete entries[key];
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until under maxBytes
+     */
+    function evict() {
+        const now = Date.now();
+        let evicted = 0;
+
+        for (const [key, entry] of Object.entries(entries)) {
+            if (maxAgeMs && now - entry.createdAt > maxAgeMs) {
+                remove(key);
+                evicted++;
+            }
+        }
+
+        if (maxBytes) {
+            let totalBytes = Object.values(entries).reduce((sum, entry) => sum + entry.bytes, 0);
+            const byLastAccess = Object.entries(entries).sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+            for (const [key, entry] of byLastAccess) {
+                if (totalBytes <= maxBytes) {
+                    break;
+                }
+                totalBytes -= entry.bytes;
+                remove(key);
+                evicted++;
+            }
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Look up an entry; returns `{ audioData, metadata }` or null
+     */
+    function get(key) {
+        const entry = entries[key];
+        if (!entry) {
+            return null;
+        }
+
+        if (maxAgeMs && Date.now() - entry.createdAt > maxAgeMs) {
+            remove(key);
+            saveIndex();
+            return null;
+        }
+
+        const path = entryPath(key);
+        if (!existsSync(path)) {
+            // Audio removed behind our back: forget the entry
+            delete entries[key];
+            saveIndex();
+            return null;
+        }
+
+        entry.lastAccessed = Date.now();
+        entry.hits += 1;
+        dirty = true;
+
+        return { audioData: readFileSync(path), metadata: entry.metadata };
+    }
+
+    /**
+     * Store audio under `key` with metadata needed to rebuild the result
+     */
+    function set(key, audioData, metadata = {}, extension = 'wav') {
+        const file = `${key}.${extension}`;
+        writeFileSync(resolve(dir, file), audioData);
+
+        const now = Date.now();
+        entries[key] = {
+            file,
+            bytes: audioData.length,
+            createdAt: now,
+            lastAccessed: now,
+            hits: 0,
+            metadata
+        };
+
+        evict();
+        saveIndex();
+    }
+
+    /**
+     * Write access times and hit counts that only changed in memory
+     */
+    function flush() {
+        if (dirty) {
+            saveIndex();
+        }
+    }
+
+    function stats() {
+        const values = Object.values(entries);
+        return {
+            entries: values.length,
+            bytes: values.reduce((sum, entry) => sum + entry.bytes, 0),
+            hits: values.reduce((sum, entry) => sum + entry.hits, 0)
+        };
+    }
+
+    return { get, set, evict, flush, stats, dir };
+}
@@ -0,0 +1,177 @@
+/**
+ * Long-text chunking
+ *
+ * Splits documents into synthesis-sized chunks at paragraph and sentence
+ * boundaries. Sentence detection knows the common abbreviations of the
+ * languages we use most (English, Finnish, Swedish, German) so that "esim.",
+ * "t.ex." or "z.B." do not end a sentence.
+ */
+
+export const DEFAULT_MAX_CHUNK_LENGTH = 1000;
+
+// Paragraph separator kept inside chunks so callers can render paragraph pauses
+export const PARAGRAPH_SEPARATOR = '\n\n';
+
+const COMMON_ABBREVIATIONS = ['dr', 'prof', 'nr', 'st', 'ca', 'etc', 'vs'];
+
+const ABBREVIATIONS = {
+    en: [
+        'mr', 'mrs', 'ms', 'sr', 'jr', 'e.g', 'i.e', 'inc', 'ltd', 'co', 'corp', 'fig', 'approx', 'dept', 'est',
+        'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'mt', 'vol', 'pp'
+    ],
+    fi: [
+        'esim', 'ks', 'mm', 'ns', 'ym', 'yms', 'jne', 'tms', 'tri', 'kl', 'klo', 'os', 'puh', 'vrt', 'huom',
+        'ko', 'em', 'jälk', 'eaa', 'jaa', 'ent', 'ma', 'ti', 'ke', 'to', 'pe', 'la', 'su'
+    ],
+    sv: [
+        't.ex', 'bl.a', 'd.v.s', 'dvs', 'osv', 'm.m', 'mm', 's.k', 'kl', 'f.d', 'fr.o.m', 't.o.m', 'jfr',
+        'resp', 'obs', 'ang', 'enl', 'f.ö', 'o.s.v', 'p.g.a', 'pga', 'ev', 'kap'
+    ],
+    de: [
+        'z.b', 'u.a', 'usw', 'u.s.w', 'bzw', 'd.h', 'str', 'vgl', 'ggf', 'evtl', 'inkl', 'z.t', 'hr', 'fr',
+        'jh', 'mio', 'mrd', 'sog', 'allg', 'abs', 'bd', 'bspw', 'geb', 'gest', 'u.ä', 'v.a'
+    ]
+};
+
+// Languages that write ordinals as "3." before a capitalized noun ("am 3. Oktober").
+// Finnish and Swedish ordinals are followed by lowercase words, which the
+// lowercase-continuation rule already handles.
+const ORDINAL_DOT_LANGUAGES = ['de'];
+
+const SENTENCE_END_PATTERN = /[.!?…]+["'”’»)\]]*(?=\s+)/g;
+
+function languagePrefix(language) {
+    return (language || 'en').split('-')[0].toLowerCase();
+}
+
+function abbreviationsFor(language) {
+    const prefix = languagePrefix(language);
+    return new Set([...COMMON_ABBREVIATIONS, ...(ABBREVIATIONS[prefix] || ABBREVIATIONS.en)]);
+}
+
+/**
+ * Decide whether the punctuation at `index` really ends a sentence
+ */
+function isSentenceBoundary(text, index, match, abbreviations, language) {
+    const next = text.slice(index + match.length).trimStart();
+    if (next.length === 0) {
+        return true;
+    }
+
+    // A lowercase continuation means the period was not a sentence end
+    if (/^\p{Ll}/u.test(next)) {
+        return false;
+    }
+
+    if (!match.startsWith('.')) {
+        return true;
+    }
+
+    const before = text.slice(0, index);
+    const token = (before.match(/(\S+)$/) || ['', ''])[1].replace(/^["'“‘«(\[]+/, '').toLowerCase();
+
+    if (abbreviations.has(token)) {
+        return false;
+    }
+    // Initials such as "J. R. R. Tolkien" and single-letter abbreviations ("s. 12")
+    if (/^\p{L}$/u.test(token)) {
+        return false;
+    }
+    if (/^\d+$/.test(token) && ORDINAL_DOT_LANGUAGES.includes(languagePrefix(language))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Split a paragraph into sentences
+ */
+export function splitSentences(paragraph, language = 'en-US') {
+    const abbreviations = abbreviationsFor(language);
+    const sentences = [];
+    let start = 0;
+
+    for (const match of paragraph.matchAll(SENTENCE_END_PATTERN)) {
+        const end = match.index + match[0].length;
+        if (isSentenceBoundary(paragraph, match.index, match[0], abbreviations, language)) {
+            const sentence = paragraph.slice(start, end).trim();
+            if (sentence) {
+                sentences.push(sentence);
+            }
+            start = end;
+        }
+    }
+
+    const rest = paragraph.slice(start).trim();
+    if (rest) {
+        sentences.push(rest);
+    }
+    return sentences;
+}
+
+/**
+ * Break a single over-long sentence at clause or word boundaries
+ */
+function splitLongSentence(sentence, maxLength) {
+    const pieces = [];
+    let remaining = sentence;
+
+    while (remaining.length > maxLength) {
+        const window = remaining.slice(0, maxLength + 1);
+        let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+        if (cut < maxLength / 2) {
+            cut = window.lastIndexOf(' ');
+        }
+        if (cut <= 0) {
+            cut = maxLength; // No whitespace at all: hard split
+        } else {
+            cut += 1; // Keep the punctuation with the first piece
+        }
+        pieces.push(remaining.slice(0, cut).trim());
+        remaining = remaining.slice(cut).trim();
+    }
+
+    if (remaining) {
+        pieces.push(remaining);
+    }
+    return pieces;
+}
+
+/**
+ * Split a document into chunks of at most `maxLength` characters
+ *
+ * Sentences are packed greedily into chunks; paragraph breaks inside a chunk
+ * are kept as PARAGRAPH_SEPARATOR. Sentences longer than a chunk are split
+ * at commas or spaces.
+ */
+export function splitText(text, { language = 'en-US', maxLength = DEFAULT_MAX_CHUNK_LENGTH } = {}) {
+    const paragraphs = text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+        let separator = current ? PARAGRAPH_SEPARATOR : '';
+
+        for (const sentence of splitSentences(paragraph, language)) {
+            for (const piece of splitLongSentence(sentence, maxLength)) {
+                if (current && current.length + separator.length + piece.length > maxLength) {
+                    chunks.push(current);
+                    current = '';
+                    separator = '';
+                }
+                current += separator + piece;
+                separator = ' ';
+            }
+        }
+    }
+
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
@@ -0,0 +1,93 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map over items with at most `limit` async calls in flight
+ *
+ * Results keep the input order. Workers stop picking up new items after the
+ * first rejection or once `signal` is aborted (items never started are left
+ * undefined). A rejection rejects the whole call with the first error, but
+ * only after the calls already in flight have settled, so none keeps running
+ * behind the caller's back.
+ */
+export async function mapWithConcurrency(items, limit, fn, { signal } = {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+
+    async function worker() {
+        while (!failure && !(signal && signal.aborted) && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    if (failure) {
+        throw failure.error;
+    }
+    return results;
+}
+
+/**
+ * Resolve after `ms`, or reject early when `signal` is aborted
+ */
+export function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds, retrying errors `shouldRetry` accepts
+ *
+ * Waits `baseDelayMs`, doubling after each attempt up to `maxDelayMs`,
+ * between tries; `jitter` (0-1) shortens each wait by a random fraction of
+ * up to that much so clients retrying together spread out. Resolves with
+ * `{ value, attempts }`; the last error is rethrown with `attempts` set.
+ */
+export async function withRetries(fn, {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = Infinity,
+    jitter = 0,
+    shouldRetry = () => true,
+    signal
+} = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { value: await fn(attempt), attempts: attempt };
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error) || (signal && signal.aborted)) {
+                if (error && typeof error === 'object') {
+                    error.attempts = attempt;
+                }
+                throw error;
+            }
+            const backoff = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+            await delay(backoff * (1 - jitter * Math.random()), signal);
+        }
+    }
+}
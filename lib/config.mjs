@@ -0,0 +1,448 @@
+/**
+ * Server configuration
+ *
+ * Settings come from, in increasing priority: built-in defaults, a JSON or
+ * YAML configuration file, the active profile in that file, environment
+ * variables and command-line flags. Every value is validated when the server
+ * starts, and errors name the setting and where its value came from.
+ *
+ * A configuration file holds any of the settings below, grouped by section,
+ * plus named `profiles` that override them and a `profile` to activate:
+ *
+ *   output:
+ *     format: wav-24khz
+ *   profiles:
+ *     podcast:
+ *       voices:
+ *         en-US: en-US-AndrewMultilingualNeural
+ *       prosody:
+ *         rate: "-5%"
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname, resolve } from 'path';
+import { parseArgs } from 'util';
+import { LineCounter, parseDocument } from 'yaml';
+import { BACKEND_NAMES } from './backends/index.mjs';
+import { DEFAULT_OUTPUT_FORMAT, OUTPUT_FORMAT_NAMES } from './formats.mjs';
+import { DEFAULT_FILENAME_TEMPLATE, validateFilenameTemplate } from './outputs.mjs';
+import { AUDIO_PLAYERS } from './playback.mjs';
+import { SERVICE_TIERS } from './resilience.mjs';
+import { normalizeSpeechOptions } from './ssml.mjs';
+import { LOG_FORMATS, LOG_LEVELS } from './logging.mjs';
+import { FREE_TIER_MONTHLY_CHARACTERS } from './usage.mjs';
+import { normalizeLocale } from './voices.mjs';
+
+export const CONFIG_FILE_NAMES = ['ms-tts.config.json', 'ms-tts.config.yaml', 'ms-tts.config.yml'];
+export const REDACTED = '[redacted]';
+
+// Default voice per language (from our research). Every other choice,
+// including the list of supported languages, comes from the voice catalog.
+export const DEFAULT_VOICES = {
+    'en-US': 'en-US-RyanMultilingualNeural',
+    'fi-FI': 'en-US-RyanMultilingualNeural', // Best choice from our testing
+    'es-ES': 'es-ES-AlvaroNeural',
+    'de-DE': 'de-DE-ConradNeural',
+    'fr-FR': 'fr-FR-DeniseNeural',
+    'sv-SE': 'sv-SE-MattiasNeural'
+};
+
+const PROSODY_SETTINGS = ['rate', 'pitch', 'volume', 'style', 'styleDegree'];
+
+/**
+ * Every setting by its dotted path
+ *
+ * `env` lists the environment variables read (first set one wins), `flag`
+ * overrides the command-line flag derived from the path (null for none) and a
+ * function `default` is computed from the other resolved settings. Secrets
+ * have no flag, since command lines are visible to other users.
+ */
+export const SETTINGS = {
+    'azure.key': { type: 'string', env: ['AZURE_SPEECH_KEY', 'AZURE_SPEECH_KEY_FREE'], flag: null, secret: true, default: null },
+    'azure.region': { type: 'string', env: ['AZURE_SPEECH_REGION', 'AZURE_SPEECH_REGION_FREE'], default: 'westeurope' },
+    // Free-tier keys default to the F0 rate limit
+    'azure.tier': {
+        type: 'enum',
+        values: Object.keys(SERVICE_TIERS),
+        env: ['AZURE_SPEECH_TIER'],
+        default: (values, sources) => (sources['azure.key'] === 'env AZURE_SPEECH_KEY_FREE' ? 'F0' : 'S0')
+    },
+    // Speech service host, e.g. a container (ws://localhost:5000), used instead of the region
+    'azure.endpoint': { type: 'url', env: ['AZURE_SPEECH_ENDPOINT'], default: null },
+    'backend.synthesis': { type: 'enum', values: BACKEND_NAMES, env: ['TTS_BACKEND'], flag: 'backend', default: 'azure' },
+    // Speech recognition for transcribe_audio and "verify"
+    'backend.recognition': { type: 'enum', values: BACKEND_NAMES, env: ['STT_BACKEND'], default: (values) => values['backend.synthesis'] },
+    'output.dir': { type: 'string', env: ['AUDIO_OUTPUT_DIR'], default: './audio/mcp-generated' },
+    'output.format': { type: 'enum', values: OUTPUT_FORMAT_NAMES, env: ['AUDIO_OUTPUT_FORMAT'], default: DEFAULT_OUTPUT_FORMAT },
+    'output.filenameTemplate': { type: 'template', env: ['AUDIO_FILENAME_TEMPLATE'], default: DEFAULT_FILENAME_TEMPLATE },
+    // 0 disables a retention limit
+    'output.retentionDays': { type: 'number', min: 0, max: 36500, env: ['AUDIO_RETENTION_DAYS'], default: 0 },
+    'output.retentionMaxMb': { type: 'number', min: 0, max: 10485760, env: ['AUDIO_RETENTION_MAX_MB'], default: 0 },
+    // Larger files are only offered as resources
+    'output.maxInlineMb': { type: 'number', min: 0, max: 1024, env: ['MAX_INLINE_AUDIO_MB'], default: 10 },
+    voices: { type: 'voices', env: [], flag: null, default: DEFAULT_VOICES },
+    // Defaults for generated SSML; tool arguments override them
+    'prosody.rate': { type: 'string', env: [], default: null },
+    'prosody.pitch': { type: 'string', env: [], default: null },
+    'prosody.volume': { type: 'string', env: [], default: null },
+    'prosody.style': { type: 'string', env: [], default: null },
+    'prosody.styleDegree': { type: 'number', min: 0.01, max: 2, env: [], default: null },
+    'limits.timeoutMs': { type: 'integer', min: 100, max: 600000, env: ['SYNTHESIS_TIMEOUT_MS'], default: 30000 },
+    'limits.retries': { type: 'integer', min: 0, max: 10, env: ['SYNTHESIS_RETRIES'], default: 2 },
+    'limits.retryDelayMs': { type: 'integer', min: 0, max: 60000, env: ['SYNTHESIS_RETRY_DELAY_MS'], default: 500 },
+    // Requests per minute; 0 uses the tier's limit
+    'limits.rateLimit': { type: 'number', min: 0, max: 100000, env: ['SYNTHESIS_RATE_LIMIT'], default: 0 },
+    'limits.circuitBreakerThreshold': { type: 'integer', min: 1, max: 1000, env: ['CIRCUIT_BREAKER_THRESHOLD'], default: 5 },
+    'limits.circuitBreakerCooldownMs': { type: 'integer', min: 0, max: 3600000, env: ['CIRCUIT_BREAKER_COOLDOWN_MS'], default: 30000 },
+    'cache.enabled': { type: 'boolean', env: ['SYNTHESIS_CACHE'], default: true },
+    'cache.dir': { type: 'string', env: ['SYNTHESIS_CACHE_DIR'], default: (values) => resolve(values['output.dir'], '..', 'cache') },
+    'cache.maxMb': { type: 'number', min: 0, max: 10485760, env: ['SYNTHESIS_CACHE_MAX_MB'], default: 500 },
+    'cache.maxAgeDays': { type: 'number', min: 0, max: 36500, env: ['SYNTHESIS_CACHE_MAX_AGE_DAYS'], default: 30 },
+    'catalog.cacheFile': { type: 'string', env: ['VOICE_CACHE_FILE'], default: (values) => resolve(values['output.dir'], '..', 'voice-catalog.json') },
+    'pronunciations.file': { type: 'string', env: ['PRONUNCIATION_FILE'], default: './pronunciations.json' },
+    'usage.file': { type: 'string', env: ['USAGE_LEDGER_FILE'], default: (values) => resolve(values['output.dir'], '..', 'usage.json') },
+    // Billable characters over all clients; 0 disables a budget. The free tier stops at its monthly allowance.
+    'usage.dailyCharacters': { type: 'integer', min: 0, max: 1000000000, env: ['USAGE_DAILY_CHARACTERS'], default: 0 },
+    'usage.monthlyCharacters': {
+        type: 'integer',
+        min: 0,
+        max: 1000000000,
+        env: ['USAGE_MONTHLY_CHARACTERS'],
+        default: (values) => (values['azure.tier'] === 'F0' ? FREE_TIER_MONTHLY_CHARACTERS : 0)
+    },
+    // A player name, "none", or unset to detect one
+    'playback.player': { type: 'enum', values: [...Object.keys(AUDIO_PLAYERS), 'none'], env: ['AUDIO_PLAYER'], default: null },
+    'transport.type': { type: 'enum', values: ['stdio', 'http'], env: ['MCP_TRANSPORT'], flag: 'transport', default: 'stdio' },
+    'transport.host': { type: 'string', env: ['MCP_HTTP_HOST'], flag: 'host', default: '127.0.0.1' },
+    // 0 picks a free port
+    'transport.port': { type: 'integer', min: 0, max: 65535, env: ['MCP_HTTP_PORT'], flag: 'port', default: 3000 },
+    'transport.authToken': { type: 'string', env: ['MCP_AUTH_TOKEN'], flag: null, secret: true, default: null },
+    'logging.level': { type: 'enum', values: LOG_LEVELS, env: ['LOG_LEVEL'], default: 'info' },
+    'logging.format': { type: 'enum', values: LOG_FORMATS, env: ['LOG_FORMAT'], default: 'text' },
+    // Log lines go to stderr unless a file is named
+    'logging.file': { type: 'string', env: ['LOG_FILE'], default: null },
+    // Replace the text to be spoken with its length in log entries
+    'logging.redactText': { type: 'boolean', env: ['LOG_REDACT_TEXT'], default: false },
+    // How long SIGTERM waits for running tool calls before aborting them
+    'shutdown.timeoutMs': { type: 'integer', min: 0, max: 3600000, env: ['SHUTDOWN_TIMEOUT_MS'], default: 10000 }
+};
+
+const SETTING_PATHS = Object.keys(SETTINGS);
+const SECTIONS = [...new Set(SETTING_PATHS.filter((path) => path.includes('.')).map((path) => path.split('.')[0]))];
+
+/**
+ * Command-line flag of a setting ("limits.timeoutMs" → "limits-timeout-ms")
+ */
+function flagFor(path) {
+    const { flag } = SETTINGS[path];
+    if (flag !== undefined) {
+        return flag;
+    }
+    return path.replace(/\./g, '-').replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Parse a YAML configuration file
+ *
+ * Syntax errors, and tags the parser does not know, are reported with the
+ * line they are on ("./ms-tts.config.yaml:3: Map keys must be unique"). An
+ * empty document is an empty mapping.
+ */
+export function parseYaml(text, label = 'YAML') {
+    const lineCounter = new LineCounter();
+    const document = parseDocument(text, { lineCounter, prettyErrors: false });
+    const [problem] = [...document.errors, ...document.warnings];
+    if (problem) {
+        throw new Error(`${label}:${lineCounter.linePos(problem.pos[0]).line}: ${problem.message}`);
+    }
+    return document.toJS() ?? {};
+}
+
+/**
+ * Read a JSON or YAML configuration file (by extension)
+ */
+export function readConfigFile(file) {
+    let text;
+    try {
+        text = readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read configuration file ${file}: ${error.message}`);
+    }
+    if (extname(file) === '.json') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON in configuration file ${file}: ${error.message}`);
+        }
+    }
+    if (['.yaml', '.yml'].includes(extname(file))) {
+        return parseYaml(text, file);
+    }
+    throw new Error(`Unsupported configuration file ${file}: use a .json, .yaml or .yml file`);
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Flatten a settings object to dotted paths, rejecting unknown keys
+ *
+ * `where` describes the object in errors (e.g. 'profile "podcast" in ./x.yaml').
+ */
+function flattenSettings(object, where) {
+    if (!isObject(object)) {
+        throw new Error(`Invalid configuration: ${where} must be a mapping of settings`);
+    }
+    const flat = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (key === 'voices' || !SECTIONS.includes(key)) {
+            if (!SETTINGS[key]) {
+                throw new Error(`Invalid configuration: unknown setting "${key}" in ${where}. Known sections: ${[...SECTIONS, 'voices'].join(', ')}`);
+            }
+            flat[key] = value;
+            continue;
+        }
+        if (value === null) {
+            continue;
+        }
+        if (!isObject(value)) {
+            throw new Error(`Invalid configuration: "${key}" in ${where} must be a mapping`);
+        }
+        for (const [name, setting] of Object.entries(value)) {
+            const path = `${key}.${name}`;
+            if (!SETTINGS[path]) {
+                const known = SETTING_PATHS.filter((candidate) => candidate.startsWith(`${key}.`)).map((candidate) => candidate.slice(key.length + 1));
+                throw new Error(`Invalid configuration: unknown setting "${path}" in ${where}. Known ${key} settings: ${known.join(', ')}`);
+            }
+            flat[path] = setting;
+        }
+    }
+    return flat;
+}
+
+/**
+ * Validate one value; strings from the environment and flags are converted
+ * first. Returns the value to use (null for unset).
+ */
+function validateSetting(path, value, source, fromText) {
+    const setting = SETTINGS[path];
+    const fail = (problem) => {
+        throw new Error(`Invalid configuration: ${path} ${source} ${problem}, got ${JSON.stringify(value)}`);
+    };
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    switch (setting.type) {
+    case 'integer':
+    case 'number': {
+        const number = fromText ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || (fromText && String(value).trim() === '')
+            || (setting.type === 'integer' && !Number.isInteger(number)) || number < setting.min || number > setting.max) {
+            fail(`must be ${setting.type === 'integer' ? 'an integer' : 'a number'} between ${setting.min} and ${setting.max}`);
+        }
+        return number;
+    }
+    case 'boolean': {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (fromText && /^(true|on|yes|1)$/i.test(value)) {
+            return true;
+        }
+        if (fromText && /^(false|off|no|0)$/i.test(value)) {
+            return false;
+        }
+        return fail(fromText ? 'must be on/off, true/false, yes/no or 1/0' : 'must be true or false');
+    }
+    case 'enum':
+        if (!setting.values.includes(value)) {
+            fail(`must be one of ${setting.values.join(', ')}`);
+        }
+        return value;
+    case 'url':
+        if (typeof value !== 'string' || !URL.canParse(value) || !/^(wss?|https?):$/.test(new URL(value).protocol)) {
+            fail('must be a ws://, wss://, http:// or https:// URL');
+        }
+        return value;
+    case 'template':
+        if (typeof value !== 'string') {
+            fail('must be a string');
+        }
+        try {
+            return validateFilenameTemplate(value, path);
+        } catch (error) {
+            return fail(`is not a valid filename template (${error.message})`);
+        }
+    case 'voices': {
+        if (!isObject(value)) {
+            fail('must map locales to voice names');
+        }
+        const voices = {};
+        for (const [locale, voice] of Object.entries(value)) {
+            const normalized = normalizeLocale(locale);
+            if (!/^[a-z]{2,3}-[A-Z]{2,}/.test(normalized)) {
+                fail(`has "${locale}", which is not a locale like en-US`);
+            }
+            if (typeof voice !== 'string' || voice.trim() === '') {
+                fail(`must give a voice name for ${locale}`);
+            }
+            voices[normalized] = voice.trim();
+        }
+        return voices;
+    }
+    default:
+        if (typeof value !== 'string') {
+            fail('must be a string');
+        }
+        return value;
+    }
+}
+
+/**
+ * Expand dotted paths into nested sections
+ */
+function nest(flat) {
+    const nested = {};
+    for (const path of SETTING_PATHS) {
+        const value = flat[path];
+        const [section, name] = path.split('.');
+        if (name === undefined) {
+            nested[section] = value;
+        } else {
+            nested[section] = { ...nested[section], [name]: value };
+        }
+    }
+    return nested;
+}
+
+/**
+ * The configuration file to use: --config, MCP_TTS_CONFIG, or the first of
+ * CONFIG_FILE_NAMES found in `dir`
+ */
+function findConfigFile(flagValue, env, dir) {
+    const explicit = flagValue || env.MCP_TTS_CONFIG;
+    if (explicit) {
+        if (!existsSync(explicit)) {
+            throw new Error(`Configuration file not found: ${explicit}`);
+        }
+        return explicit;
+    }
+    const found = CONFIG_FILE_NAMES.map((name) => resolve(dir, name)).find((path) => existsSync(path));
+    return found || null;
+}
+
+/**
+ * Where a value came from, for error messages ("in ./x.yaml", "from --port")
+ */
+function describeSource(source, file) {
+    if (source === 'file') {
+        return `in ${file}`;
+    }
+    const [kind, name] = source.split(' ');
+    return kind === 'profile' ? `in profile "${name}" of ${file}` : `from ${name}`;
+}
+
+/**
+ * Load and validate the effective configuration
+ *
+ * Returns `{ file, profile, profiles, settings, sources }`: `settings` is
+ * nested by section, `sources` maps every setting path to where its value came
+ * from ("default", "file", "profile <name>", "env <NAME>" or "flag --<name>").
+ * Throws an Error with a precise message for anything invalid.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, dir = process.cwd() } = {}) {
+    const flags = Object.fromEntries(SETTING_PATHS.filter((path) => flagFor(path)).map((path) => [flagFor(path), { type: 'string' }]));
+    let cli;
+    try {
+        cli = parseArgs({ args: argv, options: { ...flags, config: { type: 'string' }, profile: { type: 'string' } } }).values;
+    } catch (error) {
+        throw new Error(`Invalid command line: ${error.message}`);
+    }
+
+    const file = findConfigFile(cli.config, env, dir);
+    const contents = file ? readConfigFile(file) : {};
+    if (!isObject(contents)) {
+        throw new Error(`Invalid configuration: ${file} must contain a mapping of settings`);
+    }
+    const { profile: fileProfile = null, profiles = {}, ...base } = contents;
+    if (!isObject(profiles)) {
+        throw new Error(`Invalid configuration: "profiles" in ${file} must map profile names to settings`);
+    }
+    const profile = cli.profile || env.MCP_TTS_PROFILE || fileProfile;
+    if (profile && !profiles[profile]) {
+        const available = Object.keys(profiles);
+        throw new Error(`Unknown configuration profile "${profile}". ${available.length > 0 ? `Profiles in ${file}: ${available.join(', ')}` : `${file || 'No configuration file'} defines no profiles`}`);
+    }
+    // Validate every profile, not just the active one, so mistakes surface early
+    const validateLayer = (object, where) => Object.fromEntries(Object.entries(flattenSettings(object, where))
+        .map(([path, value]) => [path, validateSetting(path, value, `in ${where}`, false)])
+        .filter(([, value]) => value !== null));
+    const fileSettings = validateLayer(base, file || 'the configuration');
+    const profileSettings = Object.fromEntries(Object.entries(profiles).map(([name, overrides]) => (
+        [name, validateLayer(overrides, `profile "${name}" of ${file}`)]
+    )));
+
+    const values = {};
+    const sources = {};
+    const layers = [['file', fileSettings], ...(profile ? [[`profile ${profile}`, profileSettings[profile]]] : [])];
+    for (const [source, layer] of layers) {
+        for (const [path, value] of Object.entries(layer)) {
+            // Profiles add to the file's voices rather than replacing them
+            values[path] = path === 'voices' && values.voices ? { ...values.voices, ...value } : value;
+            sources[path] = source;
+        }
+    }
+
+    for (const path of SETTING_PATHS) {
+        const { env: names = [] } = SETTINGS[path];
+        const name = names.find((candidate) => env[candidate]);
+        if (name) {
+            values[path] = validateSetting(path, env[name], `from ${name}`, true);
+            sources[path] = `env ${name}`;
+        }
+        const flag = flagFor(path);
+        if (flag && cli[flag] !== undefined) {
+            values[path] = validateSetting(path, cli[flag], `from --${flag}`, true);
+            sources[path] = `flag --${flag}`;
+        }
+    }
+
+    // Defaults last, so computed ones see the final values they depend on
+    for (const path of SETTING_PATHS) {
+        if (values[path] === undefined || values[path] === null) {
+            const { default: fallback } = SETTINGS[path];
+            values[path] = typeof fallback === 'function' ? fallback(values, sources) : fallback;
+            sources[path] = 'default';
+        }
+    }
+    if (sources.voices !== 'default') {
+        values.voices = { ...DEFAULT_VOICES, ...values.voices };
+    }
+
+    const settings = nest(values);
+    const prosody = Object.fromEntries(PROSODY_SETTINGS.map((name) => [name, settings.prosody[name]]).filter(([, value]) => value !== null));
+    try {
+        settings.prosody = normalizeSpeechOptions(prosody);
+    } catch (error) {
+        const source = PROSODY_SETTINGS.map((name) => sources[`prosody.${name}`]).find((candidate) => candidate !== 'default');
+        throw new Error(`Invalid configuration: prosody ${describeSource(source, file)}: ${error.message}`);
+    }
+
+    return { file, profile, profiles: Object.keys(profiles), settings, sources };
+}
+
+/**
+ * The settings with secrets replaced by REDACTED (unset secrets stay null)
+ */
+export function redactConfig(settings) {
+    const redacted = structuredClone(settings);
+    for (const path of SETTING_PATHS.filter((candidate) => SETTINGS[candidate].secret)) {
+        const [section, name] = path.split('.');
+        if (redacted[section][name] !== null) {
+            redacted[section][name] = REDACTED;
+        }
+    }
+    return redacted;
+}
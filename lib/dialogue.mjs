@@ -0,0 +1,92 @@
+/**
+ * Dialogue casting
+ *
+ * Maps the speakers of a dialogue to voices. Speakers named in the cast get
+ * their voice (validated for every language they speak); everyone else gets
+ * a distinct voice for the language, starting with the language default.
+ */
+
+import { normalizeLocale } from './voices.mjs';
+
+const SPEECH_SETTINGS = ['style', 'styleDegree', 'rate', 'pitch', 'volume'];
+
+/**
+ * Normalize a cast entry: a voice name or `{ voice, language, style, ... }`
+ */
+function castEntry(cast, speaker) {
+    const entry = cast[speaker];
+    if (entry === undefined || entry === null) {
+        return {};
+    }
+    if (typeof entry === 'string') {
+        return { voice: entry };
+    }
+    if (typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`Invalid cast entry for "${speaker}": expected a voice name or an object`);
+    }
+    return entry;
+}
+
+/**
+ * Resolve the voice, language and speech settings of every turn
+ *
+ * `selectVoice(language, voice)` and `voicesForLanguage(language)` come from
+ * the voice catalog. Turn settings override the speaker's cast settings.
+ * Returns one `{ speaker, text, language, voice, settings }` per turn.
+ */
+export function castDialogue(turns, { cast = {}, language, selectVoice, voicesForLanguage }) {
+    const assigned = new Map(); // "speaker|language" -> voice
+    const usedVoices = new Map(); // language -> voices already given to a speaker
+
+    const resolved = turns.map((turn) => {
+        const entry = castEntry(cast, turn.speaker);
+        const turnLanguage = normalizeLocale(turn.language || entry.language || language);
+        return { turn, entry, turnLanguage, key: `${turn.speaker}|${turnLanguage}` };
+    });
+
+    function assign(key, turnLanguage, voice) {
+        assigned.set(key, voice);
+        if (!usedVoices.has(turnLanguage)) {
+            usedVoices.set(turnLanguage, []);
+        }
+        usedVoices.get(turnLanguage).push(voice);
+    }
+
+    // Cast voices first, so automatic picks never take a voice someone was cast as
+    for (const { entry, turnLanguage, key } of resolved) {
+        if (entry.voice && !assigned.has(key)) {
+            assign(key, turnLanguage, selectVoice(turnLanguage, entry.voice));
+        }
+    }
+
+    for (const { turnLanguage, key } of resolved) {
+        if (!assigned.has(key)) {
+            const used = usedVoices.get(turnLanguage) || [];
+            const candidates = [...new Set([
+                selectVoice(turnLanguage),
+                ...voicesForLanguage(turnLanguage).map((voice) => voice.name)
+            ])];
+            // More speakers than voices: reuse them in order
+            const voice = candidates.find((name) => !used.includes(name)) || candidates[used.length % candidates.length];
+            assign(key, turnLanguage, voice);
+        }
+    }
+
+    return resolved.map(({ turn, entry, turnLanguage, key }) => {
+        const settings = {};
+        for (const name of SPEECH_SETTINGS) {
+            const value = turn[name] !== undefined ? turn[name] : entry[name];
+            if (value !== undefined) {
+                settings[name] = value;
+            }
+        }
+
+        return {
+            speaker: turn.speaker,
+            text: turn.text,
+            language: turnLanguage,
+            voice: assigned.get(key),
+            settings
+        };
+    });
+}
@@ -0,0 +1,70 @@
+/**
+ * Stable error codes for synthesis failures
+ *
+ * Backends tag the errors they understand with one of ERROR_CODES in
+ * `error.code`; anything else is classified from the message so tool results
+ * always carry a code callers can branch on.
+ */
+
+export const ERROR_CODES = {
+    CREDENTIALS_MISSING: 'credentials_missing',
+    CREDENTIALS_INVALID: 'credentials_invalid',
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    BUDGET_EXCEEDED: 'budget_exceeded',
+    INVALID_VOICE: 'invalid_voice',
+    INVALID_REQUEST: 'invalid_request',
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    SERVICE_UNAVAILABLE: 'service_unavailable',
+    EMPTY_AUDIO: 'empty_audio',
+    PLAYER_UNAVAILABLE: 'player_unavailable',
+    SHUTTING_DOWN: 'shutting_down',
+    SYNTHESIS_FAILED: 'synthesis_failed'
+};
+
+const KNOWN_CODES = new Set(Object.values(ERROR_CODES));
+
+// Failures that may succeed when the same request is repeated
+const RETRYABLE_CODES = new Set([ERROR_CODES.NETWORK, ERROR_CODES.TIMEOUT, ERROR_CODES.QUOTA_EXCEEDED]);
+
+// Node socket errors surfaced by fetch and the SDK's websocket
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE']);
+
+const MESSAGE_PATTERNS = [
+    [/credentials not configured/i, ERROR_CODES.CREDENTIALS_MISSING],
+    [/\b401\b|\b403\b|authenticat|unauthori[sz]ed|forbidden/i, ERROR_CODES.CREDENTIALS_INVALID],
+    [/\b429\b|too many requests|quota|throttl/i, ERROR_CODES.QUOTA_EXCEEDED],
+    [/connection|network|socket|timed? ?out|websocket|ENOTFOUND|ECONN/i, ERROR_CODES.NETWORK],
+    [/no audio data/i, ERROR_CODES.EMPTY_AUDIO]
+];
+
+/**
+ * Create an Error carrying a stable code
+ */
+export function codedError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Stable code for any error thrown during synthesis
+ */
+export function errorCode(error) {
+    if (error && KNOWN_CODES.has(error.code)) {
+        return error.code;
+    }
+    if (error && NETWORK_ERROR_CODES.has(error.code)) {
+        return ERROR_CODES.NETWORK;
+    }
+    const message = (error && error.message) || String(error);
+    const match = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+    return match ? match[1] : ERROR_CODES.SYNTHESIS_FAILED;
+}
+
+/**
+ * Whether repeating the request that failed with `error` may succeed
+ */
+export function isRetryable(error) {
+    return RETRYABLE_CODES.has(errorCode(error));
+}
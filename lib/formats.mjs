@@ -0,0 +1,141 @@
+/**
+ * Audio output formats
+ *
+ * Maps the format names accepted by the tools to the Speech SDK's
+ * SpeechSynthesisOutputFormat members, file extensions and MIME types, and
+ * computes audio duration from the encoded data of each container.
+ */
+
+import { parseWav, pcmDurationMs } from './wav.mjs';
+
+export const DEFAULT_OUTPUT_FORMAT = 'wav-16khz';
+
+function wav(sampleRate, sdkFormat) {
+    return { sdkFormat, container: 'riff', extension: 'wav', mimeType: 'audio/wav', sampleRate };
+}
+
+function pcm(sampleRate, sdkFormat) {
+    return { sdkFormat, container: 'raw', extension: 'pcm', mimeType: pcmMimeType({ sampleRate, channels: 1 }), sampleRate };
+}
+
+function mp3(sampleRate, bitrate, sdkFormat) {
+    return { sdkFormat, container: 'mp3', extension: 'mp3', mimeType: 'audio/mpeg', sampleRate, bitrate };
+}
+
+function ogg(sampleRate, sdkFormat) {
+    return { sdkFormat, container: 'ogg', extension: 'ogg', mimeType: 'audio/ogg; codecs=opus', sampleRate };
+}
+
+function webm(sampleRate, sdkFormat, bitrate = null) {
+    return { sdkFormat, container: 'webm', extension: 'webm', mimeType: 'audio/webm; codecs=opus', sampleRate, bitrate };
+}
+
+// All formats are 16-bit mono; bitrates are in kbit/s
+export const OUTPUT_FORMATS = {
+    'wav-16khz': wav(16000, 'Riff16Khz16BitMonoPcm'),
+    'wav-24khz': wav(24000, 'Riff24Khz16BitMonoPcm'),
+    'wav-48khz': wav(48000, 'Riff48Khz16BitMonoPcm'),
+    'pcm-16khz': pcm(16000, 'Raw16Khz16BitMonoPcm'),
+    'pcm-24khz': pcm(24000, 'Raw24Khz16BitMonoPcm'),
+    'pcm-48khz': pcm(48000, 'Raw48Khz16BitMonoPcm'),
+    'mp3-16khz-32kbps': mp3(16000, 32, 'Audio16Khz32KBitRateMonoMp3'),
+    'mp3-16khz-64kbps': mp3(16000, 64, 'Audio16Khz64KBitRateMonoMp3'),
+    'mp3-16khz-128kbps': mp3(16000, 128, 'Audio16Khz128KBitRateMonoMp3'),
+    'mp3-24khz-48kbps': mp3(24000, 48, 'Audio24Khz48KBitRateMonoMp3'),
+    'mp3-24khz-96kbps': mp3(24000, 96, 'Audio24Khz96KBitRateMonoMp3'),
+    'mp3-24khz-160kbps': mp3(24000, 160, 'Audio24Khz160KBitRateMonoMp3'),
+    'mp3-48khz-96kbps': mp3(48000, 96, 'Audio48Khz96KBitRateMonoMp3'),
+    'mp3-48khz-192kbps': mp3(48000, 192, 'Audio48Khz192KBitRateMonoMp3'),
+    'ogg-16khz-opus': ogg(16000, 'Ogg16Khz16BitMonoOpus'),
+    'ogg-24khz-opus': ogg(24000, 'Ogg24Khz16BitMonoOpus'),
+    'ogg-48khz-opus': ogg(48000, 'Ogg48Khz16BitMonoOpus'),
+    'webm-16khz-opus': webm(16000, 'Webm16Khz16BitMonoOpus'),
+    'webm-24khz-opus': webm(24000, 'Webm24Khz16BitMonoOpus'),
+    'webm-24khz-24kbps-opus': webm(24000, 'Webm24Khz16Bit24KbpsMonoOpus', 24)
+};
+
+export const OUTPUT_FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+/**
+ * Look up an output format by name
+ */
+export function getOutputFormat(name) {
+    const format = OUTPUT_FORMATS[name];
+    if (!format) {
+        throw new Error(`Unsupported output format: ${name}. Supported formats: ${OUTPUT_FORMAT_NAMES.join(', ')}`);
+    }
+    return { name, ...format };
+}
+
+/**
+ * Whether the format carries uncompressed PCM that can be concatenated
+ */
+export function isPcmFormat(format) {
+    return format.container === 'riff' || format.container === 'raw';
+}
+
+/**
+ * MIME type of headerless 16-bit PCM in the given layout (RFC 2586)
+ */
+export function pcmMimeType({ sampleRate, channels }) {
+    return `audio/L16; rate=${sampleRate}; channels=${channels}`;
+}
+
+/**
+ * PCM layout of a format (all supported formats are 16-bit mono)
+ */
+export function pcmLayout(format) {
+    return { sampleRate: format.sampleRate, channels: 1, bitsPerSample: 16 };
+}
+
+/**
+ * Read the end position of an Ogg Opus stream from its last page
+ *
+ * Opus granule positions count 48 kHz samples regardless of the output rate;
+ * the encoder pre-skip from the OpusHead packet is subtracted.
+ */
+function oggOpusDurationMs(data) {
+    const lastPage = data.lastIndexOf('OggS');
+    const head = data.indexOf('OpusHead');
+    if (lastPage < 0 || lastPage + 14 > data.length) {
+        return null;
+    }
+    const granule = Number(data.readBigUInt64LE(lastPage + 6));
+    const preSkip = head >= 0 && head + 12 <= data.length ? data.readUInt16LE(head + 10) : 0;
+    return Math.max(0, Math.round(((granule - preSkip) / 48000) * 1000));
+}
+
+/**
+ * Duration in milliseconds of encoded audio
+ *
+ * PCM and Ogg durations are read from the data itself. MP3 uses the duration
+ * reported by the service, falling back to the constant bitrate; WebM relies
+ * on the reported duration. Always a whole number of milliseconds.
+ */
+export function audioDurationMs(format, audioData, reportedMs = 0) {
+    reportedMs = Math.round(reportedMs);
+    switch (format.container) {
+    case 'riff': {
+        const { format: wavFormat, pcm: samples } = parseWav(audioData);
+        return pcmDurationMs(samples.length, wavFormat);
+    }
+    case 'raw':
+        return pcmDurationMs(audioData.length, pcmLayout(format));
+    case 'ogg':
+        return oggOpusDurationMs(audioData) ?? reportedMs;
+    case 'mp3':
+        return reportedMs || Math.round((audioData.length * 8) / format.bitrate);
+    default:
+        return reportedMs;
+    }
+}
+
+/**
+ * The WAV format with the same sample rate as a PCM format
+ */
+export function toRiffFormat(format) {
+    const name = OUTPUT_FORMAT_NAMES.find((candidate) => (
+        OUTPUT_FORMATS[candidate].container === 'riff' && OUTPUT_FORMATS[candidate].sampleRate === format.sampleRate
+    ));
+    return getOutputFormat(name);
+}
@@ -0,0 +1,199 @@
+/**
+ * HTTP transport
+ *
+ * Serves MCP over the Streamable HTTP transport so several clients can share
+ * one server: an initialize request POSTed to /mcp opens a session (one MCP
+ * server per session) whose ID the client sends back in the Mcp-Session-Id
+ * header; GET /mcp streams server messages and DELETE /mcp ends the session.
+ * Clients that only speak the older SSE transport can still open GET /sse
+ * and post to /messages?sessionId=... . GET /health reports liveness without
+ * authentication; everything else requires `Authorization: Bearer <token>`
+ * when a token is configured.
+ *
+ * Streamed syntheses can be listened to while they run: GET /audio/streams
+ * lists them and GET /audio/streams/<filename> sends the audio as chunked
+ * transfer, from the start, until the synthesis ends.
+ */
+
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { createServer } from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { log, withLogContext } from './logging.mjs';
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Compare a request's bearer token with the configured one in constant time
+ */
+function isAuthorized(req, authToken) {
+    if (!authToken) {
+        return true;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        return false;
+    }
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(authToken));
+}
+
+/**
+ * Start the HTTP transport; resolves with the listening http.Server
+ *
+ * `createMcpServer` builds a fresh MCP server for each session, `health`
+ * returns extra fields for the health endpoint and `audioStreams` is the
+ * registry of live synthesis streams. Listening beyond loopback requires an
+ * `authToken`.
+ */
+export async function startHttpServer({ createMcpServer, host, port, authToken = '', health = () => ({}), audioStreams = null }) {
+    if (!authToken && !LOOPBACK_HOSTS.has(host)) {
+        throw new Error(`Refusing to serve on ${host} without authentication. Set MCP_AUTH_TOKEN or bind to 127.0.0.1.`);
+    }
+
+    // Streamable HTTP and legacy SSE sessions by ID
+    const sessions = new Map();
+    const sseSessions = new Map();
+    const startedAt = Date.now();
+
+    /**
+     * Serve a request to /mcp, opening a session for an initialize request
+     */
+    async function handleMcpRequest(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        if (sessionId) {
+            const transport = sessions.get(sessionId);
+            if (!transport) {
+                sendJson(res, 404, { jsonrpc: '2.0', error: { code: -32001, message: 'Unknown or expired session' }, id: null });
+                return;
+            }
+            // Tool calls made by the request are logged with their session
+            await withLogContext({ session: sessionId }, () => transport.handleRequest(req, res));
+            return;
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, transport);
+                log.debug('HTTP session opened', { session: id, open: sessions.size });
+            }
+        });
+        transport.onclose = () => {
+            if (transport.sessionId && sessions.delete(transport.sessionId)) {
+                log.debug('HTTP session closed', { session: transport.sessionId, open: sessions.size });
+            }
+        };
+        await createMcpServer().connect(transport);
+        await transport.handleRequest(req, res);
+        if (!transport.sessionId) {
+            // Not an initialize request: the transport has answered with an error
+            await transport.close();
+        }
+    }
+
+    /**
+     * Open a legacy SSE session
+     */
+    async function openSseSession(res) {
+        const transport = new SSEServerTransport('/messages', res);
+        sseSessions.set(transport.sessionId, transport);
+        res.on('close', () => {
+            sseSessions.delete(transport.sessionId);
+            log.debug('HTTP SSE session closed', { session: transport.sessionId, open: sseSessions.size });
+        });
+
+        await createMcpServer().connect(transport);
+        log.debug('HTTP SSE session opened', { session: transport.sessionId, open: sseSessions.size });
+    }
+
+    function sendAudioStream(req, res, id) {
+        const stream = audioStreams.get(id);
+        if (!stream) {
+            sendJson(res, 404, { error: `Unknown or expired audio stream: ${id}` });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': stream.mimeType, 'Cache-Control': 'no-store' });
+        const unfollow = audioStreams.follow(id, {
+            onData: (chunk) => res.write(chunk),
+            onEnd: () => res.end()
+        });
+        req.on('close', unfollow);
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/health') {
+            sendJson(res, 200, {
+                status: 'ok',
+                uptime: Math.round((Date.now() - startedAt) / 1000),
+                sessions: sessions.size + sseSessions.size,
+                ...health()
+            });
+            return;
+        }
+
+        if (!isAuthorized(req, authToken)) {
+            sendJson(res, 401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+
+        if (url.pathname === '/mcp') {
+            await handleMcpRequest(req, res);
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/sse') {
+            await openSseSession(res);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/messages') {
+            const transport = sseSessions.get(url.searchParams.get('sessionId'));
+            if (!transport) {
+                sendJson(res, 404, { error: 'Unknown or expired session' });
+                return;
+            }
+            // Tool calls made by the message are logged with their session
+            await withLogContext({ session: transport.sessionId }, () => transport.handlePostMessage(req, res));
+            return;
+        }
+
+        if (req.method === 'GET' && audioStreams && url.pathname === '/audio/streams') {
+            sendJson(res, 200, { streams: audioStreams.list() });
+            return;
+        }
+
+        if (req.method === 'GET' && audioStreams && url.pathname.startsWith('/audio/streams/')) {
+            sendAudioStream(req, res, decodeURIComponent(url.pathname.slice('/audio/streams/'.length)));
+            return;
+        }
+
+        sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    }
+
+    const httpServer = createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            log.error('HTTP request failed', { method: req.method, url: req.url, error: error.message });
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: error.message });
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            resolve();
+        });
+    });
+
+    return httpServer;
+}
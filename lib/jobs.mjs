@@ -0,0 +1,94 @@
+/**
+ * In-flight tool calls and graceful shutdown
+ *
+ * Every tool call runs as a job whose abort signal follows the client's
+ * cancellation and the server's shutdown. Once shutdown starts no new jobs
+ * are accepted; running ones get a deadline to finish and are aborted after
+ * it, with a short grace period to clean up.
+ */
+
+import { ERROR_CODES, codedError } from './errors.mjs';
+
+// Time aborted jobs get to release the service and remove their output
+const ABORT_GRACE_MS = 2000;
+
+export function createJobTracker({ abortGraceMs = ABORT_GRACE_MS, now = Date.now } = {}) {
+    const jobs = new Set();
+    const idleWaiters = new Set();
+    let closing = false;
+
+    const describe = (job) => ({ label: job.label, runningMs: now() - job.startedAt });
+
+    /**
+     * Resolve with true once no jobs run, or with false after `ms`
+     */
+    function waitForIdle(ms) {
+        if (jobs.size === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise((resolve) => {
+            const settle = (idle) => {
+                clearTimeout(timer);
+                idleWaiters.delete(onIdle);
+                resolve(idle);
+            };
+            const onIdle = () => settle(true);
+            const timer = setTimeout(() => settle(false), ms);
+            idleWaiters.add(onIdle);
+        });
+    }
+
+    return {
+        /**
+         * Register a job; returns `{ signal, finish() }`
+         *
+         * `signal` aborts when the caller's `signal` does or when shutdown
+         * gives up on the job. Throws once shutdown has started.
+         */
+        start(label, signal = null) {
+            if (closing) {
+                throw codedError(ERROR_CODES.SHUTTING_DOWN, 'The server is shutting down and accepts no new requests');
+            }
+            const controller = new AbortController();
+            const job = { label, startedAt: now(), controller };
+            jobs.add(job);
+            return {
+                signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal,
+                finish() {
+                    jobs.delete(job);
+                    if (jobs.size === 0) {
+                        idleWaiters.forEach((onIdle) => onIdle());
+                    }
+                }
+            };
+        },
+
+        /**
+         * Stop accepting jobs, wait up to `timeoutMs` for running ones and abort the rest
+         *
+         * Resolves with `{ finished, aborted, abandoned }`: the number of jobs
+         * that completed in time, and the jobs that were aborted and those that
+         * still had not stopped after the grace period.
+         */
+        async shutdown(timeoutMs) {
+            closing = true;
+            const running = jobs.size;
+            await waitForIdle(timeoutMs);
+
+            const aborted = Array.from(jobs, describe);
+            const reason = codedError(ERROR_CODES.SHUTTING_DOWN, `The server shut down before the request finished (waited ${timeoutMs}ms)`);
+            jobs.forEach((job) => job.controller.abort(reason));
+            await waitForIdle(abortGraceMs);
+
+            return { finished: running - aborted.length, aborted, abandoned: Array.from(jobs, describe) };
+        },
+
+        get active() {
+            return jobs.size;
+        },
+
+        get closing() {
+            return closing;
+        }
+    };
+}
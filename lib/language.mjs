@@ -0,0 +1,227 @@
+/**
+ * Offline language detection
+ *
+ * Identifies the language of short texts without a service call. Texts in a
+ * distinctive script (Cyrillic, Greek, Arabic, CJK, ...) are recognized from
+ * their letters; Latin-script languages are scored on common words and
+ * characteristic letters. Good enough to pick a voice for a sentence, not a
+ * general-purpose classifier.
+ */
+
+import { splitSentences } from './chunking.mjs';
+
+// Below this a detection is reported as unknown
+export const MIN_CONFIDENCE = 0.35;
+
+// Locale used for each detectable language when the catalog has it
+export const DEFAULT_LOCALES = {
+    en: 'en-US', fi: 'fi-FI', sv: 'sv-SE', de: 'de-DE', fr: 'fr-FR', es: 'es-ES',
+    it: 'it-IT', pt: 'pt-BR', nl: 'nl-NL', da: 'da-DK', nb: 'nb-NO', pl: 'pl-PL',
+    et: 'et-EE', ru: 'ru-RU', uk: 'uk-UA', el: 'el-GR', ar: 'ar-SA', he: 'he-IL',
+    ja: 'ja-JP', zh: 'zh-CN', ko: 'ko-KR', th: 'th-TH', hi: 'hi-IN'
+};
+
+// Scripts used by a single detectable language (Cyrillic and Han need a closer look)
+const SCRIPTS = [
+    ['el', /\p{Script=Greek}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['ko', /\p{Script=Hangul}/u],
+    ['th', /\p{Script=Thai}/u],
+    ['hi', /\p{Script=Devanagari}/u],
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['zh', /\p{Script=Han}/u],
+    ['ru', /\p{Script=Cyrillic}/u]
+];
+const UKRAINIAN_LETTERS = /[іїєґ]/u;
+
+// Frequent words and characteristic letters of Latin-script languages
+const LATIN_PROFILES = {
+    en: {
+        words: 'the and is are was were to of in that it you he she we they this with for on have has not be what how hello good morning thank thanks please my your i a an at do does',
+        letters: ''
+    },
+    fi: {
+        words: 'ja on ei se että hän minä sinä me te he tämä mutta kun niin myös oli ovat olen olet olla minun sinun hänen meidän kaikki joka jotka mitä miten kiitos hyvää huomenta päivää moi hei kuuluu tänään kanssa vain jo nyt missä mikä tai sitten',
+        letters: 'äö',
+        // Double vowels, case endings and adverbs
+        patterns: [/(aa|ää|ee|ii|oo|uu|yy)/gu, /(ssa|ssä|sta|stä|lla|llä|lta|ltä|kin|kö|sti)(?!\p{L})/gu]
+    },
+    sv: {
+        words: 'och är det att som en ett jag du han hon vi ni de inte med för på av till har var hur mår hej tack god morgon idag vad men om den kan ska också här där',
+        letters: 'äöå'
+    },
+    de: {
+        words: 'der die das und ist nicht ich du er sie wir ihr ein eine mit für auf zu von den dem des auch wie geht es guten morgen danke bitte hallo heute was aber sind haben ja nein',
+        letters: 'äöüß'
+    },
+    fr: {
+        words: "le la les et est un une des du de je tu il elle nous vous ils pas ne que qui avec pour dans sur bonjour merci comment ça va oui non aujourd'hui mais c'est très au aux",
+        letters: 'éèêàçùûôîëïœ'
+    },
+    es: {
+        words: 'el la los las y es un una de del que en no por para con yo tú él ella nosotros está estás cómo hola gracias buenos días sí muy pero hoy qué son al lo se su',
+        letters: 'ñáíóú¿¡'
+    },
+    it: {
+        words: 'il lo la gli le e è un una di del che non per con io tu lui lei noi voi sono sei come stai ciao grazie buongiorno sì molto ma oggi cosa anche questo della nel',
+        letters: 'àèìòù'
+    },
+    pt: {
+        words: 'o a os as e é um uma de do da que não para com eu você ele ela nós está como olá obrigado obrigada bom dia sim muito mas hoje isso são em no na se',
+        letters: 'ãõçâêô'
+    },
+    nl: {
+        words: 'de het een en is niet ik je jij hij zij wij we met voor op van in dat die dit hoe gaat goedemorgen dank bedankt hallo ja nee maar vandaag wat zijn ook er naar heb',
+        letters: '',
+        patterns: [/ij/gu]
+    },
+    da: {
+        words: 'og er det at som en et jeg du han hun vi de ikke med for på af til har var hvordan hej tak god morgen hvad men om den kan skal også her der mig',
+        letters: 'æøå'
+    },
+    nb: {
+        words: 'og er det at som en et jeg du han hun vi de ikke med for på av til har var hvordan hei takk god morgen hva men om den kan skal også her der meg',
+        letters: 'æøå'
+    },
+    pl: {
+        words: 'i w na z się nie to jest że do jak ja ty on ona my wy oni ale co dzień dobry dziękuję proszę tak czy jestem dla po o tego bardzo dzisiaj',
+        letters: 'ąćęłńśźż'
+    },
+    et: {
+        words: 'ja on ei see et mina sina tema minu sinu meie teie nad aga kui siis ka oli olen oled olla kõik mis kuidas aitäh tere hommikust päevast täna koos ainult juba nüüd kus või läheb',
+        letters: 'õüäö'
+    }
+};
+
+// Sample text per language; its letter trigrams catch word forms the word lists miss
+const SAMPLES = {
+    en: 'Welcome to the course. Today we will learn how the system works and why it matters. Please read the instructions carefully before you start, and ask questions whenever something is unclear. The weather was nice, so everyone walked together through the city, talking about their plans for the coming weekend.',
+    fi: 'Tervetuloa kurssille. Tänään opimme, miten järjestelmä toimii ja miksi se on tärkeää. Lue ohjeet huolellisesti ennen kuin aloitat, ja kysy aina kun jokin on epäselvää. Sää oli kaunis, joten kaikki kävelivät yhdessä kaupungin läpi ja puhuivat tulevan viikonlopun suunnitelmistaan.',
+    sv: 'Välkommen till kursen. Idag ska vi lära oss hur systemet fungerar och varför det är viktigt. Läs instruktionerna noggrant innan du börjar, och ställ frågor när något är oklart. Vädret var fint, så alla promenerade tillsammans genom staden och pratade om sina planer för helgen.',
+    de: 'Willkommen zum Kurs. Heute lernen wir, wie das System funktioniert und warum es wichtig ist. Bitte lesen Sie die Anweisungen sorgfältig, bevor Sie beginnen, und stellen Sie Fragen, wenn etwas unklar ist. Das Wetter war schön, also gingen alle zusammen durch die Stadt und sprachen über ihre Pläne für das Wochenende.',
+    fr: "Bienvenue au cours. Aujourd'hui, nous allons apprendre comment le système fonctionne et pourquoi c'est important. Lisez attentivement les instructions avant de commencer, et posez des questions lorsque quelque chose n'est pas clair. Il faisait beau, alors tout le monde a marché ensemble à travers la ville en parlant de ses projets pour le week-end.",
+    es: 'Bienvenidos al curso. Hoy aprenderemos cómo funciona el sistema y por qué es importante. Lea las instrucciones con atención antes de empezar, y haga preguntas cuando algo no esté claro. Hacía buen tiempo, así que todos caminaron juntos por la ciudad hablando de sus planes para el fin de semana.',
+    it: 'Benvenuti al corso. Oggi impareremo come funziona il sistema e perché è importante. Leggete attentamente le istruzioni prima di iniziare, e fate domande quando qualcosa non è chiaro. Il tempo era bello, quindi tutti hanno camminato insieme per la città parlando dei loro progetti per il fine settimana.',
+    pt: 'Bem-vindos ao curso. Hoje vamos aprender como o sistema funciona e por que isso é importante. Leia as instruções com atenção antes de começar, e faça perguntas sempre que algo não estiver claro. O tempo estava bom, então todos caminharam juntos pela cidade conversando sobre os seus planos para o fim de semana.',
+    nl: 'Welkom bij de cursus. Vandaag leren we hoe het systeem werkt en waarom het belangrijk is. Lees de instructies zorgvuldig voordat je begint, en stel vragen wanneer iets onduidelijk is. Het weer was mooi, dus iedereen wandelde samen door de stad en praatte over hun plannen voor het weekend.',
+    da: 'Velkommen til kurset. I dag skal vi lære, hvordan systemet fungerer, og hvorfor det er vigtigt. Læs instruktionerne grundigt, før du begynder, og stil spørgsmål, når noget er uklart. Vejret var godt, så alle gik sammen gennem byen og snakkede om deres planer for weekenden.',
+    nb: 'Velkommen til kurset. I dag skal vi lære hvordan systemet fungerer, og hvorfor det er viktig. Les instruksjonene nøye før du begynner, og still spørsmål når noe er uklart. Været var fint, så alle gikk sammen gjennom byen og snakket om planene sine for helgen.',
+    pl: 'Witamy na kursie. Dzisiaj nauczymy się, jak działa system i dlaczego jest to ważne. Przeczytaj uważnie instrukcje, zanim zaczniesz, i zadawaj pytania, gdy coś jest niejasne. Pogoda była ładna, więc wszyscy spacerowali razem po mieście, rozmawiając o swoich planach na weekend.',
+    et: 'Tere tulemast kursusele. Täna õpime, kuidas süsteem töötab ja miks see on oluline. Loe juhised hoolikalt läbi enne alustamist ja küsi küsimusi, kui midagi on ebaselge. Ilm oli ilus, nii et kõik jalutasid koos läbi linna ja rääkisid oma plaanidest nädalavahetuseks.'
+};
+
+/**
+ * Letter trigrams of a text, with word edges marked by spaces
+ */
+function trigrams(text) {
+    const grams = [];
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            grams.push(padded.slice(i, i + 3));
+        }
+    }
+    return grams;
+}
+
+const PROFILES = Object.entries(LATIN_PROFILES).map(([language, profile]) => ({
+    language,
+    words: new Set(profile.words.split(' ')),
+    letters: profile.letters,
+    patterns: profile.patterns || [],
+    trigrams: new Set(trigrams(SAMPLES[language]))
+}));
+
+const WORD_PATTERN = /[\p{L}']+/gu;
+const LETTER_WEIGHT = 0.5;
+const PATTERN_WEIGHT = 0.3;
+const TRIGRAM_WEIGHT = 0.2;
+const EVIDENCE_FOR_FULL_CONFIDENCE = 3;
+
+function scriptLanguage(letters) {
+    const counts = new Map();
+    for (const letter of letters) {
+        const match = SCRIPTS.find(([, pattern]) => pattern.test(letter));
+        const language = match ? match[0] : 'latin';
+        counts.set(language, (counts.get(language) || 0) + 1);
+    }
+    // Japanese mixes kana with Han characters
+    if (counts.has('ja') && counts.has('zh')) {
+        counts.set('ja', counts.get('ja') + counts.get('zh'));
+        counts.delete('zh');
+    }
+
+    const [language, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { language, share: count / letters.length };
+}
+
+/**
+ * Detect the language of a text
+ *
+ * Resolves to `{ language, confidence, scores }` where `language` is an
+ * ISO 639-1 code (or null below MIN_CONFIDENCE) and `confidence` is 0-1.
+ */
+export function detectLanguage(text) {
+    const lower = String(text).toLowerCase();
+    const letters = [...lower.replace(/[^\p{L}]/gu, '')];
+    if (letters.length === 0) {
+        return { language: null, confidence: 0, scores: {} };
+    }
+
+    const script = scriptLanguage(letters);
+    if (script.language !== 'latin') {
+        const language = script.language === 'ru' && UKRAINIAN_LETTERS.test(lower) ? 'uk' : script.language;
+        const confidence = Math.round(script.share * 100) / 100;
+        return { language: confidence >= MIN_CONFIDENCE ? language : null, confidence, scores: { [language]: script.share } };
+    }
+
+    const words = lower.match(WORD_PATTERN) || [];
+    const grams = trigrams(lower);
+    const scores = {};
+    for (const profile of PROFILES) {
+        let score = words.filter((word) => profile.words.has(word)).length;
+        score += grams.filter((gram) => profile.trigrams.has(gram)).length * TRIGRAM_WEIGHT;
+        score += letters.filter((letter) => profile.letters.includes(letter)).length * LETTER_WEIGHT;
+        for (const pattern of profile.patterns) {
+            score += (lower.match(pattern) || []).length * PATTERN_WEIGHT;
+        }
+        if (score > 0) {
+            scores[profile.language] = Math.round(score * 100) / 100;
+        }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { language: null, confidence: 0, scores };
+    }
+    const [best, second = [null, 0]] = ranked;
+    const margin = Math.sqrt((best[1] - second[1]) / best[1]);
+    const evidence = Math.min(1, best[1] / EVIDENCE_FOR_FULL_CONFIDENCE);
+    const confidence = Math.round(margin * evidence * 100) / 100;
+
+    return { language: confidence >= MIN_CONFIDENCE ? best[0] : null, confidence, scores };
+}
+
+/**
+ * Split text into runs of sentences in the same language
+ *
+ * Sentences whose language cannot be detected join the run before them (or
+ * `fallback` at the start). Returns `[{ text, language, confidence }]`.
+ */
+export function detectSegments(text, fallback) {
+    const segments = [];
+    for (const sentence of splitSentences(String(text).replace(/\s+/g, ' '))) {
+        const detected = detectLanguage(sentence);
+        const previous = segments[segments.length - 1];
+        const language = detected.language || (previous ? previous.language : fallback);
+
+        if (previous && previous.language === language) {
+            previous.text += ` ${sentence}`;
+            previous.confidence = Math.min(previous.confidence, detected.confidence);
+        } else {
+            segments.push({ text: sentence, language, confidence: detected.confidence });
+        }
+    }
+    return segments;
+}
@@ -0,0 +1,250 @@
+/**
+ * Pronunciation lexicon
+ *
+ * A project-level dictionary of terms the voices get wrong, kept per locale
+ * in a JSON file: `{ "fi-FI": [{ "term": "...", "alias": "..." }], ... }`.
+ * An entry either substitutes spoken text (`alias`, rendered as <sub>) or
+ * gives a phonetic spelling (`phoneme`, rendered as <phoneme>). Entries under
+ * a language-only key such as "fi" apply to every locale of that language.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { normalizeLocale } from './voices.mjs';
+
+export const PHONETIC_ALPHABETS = ['ipa', 'sapi', 'ups', 'x-sampa'];
+
+const MAX_TERM_LENGTH = 100;
+const MAX_REPLACEMENT_LENGTH = 200;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z][A-Za-z]{1,3}|-\d{3})?(-[A-Za-z0-9]+)*$/;
+
+// Terms only match whole words: no letter or digit may touch either end
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}])';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sameTerm(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Validate a locale key, returning it normalized
+ */
+export function normalizeLexiconLocale(locale) {
+    const normalized = typeof locale === 'string' ? normalizeLocale(locale) : locale;
+    if (typeof normalized !== 'string' || !LOCALE_PATTERN.test(normalized)) {
+        throw new Error(`Invalid pronunciation locale: ${locale}. Use a locale like "fi-FI" or a language like "fi"`);
+    }
+    return normalized;
+}
+
+/**
+ * Validate a lexicon entry, returning it normalized
+ *
+ * Throws an Error naming the offending field.
+ */
+export function normalizePronunciation(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error('Invalid pronunciation: expected an object with "term" and "alias" or "phoneme"');
+    }
+    const { term, alias, phoneme, alphabet, caseSensitive } = entry;
+
+    if (typeof term !== 'string' || term.trim().length === 0 || term.trim().length > MAX_TERM_LENGTH) {
+        throw new Error(`Invalid pronunciation "term": must be a non-empty string of at most ${MAX_TERM_LENGTH} characters`);
+    }
+    if (/[\r\n[\]]/.test(term)) {
+        throw new Error(`Invalid pronunciation "term": ${term}. Line breaks and square brackets are not allowed`);
+    }
+    if ((alias === undefined) === (phoneme === undefined)) {
+        throw new Error(`Pronunciation for "${term}" needs exactly one of "alias" or "phoneme"`);
+    }
+
+    const normalized = { term: term.trim() };
+
+    if (alias !== undefined) {
+        if (typeof alias !== 'string' || alias.trim().length === 0 || alias.length > MAX_REPLACEMENT_LENGTH) {
+            throw new Error(`Invalid "alias" for "${term}": must be a non-empty string of at most ${MAX_REPLACEMENT_LENGTH} characters`);
+        }
+        if (alphabet !== undefined) {
+            throw new Error(`"alphabet" only applies to "phoneme" entries (term "${term}")`);
+        }
+        normalized.alias = alias.trim();
+    } else {
+        if (typeof phoneme !== 'string' || phoneme.trim().length === 0 || phoneme.length > MAX_REPLACEMENT_LENGTH) {
+            throw new Error(`Invalid "phoneme" for "${term}": must be a non-empty string of at most ${MAX_REPLACEMENT_LENGTH} characters`);
+        }
+        if (/[<>&"]/.test(phoneme)) {
+            throw new Error(`Invalid "phoneme" for "${term}": the characters < > & " are not allowed`);
+        }
+        const value = alphabet === undefined ? 'ipa' : alphabet;
+        if (!PHONETIC_ALPHABETS.includes(value)) {
+            throw new Error(`Invalid "alphabet" for "${term}": ${alphabet}. Supported: ${PHONETIC_ALPHABETS.join(', ')}`);
+        }
+        normalized.phoneme = phoneme.trim();
+        normalized.alphabet = value;
+    }
+
+    if (caseSensitive !== undefined) {
+        if (typeof caseSensitive !== 'boolean') {
+            throw new Error(`Invalid "caseSensitive" for "${term}": expected a boolean`);
+        }
+        if (caseSensitive) {
+            normalized.caseSensitive = true;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Find the occurrences of lexicon terms in plain text
+ *
+ * Longer terms win where terms overlap ("Visual Studio Code" before
+ * "Visual Studio"). Returns `{ index, length, entry }` in text order.
+ */
+export function findPronunciations(text, entries) {
+    if (!entries || entries.length === 0) {
+        return [];
+    }
+
+    const terms = [...entries].sort((a, b) => b.term.length - a.term.length);
+    const pattern = new RegExp(`${WORD_BEFORE}(?:${terms.map((entry) => escapeRegExp(entry.term)).join('|')})${WORD_AFTER}`, 'giu');
+    const matches = [];
+
+    for (const match of text.matchAll(pattern)) {
+        const entry = terms.find((candidate) => (
+            candidate.caseSensitive ? candidate.term === match[0] : sameTerm(candidate.term, match[0])
+        ));
+        if (entry) {
+            matches.push({ index: match.index, length: match[0].length, entry });
+        }
+    }
+    return matches;
+}
+
+function readLexiconFile(path) {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected an object keyed by locale');
+    }
+
+    const locales = new Map();
+    for (const [locale, entries] of Object.entries(data)) {
+        if (!Array.isArray(entries)) {
+            throw new Error(`entries for "${locale}" must be an array`);
+        }
+        const key = normalizeLexiconLocale(locale);
+        const list = locales.get(key) || [];
+        for (const entry of entries) {
+            const normalized = normalizePronunciation(entry);
+            const existing = list.findIndex((candidate) => sameTerm(candidate.term, normalized.term));
+            list.splice(existing === -1 ? list.length : existing, 1, normalized);
+        }
+        locales.set(key, list);
+    }
+    return locales;
+}
+
+/**
+ * Create a pronunciation lexicon backed by `file`
+ *
+ * A missing file is an empty lexicon; an invalid one is an error, so a typo
+ * in the dictionary is reported at startup instead of silently ignored.
+ */
+export function createPronunciationLexicon({ file }) {
+    let locales = new Map();
+
+    function load() {
+        if (file && existsSync(file)) {
+            try {
+                locales = readLexiconFile(file);
+            } catch (error) {
+                throw new Error(`Invalid pronunciation file ${file}: ${error.message}`);
+            }
+        }
+        return lexicon;
+    }
+
+    function save() {
+        const data = {};
+        for (const locale of [...locales.keys()].sort()) {
+            data[locale] = locales.get(locale);
+        }
+        // Write then rename so a crash never leaves a truncated dictionary
+        mkdirSync(dirname(file), { recursive: true });
+        const temporaryPath = `${file}.${process.pid}.tmp`;
+        writeFileSync(temporaryPath, `${JSON.stringify(data, null, 2)}\n`);
+        renameSync(temporaryPath, file);
+    }
+
+    /**
+     * Entries that apply to a locale: language-wide ones, overridden by the locale's own
+     */
+    function entriesForLocale(language) {
+        const locale = normalizeLocale(language);
+        const base = locale.split('-')[0];
+        const merged = new Map();
+        for (const key of base === locale ? [locale] : [base, locale]) {
+            for (const entry of locales.get(key) || []) {
+                merged.set(entry.term.toLowerCase(), entry);
+            }
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * Entries for a locale whose term occurs in the text
+     */
+    function entriesFor(text, language) {
+        const used = new Set(findPronunciations(text, entriesForLocale(language)).map((match) => match.entry));
+        return [...used];
+    }
+
+    /**
+     * Add or replace (same term, ignoring case) an entry and persist the lexicon
+     *
+     * Returns `{ locale, entry, replaced }`.
+     */
+    function add(locale, entry) {
+        const key = normalizeLexiconLocale(locale);
+        const normalized = normalizePronunciation(entry);
+        const previous = locales;
+        const list = [...(locales.get(key) || [])];
+        const existing = list.findIndex((candidate) => sameTerm(candidate.term, normalized.term));
+        list.splice(existing === -1 ? list.length : existing, 1, normalized);
+
+        locales = new Map(locales).set(key, list);
+        try {
+            save();
+        } catch (error) {
+            locales = previous;
+            throw new Error(`Could not save pronunciation file ${file}: ${error.message}`);
+        }
+        return { locale: key, entry: normalized, replaced: existing !== -1 };
+    }
+
+    /**
+     * List entries as `{ locale, ...entry }`, optionally only those applying to a locale
+     */
+    function list(language = null) {
+        const keys = language
+            ? [...new Set([normalizeLocale(language).split('-')[0], normalizeLocale(language)])]
+            : [...locales.keys()].sort();
+        return keys.flatMap((key) => (locales.get(key) || []).map((entry) => ({ locale: key, ...entry })));
+    }
+
+    const lexicon = {
+        load,
+        add,
+        list,
+        entriesFor,
+        entriesForLocale,
+        get file() {
+            return file;
+        }
+    };
+    return lexicon;
+}
@@ -0,0 +1,117 @@
+/**
+ * Leveled logging
+ *
+ * Log lines go to stderr (stdout carries the MCP protocol) or to a file, as
+ * text or as one JSON object per line. Fields of the current log context,
+ * such as the ID of the tool call being served, are added to every line
+ * logged within it, however deep in the call. With `redactText` the text to
+ * be spoken (fields named `text`, `sentence`, `ssml`, ...) is replaced by its
+ * length, for deployments where it must not end up in logs.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { mkdirSync, openSync, writeSync } from 'fs';
+import { dirname } from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['text', 'json'];
+
+// Fields that may hold user text, at any depth
+const TEXT_FIELDS = new Set(['text', 'sentence', 'ssml', 'spokenText', 'reference', 'transcript']);
+const MAX_REDACT_DEPTH = 4;
+
+const logContext = new AsyncLocalStorage();
+
+function redactFields(value, depth = 0) {
+    if (Array.isArray(value)) {
+        return depth < MAX_REDACT_DEPTH ? value.map((item) => redactFields(item, depth + 1)) : value;
+    }
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype || depth >= MAX_REDACT_DEPTH) {
+        return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+        key,
+        TEXT_FIELDS.has(key) && typeof field === 'string' ? `[redacted, ${field.length} characters]` : redactFields(field, depth + 1)
+    ]));
+}
+
+function formatText(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const details = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+/**
+ * Create a logger writing entries of `level` and above
+ *
+ * `file` appends to a file instead of stderr; lines are written
+ * synchronously so nothing is lost when the process exits.
+ */
+export function createLogger({ level = 'info', format = 'text', file = null, redactText = false, now = () => new Date() } = {}) {
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new Error(`Unknown log level "${level}". Available: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}". Available: ${LOG_FORMATS.join(', ')}`);
+    }
+
+    let fd = null;
+    if (file) {
+        mkdirSync(dirname(file), { recursive: true });
+        fd = openSync(file, 'a');
+    }
+    const writeLine = (line) => {
+        if (fd === null) {
+            process.stderr.write(`${line}\n`);
+        } else {
+            writeSync(fd, `${line}\n`);
+        }
+    };
+
+    function write(entryLevel, msg, fields = {}) {
+        if (LOG_LEVELS.indexOf(entryLevel) < threshold) {
+            return;
+        }
+        const data = { ...logContext.getStore(), ...fields };
+        const entry = { time: now().toISOString(), level: entryLevel, msg, ...(redactText ? redactFields(data) : data) };
+        writeLine(format === 'json' ? JSON.stringify(entry) : formatText(entry));
+    }
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields)
+    };
+}
+
+let activeLogger = createLogger();
+
+/**
+ * Replace the shared logger's settings (see createLogger)
+ */
+export function configureLogging(options) {
+    activeLogger = createLogger(options);
+    return activeLogger;
+}
+
+/**
+ * Run `fn` with `fields` added to every line it logs, including from
+ * callbacks and promises it starts
+ */
+export function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * The shared logger used throughout the server
+ */
+export const log = {
+    debug: (msg, fields) => activeLogger.debug(msg, fields),
+    info: (msg, fields) => activeLogger.info(msg, fields),
+    warn: (msg, fields) => activeLogger.warn(msg, fields),
+    error: (msg, fields) => activeLogger.error(msg, fields)
+};
@@ -0,0 +1,507 @@
+/**
+ * Markdown and HTML input
+ *
+ * Turns documents into plain text that reads naturally: headings are
+ * emphasized and set apart by pauses, list items are numbered, tables are
+ * read row by row with their column names, and code blocks and URLs are
+ * skipped, summarized or read out as the policies say. The result uses the
+ * inline [pause:ms] and [emphasis] markers and separates blocks with blank
+ * lines, so document chunking sees them as paragraphs.
+ */
+
+import { PARAGRAPH_SEPARATOR } from './chunking.mjs';
+
+export const INPUT_FORMATS = ['text', 'markdown', 'html'];
+export const MARKUP_POLICIES = ['skip', 'summarize', 'read'];
+export const DEFAULT_MARKUP_POLICIES = { code: 'summarize', urls: 'summarize' };
+
+const HEADING_PAUSE_MS = 600;
+const RULE_PAUSE_MS = 800;
+
+// Spoken instead of a code block under the "summarize" policy
+const CODE_SUMMARIES = {
+    en: 'Code example',
+    fi: 'Koodiesimerkki',
+    sv: 'Kodexempel',
+    de: 'Codebeispiel',
+    es: 'Ejemplo de código',
+    fr: 'Exemple de code'
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?'")\]]/gi;
+const MARKER_TEXT_PATTERN = /\[(?:pause(?::\d+)?|\/?emphasis)\]/g;
+
+// Elements whose content is never spoken
+const HIDDEN_HTML_ELEMENTS = ['script', 'style', 'head', 'template', 'noscript', 'svg'];
+// Elements that start a new paragraph
+const HTML_BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure', 'figcaption',
+    'blockquote', 'dl', 'dt', 'dd', 'address', 'details', 'summary', 'body', 'html', 'caption'
+]);
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', copy: '©', reg: '®', trade: '™',
+    euro: '€', pound: '£', deg: '°', times: '×', middot: '·', bull: '•'
+};
+
+/**
+ * Validate "markup" policies: `{ code, urls }`, each one of MARKUP_POLICIES
+ *
+ * Returns the policies with defaults filled in.
+ */
+export function normalizeMarkupPolicies(policies) {
+    if (policies === undefined || policies === null) {
+        return { ...DEFAULT_MARKUP_POLICIES };
+    }
+    if (typeof policies !== 'object' || Array.isArray(policies)) {
+        throw new Error('Invalid "markup": expected an object with "code" and "urls" policies');
+    }
+    const normalized = { ...DEFAULT_MARKUP_POLICIES };
+    for (const [name, value] of Object.entries(policies)) {
+        if (!(name in DEFAULT_MARKUP_POLICIES)) {
+            throw new Error(`Unknown markup option: ${name}. Supported: ${Object.keys(DEFAULT_MARKUP_POLICIES).join(', ')}`);
+        }
+        if (!MARKUP_POLICIES.includes(value)) {
+            throw new Error(`Invalid "markup.${name}": expected one of ${MARKUP_POLICIES.join(', ')}`);
+        }
+        normalized[name] = value;
+    }
+    return normalized;
+}
+
+/**
+ * Spoken form of a URL: nothing, its host name or the URL itself
+ */
+function speakUrl(href, policy) {
+    if (policy === 'read') {
+        return href;
+    }
+    if (policy === 'skip') {
+        return '';
+    }
+    if (/^mailto:/i.test(href)) {
+        return href.slice('mailto:'.length);
+    }
+    try {
+        return new URL(/^www\./i.test(href) ? `http://${href}` : href).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Spoken form of a link: its text, followed by the URL under the "read" policy
+ */
+function speakLink(text, href, policy) {
+    const label = text.trim();
+    if (!label || label === href || !href) {
+        return href ? speakUrl(href, policy) : label;
+    }
+    return policy === 'read' ? `${label} (${href})` : label;
+}
+
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * End text with sentence punctuation so consecutive blocks do not run together
+ */
+function asSentence(text) {
+    const collapsed = collapseWhitespace(text);
+    const spoken = collapsed.replace(MARKER_TEXT_PATTERN, '').trim();
+    if (!spoken) {
+        return '';
+    }
+    return /[.!?:;…]$/.test(spoken) ? collapsed : `${collapsed}.`;
+}
+
+/**
+ * Convert markdown inline syntax (emphasis, links, code spans, escapes)
+ */
+function markdownInline(text, policies) {
+    // Escaped characters and code spans are taken literally
+    const literals = [];
+    const protect = (value) => `\u0000${literals.push(value) - 1}\u0000`;
+    let converted = text
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (match, char) => protect(char))
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => protect(code.trim()));
+
+    converted = converted
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, (match, alt) => alt)
+        .replace(/\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+["'(][^)]*["')])?\s*\)/g, (match, label, href) => protect(speakLink(label, href, policies.urls)))
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, (match, label) => label)
+        .replace(/<((?:https?|mailto):[^>\s]+)>/gi, (match, href) => protect(speakUrl(href, policies.urls)))
+        .replace(URL_PATTERN, (href) => protect(speakUrl(href, policies.urls)))
+        .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, (match, delimiter, content) => `[emphasis]${content}[/emphasis]`)
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1');
+
+    return converted.replace(/\u0000(\d+)\u0000/g, (match, index) => literals[Number(index)]);
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map((cell) => cell.trim());
+}
+
+/**
+ * Parse markdown into blocks: heading, paragraph, item, code, table and rule
+ */
+function parseMarkdown(markdown, policies) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const inline = (text) => markdownInline(text, policies);
+    const blocks = [];
+    let paragraph = [];
+    // Open lists by indentation, each with the number of its last item
+    let lists = [];
+    let item = null;
+
+    const flush = () => {
+        if (item) {
+            blocks.push({ type: 'item', number: item.number, text: inline(item.lines.join(' ')) });
+            item = null;
+        }
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: inline(paragraph.join(' ')) });
+            paragraph = [];
+        }
+    };
+
+    let index = 0;
+    // Front matter is metadata, not content
+    if (lines[0] === '---') {
+        const end = lines.findIndex((line, lineIndex) => lineIndex > 0 && (line === '---' || line === '...'));
+        if (end > 0) {
+            index = end + 1;
+        }
+    }
+
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            flush();
+            continue;
+        }
+
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+        if (fence) {
+            flush();
+            lists = [];
+            const code = [];
+            const close = new RegExp(`^\\s*${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+            for (index++; index < lines.length && !close.test(lines[index]); index++) {
+                code.push(lines[index]);
+            }
+            blocks.push({ type: 'code', language: fence[2] || null, text: code.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+            flush();
+            lists = [];
+            blocks.push({ type: 'heading', level: heading[1].length, text: inline(heading[2]) });
+            continue;
+        }
+
+        // "Title" underlined with === or --- is a heading, not a rule
+        const underline = line.match(/^\s{0,3}(=+|-+)\s*$/);
+        if (underline && paragraph.length > 0 && !item) {
+            const text = inline(paragraph.join(' '));
+            paragraph = [];
+            blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text });
+            continue;
+        }
+
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flush();
+            lists = [];
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+
+        const delimiter = lines[index + 1];
+        if (line.includes('|') && delimiter !== undefined && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(delimiter) && delimiter.includes('-')) {
+            flush();
+            lists = [];
+            const header = splitTableRow(line).map(inline);
+            const rows = [];
+            for (index += 2; index < lines.length && lines[index].includes('|') && lines[index].trim() !== ''; index++) {
+                rows.push(splitTableRow(lines[index]).map(inline));
+            }
+            index--;
+            blocks.push({ type: 'table', header, rows });
+            continue;
+        }
+
+        const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+        if (quote) {
+            flush();
+            const quoted = [quote[1]];
+            while (index + 1 < lines.length && /^\s{0,3}>/.test(lines[index + 1])) {
+                quoted.push(lines[++index].replace(/^\s{0,3}>\s?/, ''));
+            }
+            blocks.push(...parseMarkdown(quoted.join('\n'), policies));
+            continue;
+        }
+
+        const listItem = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (listItem) {
+            flush();
+            const indent = listItem[1].replace(/\t/g, '    ').length;
+            lists = lists.filter((list) => list.indent <= indent);
+            const current = lists[lists.length - 1];
+            if (current && current.indent === indent) {
+                current.number++;
+            } else {
+                lists.push({ indent, number: 1 });
+            }
+            // Task list boxes are not read
+            item = { number: lists[lists.length - 1].number, lines: [listItem[3].replace(/^\[[ xX]\]\s+/, '')] };
+            continue;
+        }
+
+        if (item && /^\s+\S/.test(line)) {
+            item.lines.push(line.trim());
+            continue;
+        }
+
+        if (/^( {4}|\t)/.test(line) && paragraph.length === 0 && lists.length === 0) {
+            const code = [line.replace(/^( {4}|\t)/, '')];
+            while (index + 1 < lines.length && (/^( {4}|\t)/.test(lines[index + 1]) || lines[index + 1].trim() === '')) {
+                code.push(lines[++index].replace(/^( {4}|\t)/, ''));
+            }
+            blocks.push({ type: 'code', language: null, text: code.join('\n').trimEnd() });
+            continue;
+        }
+
+        if (item) {
+            // A lazy continuation line of the item
+            item.lines.push(line.trim());
+            continue;
+        }
+        lists = [];
+        paragraph.push(line.trim());
+    }
+    flush();
+    return blocks;
+}
+
+function decodeHtml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function htmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeHtml(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Parse HTML into the same blocks as parseMarkdown
+ */
+function parseHtml(html, policies) {
+    const source = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(new RegExp(`<(${HIDDEN_HTML_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '')
+        .replace(/<!DOCTYPE[^>]*>/gi, '');
+    const blocks = [];
+    const lists = [];
+    let text = '';
+    let heading = null;
+    let itemNumber = null;
+    let pre = null;
+    let table = null;
+    let cell = null;
+    let link = null;
+
+    const flush = () => {
+        const content = collapseWhitespace(text);
+        text = '';
+        if (!content) {
+            return;
+        }
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading, text: content });
+        } else if (itemNumber !== null) {
+            blocks.push({ type: 'item', number: itemNumber, text: content });
+        } else {
+            blocks.push({ type: 'paragraph', text: content });
+        }
+    };
+
+    for (const match of source.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+|<)/g)) {
+        const [, closing, rawName, attributes, content] = match;
+        if (content !== undefined) {
+            if (pre) {
+                pre.text += decodeHtml(content);
+            } else {
+                const decoded = decodeHtml(content);
+                text += link ? decoded : decoded.replace(URL_PATTERN, (href) => speakUrl(href, policies.urls));
+            }
+            continue;
+        }
+
+        const name = rawName.toLowerCase();
+        if (pre) {
+            if (name === 'pre' && closing) {
+                blocks.push({ type: 'code', language: pre.language, text: pre.text.replace(/^\n/, '').trimEnd() });
+                pre = null;
+            } else if (name === 'code' && !closing) {
+                const language = (htmlAttribute(attributes, 'class') || '').match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+                pre.language = pre.language || (language ? language[1] : null);
+            } else if (name === 'br') {
+                pre.text += '\n';
+            }
+            continue;
+        }
+
+        if (/^h[1-6]$/.test(name)) {
+            flush();
+            heading = closing ? null : Number(name[1]);
+        } else if (name === 'ul' || name === 'ol') {
+            flush();
+            if (closing) {
+                lists.pop();
+                itemNumber = null;
+            } else {
+                lists.push({ number: 0 });
+            }
+        } else if (name === 'li') {
+            flush();
+            if (closing) {
+                itemNumber = null;
+            } else {
+                // A stray <li> outside a list still gets a number
+                if (lists.length === 0) {
+                    lists.push({ number: 0 });
+                }
+                itemNumber = ++lists[lists.length - 1].number;
+            }
+        } else if (name === 'pre' && !closing) {
+            flush();
+            pre = { language: null, text: '' };
+        } else if (name === 'table') {
+            flush();
+            if (!closing) {
+                table = { header: null, rows: [], row: null };
+            } else if (table) {
+                if (table.rows.length > 0 || table.header) {
+                    blocks.push({ type: 'table', header: table.header, rows: table.rows });
+                }
+                table = null;
+            }
+        } else if (name === 'tr' && table) {
+            if (!closing) {
+                table.row = { cells: [], headerCells: 0 };
+            } else if (table.row) {
+                const { cells, headerCells } = table.row;
+                if (!table.header && table.rows.length === 0 && cells.length > 0 && headerCells === cells.length) {
+                    table.header = cells;
+                } else if (cells.length > 0) {
+                    table.rows.push(cells);
+                }
+                table.row = null;
+            }
+        } else if ((name === 'td' || name === 'th') && table && table.row) {
+            if (!closing) {
+                cell = { outer: text, header: name === 'th' };
+                text = '';
+            } else if (cell) {
+                table.row.cells.push(collapseWhitespace(text));
+                table.row.headerCells += cell.header ? 1 : 0;
+                text = cell.outer;
+                cell = null;
+            }
+        } else if (name === 'hr') {
+            flush();
+            blocks.push({ type: 'rule' });
+        } else if (name === 'br') {
+            text += ' ';
+        } else if (name === 'a') {
+            if (!closing) {
+                link = { href: htmlAttribute(attributes, 'href'), start: text.length };
+            } else if (link) {
+                text = text.slice(0, link.start) + speakLink(text.slice(link.start), link.href || '', policies.urls);
+                link = null;
+            }
+        } else if (name === 'img') {
+            text += ` ${htmlAttribute(attributes, 'alt') || ''} `;
+        } else if (name === 'strong' || name === 'b') {
+            text += closing ? '[/emphasis]' : '[emphasis]';
+        } else if (HTML_BLOCK_ELEMENTS.has(name)) {
+            flush();
+        }
+    }
+    if (pre) {
+        blocks.push({ type: 'code', language: pre.language, text: pre.text.trimEnd() });
+    }
+    flush();
+    return blocks;
+}
+
+/**
+ * Speakable text of parsed blocks
+ */
+function renderBlocks(blocks, policies, language) {
+    const parts = [];
+    for (const block of blocks) {
+        if (block.type === 'heading') {
+            const text = asSentence(block.text);
+            if (text) {
+                parts.push(`${parts.length > 0 ? `[pause:${HEADING_PAUSE_MS}] ` : ''}[emphasis]${text}[/emphasis] [pause:${HEADING_PAUSE_MS}]`);
+            }
+        } else if (block.type === 'paragraph') {
+            parts.push(asSentence(block.text));
+        } else if (block.type === 'item') {
+            const text = asSentence(block.text);
+            if (text) {
+                parts.push(`${block.number}. ${text}`);
+            }
+        } else if (block.type === 'code') {
+            if (policies.code === 'read') {
+                parts.push(block.text.split('\n').map(asSentence).filter(Boolean).join(' '));
+            } else if (policies.code === 'summarize') {
+                const summary = CODE_SUMMARIES[(language || 'en').slice(0, 2).toLowerCase()] || CODE_SUMMARIES.en;
+                parts.push(`${summary}${block.language ? `: ${block.language}` : ''}.`);
+            }
+        } else if (block.type === 'table') {
+            const { header } = block;
+            parts.push(block.rows.map((row) => asSentence(row
+                .map((cell, index) => (cell && header && header[index] ? `${header[index]}: ${cell}` : cell))
+                .filter(Boolean)
+                .join(', '))).filter(Boolean).join(' '));
+        } else if (block.type === 'rule' && parts.length > 0) {
+            parts.push(`[pause:${RULE_PAUSE_MS}]`);
+        }
+    }
+    return parts.filter(Boolean).join(PARAGRAPH_SEPARATOR);
+}
+
+/**
+ * Convert a document in `inputFormat` (one of INPUT_FORMATS) to speakable text
+ *
+ * `policies` are normalized "markup" policies; `language` picks the wording of
+ * code summaries. Plain text is returned unchanged.
+ */
+export function convertMarkup(text, inputFormat, { policies = DEFAULT_MARKUP_POLICIES, language = null } = {}) {
+    if (inputFormat === 'text') {
+        return text;
+    }
+    if (inputFormat === 'markdown') {
+        return renderBlocks(parseMarkdown(text, policies), policies, language);
+    }
+    if (inputFormat === 'html') {
+        return renderBlocks(parseHtml(text, policies), policies, language);
+    }
+    throw new Error(`Invalid "format": expected one of ${INPUT_FORMATS.join(', ')}`);
+}
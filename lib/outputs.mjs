@@ -0,0 +1,292 @@
+/**
+ * Output file management
+ *
+ * Names generated audio from a filename template, keeps callers inside the
+ * output directory, lists what has been written and enforces a retention
+ * policy by age and total size. Paths handed around are relative to the
+ * output directory and always use "/" (e.g. "lessons/intro.mp3").
+ */
+
+import { existsSync, mkdirSync, readdirSync, rmdirSync, statSync, unlinkSync } from 'fs';
+import { dirname, relative, resolve, sep } from 'path';
+import { log } from './logging.mjs';
+
+export const DEFAULT_FILENAME_TEMPLATE = 'mcp-{kind}-{language}-{voice}-{timestamp}';
+export const FILENAME_TEMPLATE_FIELDS = ['kind', 'language', 'voice', 'timestamp', 'date', 'time'];
+
+// One path segment: no leading dot, so "..", hidden files and empty segments are impossible
+export const OUTPUT_NAME_PATTERN = /^[A-Za-z0-9][\w.-]{0,99}$/;
+const MAX_DEPTH = 5;
+// A whole relative path, for JSON schemas
+export const OUTPUT_PATH_PATTERN = new RegExp(`^${OUTPUT_NAME_PATTERN.source.slice(1, -1)}(/${OUTPUT_NAME_PATTERN.source.slice(1, -1)}){0,${MAX_DEPTH - 1}}$`);
+
+/**
+ * Values of the template fields for a file written now
+ */
+function templateValues({ kind, language, voice }, date) {
+    const iso = date.toISOString();
+    return {
+        kind,
+        language: language.replace('-', '_'),
+        voice: voice.replace(/[^a-zA-Z0-9]/g, '-'),
+        timestamp: iso.replace(/[:.]/g, '-'),
+        date: iso.slice(0, 10),
+        time: iso.slice(11, 19).replace(/:/g, '-')
+    };
+}
+
+/**
+ * Validate a relative output name, returning it with "/" separators
+ *
+ * Each segment must match OUTPUT_NAME_PATTERN, which rules out absolute
+ * paths, ".." and hidden files; `label` names the argument in errors.
+ */
+export function normalizeOutputName(name, label = 'outputName') {
+    if (typeof name !== 'string' || name.length === 0) {
+        throw new Error(`Invalid "${label}": expected a non-empty string`);
+    }
+    const segments = name.split('/');
+    if (segments.length > MAX_DEPTH || !segments.every((segment) => OUTPUT_NAME_PATTERN.test(segment))) {
+        throw new Error(
+            `Invalid "${label}": ${name}. Use letters, digits, "_", "-" and "." in up to ${MAX_DEPTH} "/"-separated parts, `
+            + 'each starting with a letter or digit'
+        );
+    }
+    return segments.join('/');
+}
+
+/**
+ * Check that a filename template only uses known fields
+ */
+export function validateFilenameTemplate(template, label = 'filename template') {
+    if (typeof template !== 'string' || template.length === 0) {
+        throw new Error(`Invalid "${label}": expected a non-empty string`);
+    }
+    for (const [, field] of template.matchAll(/\{([^}]*)\}/g)) {
+        if (!FILENAME_TEMPLATE_FIELDS.includes(field)) {
+            throw new Error(`Unknown field {${field}} in ${label}. Available: ${FILENAME_TEMPLATE_FIELDS.map((name) => `{${name}}`).join(', ')}`);
+        }
+    }
+    return template;
+}
+
+/**
+ * Render a filename template (without extension) and validate the result
+ */
+export function renderFilename(template, fields, { date = new Date(), label = 'filename template' } = {}) {
+    validateFilenameTemplate(template, label);
+    const values = templateValues(fields, date);
+    return normalizeOutputName(template.replace(/\{(\w+)\}/g, (match, field) => values[field]), label);
+}
+
+/**
+ * Resolve a relative output name to an absolute path inside `dir`
+ */
+export function resolveOutputFile(dir, name, label = 'file') {
+    const normalized = normalizeOutputName(name, label);
+    const root = resolve(dir);
+    const path = resolve(root, normalized);
+    // Belt and braces: the pattern already keeps names inside the directory
+    if (!path.startsWith(`${root}${sep}`)) {
+        throw new Error(`Invalid "${label}": ${name} is outside the output directory`);
+    }
+    return { name: normalized, path };
+}
+
+/**
+ * Every file below `dir` as `{ name, path, size, mtimeMs }`, skipping hidden entries
+ */
+export function listOutputFiles(dir, root = dir) {
+    if (!existsSync(dir)) {
+        return [];
+    }
+    return readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('.'))
+        .flatMap((entry) => {
+            const path = resolve(dir, entry.name);
+            if (entry.isDirectory()) {
+                return listOutputFiles(path, root);
+            }
+            if (!entry.isFile()) {
+                return [];
+            }
+            const stat = statSync(path);
+            return [{ name: relative(root, path).split(sep).join('/'), path, size: stat.size, mtimeMs: stat.mtimeMs }];
+        });
+}
+
+/**
+ * Create the output manager for `dir`
+ *
+ * `isAudio(name)` recognizes audio files; files next to one that share its
+ * name up to the extension and end in a `sidecarExtensions` entry (captions,
+ * manifests) are listed, deleted and expired together with it. `maxAgeMs`
+ * and `maxBytes` (0 for no limit) define the retention policy.
+ */
+export function createOutputManager({
+    dir,
+    template = DEFAULT_FILENAME_TEMPLATE,
+    isAudio,
+    sidecarExtensions = [],
+    maxAgeMs = 0,
+    maxBytes = 0,
+    now = Date.now
+}) {
+    validateFilenameTemplate(template, 'AUDIO_FILENAME_TEMPLATE');
+    const root = resolve(dir);
+
+    function stem(name) {
+        return name.slice(0, name.length - name.split('.').pop().length - 1);
+    }
+
+    function sidecarsOf(name, files) {
+        const base = stem(name);
+        return files.filter((file) => (
+            file.name !== name && sidecarExtensions.some((extension) => file.name === `${base}.${extension}`)
+        ));
+    }
+
+    /**
+     * Audio files with their sidecars, newest first; leftover files (such
+     * as batch manifests) form groups of their own
+     */
+    function groups() {
+        const files = listOutputFiles(root);
+        const claimed = new Set();
+        const audio = files.filter((file) => isAudio(file.name)).map((file) => {
+            const sidecars = sidecarsOf(file.name, files);
+            sidecars.forEach((sidecar) => claimed.add(sidecar.name));
+            return { ...file, sidecars };
+        });
+        const others = files
+            .filter((file) => !isAudio(file.name) && !claimed.has(file.name))
+            .map((file) => ({ ...file, sidecars: [] }));
+        return [...audio, ...others]
+            .map((group) => ({ ...group, totalSize: group.size + group.sidecars.reduce((sum, file) => sum + file.size, 0) }))
+            .sort((a, b) => b.mtimeMs - a.mtimeMs);
+    }
+
+    /**
+     * Pick the path for a new file and create its directory
+     *
+     * `name` is a caller-supplied template used instead of the configured
+     * one; the caller chose it, so an existing file of that name is replaced.
+     * Generated names that collide (requests finishing in the same
+     * millisecond) get a numeric suffix; callers write the file before
+     * yielding, so the existence check is enough.
+     */
+    function createPath({ kind = 'tts', language, voice, extension, name = null }) {
+        const fields = { kind, language, voice };
+        let base = name === null
+            ? renderFilename(template, fields)
+            : renderFilename(name, fields, { label: 'outputName' });
+        if (base.endsWith(`.${extension}`)) {
+            base = base.slice(0, -extension.length - 1);
+        }
+
+        let filename = `${base}.${extension}`;
+        for (let suffix = 2; name === null && existsSync(resolve(root, filename)); suffix++) {
+            filename = `${base}-${suffix}.${extension}`;
+        }
+        const { path } = resolveOutputFile(root, filename, 'outputName');
+        mkdirSync(dirname(path), { recursive: true });
+        return { filename, outputPath: path };
+    }
+
+    /**
+     * List audio files, newest first, optionally below `directory` or with
+     * `contains` in the name
+     */
+    function list({ directory = null, contains = null } = {}) {
+        const prefix = directory ? `${normalizeOutputName(directory, 'directory')}/` : '';
+        return groups().filter((group) => (
+            isAudio(group.name)
+            && group.name.startsWith(prefix)
+            && (!contains || group.name.toLowerCase().includes(contains.toLowerCase()))
+        ));
+    }
+
+    function removeEmptyDirectories(path) {
+        for (let current = dirname(path); current.startsWith(`${root}${sep}`); current = dirname(current)) {
+            if (readdirSync(current).length > 0) {
+                break;
+            }
+            rmdirSync(current);
+        }
+    }
+
+    function removeFiles(files) {
+        for (const file of files) {
+            unlinkSync(file.path);
+            removeEmptyDirectories(file.path);
+        }
+        return files.map((file) => file.name);
+    }
+
+    /**
+     * Delete a file and, for audio, its sidecars; returns the deleted names
+     *
+     * A sidecar named on its own is deleted alone.
+     */
+    function remove(name, { sidecars = true } = {}) {
+        const { name: normalized } = resolveOutputFile(root, name);
+        const group = groups().find((candidate) => candidate.name === normalized);
+        if (group) {
+            return removeFiles([group, ...(sidecars ? group.sidecars : [])]);
+        }
+        const file = listOutputFiles(root).find((candidate) => candidate.name === normalized);
+        if (!file) {
+            throw new Error(`Output file not found: ${normalized}`);
+        }
+        return removeFiles([file]);
+    }
+
+    /**
+     * Apply the retention policy: expire groups older than maxAgeMs, then
+     * delete the oldest until the total is within maxBytes
+     *
+     * `keep` (an absolute path) is never deleted, so a file that is just
+     * being returned to a caller survives a tight size limit. Returns
+     * `{ deleted, freedBytes }`.
+     */
+    function enforceRetention({ keep = null } = {}) {
+        if (!maxAgeMs && !maxBytes) {
+            return { deleted: [], freedBytes: 0 };
+        }
+
+        const current = now();
+        const all = groups();
+        let totalBytes = all.reduce((sum, group) => sum + group.totalSize, 0);
+        const expired = [];
+
+        // Oldest first
+        for (const group of all.filter((candidate) => candidate.path !== keep).reverse()) {
+            const tooOld = maxAgeMs && current - group.mtimeMs > maxAgeMs;
+            if (tooOld || (maxBytes && totalBytes > maxBytes)) {
+                expired.push(group);
+                totalBytes -= group.totalSize;
+            }
+        }
+
+        const deleted = expired.flatMap((group) => removeFiles([group, ...group.sidecars]));
+        const freedBytes = expired.reduce((sum, group) => sum + group.totalSize, 0);
+        if (deleted.length > 0) {
+            log.info('Retention removed output files', { files: deleted.length, freedBytes });
+        }
+        return { deleted, freedBytes };
+    }
+
+    return {
+        createPath,
+        list,
+        remove,
+        enforceRetention,
+        pathFor: (name, label) => resolveOutputFile(root, name, label),
+        get dir() {
+            return root;
+        },
+        get policy() {
+            return { template, maxAgeMs, maxBytes };
+        }
+    };
+}
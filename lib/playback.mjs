@@ -0,0 +1,151 @@
+/**
+ * Local audio playback
+ *
+ * Plays generated files through the first command-line player found on the
+ * PATH, one file at a time from a queue. Meant for desktop use, where the
+ * server runs on the machine whose speakers should be used.
+ */
+
+import { spawn as spawnProcess } from 'child_process';
+import { accessSync, constants } from 'fs';
+import { delimiter, extname, resolve } from 'path';
+import { ERROR_CODES, codedError } from './errors.mjs';
+import { log } from './logging.mjs';
+
+// Candidate players in order of preference, with the formats each can decode
+export const AUDIO_PLAYERS = {
+    afplay: { args: (file) => [file], extensions: ['wav', 'mp3'] },
+    paplay: { args: (file) => [file], extensions: ['wav', 'ogg'] },
+    aplay: { args: (file) => ['-q', file], extensions: ['wav'] },
+    ffplay: { args: (file) => ['-nodisp', '-autoexit', '-loglevel', 'quiet', file], extensions: ['wav', 'mp3', 'ogg', 'webm'] }
+};
+
+/**
+ * Find an executable on the PATH, returning its full path or null
+ */
+export function findExecutable(command, path = process.env.PATH || '') {
+    for (const dir of path.split(delimiter).filter(Boolean)) {
+        const candidate = resolve(dir, command);
+        try {
+            accessSync(candidate, constants.X_OK);
+            return candidate;
+        } catch (error) {
+            // Not in this directory
+        }
+    }
+    return null;
+}
+
+/**
+ * Players available on this machine, in order of preference
+ *
+ * `preferred` (AUDIO_PLAYER) restricts the choice to one player; "none"
+ * disables playback.
+ */
+export function detectPlayers({ preferred = null, find = findExecutable } = {}) {
+    if (preferred === 'none') {
+        return [];
+    }
+    if (preferred && !AUDIO_PLAYERS[preferred]) {
+        throw new Error(`Unknown audio player: ${preferred}. Supported: ${Object.keys(AUDIO_PLAYERS).join(', ')}, none`);
+    }
+    return (preferred ? [preferred] : Object.keys(AUDIO_PLAYERS))
+        .map((name) => ({ name, command: find(name), ...AUDIO_PLAYERS[name] }))
+        .filter((player) => player.command);
+}
+
+/**
+ * Create a playback queue over the detected `players`
+ *
+ * `play(file)` interrupts whatever is playing and clears the queue;
+ * `enqueue(file)` plays after the files already waiting. Both throw a
+ * player_unavailable error when no player can decode the file.
+ */
+export function createAudioPlayer({ players, spawn = spawnProcess }) {
+    let current = null;
+    const queue = [];
+
+    function playerFor(file) {
+        const extension = extname(file).slice(1).toLowerCase();
+        const player = players.find((candidate) => candidate.extensions.includes(extension));
+        if (!player) {
+            const message = players.length === 0
+                ? 'No audio player found; install ffplay (FFmpeg), paplay or aplay, or set AUDIO_PLAYER'
+                : `None of the available players (${players.map((candidate) => candidate.name).join(', ')}) can play .${extension} files; install ffplay (FFmpeg)`;
+            throw codedError(ERROR_CODES.PLAYER_UNAVAILABLE, message);
+        }
+        return player;
+    }
+
+    function start(entry) {
+        const child = spawn(entry.player.command, entry.player.args(entry.path), { stdio: 'ignore' });
+        current = { ...entry, child, startedAt: new Date().toISOString() };
+
+        const finished = () => {
+            if (current && current.child === child) {
+                current = null;
+                const next = queue.shift();
+                if (next) {
+                    start(next);
+                }
+            }
+        };
+        child.once('error', (error) => {
+            log.warn('Audio player failed', { player: entry.player.name, file: entry.file, error: error.message });
+            finished();
+        });
+        child.once('exit', finished);
+    }
+
+    function halt() {
+        if (current) {
+            const { child } = current;
+            current = null;
+            child.kill();
+        }
+    }
+
+    /**
+     * Play `path` now; `file` is the name reported back to callers
+     */
+    function play(path, file = path) {
+        const player = playerFor(path);
+        queue.length = 0;
+        halt();
+        start({ path, file, player });
+        return status();
+    }
+
+    /**
+     * Play `path` once everything before it has finished
+     */
+    function enqueue(path, file = path) {
+        const player = playerFor(path);
+        if (current) {
+            queue.push({ path, file, player });
+        } else {
+            start({ path, file, player });
+        }
+        return status();
+    }
+
+    /**
+     * Stop playback and drop the queue; returns the number of files dropped
+     */
+    function stop() {
+        const dropped = queue.length + (current ? 1 : 0);
+        queue.length = 0;
+        halt();
+        return dropped;
+    }
+
+    function status() {
+        return {
+            playing: current ? { file: current.file, player: current.player.name, startedAt: current.startedAt } : null,
+            queue: queue.map((entry) => entry.file),
+            players: players.map((player) => player.name)
+        };
+    }
+
+    return { play, enqueue, stop, status };
+}
@@ -0,0 +1,395 @@
+/**
+ * Audio post-processing
+ *
+ * Evens out synthesized clips before they are saved: trims leading and
+ * trailing silence, normalizes to a loudness (EBU R128 / ITU-R BS.1770) or
+ * peak target, resamples, converts between mono and stereo and pads with
+ * fixed silence. Works on 16-bit PCM in plain JavaScript, so compressed
+ * formats cannot be processed.
+ */
+
+export const DEFAULT_TARGET_LOUDNESS = -16; // LUFS, a common level for speech in apps
+export const DEFAULT_TARGET_PEAK = -1; // dBFS
+export const DEFAULT_SILENCE_THRESHOLD = -50; // dBFS
+export const NORMALIZATION_MODES = ['loudness', 'peak'];
+const MAX_PADDING_MS = 5000;
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+// BS.1770 gating: 400 ms blocks with 75% overlap, absolute and relative gates
+const BLOCK_MS = 400;
+const BLOCK_STEP_MS = 100;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+const POST_PROCESS_KEYS = ['normalize', 'targetLoudness', 'targetPeak', 'trimSilence', 'silenceThreshold', 'padding', 'sampleRate', 'channels'];
+
+function toDb(amplitude) {
+    return 20 * Math.log10(amplitude);
+}
+
+function fromDb(db) {
+    return 10 ** (db / 20);
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Validate the "postProcess" tool argument, returning it with defaults filled in
+ *
+ * Returns null when no step is requested.
+ */
+export function normalizePostProcessOptions(options) {
+    if (options === undefined || options === null) {
+        return null;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Invalid "postProcess" parameter: expected an object');
+    }
+    const unknown = Object.keys(options).filter((key) => !POST_PROCESS_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown "postProcess" option: ${unknown.join(', ')}. Available: ${POST_PROCESS_KEYS.join(', ')}`);
+    }
+
+    const number = (name, min, max, defaultValue, integer = false) => {
+        const value = options[name];
+        if (value === undefined || value === null) {
+            return defaultValue;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+            throw new Error(`Invalid "postProcess.${name}": must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+        }
+        return value;
+    };
+
+    const { normalize = null, trimSilence = false, padding = {} } = options;
+    if (normalize !== null && !NORMALIZATION_MODES.includes(normalize)) {
+        throw new Error(`Invalid "postProcess.normalize": expected one of ${NORMALIZATION_MODES.join(', ')}`);
+    }
+    if (typeof trimSilence !== 'boolean') {
+        throw new Error('Invalid "postProcess.trimSilence": expected true or false');
+    }
+    if (typeof padding !== 'object' || padding === null || Object.keys(padding).some((key) => key !== 'leading' && key !== 'trailing')) {
+        throw new Error('Invalid "postProcess.padding": expected an object with "leading" and/or "trailing"');
+    }
+    for (const side of ['leading', 'trailing']) {
+        const value = padding[side];
+        if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_PADDING_MS)) {
+            throw new Error(`Invalid "postProcess.padding.${side}": must be an integer between 0 and ${MAX_PADDING_MS}`);
+        }
+    }
+    const channels = options.channels;
+    if (channels !== undefined && channels !== null && channels !== 1 && channels !== 2) {
+        throw new Error('Invalid "postProcess.channels": expected 1 (mono) or 2 (stereo)');
+    }
+
+    return {
+        normalize,
+        targetLoudness: number('targetLoudness', -50, -5, DEFAULT_TARGET_LOUDNESS),
+        targetPeak: number('targetPeak', -30, 0, DEFAULT_TARGET_PEAK),
+        trimSilence,
+        silenceThreshold: number('silenceThreshold', -90, -20, DEFAULT_SILENCE_THRESHOLD),
+        padding: { leading: padding.leading || 0, trailing: padding.trailing || 0 },
+        sampleRate: number('sampleRate', MIN_SAMPLE_RATE, MAX_SAMPLE_RATE, null, true),
+        channels: channels || null
+    };
+}
+
+/**
+ * Split interleaved 16-bit PCM into one Float32Array per channel (-1..1)
+ */
+export function decodePcm(pcm, channelCount) {
+    const frames = Math.floor(pcm.length / (2 * channelCount));
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels[channel][frame] = pcm.readInt16LE((frame * channelCount + channel) * 2) / 32768;
+        }
+    }
+    return channels;
+}
+
+/**
+ * Interleave channels back into 16-bit PCM, clipping at full scale
+ */
+export function encodePcm(channels) {
+    const frames = channels[0].length;
+    const pcm = Buffer.alloc(frames * channels.length * 2);
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels.length; channel++) {
+            const sample = Math.round(channels[channel][frame] * 32768);
+            pcm.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), (frame * channels.length + channel) * 2);
+        }
+    }
+    return pcm;
+}
+
+/**
+ * Highest absolute sample value in dBFS, or null for digital silence
+ */
+export function samplePeak(channels) {
+    let peak = 0;
+    for (const samples of channels) {
+        for (const sample of samples) {
+            peak = Math.max(peak, Math.abs(sample));
+        }
+    }
+    return peak > 0 ? toDb(peak) : null;
+}
+
+/**
+ * Coefficients of the two K-weighting biquads for a sample rate
+ *
+ * BS.1770 specifies them at 48 kHz; these are the analog prototypes
+ * (as used by libebur128) so other rates get the same response.
+ */
+function kWeightingFilters(sampleRate) {
+    const shelf = (() => {
+        const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+        const Vh = fromDb(3.999843853973347);
+        const Vb = Vh ** 0.4996667741545416;
+        const Q = 0.7071752369554196;
+        const a0 = 1 + K / Q + K * K;
+        return {
+            b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+            a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+        };
+    })();
+    const highPass = (() => {
+        const K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+        const Q = 0.5003270373238773;
+        const a0 = 1 + K / Q + K * K;
+        return { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+    })();
+    return [shelf, highPass];
+}
+
+function applyBiquad(samples, { b, a }) {
+    const output = new Float64Array(samples.length);
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+
+/**
+ * Integrated loudness in LUFS (ITU-R BS.1770-4), or null when everything is
+ * below the absolute gate
+ *
+ * Clips shorter than one 400 ms block are measured as a single block.
+ */
+export function integratedLoudness(channels, sampleRate) {
+    const filters = kWeightingFilters(sampleRate);
+    const weighted = channels.map((samples) => filters.reduce((signal, filter) => applyBiquad(signal, filter), samples));
+    const frames = channels[0].length;
+    if (frames === 0) {
+        return null;
+    }
+
+    const blockSize = Math.min(frames, Math.round((BLOCK_MS / 1000) * sampleRate));
+    const step = Math.round((BLOCK_STEP_MS / 1000) * sampleRate);
+    // Mean square per block, summed over channels (all weighted 1.0 for mono and stereo)
+    const blocks = [];
+    for (let start = 0; start + blockSize <= frames; start += step) {
+        let power = 0;
+        for (const samples of weighted) {
+            let sum = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                sum += samples[i] * samples[i];
+            }
+            power += sum / blockSize;
+        }
+        blocks.push(power);
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const gated = (threshold) => blocks.filter((power) => power > 0 && loudness(power) > threshold);
+    const absolute = gated(ABSOLUTE_GATE_LUFS);
+    if (absolute.length === 0) {
+        return null;
+    }
+    const relativeGate = loudness(absolute.reduce((sum, power) => sum + power, 0) / absolute.length) + RELATIVE_GATE_LU;
+    const relative = gated(Math.max(ABSOLUTE_GATE_LUFS, relativeGate));
+    return loudness(relative.reduce((sum, power) => sum + power, 0) / relative.length);
+}
+
+/**
+ * Frames to drop at each end: everything quieter than `thresholdDb` before
+ * the first and after the last louder sample
+ */
+function silentEdges(channels, thresholdDb) {
+    const threshold = fromDb(thresholdDb);
+    const frames = channels[0].length;
+    const loud = (frame) => channels.some((samples) => Math.abs(samples[frame]) > threshold);
+    let start = 0;
+    while (start < frames && !loud(start)) {
+        start++;
+    }
+    if (start === frames) {
+        return { start: 0, end: frames };
+    }
+    let end = frames;
+    while (end > start && !loud(end - 1)) {
+        end--;
+    }
+    return { start, end };
+}
+
+/**
+ * Resample by linear interpolation
+ *
+ * Good enough for speech between the supported rates; there is no
+ * anti-aliasing filter, so content above the new Nyquist frequency folds back
+ * when downsampling.
+ */
+function resample(samples, fromRate, toRate) {
+    const length = Math.max(1, Math.round((samples.length * toRate) / fromRate));
+    const output = new Float32Array(samples.length === 0 ? 0 : length);
+    const ratio = fromRate / toRate;
+    for (let i = 0; i < output.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        output[i] = samples[Math.min(index, samples.length - 1)] * (1 - fraction) + samples[next] * fraction;
+    }
+    return output;
+}
+
+function scale(channels, gainDb) {
+    const gain = fromDb(gainDb);
+    return channels.map((samples) => samples.map((sample) => sample * gain));
+}
+
+/**
+ * Run the requested steps over 16-bit PCM
+ *
+ * `layout` is `{ sampleRate, channels }` of the input and `options` comes from
+ * normalizePostProcessOptions. Steps run in a fixed order: trim, normalize,
+ * resample, channel conversion, padding. Returns the processed PCM and its
+ * layout, the applied steps as reported in the result metrics, and
+ * `offsetShiftMs`, which moves word boundaries and bookmarks to the new timeline.
+ */
+export function postProcessPcm(pcm, layout, options) {
+    let channels = decodePcm(pcm, layout.channels);
+    let { sampleRate } = layout;
+    const steps = [];
+    let offsetShiftMs = 0;
+    const ms = (frames) => Math.round((frames / sampleRate) * 1000);
+
+    if (options.trimSilence) {
+        const { start, end } = silentEdges(channels, options.silenceThreshold);
+        const frames = channels[0].length;
+        channels = channels.map((samples) => samples.slice(start, end));
+        offsetShiftMs -= ms(start);
+        steps.push({ step: 'trim', leadingMs: ms(start), trailingMs: ms(frames - end), threshold: options.silenceThreshold });
+    }
+
+    if (options.normalize) {
+        const inputPeak = samplePeak(channels);
+        const inputLoudness = options.normalize === 'loudness' ? integratedLoudness(channels, sampleRate) : null;
+        let gainDb = 0;
+        let limited = false;
+        if (inputPeak !== null && (options.normalize === 'peak' || inputLoudness !== null)) {
+            gainDb = options.normalize === 'peak' ? options.targetPeak - inputPeak : options.targetLoudness - inputLoudness;
+            // Loudness gain never pushes the peaks above targetPeak
+            if (options.normalize === 'loudness' && inputPeak + gainDb > options.targetPeak) {
+                gainDb = options.targetPeak - inputPeak;
+                limited = true;
+            }
+            channels = scale(channels, gainDb);
+        }
+        const outputPeak = samplePeak(channels);
+        const outputLoudness = options.normalize === 'loudness' ? integratedLoudness(channels, sampleRate) : null;
+        steps.push({
+            step: 'normalize',
+            mode: options.normalize,
+            target: options.normalize === 'peak' ? options.targetPeak : options.targetLoudness,
+            gainDb: round(gainDb, 2),
+            inputPeak: inputPeak === null ? null : round(inputPeak),
+            outputPeak: outputPeak === null ? null : round(outputPeak),
+            ...(options.normalize === 'loudness' ? {
+                inputLoudness: inputLoudness === null ? null : round(inputLoudness),
+                outputLoudness: outputLoudness === null ? null : round(outputLoudness),
+                limited
+            } : {})
+        });
+    }
+
+    if (options.sampleRate && options.sampleRate !== sampleRate) {
+        channels = channels.map((samples) => resample(samples, sampleRate, options.sampleRate));
+        steps.push({ step: 'resample', from: sampleRate, to: options.sampleRate });
+        sampleRate = options.sampleRate;
+    }
+
+    if (options.channels && options.channels !== channels.length) {
+        const from = channels.length;
+        if (options.channels === 1) {
+            const mono = new Float32Array(channels[0].length);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] = channels.reduce((sum, samples) => sum + samples[i], 0) / channels.length;
+            }
+            channels = [mono];
+        } else {
+            channels = [channels[0], channels[0].slice()];
+        }
+        steps.push({ step: 'channels', from, to: options.channels });
+    }
+
+    const { leading, trailing } = options.padding;
+    if (leading > 0 || trailing > 0) {
+        const before = Math.round((leading / 1000) * sampleRate);
+        const after = Math.round((trailing / 1000) * sampleRate);
+        channels = channels.map((samples) => {
+            const padded = new Float32Array(before + samples.length + after);
+            padded.set(samples, before);
+            return padded;
+        });
+        offsetShiftMs += leading;
+        steps.push({ step: 'pad', leadingMs: leading, trailingMs: trailing });
+    }
+
+    return {
+        pcm: encodePcm(channels),
+        layout: { sampleRate, channels: channels.length, bitsPerSample: 16 },
+        steps,
+        offsetShiftMs
+    };
+}
+
+/**
+ * One-line summary of the applied steps for text responses
+ */
+export function describePostProcessing(steps) {
+    return steps.map((step) => {
+        switch (step.step) {
+        case 'trim':
+            return `trimmed ${step.leadingMs}ms/${step.trailingMs}ms of silence`;
+        case 'normalize':
+            return step.mode === 'loudness'
+                ? `loudness ${step.inputLoudness ?? 'silent'} → ${step.outputLoudness ?? 'silent'} LUFS (${step.gainDb >= 0 ? '+' : ''}${step.gainDb} dB${step.limited ? ', peak limited' : ''})`
+                : `peak ${step.inputPeak ?? 'silent'} → ${step.outputPeak ?? 'silent'} dBFS (${step.gainDb >= 0 ? '+' : ''}${step.gainDb} dB)`;
+        case 'resample':
+            return `resampled ${step.from} → ${step.to} Hz`;
+        case 'channels':
+            return step.to === 2 ? 'converted to stereo' : 'mixed down to mono';
+        case 'pad':
+            return `padded ${step.leadingMs}ms/${step.trailingMs}ms`;
+        default:
+            return step.step;
+        }
+    }).join(', ');
+}
@@ -0,0 +1,235 @@
+/**
+ * Resilience around the synthesis service
+ *
+ * Wraps a backend so every call is rate limited by a token bucket, bounded
+ * by a timeout, retried with jittered exponential backoff on transient
+ * errors, and short-circuited while a circuit breaker considers the service
+ * down. The wrapped object has the same interface as the backend.
+ */
+
+import { delay, withRetries } from './concurrency.mjs';
+import { ERROR_CODES, codedError, errorCode, isRetryable } from './errors.mjs';
+import { log } from './logging.mjs';
+
+// Azure Speech text-to-speech limits per pricing tier
+export const SERVICE_TIERS = {
+    F0: { capacity: 20, refillPerSecond: 20 / 60 }, // 20 transactions per 60 seconds
+    S0: { capacity: 200, refillPerSecond: 200 } // 200 transactions per second
+};
+
+// Failures that suggest the service itself is unreachable, not that the request was bad
+const OUTAGE_CODES = new Set([ERROR_CODES.NETWORK, ERROR_CODES.TIMEOUT]);
+
+/**
+ * Create a token bucket holding up to `capacity` tokens, refilled continuously
+ *
+ * `take()` resolves once a token is available; waiters are served in order.
+ */
+export function createTokenBucket({ capacity, refillPerSecond, now = Date.now }) {
+    let tokens = capacity;
+    let refilledAt = now();
+    let queue = Promise.resolve();
+
+    function refill() {
+        const current = now();
+        tokens = Math.min(capacity, tokens + ((current - refilledAt) / 1000) * refillPerSecond);
+        refilledAt = current;
+    }
+
+    async function acquire(signal) {
+        refill();
+        while (tokens < 1) {
+            await delay(Math.ceil(((1 - tokens) / refillPerSecond) * 1000), signal);
+            refill();
+        }
+        tokens -= 1;
+    }
+
+    function take(signal) {
+        const turn = queue.then(() => acquire(signal));
+        queue = turn.catch(() => {});
+        return turn;
+    }
+
+    return {
+        take,
+        available() {
+            refill();
+            return Math.floor(tokens);
+        }
+    };
+}
+
+/**
+ * Create a circuit breaker
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * `check()` throws a service_unavailable error for `cooldownMs`. Then one
+ * trial call is let through: success closes the circuit, failure reopens it.
+ */
+export function createCircuitBreaker({ name = 'service', failureThreshold = 5, cooldownMs = 30000, now = Date.now }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let lastError = null;
+    let trialInFlight = false;
+
+    function check() {
+        if (state === 'open' && now() - openedAt >= cooldownMs) {
+            state = 'half-open';
+        }
+        if (state === 'open' || (state === 'half-open' && trialInFlight)) {
+            const retryInSeconds = Math.max(1, Math.ceil((openedAt + cooldownMs - now()) / 1000));
+            throw codedError(
+                ERROR_CODES.SERVICE_UNAVAILABLE,
+                `The ${name} speech service looks unavailable after ${failures} consecutive failures (last: ${lastError}). `
+                + `Not calling it for ${retryInSeconds}s; try again later.`
+            );
+        }
+        if (state === 'half-open') {
+            trialInFlight = true;
+        }
+    }
+
+    function success() {
+        state = 'closed';
+        failures = 0;
+        trialInFlight = false;
+    }
+
+    function failure(error) {
+        failures++;
+        lastError = error.message;
+        trialInFlight = false;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            if (state !== 'open') {
+                log.warn('Circuit breaker opened', { backend: name, failures, error: error.message });
+            }
+            state = 'open';
+            openedAt = now();
+        }
+    }
+
+    return {
+        check,
+        success,
+        failure,
+        get state() {
+            return state;
+        },
+        get failures() {
+            return failures;
+        }
+    };
+}
+
+/**
+ * Run `fn(signal)`, rejecting with a timeout error after `timeoutMs`
+ *
+ * The signal is aborted on timeout (or when `parentSignal` aborts) so the
+ * call can release its connection.
+ */
+export async function withTimeout(fn, timeoutMs, { label = 'Request', parentSignal } = {}) {
+    const controller = new AbortController();
+    const signal = parentSignal ? AbortSignal.any([controller.signal, parentSignal]) : controller.signal;
+    let timer;
+
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = codedError(ERROR_CODES.TIMEOUT, `${label} timed out after ${timeoutMs}ms`);
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+
+    try {
+        return await Promise.race([fn(signal), timedOut]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Wrap a backend with rate limiting, timeouts, retries and a circuit breaker
+ *
+ * `rateLimit` is `{ capacity, refillPerSecond }` (see SERVICE_TIERS) or null
+ * for no limit. Requests may carry a `signal` to abandon waits and retries.
+ */
+export function createResilientBackend(backend, {
+    timeoutMs = 30000,
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    rateLimit = null,
+    failureThreshold = 5,
+    cooldownMs = 30000
+} = {}) {
+    const limiter = rateLimit ? createTokenBucket(rateLimit) : null;
+    const breaker = createCircuitBreaker({ name: backend.name, failureThreshold, cooldownMs });
+
+    async function call(label, fn, signal, shouldRetry = isRetryable) {
+        const { value } = await withRetries(async () => {
+            // Wait for the limiter first: a half-open trial must end in
+            // success() or failure(), which an abandoned wait never reaches
+            if (limiter) {
+                await limiter.take(signal);
+            }
+            breaker.check();
+            try {
+                const result = await withTimeout(fn, timeoutMs, { label, parentSignal: signal });
+                breaker.success();
+                return result;
+            } catch (error) {
+                if (OUTAGE_CODES.has(errorCode(error))) {
+                    breaker.failure(error);
+                } else {
+                    // Any other answer means the service is reachable
+                    breaker.success();
+                }
+                throw error;
+            }
+        }, { retries, baseDelayMs, maxDelayMs, jitter: 0.5, shouldRetry, signal });
+        return value;
+    }
+
+    return {
+        name: backend.name,
+
+        listVoices() {
+            return call('Voice listing', (signal) => backend.listVoices({ signal }));
+        },
+
+        synthesize(request) {
+            if (!request.onAudio) {
+                return call('Speech synthesis', (signal) => backend.synthesize({ ...request, signal }), request.signal);
+            }
+            // Streamed audio cannot be taken back, so a request is only retried before any arrived
+            let streamed = false;
+            const onAudio = (chunk) => {
+                streamed = true;
+                request.onAudio(chunk);
+            };
+            return call(
+                'Speech synthesis',
+                (signal) => backend.synthesize({ ...request, onAudio, signal }),
+                request.signal,
+                (error) => !streamed && isRetryable(error)
+            );
+        },
+
+        transcribe(request) {
+            if (!backend.transcribe) {
+                return Promise.reject(codedError(ERROR_CODES.INVALID_REQUEST, `The ${backend.name} backend cannot transcribe audio`));
+            }
+            return call('Speech recognition', (signal) => backend.transcribe({ ...request, signal }), request.signal);
+        },
+
+        stats() {
+            return {
+                circuit: breaker.state,
+                consecutiveFailures: breaker.failures,
+                tokensAvailable: limiter ? limiter.available() : null
+            };
+        }
+    };
+}
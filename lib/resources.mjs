@@ -0,0 +1,89 @@
+/**
+ * Generated audio as MCP resources
+ *
+ * Files in the output directory are exposed under `tts://audio/<filename>` so
+ * clients without access to the server's filesystem can list and download
+ * them through `resources/list` and `resources/read`.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname } from 'path';
+import { OUTPUT_FORMATS } from './formats.mjs';
+import { OUTPUT_PATH_PATTERN, listOutputFiles, resolveOutputFile } from './outputs.mjs';
+
+export const AUDIO_URI_PREFIX = 'tts://audio/';
+
+/**
+ * MIME type for an audio file extension
+ *
+ * Extensions shared by formats with different parameters (raw PCM at several
+ * sample rates) fall back to the bare media type.
+ */
+export function mimeTypeForExtension(extension) {
+    const mimeTypes = new Set(Object.values(OUTPUT_FORMATS)
+        .filter((format) => format.extension === extension)
+        .map((format) => format.mimeType));
+    if (mimeTypes.size === 0) {
+        return null;
+    }
+    const [first] = mimeTypes;
+    return mimeTypes.size === 1 ? first : first.split(';')[0];
+}
+
+/**
+ * Create the resource view of an audio output directory
+ */
+export function createAudioResources({ dir }) {
+    function uriFor(filename) {
+        return `${AUDIO_URI_PREFIX}${filename.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    /**
+     * Resolve a resource URI to a file in the output directory
+     */
+    function pathFor(uri) {
+        if (!uri.startsWith(AUDIO_URI_PREFIX)) {
+            throw new Error(`Unknown resource: ${uri}`);
+        }
+        const filename = decodeURIComponent(uri.slice(AUDIO_URI_PREFIX.length));
+        // Never let a URI reach outside the output directory
+        if (!OUTPUT_PATH_PATTERN.test(filename)) {
+            throw new Error(`Invalid audio resource name: ${filename}`);
+        }
+        const { path } = resolveOutputFile(dir, filename, 'resource');
+        if (!existsSync(path) || !mimeTypeForExtension(extname(filename).slice(1))) {
+            throw new Error(`Audio resource not found: ${uri}`);
+        }
+        return path;
+    }
+
+    /**
+     * List generated audio files, including those in subdirectories, newest first
+     */
+    function list() {
+        return listOutputFiles(dir)
+            .map((file) => ({ ...file, mimeType: mimeTypeForExtension(extname(file.name).slice(1)) }))
+            .filter(({ mimeType }) => mimeType)
+            .sort((a, b) => b.mtimeMs - a.mtimeMs)
+            .map(({ name, mimeType, size, mtimeMs }) => ({
+                uri: uriFor(name),
+                name,
+                mimeType,
+                description: `${size} bytes, created ${new Date(mtimeMs).toISOString()}`
+            }));
+    }
+
+    /**
+     * Read a resource as base64 blob contents
+     */
+    function read(uri) {
+        const path = pathFor(uri);
+        return {
+            uri,
+            mimeType: mimeTypeForExtension(extname(path).slice(1)),
+            blob: readFileSync(path).toString('base64')
+        };
+    }
+
+    return { uriFor, list, read, dir };
+}
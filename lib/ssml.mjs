@@ -0,0 +1,394 @@
+/**
+ * SSML generation and validation
+ *
+ * Builds SSML documents from plain text plus prosody/style/pause options, and
+ * validates caller-supplied SSML against the subset of elements the server is
+ * willing to forward to the synthesis service.
+ */
+
+import { findPronunciations } from './lexicon.mjs';
+
+const SSML_NAMESPACE = 'http://www.w3.org/2001/10/synthesis';
+const MSTTS_NAMESPACE = 'https://www.w3.org/2001/mstts';
+
+// Elements accepted in raw SSML input. Elements that make the service fetch
+// external resources (audio, lexicon) are deliberately not allowed.
+export const ALLOWED_SSML_ELEMENTS = [
+    'speak',
+    'voice',
+    'prosody',
+    'break',
+    'emphasis',
+    'say-as',
+    'sub',
+    'phoneme',
+    'lang',
+    'p',
+    's',
+    'bookmark',
+    'mstts:express-as',
+    'mstts:silence'
+];
+
+const RATE_KEYWORDS = ['x-slow', 'slow', 'medium', 'fast', 'x-fast', 'default'];
+const PITCH_KEYWORDS = ['x-low', 'low', 'medium', 'high', 'x-high', 'default'];
+const VOLUME_KEYWORDS = ['silent', 'x-soft', 'soft', 'medium', 'loud', 'x-loud', 'default'];
+
+const MAX_PAUSE_MS = 5000;
+
+// Inline markers accepted in plain text, e.g. "Wait [pause:750] now" or
+// "This is [emphasis]important[/emphasis]"
+const MARKER_PATTERN = /\[pause(?::(\d+))?\]|\[(\/?)emphasis\]/g;
+const DEFAULT_INLINE_PAUSE_MS = 500;
+
+const XML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+export function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+}
+
+/**
+ * Code point of a numeric character reference body such as "#x41" or "#65"
+ */
+function referencedCodePoint(entity) {
+    return entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+}
+
+/**
+ * Whether a code point is a character XML documents may contain
+ */
+function isXmlChar(codePoint) {
+    return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD
+        || (codePoint >= 0x20 && codePoint <= 0xD7FF)
+        || (codePoint >= 0xE000 && codePoint <= 0xFFFD)
+        || (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+}
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ *
+ * References to characters XML does not allow are left as they are.
+ */
+function unescapeXml(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = referencedCodePoint(entity);
+            return isXmlChar(codePoint) ? String.fromCodePoint(codePoint) : match;
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+    });
+}
+
+function isPercentOrNumber(value, units) {
+    const unitPattern = units.map((unit) => unit.replace('%', '\\%')).join('|');
+    return new RegExp(`^[+-]?\\d+(\\.\\d+)?(${unitPattern})$`).test(value);
+}
+
+function validatePause(name, value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_PAUSE_MS) {
+        throw new Error(`Invalid "${name}" pause: must be an integer between 0 and ${MAX_PAUSE_MS} milliseconds`);
+    }
+}
+
+/**
+ * Validate and normalize prosody/style/pause options
+ *
+ * Throws an Error naming the offending option so tool callers get a precise
+ * message instead of an opaque service failure.
+ */
+export function normalizeSpeechOptions(options = {}) {
+    const normalized = {};
+    const { rate, pitch, volume, style, styleDegree, pauses } = options;
+
+    if (rate !== undefined && rate !== null) {
+        const value = String(rate).trim();
+        if (!RATE_KEYWORDS.includes(value) && !isPercentOrNumber(value, ['%']) && !/^\d+(\.\d+)?$/.test(value)) {
+            throw new Error(`Invalid "rate": ${rate}. Use a relative value like "+10%", a multiplier like "1.2", or one of: ${RATE_KEYWORDS.join(', ')}`);
+        }
+        normalized.rate = value;
+    }
+
+    if (pitch !== undefined && pitch !== null) {
+        const value = String(pitch).trim();
+        if (!PITCH_KEYWORDS.includes(value) && !isPercentOrNumber(value, ['%', 'Hz', 'st'])) {
+            throw new Error(`Invalid "pitch": ${pitch}. Use a relative value like "+5%", "-2st" or "+50Hz", or one of: ${PITCH_KEYWORDS.join(', ')}`);
+        }
+        normalized.pitch = value;
+    }
+
+    if (volume !== undefined && volume !== null) {
+        const value = String(volume).trim();
+        const absolute = /^\d+(\.\d+)?$/.test(value) && Number(value) <= 100;
+        if (!VOLUME_KEYWORDS.includes(value) && !isPercentOrNumber(value, ['%']) && !absolute) {
+            throw new Error(`Invalid "volume": ${volume}. Use a relative value like "+20%", an absolute value 0-100, or one of: ${VOLUME_KEYWORDS.join(', ')}`);
+        }
+        normalized.volume = value;
+    }
+
+    if (style !== undefined && style !== null) {
+        if (typeof style !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(style)) {
+            throw new Error(`Invalid "style": ${style}. Use a speaking style name such as "cheerful" or "newscast"`);
+        }
+        normalized.style = style;
+    }
+
+    if (styleDegree !== undefined && styleDegree !== null) {
+        if (typeof styleDegree !== 'number' || styleDegree < 0.01 || styleDegree > 2) {
+            throw new Error('Invalid "styleDegree": must be a number between 0.01 and 2');
+        }
+        if (!normalized.style) {
+            throw new Error('"styleDegree" requires "style" to be set');
+        }
+        normalized.styleDegree = styleDegree;
+    }
+
+    if (pauses !== undefined && pauses !== null) {
+        if (typeof pauses !== 'object' || Array.isArray(pauses)) {
+            throw new Error('Invalid "pauses": expected an object with leading, trailing, sentence or comma milliseconds');
+        }
+        normalized.pauses = {};
+        for (const [name, value] of Object.entries(pauses)) {
+            if (!['leading', 'trailing', 'sentence', 'comma'].includes(name)) {
+                throw new Error(`Unknown pause option: ${name}. Supported: leading, trailing, sentence, comma`);
+            }
+            validatePause(name, value);
+            normalized.pauses[name] = value;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Escape plain text, wrapping lexicon terms in <sub> or <phoneme>
+ */
+function applyPronunciations(text, pronunciations) {
+    let content = '';
+    let lastIndex = 0;
+
+    for (const { index, length, entry } of findPronunciations(text, pronunciations)) {
+        const term = escapeXml(text.slice(index, index + length));
+        content += escapeXml(text.slice(lastIndex, index));
+        content += entry.alias !== undefined
+            ? `<sub alias="${escapeXml(entry.alias)}">${term}</sub>`
+            : `<phoneme alphabet="${escapeXml(entry.alphabet)}" ph="${escapeXml(entry.phoneme)}">${term}</phoneme>`;
+        lastIndex = index + length;
+    }
+
+    return content + escapeXml(text.slice(lastIndex));
+}
+
+/**
+ * Escape plain text and turn inline markers into SSML
+ *
+ * [pause] / [pause:ms] become breaks and [emphasis]...[/emphasis] an
+ * <emphasis> element. Unbalanced emphasis markers are dropped or closed at
+ * the end, since chunking may split a pair. `wrap` is applied to each run of
+ * text between markers.
+ */
+function textToSsmlContent(text, pronunciations, wrap = (content) => content) {
+    let content = '';
+    let lastIndex = 0;
+    let emphasized = false;
+    const run = (part) => {
+        // Surrounding whitespace stays outside the wrapper
+        const [, before, inner, after] = part.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return inner ? `${before}${wrap(applyPronunciations(inner, pronunciations))}${after}` : escapeXml(part);
+    };
+
+    for (const match of text.matchAll(MARKER_PATTERN)) {
+        content += run(text.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+        if (match[2] === undefined) {
+            const pauseMs = match[1] !== undefined ? Number(match[1]) : DEFAULT_INLINE_PAUSE_MS;
+            validatePause('inline', pauseMs);
+            content += `<break time="${pauseMs}ms"/>`;
+        } else if ((match[2] === '') !== emphasized) {
+            content += emphasized ? '</emphasis>' : '<emphasis level="moderate">';
+            emphasized = !emphasized;
+        }
+    }
+
+    return content + run(text.slice(lastIndex)) + (emphasized ? '</emphasis>' : '');
+}
+
+/**
+ * Remove inline pause and emphasis markers, leaving the text that is actually spoken
+ */
+export function stripMarkers(text) {
+    return text.replace(MARKER_PATTERN, ' ').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Create SSML for speech synthesis
+ *
+ * `options.pronunciations` holds lexicon entries to apply to the text.
+ * `options.segments` optionally splits the text into `{ text, language }`
+ * runs; runs in another language are wrapped in <lang> for multilingual
+ * voices (breaks stay outside, since <lang> may not contain them).
+ */
+export function createSSML(text, voice, language, options = {}) {
+    const { rate, pitch, volume, style, styleDegree, pauses = {}, pronunciations = [], segments } = options;
+    let body = segments
+        ? segments.map((segment) => (
+            segment.language && segment.language !== language
+                ? textToSsmlContent(segment.text, pronunciations, (content) => `<lang xml:lang="${escapeXml(segment.language)}">${content}</lang>`)
+                : textToSsmlContent(segment.text, pronunciations)
+        )).join(' ')
+        : textToSsmlContent(text, pronunciations);
+
+    const prosodyAttributes = [
+        rate !== undefined ? `rate="${escapeXml(rate)}"` : null,
+        pitch !== undefined ? `pitch="${escapeXml(pitch)}"` : null,
+        volume !== undefined ? `volume="${escapeXml(volume)}"` : null
+    ].filter(Boolean);
+
+    if (prosodyAttributes.length > 0) {
+        body = `<prosody ${prosodyAttributes.join(' ')}>${body}</prosody>`;
+    }
+
+    if (style) {
+        const degree = styleDegree !== undefined ? ` styledegree="${styleDegree}"` : '';
+        body = `<mstts:express-as style="${escapeXml(style)}"${degree}>${body}</mstts:express-as>`;
+    }
+
+    const silenceTypes = {
+        leading: 'Leading-exact',
+        trailing: 'Tailing-exact',
+        sentence: 'Sentenceboundary-exact',
+        comma: 'Comma-exact'
+    };
+    const silences = Object.entries(pauses)
+        .map(([name, ms]) => `<mstts:silence type="${silenceTypes[name]}" value="${ms}ms"/>`)
+        .join('');
+
+    return `<speak version="1.0" xmlns="${SSML_NAMESPACE}" xmlns:mstts="${MSTTS_NAMESPACE}" xml:lang="${escapeXml(language)}">`
+        + `<voice name="${escapeXml(voice)}">${silences}${body}</voice>`
+        + '</speak>';
+}
+
+/**
+ * Validate caller-supplied SSML
+ *
+ * Checks that the document has a single <speak> root, that every tag is
+ * balanced and in ALLOWED_SSML_ELEMENTS, and that no comments, DOCTYPEs,
+ * unknown entities or references to characters XML does not allow are
+ * present. Returns the list of voice names referenced.
+ */
+export function validateSSML(ssml) {
+    if (typeof ssml !== 'string' || ssml.trim().length === 0) {
+        throw new Error('Invalid SSML: document is empty');
+    }
+
+    const source = ssml.trim().replace(/^<\?xml[^?]*\?>\s*/, '');
+    if (/<!--|<!\[CDATA\[|<!DOCTYPE|<\?/i.test(source)) {
+        throw new Error('Invalid SSML: comments, CDATA, DOCTYPE and processing instructions are not allowed');
+    }
+
+    const badEntity = source.match(/&(?!(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);)/);
+    if (badEntity) {
+        throw new Error(`Invalid SSML: unescaped "&" at position ${badEntity.index}`);
+    }
+    for (const reference of source.matchAll(/&(#x[0-9a-fA-F]+|#\d+);/g)) {
+        if (!isXmlChar(referencedCodePoint(reference[1]))) {
+            throw new Error(`Invalid SSML: "${reference[0]}" at position ${reference.index} does not refer to a valid XML character`);
+        }
+    }
+
+    const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const stack = [];
+    const voices = [];
+    let lastIndex = 0;
+    let rootClosed = false;
+
+    for (const match of source.matchAll(tagPattern)) {
+        const [tag, closing, name, attributes, selfClosing] = match;
+        const between = source.slice(lastIndex, match.index);
+        lastIndex = match.index + tag.length;
+
+        if (between.includes('<') || between.includes('>')) {
+            throw new Error(`Invalid SSML: malformed markup near position ${lastIndex - tag.length}`);
+        }
+        if (stack.length === 0 && between.trim().length > 0) {
+            throw new Error('Invalid SSML: text outside the <speak> element');
+        }
+        if (rootClosed) {
+            throw new Error('Invalid SSML: content after the closing </speak> tag');
+        }
+        if (!ALLOWED_SSML_ELEMENTS.includes(name)) {
+            throw new Error(`Invalid SSML: element <${name}> is not allowed. Allowed elements: ${ALLOWED_SSML_ELEMENTS.join(', ')}`);
+        }
+        if (stack.length === 0 && name !== 'speak') {
+            throw new Error('Invalid SSML: root element must be <speak>');
+        }
+
+        if (closing) {
+            const open = stack.pop();
+            if (open !== name) {
+                throw new Error(`Invalid SSML: </${name}> does not match <${open || 'nothing'}>`);
+            }
+            if (stack.length === 0) {
+                rootClosed = true;
+            }
+            continue;
+        }
+
+        if (name === 'voice') {
+            const voiceName = attributes.match(/\bname\s*=\s*(?:"([^"]*)"|'([^']*)')/);
+            if (!voiceName) {
+                throw new Error('Invalid SSML: <voice> element requires a name attribute');
+            }
+            voices.push(unescapeXml(voiceName[1] ?? voiceName[2]));
+        }
+
+        if (!selfClosing) {
+            stack.push(name);
+        } else if (stack.length === 0) {
+            throw new Error('Invalid SSML: root <speak> element cannot be empty');
+        }
+    }
+
+    const trailing = source.slice(lastIndex);
+    if (trailing.includes('<') || trailing.includes('>')) {
+        throw new Error(`Invalid SSML: malformed markup near position ${lastIndex}`);
+    }
+    if (trailing.trim().length > 0 || !rootClosed || stack.length > 0) {
+        throw new Error('Invalid SSML: document must be a single, closed <speak> element');
+    }
+
+    return { voices };
+}
+
+/**
+ * Wrap the content of a <speak> document in a <voice> element if it has none
+ */
+export function ensureVoiceElement(ssml, voice) {
+    if (/<voice[\s>]/.test(ssml)) {
+        return ssml;
+    }
+    return ssml.replace(/(<speak[^>]*>)([\s\S]*)(<\/speak>)\s*$/, (match, open, content, close) => (
+        `${open}<voice name="${escapeXml(voice)}">${content}</voice>${close}`
+    ));
+}
+
+/**
+ * Extract the spoken text from an SSML document
+ */
+export function ssmlToText(ssml) {
+    const withoutSubstituted = ssml
+        // <sub alias="..."> is spoken as its alias
+        .replace(/<sub\b[^>]*\balias\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>[\s\S]*?<\/sub>/g, (match, a, b) => ` ${a ?? b} `);
+
+    return unescapeXml(withoutSubstituted.replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,190 @@
+/**
+ * Streaming synthesis output
+ *
+ * Writes audio to its file as the service delivers it. The file is valid
+ * after every chunk: only whole sample frames are written and a WAV header is
+ * rewritten with the current length, so a request cancelled part-way leaves
+ * a playable partial file. While a synthesis runs its chunks can also be
+ * followed live (the HTTP transport serves them at /audio/streams/<file>).
+ */
+
+import { closeSync, openSync, writeSync } from 'fs';
+import { isPcmFormat, pcmLayout } from './formats.mjs';
+import { createWavHeader, pcmDurationMs } from './wav.mjs';
+
+const WAV_HEADER_BYTES = 44;
+// Live WAV streams do not know their final length, so they claim the largest one
+const UNKNOWN_WAV_DATA_LENGTH = 0xFFFFFFFF - 36;
+const DEFAULT_RETAIN_MS = 60000;
+
+/**
+ * Drop a RIFF header from the first chunk of a stream, if it has one
+ *
+ * The header's data size is ignored, since streamed headers may not know it.
+ */
+function stripWavHeader(chunk) {
+    if (chunk.length < 12 || chunk.toString('ascii', 0, 4) !== 'RIFF' || chunk.toString('ascii', 8, 12) !== 'WAVE') {
+        return chunk;
+    }
+    let offset = 12;
+    while (offset + 8 <= chunk.length) {
+        if (chunk.toString('ascii', offset, offset + 4) === 'data') {
+            return chunk.subarray(offset + 8);
+        }
+        offset += 8 + chunk.readUInt32LE(offset + 4);
+    }
+    return Buffer.alloc(0);
+}
+
+/**
+ * Header to send before a live stream's chunks (WAV only)
+ */
+export function streamHeader(format) {
+    return format.container === 'riff' ? createWavHeader(UNKNOWN_WAV_DATA_LENGTH, pcmLayout(format)) : Buffer.alloc(0);
+}
+
+/**
+ * Open `path` for audio in `format` that arrives in chunks
+ *
+ * `write(chunk)` appends the audio and returns the bytes actually written
+ * (whole frames, without a RIFF header the service may have sent);
+ * `close()` returns `{ bytes, audioDuration }`, the duration being null for
+ * compressed formats.
+ */
+export function createStreamingAudioFile(path, format) {
+    const riff = format.container === 'riff';
+    const layout = isPcmFormat(format) ? pcmLayout(format) : null;
+    const frameBytes = layout ? layout.channels * (layout.bitsPerSample / 8) : 1;
+    const dataStart = riff ? WAV_HEADER_BYTES : 0;
+    const fd = openSync(path, 'w');
+    let bytes = 0;
+    let pending = Buffer.alloc(0);
+    let started = false;
+    let closed = false;
+
+    if (riff) {
+        writeSync(fd, createWavHeader(0, layout));
+    }
+
+    return {
+        write(chunk) {
+            if (closed) {
+                return Buffer.alloc(0);
+            }
+            const audio = !started && riff ? stripWavHeader(chunk) : chunk;
+            started = true;
+            const data = pending.length > 0 ? Buffer.concat([pending, audio]) : audio;
+            const whole = data.length - (data.length % frameBytes);
+            // Keep a split frame for the next chunk
+            pending = Buffer.from(data.subarray(whole));
+            if (whole === 0) {
+                return Buffer.alloc(0);
+            }
+
+            writeSync(fd, data, 0, whole, dataStart + bytes);
+            bytes += whole;
+            if (riff) {
+                writeSync(fd, createWavHeader(bytes, layout), 0, WAV_HEADER_BYTES, 0);
+            }
+            return data.subarray(0, whole);
+        },
+
+        close() {
+            if (!closed) {
+                closed = true;
+                closeSync(fd);
+            }
+            return {
+                bytes,
+                audioDuration: layout ? pcmDurationMs(bytes, layout) : null
+            };
+        },
+
+        get bytes() {
+            return bytes;
+        }
+    };
+}
+
+/**
+ * Registry of live audio streams that listeners can follow
+ *
+ * A finished stream stays available for `retainMs`, so a listener that
+ * connects late still receives the whole audio.
+ */
+export function createAudioStreams({ retainMs = DEFAULT_RETAIN_MS } = {}) {
+    const streams = new Map();
+    const describe = (stream) => ({ id: stream.id, mimeType: stream.mimeType, bytes: stream.bytes, done: stream.done, startedAt: stream.startedAt });
+
+    return {
+        /**
+         * Start stream `id`; returns `{ write(chunk), end() }`
+         */
+        open(id, format) {
+            const header = streamHeader(format);
+            const stream = {
+                id,
+                mimeType: format.mimeType,
+                chunks: header.length > 0 ? [header] : [],
+                bytes: header.length,
+                done: false,
+                startedAt: new Date().toISOString(),
+                listeners: new Set()
+            };
+            streams.set(id, stream);
+
+            return {
+                write(chunk) {
+                    if (stream.done || chunk.length === 0) {
+                        return;
+                    }
+                    stream.chunks.push(chunk);
+                    stream.bytes += chunk.length;
+                    stream.listeners.forEach((listener) => listener.onData(chunk));
+                },
+                end() {
+                    if (stream.done) {
+                        return;
+                    }
+                    stream.done = true;
+                    stream.listeners.forEach((listener) => listener.onEnd());
+                    stream.listeners.clear();
+                    setTimeout(() => {
+                        if (streams.get(id) === stream) {
+                            streams.delete(id);
+                        }
+                    }, retainMs).unref();
+                }
+            };
+        },
+
+        /**
+         * Follow stream `id`: `onData` gets every chunk so far and then each
+         * new one, `onEnd` is called once it finishes. Returns a function that
+         * stops following, or null for an unknown stream.
+         */
+        follow(id, { onData, onEnd }) {
+            const stream = streams.get(id);
+            if (!stream) {
+                return null;
+            }
+            stream.chunks.forEach((chunk) => onData(chunk));
+            if (stream.done) {
+                onEnd();
+                return () => {};
+            }
+            const listener = { onData, onEnd };
+            stream.listeners.add(listener);
+            return () => stream.listeners.delete(listener);
+        },
+
+        get(id) {
+            const stream = streams.get(id);
+            return stream ? describe(stream) : null;
+        },
+
+        list() {
+            return Array.from(streams.values(), describe);
+        }
+    };
+}
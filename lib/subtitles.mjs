@@ -0,0 +1,118 @@
+/**
+ * Subtitle and timing export
+ *
+ * Turns the word-boundary, viseme and bookmark events collected during
+ * synthesis into WebVTT or SRT captions and a JSON timing sidecar for lip
+ * sync. All offsets and durations are in milliseconds.
+ */
+
+export const TIMING_FORMATS = ['vtt', 'srt', 'json'];
+
+// File name suffix for each timing format, appended to the audio file's base name
+export const TIMING_EXTENSIONS = {
+    vtt: 'vtt',
+    srt: 'srt',
+    json: 'timings.json'
+};
+
+const MAX_CUE_CHARACTERS = 42;
+const MAX_CUE_DURATION_MS = 6000;
+const MAX_CUE_GAP_MS = 1500;
+
+const PUNCTUATION_PATTERN = /^[\p{P}\p{S}]+$/u;
+const SENTENCE_END_PATTERN = /[.!?…。！？]["'”’»)\]]*$/u;
+
+/**
+ * Group word boundaries into caption cues
+ *
+ * A cue ends at a sentence boundary, before a long silence, or when it
+ * would grow past MAX_CUE_CHARACTERS or MAX_CUE_DURATION_MS. Punctuation
+ * boundaries attach to the preceding word.
+ */
+export function buildCues(wordBoundaries) {
+    const cues = [];
+    let current = null;
+
+    for (const word of wordBoundaries) {
+        const end = word.offset + word.duration;
+
+        if (PUNCTUATION_PATTERN.test(word.text)) {
+            if (current) {
+                current.text += word.text;
+                current.end = Math.max(current.end, end);
+            }
+            continue;
+        }
+
+        const startsNewCue = !current
+            || SENTENCE_END_PATTERN.test(current.text)
+            || word.offset - current.end > MAX_CUE_GAP_MS
+            || current.text.length + 1 + word.text.length > MAX_CUE_CHARACTERS
+            || end - current.start > MAX_CUE_DURATION_MS;
+
+        if (startsNewCue) {
+            current = { start: word.offset, end, text: word.text };
+            cues.push(current);
+        } else {
+            current.text += ` ${word.text}`;
+            current.end = end;
+        }
+    }
+
+    return cues;
+}
+
+/**
+ * Format milliseconds as HH:MM:SS.mmm (SRT uses a comma before the milliseconds)
+ */
+export function formatTimestamp(ms, separator = '.') {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Render cues as a WebVTT document
+ */
+export function toWebVTT(cues) {
+    const blocks = cues.map((cue) => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`);
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Render cues as a SubRip (SRT) document
+ */
+export function toSRT(cues) {
+    const blocks = cues.map((cue, index) => (
+        `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`
+    ));
+    return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Render synthesis timing in one of TIMING_FORMATS
+ *
+ * `timing` holds `{ audioFile, audioDuration, wordBoundaries, visemes, bookmarks }`.
+ */
+export function renderTiming(format, timing) {
+    switch (format) {
+    case 'vtt':
+        return toWebVTT(buildCues(timing.wordBoundaries));
+    case 'srt':
+        return toSRT(buildCues(timing.wordBoundaries));
+    case 'json':
+        return `${JSON.stringify({
+            audioFile: timing.audioFile,
+            audioDuration: timing.audioDuration,
+            words: timing.wordBoundaries,
+            visemes: timing.visemes,
+            bookmarks: timing.bookmarks
+        }, null, 2)}\n`;
+    default:
+        throw new Error(`Unsupported timing format: ${format}. Supported formats: ${TIMING_FORMATS.join(', ')}`);
+    }
+}
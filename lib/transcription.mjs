@@ -0,0 +1,75 @@
+/**
+ * Transcript comparison
+ *
+ * Word error rate between the text we asked for and what a recognizer heard
+ * in the synthesized audio: (substitutions + deletions + insertions) divided
+ * by the number of reference words, from a minimum edit alignment.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into lowercase words, ignoring punctuation and inline markers
+ */
+export function normalizeWords(text) {
+    return Array.from(text.normalize('NFC').toLowerCase().replace(/\[pause(?::\d+)?\]|\[\/?emphasis\]/g, ' ').matchAll(WORD_PATTERN), (match) => match[0].replace(/’/g, '\''));
+}
+
+/**
+ * Compare a hypothesis transcript with the reference text
+ *
+ * Returns `{ wer, substitutions, deletions, insertions, referenceWords,
+ * hypothesisWords, errors }` where `errors` lists the differing words as
+ * `{ type, expected, heard }`. An empty reference has a rate of 0 when
+ * nothing was heard and 1 otherwise.
+ */
+export function wordErrorRate(reference, hypothesis) {
+    const expected = normalizeWords(reference);
+    const heard = normalizeWords(hypothesis);
+
+    // distances[i][j]: edits turning the first i expected words into the first j heard words
+    const distances = Array.from({ length: expected.length + 1 }, (_, i) => (
+        Array.from({ length: heard.length + 1 }, (__, j) => (i === 0 ? j : j === 0 ? i : 0))
+    ));
+    for (let i = 1; i <= expected.length; i++) {
+        for (let j = 1; j <= heard.length; j++) {
+            distances[i][j] = Math.min(
+                distances[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1),
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1
+            );
+        }
+    }
+
+    // Walk back through the table to classify the edits
+    const errors = [];
+    let i = expected.length;
+    let j = heard.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && distances[i][j] === distances[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1)) {
+            if (expected[i - 1] !== heard[j - 1]) {
+                errors.unshift({ type: 'substitution', expected: expected[i - 1], heard: heard[j - 1] });
+            }
+            i--;
+            j--;
+        } else if (i > 0 && distances[i][j] === distances[i - 1][j] + 1) {
+            errors.unshift({ type: 'deletion', expected: expected[i - 1], heard: null });
+            i--;
+        } else {
+            errors.unshift({ type: 'insertion', expected: null, heard: heard[j - 1] });
+            j--;
+        }
+    }
+
+    const count = (type) => errors.filter((error) => error.type === type).length;
+    const edits = distances[expected.length][heard.length];
+    return {
+        wer: expected.length > 0 ? Math.round((edits / expected.length) * 1000) / 1000 : (heard.length > 0 ? 1 : 0),
+        substitutions: count('substitution'),
+        deletions: count('deletion'),
+        insertions: count('insertion'),
+        referenceWords: expected.length,
+        hypothesisWords: heard.length,
+        errors
+    };
+}
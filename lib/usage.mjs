@@ -0,0 +1,296 @@
+/**
+ * Usage ledger
+ *
+ * Counts synthesis requests per UTC day and client in a JSON file, so usage
+ * survives restarts and can be compared with the subscription's monthly
+ * allowance. Characters sent to the service are billable; cache hits are
+ * counted but free. Daily and monthly character budgets reject requests that
+ * would go over them before anything is sent; the characters of requests
+ * still in progress are reserved, so concurrent requests cannot overshoot
+ * a budget together. Counts are kept in memory and written to the file a
+ * few seconds after they change and on flush().
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { ERROR_CODES, codedError } from './errors.mjs';
+import { log } from './logging.mjs';
+
+// The F0 (free) tier includes 0.5 million neural voice characters per month
+export const FREE_TIER_MONTHLY_CHARACTERS = 500000;
+
+const LEDGER_VERSION = 1;
+const KEEP_DAYS = 400;
+// How long changed counts wait in memory before the file is rewritten
+const SAVE_DELAY_MS = 5000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pricing tier of a voice: "hd", "neural" or "standard"
+ */
+export function voiceTier(voice) {
+    if (/:DragonHD/i.test(voice)) {
+        return 'hd';
+    }
+    return /Neural/.test(voice) ? 'neural' : 'standard';
+}
+
+function emptyStats() {
+    return { requests: 0, failures: 0, rejected: 0, cacheHits: 0, characters: 0, billableCharacters: 0, audioSeconds: 0, tiers: {} };
+}
+
+function addStats(target, stats) {
+    for (const key of ['requests', 'failures', 'rejected', 'cacheHits', 'characters', 'billableCharacters']) {
+        target[key] += stats[key];
+    }
+    target.audioSeconds = Math.round((target.audioSeconds + stats.audioSeconds) * 1000) / 1000;
+    for (const [tier, characters] of Object.entries(stats.tiers)) {
+        target.tiers[tier] = (target.tiers[tier] || 0) + characters;
+    }
+    return target;
+}
+
+/**
+ * Validate a YYYY-MM-DD date argument
+ */
+export function normalizeUsageDate(value, label) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        throw new Error(`Invalid "${label}": expected a date like 2025-01-31`);
+    }
+    return value;
+}
+
+/**
+ * Create the ledger stored in `file`
+ *
+ * `dailyCharacters` and `monthlyCharacters` are budgets of billable
+ * characters over all clients (0 for none).
+ */
+export function createUsageLedger({ file, dailyCharacters = 0, monthlyCharacters = 0, saveDelayMs = SAVE_DELAY_MS, now = Date.now }) {
+    // days[date][client] = stats
+    let days = {};
+    // Pending write of counts that changed since the file was last written
+    let saveTimer = null;
+    // Characters of requests that passed the budget check and are not recorded yet
+    const reservations = new Set();
+
+    function today() {
+        return new Date(now()).toISOString().slice(0, 10);
+    }
+
+    function load() {
+        if (file && existsSync(file)) {
+            try {
+                const data = JSON.parse(readFileSync(file, 'utf8'));
+                days = data && data.days && typeof data.days === 'object' ? data.days : {};
+            } catch (error) {
+                throw new Error(`Invalid usage ledger ${file}: ${error.message}`);
+            }
+        }
+        return ledger;
+    }
+
+    function save() {
+        const cutoff = new Date(now() - KEEP_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        days = Object.fromEntries(Object.entries(days).filter(([date]) => date >= cutoff));
+        // Write then rename so a crash never leaves a truncated ledger
+        mkdirSync(dirname(file), { recursive: true });
+        const temporaryPath = `${file}.${process.pid}.tmp`;
+        writeFileSync(temporaryPath, JSON.stringify({ version: LEDGER_VERSION, days }, null, 2));
+        renameSync(temporaryPath, file);
+    }
+
+    /**
+     * Write counts that only changed in memory
+     *
+     * Saving problems are logged, never thrown, so accounting cannot fail a
+     * synthesis.
+     */
+    function flush() {
+        if (saveTimer === null) {
+            return;
+        }
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        try {
+            save();
+        } catch (error) {
+            log.warn('Could not save usage ledger', { file, error: error.message });
+        }
+    }
+
+    function scheduleSave() {
+        if (saveTimer === null) {
+            saveTimer = setTimeout(flush, saveDelayMs);
+            // Pending counts are written on exit; they need not keep the process alive
+            saveTimer.unref();
+        }
+    }
+
+    /**
+     * Billable and reserved characters today and this month, over all clients
+     */
+    function used() {
+        const date = today();
+        const month = date.slice(0, 7);
+        let day = 0;
+        let monthTotal = 0;
+        const count = (entryDate, characters) => {
+            if (!entryDate.startsWith(month)) {
+                return;
+            }
+            monthTotal += characters;
+            if (entryDate === date) {
+                day += characters;
+            }
+        };
+        for (const [entryDate, clients] of Object.entries(days)) {
+            count(entryDate, Object.values(clients).reduce((sum, stats) => sum + stats.billableCharacters, 0));
+        }
+        reservations.forEach((reservation) => count(reservation.date, reservation.characters));
+        return { day, month: monthTotal };
+    }
+
+    /**
+     * Budget state as `{ daily, monthly }`, each `{ limit, used, remaining, resetsAt }`
+     * (limit and remaining are null without a budget). `used` includes the
+     * characters reserved by requests in progress.
+     */
+    function budgets() {
+        const current = new Date(now());
+        const nextDay = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate() + 1));
+        const nextMonth = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1));
+        const usage = used();
+        const budget = (limit, spent, resetsAt) => ({
+            limit: limit || null,
+            used: spent,
+            remaining: limit ? Math.max(0, limit - spent) : null,
+            resetsAt: resetsAt.toISOString()
+        });
+        return {
+            daily: budget(dailyCharacters, usage.day, nextDay),
+            monthly: budget(monthlyCharacters, usage.month, nextMonth)
+        };
+    }
+
+    /**
+     * Throw a budget_exceeded error if `characters` more would go over a budget
+     */
+    function checkBudget(characters) {
+        const { daily, monthly } = budgets();
+        for (const [name, budget] of [['Daily', daily], ['Monthly', monthly]]) {
+            if (budget.limit !== null && budget.used + characters > budget.limit) {
+                throw codedError(
+                    ERROR_CODES.BUDGET_EXCEEDED,
+                    `${name} character budget exceeded: ${budget.used} of ${budget.limit} used, this request needs ${characters}. The budget resets at ${budget.resetsAt}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Check the budgets for `characters` more and hold them until `release()`
+     *
+     * Returns `{ release() }`; call it once the request has been recorded,
+     * whatever its outcome. Throws like checkBudget.
+     */
+    function reserve(characters) {
+        checkBudget(characters);
+        const reservation = { date: today(), characters };
+        reservations.add(reservation);
+        return {
+            release() {
+                reservations.delete(reservation);
+            }
+        };
+    }
+
+    /**
+     * Count one synthesis request
+     *
+     * `outcome` is "success", "cached", "failure" or "rejected"; only
+     * successful requests are billable.
+     */
+    function record({ client = 'unknown', voice, characters, audioMs = 0, outcome }) {
+        const date = today();
+        const stats = emptyStats();
+        stats.requests = 1;
+        stats.characters = characters;
+        if (outcome === 'success') {
+            stats.billableCharacters = characters;
+            stats.audioSeconds = audioMs / 1000;
+            stats.tiers[voiceTier(voice)] = characters;
+        } else if (outcome === 'cached') {
+            stats.cacheHits = 1;
+            stats.audioSeconds = audioMs / 1000;
+        } else if (outcome === 'failure') {
+            stats.failures = 1;
+        } else if (outcome === 'rejected') {
+            stats.rejected = 1;
+        }
+
+        days[date] = days[date] || {};
+        days[date][client] = addStats(days[date][client] || emptyStats(), stats);
+        scheduleSave();
+    }
+
+    /**
+     * Aggregate usage between `from` and `to` (inclusive dates, default: this
+     * month so far), optionally for one client
+     *
+     * Returns `{ from, to, totals, days, clients }` where `days` and `clients`
+     * list the stats per date and per client.
+     */
+    function summarize({ from = null, to = null, client = null } = {}) {
+        const end = to || today();
+        const start = from || `${today().slice(0, 7)}-01`;
+        if (start > end) {
+            throw new Error(`Invalid usage range: "from" (${start}) is after "to" (${end})`);
+        }
+
+        const totals = emptyStats();
+        const byClient = {};
+        const byDay = [];
+        for (const date of Object.keys(days).sort()) {
+            if (date < start || date > end) {
+                continue;
+            }
+            const dayStats = emptyStats();
+            for (const [name, stats] of Object.entries(days[date])) {
+                if (client && name !== client) {
+                    continue;
+                }
+                addStats(dayStats, stats);
+                byClient[name] = addStats(byClient[name] || emptyStats(), stats);
+            }
+            if (dayStats.requests > 0) {
+                byDay.push({ date, ...dayStats });
+                addStats(totals, dayStats);
+            }
+        }
+
+        return {
+            from: start,
+            to: end,
+            totals,
+            days: byDay,
+            clients: Object.entries(byClient)
+                .map(([name, stats]) => ({ client: name, ...stats }))
+                .sort((a, b) => b.billableCharacters - a.billableCharacters)
+        };
+    }
+
+    const ledger = {
+        load,
+        record,
+        flush,
+        checkBudget,
+        reserve,
+        budgets,
+        summarize,
+        get file() {
+            return file;
+        }
+    };
+    return ledger;
+}
@@ -0,0 +1,262 @@
+/**
+ * Voice catalog
+ *
+ * Keeps the list of available voices (locale, gender, styles, multilingual
+ * flag) used for tool schemas, validation and default voice selection. The
+ * catalog is fetched through the synthesis backend, cached on disk, and falls
+ * back to the bundled snapshot in data/voices.json when offline.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { ERROR_CODES, codedError } from './errors.mjs';
+import { log } from './logging.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BUNDLED_SNAPSHOT_FILE = resolve(__dirname, '..', 'data', 'voices.json');
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Refresh the cache daily
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Normalize a locale code to the xx-YY casing used by the service
+ */
+export function normalizeLocale(locale) {
+    if (typeof locale !== 'string') {
+        return locale;
+    }
+    const [language, region, ...rest] = locale.trim().split(/[-_]/);
+    if (!region) {
+        return language.toLowerCase();
+    }
+    return [language.toLowerCase(), region.toUpperCase(), ...rest].join('-');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Find catalog entries whose names resemble the given string
+ */
+function findNearMatches(names, query) {
+    const needle = query.toLowerCase().replace(/neural$/, '');
+
+    return names
+        .map((name) => {
+            const candidate = name.toLowerCase();
+            // Substring matches ("jenny") rank ahead of pure edit distance
+            const distance = candidate.includes(needle) ? 0 : editDistance(needle, candidate.replace(/neural$/, ''));
+            return { name, distance };
+        })
+        .filter(({ distance }) => distance <= Math.max(3, Math.floor(needle.length / 3)))
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ name }) => name);
+}
+
+function readCatalogFile(path) {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    if (!data || !Array.isArray(data.voices)) {
+        throw new Error(`Voice catalog file ${path} has no "voices" array`);
+    }
+    return data;
+}
+
+/**
+ * Create a voice catalog
+ *
+ * `preferredVoices` maps locales to the voice chosen by default for them;
+ * locales without a (still available) preference use their first native voice.
+ */
+export function createVoiceCatalog({
+    backend,
+    cacheFile,
+    snapshotFile = BUNDLED_SNAPSHOT_FILE,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    preferredVoices = {}
+} = {}) {
+    let voices = [];
+    let source = 'empty';
+    let fetchedAt = null;
+    let byName = new Map();
+
+    function setVoices(data, origin) {
+        voices = [...data.voices].sort((a, b) => a.locale.localeCompare(b.locale) || a.name.localeCompare(b.name));
+        byName = new Map(voices.map((voice) => [voice.name.toLowerCase(), voice]));
+        fetchedAt = data.generatedAt ? new Date(data.generatedAt) : null;
+        source = origin;
+    }
+
+    /**
+     * Load the on-disk cache, or the bundled snapshot if there is none
+     */
+    function load() {
+        if (cacheFile && existsSync(cacheFile)) {
+            try {
+                setVoices(readCatalogFile(cacheFile), 'cache');
+                return catalog;
+            } catch (error) {
+                log.warn('Ignoring unreadable voice cache', { file: cacheFile, error: error.message });
+            }
+        }
+        setVoices(readCatalogFile(snapshotFile), 'bundled');
+        return catalog;
+    }
+
+    /**
+     * Fetch the voice list from the backend and update the on-disk cache
+     */
+    async function refresh() {
+        const fetched = await backend.listVoices();
+        if (!Array.isArray(fetched) || fetched.length === 0) {
+            throw new Error('Voice listing returned no voices');
+        }
+
+        const data = { source: backend.name, generatedAt: new Date().toISOString(), voices: fetched };
+        setVoices(data, backend.name);
+
+        if (cacheFile) {
+            mkdirSync(dirname(cacheFile), { recursive: true });
+            writeFileSync(cacheFile, JSON.stringify(data, null, 2));
+        }
+        return catalog;
+    }
+
+    function isStale() {
+        return source === 'bundled' || !fetchedAt || (Date.now() - fetchedAt.getTime()) > maxAgeMs;
+    }
+
+    /**
+     * Voices that can speak the given locale: native voices first, then multilingual ones
+     */
+    function voicesForLanguage(language) {
+        const locale = normalizeLocale(language);
+        const native = voices.filter((voice) => voice.locale === locale);
+        const multilingual = voices.filter((voice) => (
+            voice.locale !== locale && voice.multilingual && (voice.secondaryLocales || []).includes(locale)
+        ));
+        return [...native, ...multilingual];
+    }
+
+    function languages() {
+        const locales = new Set();
+        for (const voice of voices) {
+            locales.add(voice.locale);
+            if (voice.multilingual) {
+                (voice.secondaryLocales || []).forEach((locale) => locales.add(locale));
+            }
+        }
+        return [...locales].sort();
+    }
+
+    function hasLanguage(language) {
+        return voicesForLanguage(language).length > 0;
+    }
+
+    function getVoice(name) {
+        return typeof name === 'string' ? byName.get(name.toLowerCase()) || null : null;
+    }
+
+    /**
+     * Pick the voice for a language, validating an explicitly requested one
+     *
+     * Unsupported languages are invalid_request errors; unknown voices and
+     * voices that cannot speak the language are invalid_voice errors, whose
+     * message lists near matches so callers can correct the name.
+     */
+    function selectVoice(language, requestedVoice = null) {
+        const locale = normalizeLocale(language);
+        const candidates = voicesForLanguage(locale);
+
+        if (candidates.length === 0) {
+            throw codedError(ERROR_CODES.INVALID_REQUEST, `Unsupported language: ${language}. Use list_voices to see the ${languages().length} supported languages.`);
+        }
+
+        if (requestedVoice) {
+            const voice = getVoice(requestedVoice);
+            if (!voice) {
+                const suggestions = findNearMatches(voices.map((entry) => entry.name), requestedVoice);
+                const hint = suggestions.length > 0
+                    ? ` Did you mean: ${suggestions.join(', ')}?`
+                    : ` Voices for ${locale}: ${candidates.slice(0, MAX_SUGGESTIONS).map((entry) => entry.name).join(', ')}`;
+                throw codedError(ERROR_CODES.INVALID_VOICE, `Unknown voice: ${requestedVoice}.${hint}`);
+            }
+            if (!candidates.includes(voice)) {
+                throw codedError(ERROR_CODES.INVALID_VOICE, `Voice ${voice.name} cannot speak ${locale}. Voices for ${locale}: ${candidates.slice(0, MAX_SUGGESTIONS).map((entry) => entry.name).join(', ')}`);
+            }
+            return voice.name;
+        }
+
+        const preferred = getVoice(preferredVoices[locale]);
+        if (preferred && candidates.includes(preferred)) {
+            return preferred.name;
+        }
+        return candidates[0].name;
+    }
+
+    /**
+     * Filter the catalog for list_voices
+     */
+    function search({ language, gender, style, multilingual } = {}) {
+        let results = voices;
+        if (language) {
+            const locale = normalizeLocale(language);
+            results = locale.includes('-')
+                ? voicesForLanguage(locale)
+                : results.filter((voice) => voice.locale.split('-')[0] === locale);
+        }
+        if (gender) {
+            results = results.filter((voice) => voice.gender.toLowerCase() === gender.toLowerCase());
+        }
+        if (style) {
+            results = results.filter((voice) => (voice.styles || []).includes(style));
+        }
+        if (multilingual !== undefined) {
+            results = results.filter((voice) => voice.multilingual === multilingual);
+        }
+        return results;
+    }
+
+    const catalog = {
+        load,
+        refresh,
+        isStale,
+        languages,
+        hasLanguage,
+        getVoice,
+        selectVoice,
+        search,
+        voicesForLanguage,
+        get voices() {
+            return voices;
+        },
+        get source() {
+            return source;
+        },
+        get fetchedAt() {
+            return fetchedAt;
+        }
+    };
+
+    return catalog;
+}
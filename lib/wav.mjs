@@ -0,0 +1,154 @@
+/**
+ * WAV (RIFF PCM) helpers
+ *
+ * Small utilities for building and inspecting the 16-bit PCM WAV files the
+ * server writes. Only the canonical 44-byte header layout is produced; the
+ * parser walks chunks so it also accepts files with extra metadata chunks.
+ */
+
+export const DEFAULT_WAV_FORMAT = {
+    sampleRate: 24000,
+    channels: 1,
+    bitsPerSample: 16
+};
+
+/**
+ * Create a 44-byte RIFF/WAVE header for a PCM payload of the given size
+ */
+export function createWavHeader(dataLength, format = DEFAULT_WAV_FORMAT) {
+    const { sampleRate, channels, bitsPerSample } = format;
+    const blockAlign = channels * (bitsPerSample / 8);
+    const byteRate = sampleRate * blockAlign;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // PCM fmt chunk size
+    header.writeUInt16LE(1, 20); // Audio format: PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+/**
+ * Wrap raw PCM data in a WAV container
+ */
+export function encodeWav(pcm, format = DEFAULT_WAV_FORMAT) {
+    return Buffer.concat([createWavHeader(pcm.length, format), pcm]);
+}
+
+/**
+ * Parse a WAV buffer into its format description and PCM payload
+ */
+export function parseWav(buffer) {
+    const data = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+
+    if (data.length < 12 || data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= data.length) {
+        const chunkId = data.toString('ascii', offset, offset + 4);
+        const chunkSize = data.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: data.readUInt16LE(body),
+                channels: data.readUInt16LE(body + 2),
+                sampleRate: data.readUInt32LE(body + 4),
+                bitsPerSample: data.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk found before fmt chunk');
+            }
+            // Streams written before their final length is known may carry a bogus size
+            const end = Math.min(body + chunkSize, data.length);
+            return { format, pcm: data.subarray(body, end) };
+        }
+
+        // Chunks are word aligned
+        offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Duration in milliseconds of a PCM payload in the given format
+ */
+export function pcmDurationMs(byteLength, format = DEFAULT_WAV_FORMAT) {
+    const bytesPerSecond = format.sampleRate * format.channels * (format.bitsPerSample / 8);
+    return bytesPerSecond > 0 ? Math.round((byteLength / bytesPerSecond) * 1000) : 0;
+}
+
+/**
+ * Concatenate WAV files into one, with optional silence between them
+ *
+ * `silenceMs` is either one gap for every boundary or an array with the gap
+ * after each input. All inputs must share the same PCM format. Returns the
+ * combined file and the offset/duration (ms) of each input within it.
+ */
+export function concatWav(buffers, { silenceMs = 0 } = {}) {
+    if (buffers.length === 0) {
+        throw new Error('No audio to concatenate');
+    }
+
+    const parsed = buffers.map((buffer) => parseWav(buffer));
+    const format = parsed[0].format;
+
+    parsed.forEach(({ format: other }, index) => {
+        if (other.audioFormat !== 1) {
+            throw new Error(`Audio segment ${index + 1} is not PCM and cannot be concatenated`);
+        }
+        if (other.sampleRate !== format.sampleRate || other.channels !== format.channels || other.bitsPerSample !== format.bitsPerSample) {
+            throw new Error(`Audio segment ${index + 1} has a different format (${other.sampleRate} Hz, ${other.channels} ch, ${other.bitsPerSample} bit)`);
+        }
+    });
+
+    const blockAlign = format.channels * (format.bitsPerSample / 8);
+    const silenceBefore = (index) => {
+        const gapMs = Array.isArray(silenceMs) ? silenceMs[index - 1] || 0 : silenceMs;
+        return Buffer.alloc(Math.round((gapMs / 1000) * format.sampleRate) * blockAlign);
+    };
+
+    const parts = [];
+    const segments = [];
+    let byteOffset = 0;
+
+    parsed.forEach(({ pcm }, index) => {
+        const silence = index > 0 ? silenceBefore(index) : null;
+        if (silence && silence.length > 0) {
+            parts.push(silence);
+            byteOffset += silence.length;
+        }
+        // Drop a trailing partial frame so every segment stays frame aligned
+        const aligned = pcm.subarray(0, pcm.length - (pcm.length % blockAlign));
+        segments.push({
+            offset: pcmDurationMs(byteOffset, format),
+            duration: pcmDurationMs(aligned.length, format)
+        });
+        parts.push(aligned);
+        byteOffset += aligned.length;
+    });
+
+    const pcm = Buffer.concat(parts);
+    return {
+        audioData: encodeWav(pcm, format),
+        format,
+        audioDuration: pcmDurationMs(pcm.length, format),
+        segments
+    };
+}
@@ -13,12 +13,63 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
     CallToolRequestSchema,
+    ListResourcesRequestSchema,
     ListToolsRequestSchema,
+    ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { SpeechConfig, SpeechSynthesizer, AudioConfig } from 'microsoft-cognitiveservices-speech-sdk';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { dirname, resolve } from 'path';
+import { writeFileSync, mkdirSync, existsSync, readFileSync, renameSync, rmSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { basename, dirname, extname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { createBackend } from './lib/backends/index.mjs';
+import { SERVICE_TIERS, createResilientBackend } from './lib/resilience.mjs';
+import { createVoiceCatalog, normalizeLocale } from './lib/voices.mjs';
+import { DEFAULT_MAX_CHUNK_LENGTH, PARAGRAPH_SEPARATOR, splitText } from './lib/chunking.mjs';
+import { concatWav, encodeWav, parseWav, pcmDurationMs } from './lib/wav.mjs';
+import { mapWithConcurrency, withRetries } from './lib/concurrency.mjs';
+import { castDialogue } from './lib/dialogue.mjs';
+import { DEFAULT_LOCALES, detectLanguage, detectSegments } from './lib/language.mjs';
+import { PHONETIC_ALPHABETS, createPronunciationLexicon } from './lib/lexicon.mjs';
+import {
+    DEFAULT_OUTPUT_FORMAT,
+    OUTPUT_FORMAT_NAMES,
+    audioDurationMs,
+    getOutputFormat,
+    isPcmFormat,
+    pcmLayout,
+    pcmMimeType,
+    toRiffFormat
+} from './lib/formats.mjs';
+import { createCacheKey, createSynthesisCache } from './lib/cache.mjs';
+import { AUDIO_URI_PREFIX, createAudioResources, mimeTypeForExtension } from './lib/resources.mjs';
+import {
+    FILENAME_TEMPLATE_FIELDS,
+    OUTPUT_PATH_PATTERN,
+    createOutputManager,
+    normalizeOutputName,
+    renderFilename
+} from './lib/outputs.mjs';
+import { ERROR_CODES, codedError, errorCode, isRetryable } from './lib/errors.mjs';
+import { BATCH_ITEM_STATUSES, BATCH_MANIFEST_FORMATS, renderBatchManifest, summarizeBatch } from './lib/batch.mjs';
+import { TIMING_EXTENSIONS, TIMING_FORMATS, renderTiming } from './lib/subtitles.mjs';
+import { startHttpServer } from './lib/http.mjs';
+import { createAudioPlayer, detectPlayers } from './lib/playback.mjs';
+import { wordErrorRate } from './lib/transcription.mjs';
+import { SETTINGS, loadConfig, redactConfig } from './lib/config.mjs';
+import { NORMALIZATION_MODES, describePostProcessing, normalizePostProcessOptions, postProcessPcm } from './lib/postprocess.mjs';
+import { createUsageLedger, normalizeUsageDate } from './lib/usage.mjs';
+import { INPUT_FORMATS, MARKUP_POLICIES, convertMarkup, normalizeMarkupPolicies } from './lib/markup.mjs';
+import { createAudioStreams, createStreamingAudioFile } from './lib/streaming.mjs';
+import { createJobTracker } from './lib/jobs.mjs';
+import { configureLogging, log, withLogContext } from './lib/logging.mjs';
+import {
+    createSSML,
+    ensureVoiceElement,
+    normalizeSpeechOptions,
+    ssmlToText,
+    stripMarkers,
+    validateSSML
+} from './lib/ssml.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,332 +77,3342 @@ const __dirname = dirname(__filename);
 // Load environment variables
 config({ path: resolve(__dirname, '.env') });
 
-// Configuration
-const AZURE_SPEECH_KEY = process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE;
-const AZURE_SPEECH_REGION = process.env.AZURE_SPEECH_REGION || process.env.AZURE_SPEECH_REGION_FREE || 'westeurope';
-const AUDIO_OUTPUT_DIR = process.env.AUDIO_OUTPUT_DIR || './audio/mcp-generated';
+// Configuration: defaults, config file and profile, environment, then flags.
+// An invalid configuration stops the server before it accepts requests.
+let configuration;
+try {
+    configuration = loadConfig({ dir: __dirname });
+    configureLogging(configuration.settings.logging);
+} catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const { settings } = configuration;
+
+const AZURE_SPEECH_KEY = settings.azure.key;
+const AZURE_SPEECH_REGION = settings.azure.region;
+const AZURE_SPEECH_ENDPOINT = settings.azure.endpoint;
+const AUDIO_OUTPUT_DIR = settings.output.dir;
+const TTS_BACKEND = settings.backend.synthesis;
+// Speech recognition for transcribe_audio and "verify"
+const STT_BACKEND = settings.backend.recognition;
+const AZURE_SPEECH_TIER = settings.azure.tier;
+const AUDIO_OUTPUT_FORMAT = settings.output.format;
+const VOICE_CACHE_FILE = settings.catalog.cacheFile;
+const PRONUNCIATION_FILE = settings.pronunciations.file;
+
+// Output file naming and retention (0 disables a limit)
+const AUDIO_FILENAME_TEMPLATE = settings.output.filenameTemplate;
+const AUDIO_RETENTION_DAYS = settings.output.retentionDays;
+const AUDIO_RETENTION_MAX_MB = settings.output.retentionMaxMb;
+const DEFAULT_AUDIO_FILE_LIMIT = 50;
+const MAX_AUDIO_FILE_LIMIT = 500;
+
+// Local playback: a player name (afplay, paplay, aplay, ffplay), "none", or unset to detect one
+const AUDIO_PLAYER = settings.playback.player;
+const PLAYBACK_ACTIONS = ['play', 'queue', 'stop', 'status'];
+
+// Transcription
+const MAX_RECOGNITION_PHRASES = 100;
+
+// Streaming synthesis: least time between progress notifications
+const STREAM_PROGRESS_INTERVAL_MS = 250;
+
+// Synthesis cache (set SYNTHESIS_CACHE=off to disable)
+const SYNTHESIS_CACHE_ENABLED = settings.cache.enabled;
+const SYNTHESIS_CACHE_DIR = settings.cache.dir;
+const SYNTHESIS_CACHE_MAX_MB = settings.cache.maxMb;
+const SYNTHESIS_CACHE_MAX_AGE_DAYS = settings.cache.maxAgeDays;
+
+// Usage ledger and character budgets (0 for no budget)
+const USAGE_LEDGER_FILE = settings.usage.file;
+const USAGE_DAILY_CHARACTERS = settings.usage.dailyCharacters;
+const USAGE_MONTHLY_CHARACTERS = settings.usage.monthlyCharacters;
+
+// Long document synthesis (also bounds the total text of a dialogue)
+const MAX_DOCUMENT_LENGTH = 100000;
+const DEFAULT_CHUNK_SILENCE_MS = 300;
+const DEFAULT_DOCUMENT_CONCURRENCY = 3;
+const MAX_DOCUMENT_CONCURRENCY = 8;
+
+// Dialogue synthesis
+const MAX_DIALOGUE_TURNS = 200;
+const MAX_TURN_LENGTH = 1000;
+const DEFAULT_DIALOGUE_GAP_MS = 400;
+
+// Batch limits
+const MAX_BATCH_ITEMS = 500;
+const MAX_BATCH_ITEM_LENGTH = 5000;
+const DEFAULT_BATCH_RETRIES = 2;
+const MAX_BATCH_RETRIES = 5;
+const BATCH_RETRY_DELAY_MS = 1000;
+
+// Audio returned inline in tool results (larger files are only offered as resources)
+const INLINE_MODES = ['none', 'audio', 'resource'];
+const MAX_INLINE_AUDIO_MB = settings.output.maxInlineMb;
+
+// Bearer token required by the HTTP transport (empty for none)
+const MCP_AUTH_TOKEN = settings.transport.authToken || '';
+
+// How long SIGTERM waits for running tool calls before aborting them
+const SHUTDOWN_TIMEOUT_MS = settings.shutdown.timeoutMs;
+
+// Service call limits
+const SYNTHESIS_TIMEOUT_MS = settings.limits.timeoutMs;
+const SYNTHESIS_RETRIES = settings.limits.retries;
+const SYNTHESIS_RETRY_DELAY_MS = settings.limits.retryDelayMs;
+const SYNTHESIS_RATE_LIMIT = settings.limits.rateLimit; // Requests per minute; overrides the tier
+const CIRCUIT_BREAKER_THRESHOLD = settings.limits.circuitBreakerThreshold;
+const CIRCUIT_BREAKER_COOLDOWN_MS = settings.limits.circuitBreakerCooldownMs;
+
+// Default output format for tools that do not specify one
+const defaultOutputFormat = getOutputFormat(AUDIO_OUTPUT_FORMAT);
+
+// Prosody applied to generated SSML unless the call sets its own
+const DEFAULT_PROSODY = settings.prosody;
+
+const rateLimit = SYNTHESIS_RATE_LIMIT > 0
+    ? { capacity: SYNTHESIS_RATE_LIMIT, refillPerSecond: SYNTHESIS_RATE_LIMIT / 60 }
+    : SERVICE_TIERS[AZURE_SPEECH_TIER];
+
+// Speech backend ("azure" for the real service, "fake" for offline testing),
+// with timeouts, retries and a circuit breaker; only the service is rate limited
+function createServiceBackend(name) {
+    return createResilientBackend(createBackend(name, {
+        key: AZURE_SPEECH_KEY,
+        region: AZURE_SPEECH_REGION,
+        endpoint: AZURE_SPEECH_ENDPOINT
+    }), {
+        timeoutMs: SYNTHESIS_TIMEOUT_MS,
+        retries: SYNTHESIS_RETRIES,
+        baseDelayMs: SYNTHESIS_RETRY_DELAY_MS,
+        rateLimit: name === 'azure' ? rateLimit : null,
+        failureThreshold: CIRCUIT_BREAKER_THRESHOLD,
+        cooldownMs: CIRCUIT_BREAKER_COOLDOWN_MS
+    });
+}
+
+const backend = createServiceBackend(TTS_BACKEND);
+// The same backend shares its rate limit and circuit breaker between synthesis and recognition
+const recognizer = STT_BACKEND === TTS_BACKEND ? backend : createServiceBackend(STT_BACKEND);
 
 // Ensure output directory exists
 if (!existsSync(AUDIO_OUTPUT_DIR)) {
     mkdirSync(AUDIO_OUTPUT_DIR, { recursive: true });
 }
 
-// Voice configuration mapping (from our research)
-const VOICE_CONFIG = {
-    // English voices
-    'en-US': {
-        default: 'en-US-RyanMultilingualNeural',
-        alternatives: ['en-US-JennyMultilingualNeural', 'en-US-AndrewMultilingualNeural']
-    },
-    // Finnish voices
-    'fi-FI': {
-        default: 'en-US-RyanMultilingualNeural', // Best choice from our testing
-        alternatives: ['en-US-JennyMultilingualNeural', 'fi-FI-SelmaNeural', 'fi-FI-NooraNeural', 'fi-FI-HarriNeural']
-    },
-    // Spanish voices
-    'es-ES': {
-        default: 'es-ES-AlvaroNeural',
-        alternatives: ['es-ES-ElviraNeural']
-    },
-    // German voices
-    'de-DE': {
-        default: 'de-DE-ConradNeural',
-        alternatives: ['de-DE-KatjaNeural']
-    },
-    // French voices
-    'fr-FR': {
-        default: 'fr-FR-DeniseNeural',
-        alternatives: ['fr-FR-HenriNeural']
-    },
-    // Swedish voices
-    'sv-SE': {
-        default: 'sv-SE-MattiasNeural',
-        alternatives: ['sv-SE-SofieNeural']
+const synthesisCache = SYNTHESIS_CACHE_ENABLED
+    ? createSynthesisCache({
+        dir: SYNTHESIS_CACHE_DIR,
+        maxBytes: SYNTHESIS_CACHE_MAX_MB * 1024 * 1024,
+        maxAgeMs: SYNTHESIS_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+    })
+    : null;
+if (synthesisCache) {
+    // Hits are only counted in memory until then
+    process.on('exit', () => synthesisCache.flush());
+}
+
+// Default voice per language (see DEFAULT_VOICES). Every other choice,
+// including the list of supported languages, comes from the voice catalog.
+const PREFERRED_VOICES = settings.voices;
+
+// Generated files, readable by clients through resources/list and resources/read
+const audioResources = createAudioResources({ dir: AUDIO_OUTPUT_DIR });
+// Live streams of synthesis in progress, served by the HTTP transport
+const audioStreams = settings.transport.type === 'http' ? createAudioStreams() : null;
+// Running tool calls, drained or aborted on shutdown
+const jobs = createJobTracker();
+
+// Naming, listing and retention of generated files; captions and dialogue
+// manifests belong to the audio file they sit next to
+const outputs = createOutputManager({
+    dir: AUDIO_OUTPUT_DIR,
+    template: AUDIO_FILENAME_TEMPLATE,
+    isAudio: (name) => Boolean(mimeTypeForExtension(extname(name).slice(1))),
+    sidecarExtensions: [...Object.values(TIMING_EXTENSIONS), 'dialogue.json'],
+    maxAgeMs: AUDIO_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    maxBytes: AUDIO_RETENTION_MAX_MB * 1024 * 1024
+});
+
+// Voice catalog: on-disk cache, falling back to the bundled snapshot
+const voiceCatalog = createVoiceCatalog({
+    backend,
+    cacheFile: VOICE_CACHE_FILE,
+    preferredVoices: PREFERRED_VOICES
+}).load();
+
+// Configured voices must exist and speak their locale
+if (configuration.sources.voices !== 'default') {
+    for (const [locale, voice] of Object.entries(PREFERRED_VOICES)) {
+        try {
+            voiceCatalog.selectVoice(locale, voice);
+        } catch (error) {
+            log.error(`❌ Invalid configuration: voices.${locale}: ${error.message}`);
+            process.exit(1);
+        }
     }
-};
+}
+
+// Local speakers, for desktop clients
+const audioPlayer = createAudioPlayer({ players: detectPlayers({ preferred: AUDIO_PLAYER }) });
+// Players are child processes; do not leave them talking after we exit
+process.on('exit', () => audioPlayer.stop());
+
+// Project pronunciation dictionary, applied to generated SSML
+const lexicon = createPronunciationLexicon({ file: PRONUNCIATION_FILE }).load();
+
+// Characters and audio per day and client, checked against the budgets
+const usage = createUsageLedger({
+    file: USAGE_LEDGER_FILE,
+    dailyCharacters: USAGE_DAILY_CHARACTERS,
+    monthlyCharacters: USAGE_MONTHLY_CHARACTERS
+}).load();
+// Counts reach the file a few seconds late; do not lose the last ones
+process.on('exit', () => usage.flush());
 
 /**
  * Get the best voice for a language/voice combination
+ *
+ * Throws for unsupported languages and unknown voices rather than silently
+ * substituting the default.
  */
 function getVoiceForLanguage(language, requestedVoice = null) {
-    const langConfig = VOICE_CONFIG[language];
-    if (!langConfig) {
-        // Fallback to English
-        return VOICE_CONFIG['en-US'].default;
+    return voiceCatalog.selectVoice(language, requestedVoice);
+}
+
+/**
+ * Generate the output path for a synthesis result
+ *
+ * Uses AUDIO_FILENAME_TEMPLATE, or the caller's `outputName` template.
+ */
+function createOutputPath(language, voice, format, kind = 'tts', outputName = null) {
+    return outputs.createPath({ kind, language, voice, extension: format.extension, name: outputName });
+}
+
+/**
+ * Save audio data, wrapping file system errors in a readable message
+ *
+ * The data is written next to the file and renamed into place, so a crash
+ * never leaves a half-written file. Applies the retention policy afterwards,
+ * sparing the new file.
+ */
+function saveAudioFile(outputPath, audioData) {
+    const temporaryPath = `${outputPath}.${process.pid}.tmp`;
+    try {
+        writeFileSync(temporaryPath, audioData);
+        renameSync(temporaryPath, outputPath);
+    } catch (fileError) {
+        rmSync(temporaryPath, { force: true });
+        throw new Error(`Failed to save audio file: ${fileError.message}`);
     }
-    
-    if (requestedVoice) {
-        // Check if requested voice is in alternatives or is the default
-        if (requestedVoice === langConfig.default || langConfig.alternatives.includes(requestedVoice)) {
-            return requestedVoice;
-        }
+    try {
+        outputs.enforceRetention({ keep: outputPath });
+    } catch (error) {
+        log.warn('Failed to apply the output retention policy', { error: error.message });
     }
-    
-    return langConfig.default;
 }
 
 /**
- * Create SSML for speech synthesis
+ * Compute the metrics block reported for a synthesis
  */
-function createSSML(text, voice, language, rate = '1.0', pitch = '0%') {
-    return `
-<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${language}">
-    <voice name="${voice}">
-        <prosody rate="${rate}" pitch="${pitch}">
-            ${text}
-        </prosody>
-    </voice>
-</speak>`.trim();
+function computeMetrics(spokenText, synthesisTime, audioDuration, cached = false) {
+    const wordCount = spokenText.split(/\s+/).length; // Simple word count
+    const audioSeconds = audioDuration / 1000;
+
+    return {
+        synthesisTime: Math.round(synthesisTime),
+        audioDuration: Math.round(audioDuration),
+        wordCount: wordCount,
+        charactersPerSecond: synthesisTime > 0 ? Number((spokenText.length / (synthesisTime / 1000)).toFixed(2)) : 0,
+        wordsPerMinute: audioSeconds > 0 ? Number(((wordCount / audioSeconds) * 60).toFixed(2)) : 0,
+        cached: cached
+    };
 }
 
 /**
- * Synthesize speech from text
+ * Synthesize speech while writing the audio to its file as it arrives
+ *
+ * `onStream(bytes, filename)` is called after every chunk. The file stays
+ * playable throughout, so a failed or cancelled synthesis leaves the audio
+ * received so far; one that fails before any audio arrived, e.g. on the
+ * budget, leaves no file. With the HTTP transport the chunks are also
+ * published to the live stream named after the file.
  */
-async function synthesizeSpeech(sentence, language, voice = null) {
-    return new Promise((promiseResolve, promiseReject) => {
+async function streamSpeech(sentence, language, voice, synthesisOptions, outputName, onStream) {
+    const format = synthesisOptions.format || defaultOutputFormat;
+    const { filename, outputPath } = createOutputPath(language, getVoiceForLanguage(language, voice), format, 'tts', outputName);
+    let file;
+    try {
+        file = createStreamingAudioFile(outputPath, format);
+    } catch (fileError) {
+        throw new Error(`Failed to save audio file: ${fileError.message}`);
+    }
+    const live = audioStreams ? audioStreams.open(filename, format) : null;
+    const startTime = Date.now();
+    let firstByteLatency = null;
+    let writeError = null;
+    const receive = (chunk) => {
+        if (firstByteLatency === null) {
+            firstByteLatency = Date.now() - startTime;
+        }
         try {
-            if (!AZURE_SPEECH_KEY || !AZURE_SPEECH_REGION) {
-                promiseReject(new Error('Azure Speech Service credentials not configured. Please set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION environment variables.'));
-                return;
+            const written = file.write(chunk);
+            if (live) {
+                live.write(written);
             }
+            onStream(file.bytes, filename);
+        } catch (error) {
+            // Thrown from a service callback this would be lost, so keep it for later
+            writeError = writeError || error;
+        }
+    };
 
-            // Get the appropriate voice
-            const selectedVoice = getVoiceForLanguage(language, voice);
-            
-            // Create speech configuration
-            const speechConfig = SpeechConfig.fromSubscription(AZURE_SPEECH_KEY, AZURE_SPEECH_REGION);
-            speechConfig.speechSynthesisLanguage = language;
-            speechConfig.speechSynthesisVoiceName = selectedVoice;
-
-            // Generate unique filename
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const languageCode = language.replace('-', '_');
-            const voiceName = selectedVoice.replace(/[^a-zA-Z0-9]/g, '-');
-            const filename = `mcp-tts-${languageCode}-${voiceName}-${timestamp}.wav`;
-            const outputPath = resolve(AUDIO_OUTPUT_DIR, filename);
-
-            // Create synthesizer (use default audio config to get proper audio data)
-            const synthesizer = new SpeechSynthesizer(speechConfig);
-
-            // Track metrics
-            const startTime = Date.now();
-            let wordCount = sentence.split(/\s+/).length; // Simple word count
-            
-            // Synthesize speech using simple text instead of SSML
-            synthesizer.speakTextAsync(
-                sentence,
-                (result) => {
-                    const duration = Date.now() - startTime;
-                    
-                    console.error('DEBUG: Speech synthesis callback result:', {
-                        resultId: result.resultId,
-                        reason: result.reason,
-                        errorDetails: result.errorDetails,
-                        audioDuration: result.audioDuration,
-                        audioDataLength: result.audioData ? result.audioData.byteLength : 0
-                    });
-                    
-                    if (result.errorDetails) {
-                        synthesizer.close();
-                        promiseReject(new Error(`Speech synthesis failed: ${result.errorDetails}`));
-                        return;
-                    }
-                    
-                    if (!result.audioData || result.audioData.byteLength === 0) {
-                        synthesizer.close();
-                        promiseReject(new Error('Speech synthesis produced no audio data'));
-                        return;
-                    }
-                    
-                    try {
-                        // Save the audio data to file
-                        writeFileSync(outputPath, Buffer.from(result.audioData));
-                        
-                        const audioDuration = result.audioDuration ? (result.audioDuration / 10000) : 0; // Convert to ms
-                        const audioSeconds = audioDuration / 1000;
-                        
-                        const resultObj = {
-                            success: true,
-                            audioFile: outputPath,
-                            filename: filename,
-                            voice: selectedVoice,
-                            language: language,
-                            sentence: sentence,
-                            metrics: {
-                                synthesisTime: duration,
-                                audioDuration: audioDuration,
-                                wordCount: wordCount,
-                                charactersPerSecond: duration > 0 ? (sentence.length / (duration / 1000)).toFixed(2) : '0.00',
-                                wordsPerMinute: audioSeconds > 0 ? ((wordCount / audioSeconds) * 60).toFixed(2) : '0.00'
-                            }
-                        };
-                        
-                        console.error('DEBUG: Resolving with result:', JSON.stringify(resultObj, null, 2));
-                        synthesizer.close();
-                        promiseResolve(resultObj);
-                    } catch (fileError) {
-                        synthesizer.close();
-                        promiseReject(new Error(`Failed to save audio file: ${fileError.message}`));
-                    }
-                },
-                (error) => {
-                    synthesizer.close();
-                    promiseReject(new Error(`Speech synthesis error: ${error}`));
-                }
-            );
+    try {
+        const audio = await synthesizeAudio(sentence, language, voice, { ...synthesisOptions, onAudio: receive });
+        if (writeError) {
+            throw new Error(`Failed to save audio file: ${writeError.message}`);
+        }
+        if (audio.cached) {
+            // A cache hit arrives in one piece
+            receive(audio.audioData);
+        }
+        return { filename, outputPath, audio, firstByteLatency };
+    } catch (error) {
+        if (file.close().bytes === 0) {
+            rmSync(outputPath, { force: true });
+        }
+        throw error;
+    } finally {
+        file.close();
+        if (live) {
+            live.end();
+        }
+    }
+}
+
+/**
+ * Synthesize text to audio data without writing it to disk
+ *
+ * `options` holds normalized prosody/style/pause settings, or `ssml` with a
+ * validated caller-supplied document that replaces the generated one, plus
+ * the output `format` descriptor. Lexicon entries for the language apply to
+ * generated SSML only. Identical requests are answered from the synthesis
+ * cache unless `cache` is false. Every call is counted in the usage ledger
+ * for `client`, and calls that would exceed a character budget are rejected
+ * before reaching the service.
+ */
+async function synthesizeAudio(text, language, voice = null, options = {}) {
+    // Get the appropriate voice
+    const selectedVoice = getVoiceForLanguage(language, voice);
+
+    // Build the SSML document (raw SSML input only gets a default voice added)
+    const {
+        ssml: rawSSML,
+        cache: useCache = true,
+        format = defaultOutputFormat,
+        client = 'unknown',
+        signal,
+        onAudio,
+        ...settings
+    } = options;
+    // Matching entries join the cache key, so editing the lexicon invalidates affected audio
+    const pronunciations = rawSSML ? [] : lexicon.entriesFor(text, language);
+    const speechOptions = pronunciations.length > 0 ? { ...settings, pronunciations } : settings;
+    const ssml = rawSSML
+        ? ensureVoiceElement(rawSSML, selectedVoice)
+        : createSSML(text, selectedVoice, language, speechOptions);
+    const spokenText = rawSSML ? ssmlToText(rawSSML) : stripMarkers(text);
+
+    const startTime = Date.now();
+    const cache = useCache ? synthesisCache : null;
+    const cacheKey = cache && createCacheKey({
+        text: rawSSML || text,
+        voice: selectedVoice,
+        language,
+        options: speechOptions,
+        format: format.name,
+        backend: backend.name
+    });
+
+    const cached = cache && cache.get(cacheKey);
+    const record = (outcome, audioMs = 0) => usage.record({ client, voice: selectedVoice, characters: spokenText.length, audioMs, outcome });
+    if (cached) {
+        record('cached', cached.metadata.audioDuration || 0);
+        log.debug('Served audio from the synthesis cache', { voice: selectedVoice, characters: spokenText.length });
+        return {
+            audioData: cached.audioData,
+            audioDuration: cached.metadata.audioDuration || 0,
+            wordBoundaries: cached.metadata.wordBoundaries || [],
+            visemes: cached.metadata.visemes || [],
+            bookmarks: cached.metadata.bookmarks || [],
+            voice: selectedVoice,
+            format,
+            spokenText,
+            synthesisTime: Date.now() - startTime,
+            cached: true
+        };
+    }
+
+    // Held until the request is recorded, so concurrent requests see each other
+    let reservation;
+    try {
+        reservation = usage.reserve(spokenText.length);
+    } catch (error) {
+        record('rejected');
+        throw error;
+    }
 
+    let audio;
+    try {
+        let result;
+        try {
+            result = await backend.synthesize({
+                text: spokenText,
+                ssml,
+                language,
+                voice: selectedVoice,
+                format,
+                signal,
+                onAudio
+            });
         } catch (error) {
-            promiseReject(new Error(`Speech synthesis setup error: ${error.message}`));
+            record('failure');
+            throw error;
+        }
+        const synthesisTime = Date.now() - startTime;
+
+        if (!result.audioData || result.audioData.length === 0) {
+            record('failure');
+            throw codedError(ERROR_CODES.EMPTY_AUDIO, 'Speech synthesis produced no audio data');
+        }
+
+        audio = {
+            ...result,
+            audioDuration: audioDurationMs(format, result.audioData, result.audioDuration || 0),
+            wordBoundaries: result.wordBoundaries || [],
+            visemes: result.visemes || [],
+            bookmarks: result.bookmarks || [],
+            voice: selectedVoice,
+            format,
+            spokenText,
+            synthesisTime,
+            cached: false
+        };
+        record('success', audio.audioDuration);
+    } finally {
+        reservation.release();
+    }
+    log.debug('Synthesized audio', { voice: selectedVoice, characters: spokenText.length, audioDuration: audio.audioDuration, synthesisTime: audio.synthesisTime });
+
+    if (cache) {
+        try {
+            cache.set(cacheKey, audio.audioData, {
+                voice: selectedVoice,
+                language,
+                audioDuration: audio.audioDuration,
+                wordBoundaries: audio.wordBoundaries,
+                visemes: audio.visemes,
+                bookmarks: audio.bookmarks
+            }, format.extension);
+        } catch (error) {
+            // A full disk should not fail the synthesis itself
+            log.warn('Failed to write synthesis cache entry', { error: error.message });
         }
-    });
-}// Create MCP server
-const server = new Server(
-    {
-        name: 'audio-mcp-tts-server',
-        version: '1.0.0',
-    },
-    {
-        capabilities: {
-            tools: {},
-        },
     }
-);
 
-// Register the text-to-speech tool
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return audio;
+}
+
+/**
+ * Write the requested subtitle/timing sidecars next to an audio file
+ *
+ * Returns the written paths keyed by timing format.
+ */
+function saveTimingFiles(outputPath, formats, timing) {
+    const basePath = outputPath.slice(0, outputPath.length - extname(outputPath).length);
+    const files = {};
+    for (const format of formats) {
+        const path = `${basePath}.${TIMING_EXTENSIONS[format]}`;
+        writeFileSync(path, renderTiming(format, { audioFile: basename(outputPath), ...timing }));
+        files[format] = path;
+    }
+    return files;
+}
+
+/**
+ * Apply "postProcess" steps to synthesized PCM audio
+ *
+ * Runs after the cache, so cached audio is reprocessed with each request's
+ * settings. Timing events move with trimmed and padded silence, and raw PCM
+ * gets a MIME type describing its new layout.
+ */
+function applyPostProcessing(audio, postProcess) {
+    const { format } = audio;
+    const wav = format.container === 'riff' ? parseWav(audio.audioData) : null;
+    const layout = wav ? wav.format : pcmLayout(format);
+    const processed = postProcessPcm(wav ? wav.pcm : audio.audioData, layout, postProcess);
+    const shift = (events) => events.map((event) => ({ ...event, offset: Math.max(0, event.offset + processed.offsetShiftMs) }));
+
     return {
-        tools: [
-            {
-                name: 'synthesize_speech',
-                description: 'Convert text to speech using Microsoft Azure Speech Services. Supports multiple languages and voices.',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        sentence: {
-                            type: 'string',
-                            description: 'The text to convert to speech',
-                            minLength: 1,
-                            maxLength: 1000
-                        },
-                        language: {
-                            type: 'string',
-                            description: 'Language code (e.g., en-US, fi-FI, es-ES, de-DE, fr-FR, sv-SE)',
-                            enum: ['en-US', 'fi-FI', 'es-ES', 'de-DE', 'fr-FR', 'sv-SE'],
-                            default: 'en-US'
-                        },
-                        voice: {
-                            type: 'string',
-                            description: 'Optional specific voice name. If not provided, uses the best voice for the language.',
-                            examples: [
-                                'en-US-RyanMultilingualNeural',
-                                'fi-FI-SelmaNeural',
-                                'es-ES-AlvaroNeural',
-                                'de-DE-ConradNeural',
-                                'fr-FR-DeniseNeural',
-                                'sv-SE-MattiasNeural'
-                            ]
-                        }
-                    },
-                    required: ['sentence', 'language']
-                }
-            }
-        ]
+        ...audio,
+        audioData: wav ? encodeWav(processed.pcm, processed.layout) : processed.pcm,
+        audioDuration: pcmDurationMs(processed.pcm.length, processed.layout),
+        mimeType: wav ? format.mimeType : pcmMimeType(processed.layout),
+        wordBoundaries: shift(audio.wordBoundaries),
+        visemes: shift(audio.visemes),
+        bookmarks: shift(audio.bookmarks),
+        postProcessing: processed.steps
     };
-});
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-    
-    if (name !== 'synthesize_speech') {
-        throw new Error(`Unknown tool: ${name}`);
+/**
+ * Synthesize speech from text
+ */
+async function synthesizeSpeech(sentence, language, voice = null, options = {}) {
+    const { timings = [], outputName = null, postProcess = null, onStream = null, ...synthesisOptions } = options;
+    const streamed = onStream ? await streamSpeech(sentence, language, voice, synthesisOptions, outputName, onStream) : null;
+    const synthesized = streamed ? streamed.audio : await synthesizeAudio(sentence, language, voice, synthesisOptions);
+    if (synthesisOptions.signal && !streamed) {
+        // Audio of a request cancelled meanwhile is not written at all
+        synthesisOptions.signal.throwIfAborted();
     }
+    const audio = postProcess ? applyPostProcessing(synthesized, postProcess) : synthesized;
+    const { filename, outputPath } = streamed || createOutputPath(language, audio.voice, audio.format, 'tts', outputName);
 
-    const { sentence, language, voice } = args;
+    // Save the audio data to file
+    saveAudioFile(outputPath, audio.audioData);
+    const timingFiles = saveTimingFiles(outputPath, timings, {
+        audioDuration: audio.audioDuration,
+        wordBoundaries: audio.wordBoundaries,
+        visemes: audio.visemes,
+        bookmarks: audio.bookmarks
+    });
 
-    // Validate required parameters
-    if (!sentence || typeof sentence !== 'string') {
-        throw new Error('Invalid or missing "sentence" parameter');
+    const resultObj = {
+        success: true,
+        audioFile: outputPath,
+        filename: filename,
+        voice: audio.voice,
+        language: language,
+        sentence: options.ssml ? audio.spokenText : sentence,
+        uri: audioResources.uriFor(filename),
+        format: audio.format.name,
+        mimeType: audio.mimeType || audio.format.mimeType,
+        backend: backend.name,
+        wordBoundaries: audio.wordBoundaries,
+        bookmarks: audio.bookmarks,
+        timingFiles,
+        metrics: {
+            ...computeMetrics(audio.spokenText, audio.synthesisTime, audio.audioDuration, audio.cached),
+            ...(streamed ? { firstByteLatency: streamed.firstByteLatency } : {}),
+            ...(audio.postProcessing ? { postProcessing: audio.postProcessing } : {})
+        }
+    };
+
+    log.debug('Saved speech', { file: outputPath, voice: audio.voice, audioDuration: audio.audioDuration, cached: audio.cached });
+    return resultObj;
+}
+
+/**
+ * Transcribe a WAV file with the recognition backend
+ *
+ * With `reference` the transcript is scored against it (see wordErrorRate)
+ * and the reference words are offered to the recognizer as its vocabulary.
+ */
+async function transcribeAudio(audioData, language, { phrases = [], reference = null, signal } = {}) {
+    let wav;
+    try {
+        wav = parseWav(audioData);
+    } catch (error) {
+        throw new Error(`Only WAV files can be transcribed: ${error.message}`);
     }
-    
-    if (!language || typeof language !== 'string') {
-        throw new Error('Invalid or missing "language" parameter');
+
+    const startTime = Date.now();
+    const transcript = await recognizer.transcribe({
+        audioData,
+        language,
+        phrases,
+        vocabulary: reference ? [reference] : [],
+        signal
+    });
+
+    return {
+        text: transcript.text,
+        language,
+        segments: transcript.segments,
+        audioDuration: pcmDurationMs(wav.pcm.length, wav.format),
+        recognitionTime: Date.now() - startTime,
+        backend: recognizer.name,
+        ...(reference !== null ? { verification: wordErrorRate(reference, transcript.text) } : {})
+    };
+}
+
+/**
+ * Stitch synthesized WAV segments into one file, with optional timing sidecars
+ *
+ * Word, viseme and bookmark offsets are moved onto the combined timeline and
+ * tagged with their 1-based segment number under `segmentName`. Raw PCM
+ * formats are written without the WAV header.
+ */
+function saveCombinedAudio(results, outputPath, { format, silenceMs, segmentName, timings = [] }) {
+    const combined = concatWav(results.map((audio) => audio.audioData), { silenceMs });
+    saveAudioFile(outputPath, format.container === 'raw' ? parseWav(combined.audioData).pcm : combined.audioData);
+
+    const shifted = (key) => results.flatMap((audio, index) => audio[key].map((event) => ({
+        ...event,
+        offset: event.offset + combined.segments[index].offset,
+        [segmentName]: index + 1
+    })));
+    const bookmarks = shifted('bookmarks');
+    const timingFiles = saveTimingFiles(outputPath, timings, {
+        audioDuration: combined.audioDuration,
+        wordBoundaries: shifted('wordBoundaries'),
+        visemes: shifted('visemes'),
+        bookmarks
+    });
+
+    return { combined, bookmarks, timingFiles };
+}
+
+/**
+ * Synthesize a long document chunk by chunk into a single audio file
+ *
+ * Only PCM formats can be stitched: chunks are synthesized as WAV at the
+ * requested sample rate and raw PCM output drops the combined header.
+ */
+async function synthesizeDocument(text, language, voice = null, options = {}) {
+    const {
+        chunkSilence = DEFAULT_CHUNK_SILENCE_MS,
+        maxChunkLength = DEFAULT_MAX_CHUNK_LENGTH,
+        concurrency = DEFAULT_DOCUMENT_CONCURRENCY,
+        format = defaultOutputFormat,
+        timings = [],
+        outputName = null,
+        signal,
+        ...speechOptions
+    } = options;
+
+    if (!isPcmFormat(format)) {
+        throw new Error(`Documents can only be written in WAV or PCM formats, not ${format.name}`);
     }
+    const chunkFormat = toRiffFormat(format);
 
-    // Validate language is supported
-    const supportedLanguages = ['en-US', 'fi-FI', 'es-ES', 'de-DE', 'fr-FR', 'sv-SE'];
-    if (!supportedLanguages.includes(language)) {
-        throw new Error(`Unsupported language: ${language}. Supported languages: ${supportedLanguages.join(', ')}`);
+    const selectedVoice = getVoiceForLanguage(language, voice);
+    const chunks = splitText(text, { language, maxLength: maxChunkLength });
+    if (chunks.length === 0) {
+        throw new Error('Document contains no speakable text');
     }
 
-    try {
-        console.error('DEBUG: Starting synthesizeSpeech with params:', { sentence, language, voice });
-        const result = await synthesizeSpeech(sentence, language, voice);
-        
-        console.error('DEBUG: Got result from synthesizeSpeech:', result ? 'object received' : 'null/undefined');
-        console.error('DEBUG: Result has metrics:', !!(result && result.metrics));
-        
-        // Defensive check to ensure result has metrics
-        if (!result || !result.metrics) {
-            console.error('DEBUG: Result object structure:', JSON.stringify(result, null, 2));
-            throw new Error('Invalid result from synthesizeSpeech - missing metrics');
+    const startTime = Date.now();
+    const results = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+        // Paragraph breaks inside a chunk get the same pause as chunk boundaries
+        const chunkText = chunk.split(PARAGRAPH_SEPARATOR).join(` [pause:${chunkSilence}] `);
+        const audio = await synthesizeAudio(chunkText, language, selectedVoice, { ...speechOptions, format: chunkFormat, signal });
+        log.debug('Synthesized document chunk', { chunk: index + 1, chunks: chunks.length, synthesisTime: audio.synthesisTime, cached: audio.cached });
+        // Let cancellation in between chunks, even when they are served from the cache
+        await new Promise((resolveImmediate) => setImmediate(resolveImmediate));
+        return audio;
+    }, { signal });
+    if (signal) {
+        // Chunks left unstarted leave nothing worth saving
+        signal.throwIfAborted();
+    }
+    const synthesisTime = Date.now() - startTime;
+
+    const { filename, outputPath } = createOutputPath(language, selectedVoice, format, 'doc', outputName);
+    const { combined, bookmarks, timingFiles } = saveCombinedAudio(results, outputPath, {
+        format,
+        silenceMs: chunkSilence,
+        segmentName: 'chunk',
+        timings
+    });
+    const spokenText = results.map((audio) => audio.spokenText).join(' ');
+
+    return {
+        success: true,
+        audioFile: outputPath,
+        filename: filename,
+        voice: selectedVoice,
+        language: language,
+        uri: audioResources.uriFor(filename),
+        format: format.name,
+        mimeType: format.mimeType,
+        backend: backend.name,
+        bookmarks,
+        timingFiles,
+        chunks: results.map((audio, index) => ({
+            index: index + 1,
+            characters: chunks[index].length,
+            offset: combined.segments[index].offset,
+            audioDuration: combined.segments[index].duration,
+            synthesisTime: audio.synthesisTime,
+            cached: audio.cached
+        })),
+        metrics: computeMetrics(spokenText, synthesisTime, combined.audioDuration, results.every((audio) => audio.cached))
+    };
+}
+
+/**
+ * Synthesize a multi-speaker dialogue into a single audio file
+ *
+ * `turns` come from castDialogue() with voices already assigned. `gaps` holds
+ * the silence after each turn. A manifest with each turn's start and
+ * duration is written next to the audio.
+ */
+async function synthesizeDialogue(turns, language, options = {}) {
+    const {
+        gaps,
+        concurrency = DEFAULT_DOCUMENT_CONCURRENCY,
+        format = defaultOutputFormat,
+        timings = [],
+        outputName = null,
+        cache = true,
+        client,
+        signal
+    } = options;
+
+    const startTime = Date.now();
+    const results = await mapWithConcurrency(turns, concurrency, async (turn, index) => {
+        const audio = await synthesizeAudio(turn.text, turn.language, turn.voice, {
+            ...turn.settings,
+            cache,
+            client,
+            signal,
+            format: toRiffFormat(format)
+        });
+        log.debug('Synthesized dialogue turn', { turn: index + 1, turns: turns.length, speaker: turn.speaker, synthesisTime: audio.synthesisTime, cached: audio.cached });
+        await new Promise((resolveImmediate) => setImmediate(resolveImmediate));
+        return audio;
+    }, { signal });
+    if (signal) {
+        signal.throwIfAborted();
+    }
+    const synthesisTime = Date.now() - startTime;
+
+    const { filename, outputPath } = createOutputPath(language, 'cast', format, 'dialogue', outputName);
+    const { combined, bookmarks, timingFiles } = saveCombinedAudio(results, outputPath, {
+        format,
+        silenceMs: gaps,
+        segmentName: 'turn',
+        timings
+    });
+
+    const cast = {};
+    turns.forEach((turn) => {
+        cast[turn.speaker] = cast[turn.speaker] || [];
+        if (!cast[turn.speaker].includes(turn.voice)) {
+            cast[turn.speaker].push(turn.voice);
         }
-        
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `🎵 Speech synthesis completed successfully!
+    });
+    const manifestTurns = turns.map((turn, index) => ({
+        index: index + 1,
+        speaker: turn.speaker,
+        voice: turn.voice,
+        language: turn.language,
+        text: results[index].spokenText,
+        start: combined.segments[index].offset,
+        duration: combined.segments[index].duration
+    }));
 
-**Audio Details:**
-- File: ${result.filename}
-- Path: ${result.audioFile}
-- Voice: ${result.voice}
-- Language: ${result.language}
+    const manifestFile = `${outputPath.slice(0, outputPath.length - extname(outputPath).length)}.dialogue.json`;
+    writeFileSync(manifestFile, `${JSON.stringify({
+        audioFile: filename,
+        audioDuration: combined.audioDuration,
+        cast,
+        turns: manifestTurns
+    }, null, 2)}\n`);
 
-**Performance Metrics:**
-- Synthesis Time: ${result.metrics.synthesisTime}ms
-- Audio Duration: ${result.metrics.audioDuration}ms
-- Word Count: ${result.metrics.wordCount}
-- Characters/Second: ${result.metrics.charactersPerSecond}
-- Words/Minute: ${result.metrics.wordsPerMinute}
+    const spokenText = results.map((audio) => audio.spokenText).join(' ');
 
-**Original Text:**
-"${result.sentence}"
+    return {
+        success: true,
+        audioFile: outputPath,
+        filename: filename,
+        voice: [...new Set(turns.map((turn) => turn.voice))].join(', '),
+        language: language,
+        uri: audioResources.uriFor(filename),
+        format: format.name,
+        mimeType: format.mimeType,
+        backend: backend.name,
+        bookmarks,
+        timingFiles,
+        manifestFile,
+        cast,
+        turns: manifestTurns.map((entry, index) => ({
+            ...entry,
+            synthesisTime: results[index].synthesisTime,
+            cached: results[index].cached
+        })),
+        metrics: computeMetrics(spokenText, synthesisTime, combined.audioDuration, results.every((audio) => audio.cached))
+    };
+}
 
-The audio file has been saved and is ready for playback.`
-                }
-            ]
-        };
-        
-    } catch (error) {
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `❌ Speech synthesis failed: ${error.message}
+/**
+ * Synthesize a list of independent items, each to its own file
+ *
+ * Items run through a queue of `concurrency` workers; transient failures are
+ * retried up to `retries` times and other failures are recorded, never
+ * thrown. `onProgress(done, total, item)` is called as items finish. Once
+ * `signal` is aborted no new items start and the rest are marked cancelled.
+ * The manifest is written in every case.
+ */
+async function synthesizeBatch(items, options = {}) {
+    const {
+        batchName,
+        concurrency = DEFAULT_DOCUMENT_CONCURRENCY,
+        retries = DEFAULT_BATCH_RETRIES,
+        format = defaultOutputFormat,
+        manifestFormat = 'json',
+        cache = true,
+        client,
+        signal,
+        onProgress = () => {}
+    } = options;
 
-**Troubleshooting Tips:**
-- Check that Azure Speech Service credentials are properly configured
-- Verify the language code is supported: en-US, fi-FI, es-ES, de-DE, fr-FR, sv-SE
-- Ensure the sentence is not empty and under 1000 characters
-- Check that the voice name (if specified) is valid for the selected language`
-                }
-            ]
-        };
+    const base = batchName || `mcp-batch-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const startTime = Date.now();
+    let done = 0;
+
+    const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+        const entry = { index: index + 1, language: item.language, voice: item.voice || null, text: item.text };
+        try {
+            const { value: audio, attempts } = await withRetries(
+                () => synthesizeAudio(item.text, item.language, item.voice, { cache, format, client, signal }),
+                { retries, baseDelayMs: BATCH_RETRY_DELAY_MS, shouldRetry: isRetryable, signal }
+            );
+            const { filename, outputPath } = createOutputPath(
+                item.language,
+                audio.voice,
+                format,
+                'batch',
+                item.outputName || `${base}-${String(index + 1).padStart(3, '0')}`
+            );
+            saveAudioFile(outputPath, audio.audioData);
+
+            Object.assign(entry, {
+                status: 'succeeded',
+                voice: audio.voice,
+                file: filename,
+                path: outputPath,
+                uri: audioResources.uriFor(filename),
+                audioDuration: audio.audioDuration,
+                synthesisTime: audio.synthesisTime,
+                attempts,
+                cached: audio.cached
+            });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                entry.status = 'cancelled';
+            } else {
+                entry.status = 'failed';
+                entry.attempts = error.attempts || 1;
+                entry.error = { code: errorCode(error), message: error.message };
+            }
+        }
+
+        done++;
+        log.debug('Batch item finished', { item: entry.index, items: items.length, status: entry.status });
+        onProgress(done, items.length, entry);
+        // Let cancellation and other requests in between items, even when they are served from the cache
+        await new Promise((resolveImmediate) => setImmediate(resolveImmediate));
+        return entry;
+    }, { signal });
+
+    const entries = items.map((item, index) => results[index] || {
+        index: index + 1,
+        language: item.language,
+        voice: item.voice || null,
+        text: item.text,
+        status: 'cancelled'
+    });
+    const summary = summarizeBatch(entries);
+
+    const { path: manifestFile } = outputs.pathFor(`${base}.manifest.${manifestFormat}`, 'batchName');
+    mkdirSync(dirname(manifestFile), { recursive: true });
+    writeFileSync(manifestFile, renderBatchManifest(manifestFormat, {
+        createdAt: new Date().toISOString(),
+        format: format.name,
+        backend: backend.name,
+        ...summary,
+        items: entries
+    }));
+
+    return {
+        manifestFile,
+        format: format.name,
+        mimeType: format.mimeType,
+        backend: backend.name,
+        ...summary,
+        items: entries,
+        synthesisTime: Date.now() - startTime
+    };
+}
+
+// Prosody, style, pause and cache options shared by the synthesis tools
+const SPEECH_OPTION_PROPERTIES = {
+    rate: {
+        type: 'string',
+        description: 'Speaking rate: relative ("+10%", "-20%"), multiplier ("1.2") or x-slow/slow/medium/fast/x-fast',
+        examples: ['+10%', '0.9', 'slow']
+    },
+    pitch: {
+        type: 'string',
+        description: 'Pitch: relative ("+5%", "-2st", "+50Hz") or x-low/low/medium/high/x-high',
+        examples: ['+5%', '-2st', 'high']
+    },
+    volume: {
+        type: 'string',
+        description: 'Volume: relative ("+20%"), absolute 0-100, or silent/x-soft/soft/medium/loud/x-loud',
+        examples: ['+20%', '80', 'soft']
+    },
+    style: {
+        type: 'string',
+        description: 'Speaking style for voices that support it (e.g. cheerful, sad, newscast, whispering)',
+        examples: ['cheerful', 'newscast']
+    },
+    styleDegree: {
+        type: 'number',
+        description: 'Intensity of the speaking style, 0.01-2 (requires "style")',
+        minimum: 0.01,
+        maximum: 2
+    },
+    pauses: {
+        type: 'object',
+        description: 'Silence to insert, in milliseconds (0-5000)',
+        properties: {
+            leading: { type: 'integer', description: 'Before the speech starts' },
+            trailing: { type: 'integer', description: 'After the speech ends' },
+            sentence: { type: 'integer', description: 'Between sentences' },
+            comma: { type: 'integer', description: 'At commas' }
+        },
+        additionalProperties: false
+    },
+    cache: {
+        type: 'boolean',
+        description: 'Reuse audio from the synthesis cache for identical requests',
+        default: true
     }
-});
+};
 
-// Start the server
+// Per-speaker and per-turn voice settings of synthesize_dialogue
+const VOICE_SETTING_PROPERTIES = {
+    rate: SPEECH_OPTION_PROPERTIES.rate,
+    pitch: SPEECH_OPTION_PROPERTIES.pitch,
+    volume: SPEECH_OPTION_PROPERTIES.volume,
+    style: SPEECH_OPTION_PROPERTIES.style,
+    styleDegree: SPEECH_OPTION_PROPERTIES.styleDegree
+};
+
+// Output formats for tools that stitch several syntheses into one file
+const STITCHED_FORMAT_PROPERTY = {
+    outputFormat: {
+        type: 'string',
+        description: 'Audio encoding of the saved file (segments are stitched, so only WAV and raw PCM are available)',
+        enum: OUTPUT_FORMAT_NAMES.filter((name) => isPcmFormat(getOutputFormat(name))),
+        default: isPcmFormat(defaultOutputFormat) ? defaultOutputFormat.name : DEFAULT_OUTPUT_FORMAT
+    }
+};
+
+// How the synthesized audio is delivered besides the saved file
+const INLINE_PROPERTY = {
+    inline: {
+        type: 'string',
+        description: 'Also return the audio in the result: "audio" as base64 audio content, "resource" as an embedded resource, "none" for the file path and resource URI only',
+        enum: INLINE_MODES,
+        default: 'none'
+    }
+};
+
+// How "sentence" / "text" is written and what to do with code and links in it
+const INPUT_FORMAT_PROPERTIES = {
+    format: {
+        type: 'string',
+        description: 'How the text is written: "text" is read as is, "markdown" and "html" are read by structure (headings, lists, tables) without their syntax',
+        enum: INPUT_FORMATS,
+        default: 'text'
+    },
+    markup: {
+        type: 'object',
+        description: 'Markdown/HTML reading policies',
+        properties: {
+            code: { type: 'string', enum: MARKUP_POLICIES, description: 'Code blocks: skip, "summarize" as "Code example" (default) or read out', default: 'summarize' },
+            urls: { type: 'string', enum: MARKUP_POLICIES, description: 'URLs: skip, "summarize" as the host name and links as their text (default), or read out', default: 'summarize' }
+        },
+        additionalProperties: false
+    }
+};
+
+// Output schemas for the structuredContent of successful tool results
+const METRICS_SCHEMA = {
+    type: 'object',
+    properties: {
+        synthesisTime: { type: 'integer', description: 'Milliseconds spent synthesizing' },
+        audioDuration: { type: 'integer', description: 'Audio length in milliseconds' },
+        wordCount: { type: 'integer' },
+        charactersPerSecond: { type: 'number' },
+        wordsPerMinute: { type: 'number' },
+        cached: { type: 'boolean' },
+        firstByteLatency: { type: 'integer', description: 'Present with "stream": milliseconds until the first audio arrived' },
+        postProcessing: {
+            type: 'array',
+            description: 'Present with "postProcess": the steps applied to the audio, in order',
+            items: {
+                type: 'object',
+                properties: {
+                    step: { type: 'string', enum: ['trim', 'normalize', 'resample', 'channels', 'pad'] },
+                    leadingMs: { type: 'integer' },
+                    trailingMs: { type: 'integer' },
+                    mode: { type: 'string', enum: NORMALIZATION_MODES },
+                    gainDb: { type: 'number' },
+                    inputLoudness: { type: ['number', 'null'], description: 'Integrated loudness in LUFS' },
+                    outputLoudness: { type: ['number', 'null'] },
+                    inputPeak: { type: ['number', 'null'], description: 'Sample peak in dBFS' },
+                    outputPeak: { type: ['number', 'null'] },
+                    from: { type: 'integer' },
+                    to: { type: 'integer' }
+                },
+                required: ['step']
+            }
+        }
+    },
+    required: ['synthesisTime', 'audioDuration', 'wordCount', 'charactersPerSecond', 'wordsPerMinute', 'cached']
+};
+
+const AUDIO_RESULT_PROPERTIES = {
+    file: { type: 'string', description: 'File name in the output directory' },
+    path: { type: 'string', description: 'Absolute path on the server' },
+    uri: { type: 'string', description: 'Resource URI for resources/read' },
+    voice: { type: 'string' },
+    language: { type: 'string' },
+    format: { type: 'string', enum: OUTPUT_FORMAT_NAMES },
+    mimeType: { type: 'string' },
+    backend: { type: 'string' },
+    bookmarks: {
+        type: 'array',
+        description: 'SSML bookmarks reached, with their audio offset in milliseconds',
+        items: {
+            type: 'object',
+            properties: { name: { type: 'string' }, offset: { type: 'number' } }
+        }
+    },
+    timingFiles: {
+        type: 'object',
+        description: 'Paths of the timing files written, keyed by format',
+        properties: Object.fromEntries(TIMING_FORMATS.map((format) => [format, { type: 'string' }]))
+    },
+    metrics: METRICS_SCHEMA
+};
+
+const AUDIO_RESULT_REQUIRED = Object.keys(AUDIO_RESULT_PROPERTIES);
+
+// Subtitle and timing sidecars written next to the audio file
+const TIMINGS_PROPERTY = {
+    timings: {
+        type: 'array',
+        description: 'Also write word timing files next to the audio: "vtt" (WebVTT captions), "srt" (SubRip captions), "json" (words, visemes and bookmarks)',
+        items: { type: 'string', enum: TIMING_FORMATS },
+        uniqueItems: true,
+        default: []
+    }
+};
+
+// Post-processing of synthesized PCM (see postProcessPcm)
+const POST_PROCESS_PROPERTY = {
+    postProcess: {
+        type: 'object',
+        description: 'Process the saved audio (WAV and raw PCM only). Steps run in order: trim, normalize, resample, channels, padding.',
+        properties: {
+            normalize: {
+                type: 'string',
+                description: '"loudness" for EBU R128 integrated loudness (targetLoudness, peaks capped at targetPeak) or "peak" (targetPeak)',
+                enum: NORMALIZATION_MODES
+            },
+            targetLoudness: { type: 'number', description: 'LUFS, -50 to -5', minimum: -50, maximum: -5, default: -16 },
+            targetPeak: { type: 'number', description: 'Sample peak in dBFS, -30 to 0', minimum: -30, maximum: 0, default: -1 },
+            trimSilence: { type: 'boolean', description: 'Remove leading and trailing silence', default: false },
+            silenceThreshold: { type: 'number', description: 'dBFS below which audio counts as silence, -90 to -20', minimum: -90, maximum: -20, default: -50 },
+            padding: {
+                type: 'object',
+                description: 'Silence to add after trimming, in milliseconds (0-5000)',
+                properties: {
+                    leading: { type: 'integer', minimum: 0, maximum: 5000 },
+                    trailing: { type: 'integer', minimum: 0, maximum: 5000 }
+                },
+                additionalProperties: false
+            },
+            sampleRate: { type: 'integer', description: 'Resample to this rate in Hz (8000-48000)', minimum: 8000, maximum: 48000 },
+            channels: { type: 'integer', description: '1 for mono, 2 for stereo', enum: [1, 2] }
+        },
+        additionalProperties: false
+    }
+};
+
+const OUTPUT_NAME_PROPERTY = {
+    outputName: {
+        type: 'string',
+        description: `File name without extension, optionally in subdirectories ("lessons/{date}/intro"). May use ${FILENAME_TEMPLATE_FIELDS.map((field) => `{${field}}`).join(', ')}; an existing file is replaced. Default: AUDIO_FILENAME_TEMPLATE`
+    }
+};
+
+// Word error rate of a transcript against the expected text (see wordErrorRate)
+const VERIFICATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        transcript: { type: 'string' },
+        wer: { type: 'number', minimum: 0, description: 'Word error rate: edits / expected words' },
+        substitutions: { type: 'integer' },
+        deletions: { type: 'integer' },
+        insertions: { type: 'integer' },
+        referenceWords: { type: 'integer' },
+        hypothesisWords: { type: 'integer' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['substitution', 'deletion', 'insertion'] },
+                    expected: { type: ['string', 'null'] },
+                    heard: { type: ['string', 'null'] }
+                }
+            }
+        },
+        error: {
+            type: 'object',
+            properties: { code: { type: 'string' }, message: { type: 'string' } }
+        }
+    }
+};
+
+const PLAYBACK_RESULT_SCHEMA = {
+    type: 'object',
+    description: 'Present with "play": where the file is in the playback queue, or why it could not be played',
+    properties: {
+        status: { type: 'string', enum: ['playing', 'queued', 'unavailable'] },
+        error: {
+            type: 'object',
+            properties: { code: { type: 'string' }, message: { type: 'string' } }
+        }
+    }
+};
+
+const PRONUNCIATION_ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        term: { type: 'string' },
+        alias: { type: 'string' },
+        phoneme: { type: 'string' },
+        alphabet: { type: 'string', enum: PHONETIC_ALPHABETS },
+        caseSensitive: { type: 'boolean' }
+    },
+    required: ['term']
+};
+
+const USAGE_STATS_PROPERTIES = {
+    requests: { type: 'integer' },
+    failures: { type: 'integer' },
+    rejected: { type: 'integer', description: 'Requests refused by a character budget' },
+    cacheHits: { type: 'integer' },
+    characters: { type: 'integer', description: 'Spoken characters of every request' },
+    billableCharacters: { type: 'integer', description: 'Characters sent to the service successfully' },
+    audioSeconds: { type: 'number' },
+    tiers: { type: 'object', description: 'Billable characters by voice tier (standard, neural, hd)', additionalProperties: { type: 'integer' } }
+};
+
+const USAGE_BUDGET_SCHEMA = {
+    type: 'object',
+    properties: {
+        limit: { type: ['integer', 'null'], description: 'Billable characters allowed; null without a budget' },
+        used: { type: 'integer' },
+        remaining: { type: ['integer', 'null'] },
+        resetsAt: { type: 'string' }
+    }
+};
+
+/**
+ * Language and voice schema properties, driven by the voice catalog
+ */
+function voiceSelectionProperties() {
+    return {
+        language: {
+            type: 'string',
+            description: 'Language code (e.g., en-US, fi-FI, es-ES, de-DE, fr-FR, sv-SE)',
+            enum: voiceCatalog.languages(),
+            default: 'en-US'
+        },
+        voice: {
+            type: 'string',
+            description: 'Optional specific voice name (see list_voices). If not provided, uses the best voice for the language.',
+            examples: [...new Set(Object.values(PREFERRED_VOICES))]
+        }
+    };
+}
+
+/**
+ * Describe the available tools
+ */
+async function handleListTools() {
+    return {
+        tools: [
+            {
+                name: 'synthesize_speech',
+                description: 'Convert text to speech using Microsoft Azure Speech Services. Supports multiple languages and voices.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        sentence: {
+                            type: 'string',
+                            description: 'The text to convert to speech. Insert pauses inline with [pause] or [pause:750] (milliseconds) and stress words with [emphasis]...[/emphasis].',
+                            minLength: 1,
+                            maxLength: 1000
+                        },
+                        ...INPUT_FORMAT_PROPERTIES,
+                        ssml: {
+                            type: 'string',
+                            description: 'Raw SSML document to speak instead of "sentence". Must have a <speak> root and only use: speak, voice, prosody, break, emphasis, say-as, sub, phoneme, lang, p, s, bookmark, mstts:express-as, mstts:silence.',
+                            minLength: 1,
+                            maxLength: 5000
+                        },
+                        ...voiceSelectionProperties(),
+                        language: {
+                            type: 'string',
+                            description: 'Language code (e.g., en-US, fi-FI, sv-SE). Omit it to detect the language from the text.',
+                            enum: voiceCatalog.languages()
+                        },
+                        languageSegments: {
+                            type: 'boolean',
+                            description: 'Detect the language of each sentence and speak sentences in other languages with <lang>. Needs a multilingual voice; cannot be combined with rate, pitch or volume.',
+                            default: false
+                        },
+                        play: {
+                            type: 'boolean',
+                            description: 'Also play the audio on the server machine\'s speakers (queued after anything already playing)',
+                            default: false
+                        },
+                        verify: {
+                            type: 'boolean',
+                            description: 'Transcribe the result with speech recognition and report the word error rate against the text (WAV output only)',
+                            default: false
+                        },
+                        stream: {
+                            type: 'boolean',
+                            description: 'Write the audio to its file as it is synthesized, reporting progress per chunk and the first byte latency. The file stays playable if the request is cancelled part-way. With the HTTP transport the audio can be followed live at /audio/streams/<filename>. Cannot be combined with "postProcess".',
+                            default: false
+                        },
+                        ...SPEECH_OPTION_PROPERTIES,
+                        outputFormat: {
+                            type: 'string',
+                            description: 'Audio encoding of the saved file',
+                            enum: OUTPUT_FORMAT_NAMES,
+                            default: defaultOutputFormat.name
+                        },
+                        ...POST_PROCESS_PROPERTY,
+                        ...INLINE_PROPERTY,
+                        ...TIMINGS_PROPERTY,
+                        ...OUTPUT_NAME_PROPERTY
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        ...AUDIO_RESULT_PROPERTIES,
+                        text: { type: 'string', description: 'The text that was spoken' },
+                        playback: PLAYBACK_RESULT_SCHEMA,
+                        verification: {
+                            ...VERIFICATION_SCHEMA,
+                            description: 'Present with "verify": what speech recognition heard, or why it could not run'
+                        },
+                        detectedLanguage: {
+                            type: 'object',
+                            description: 'Present when "language" was detected',
+                            properties: {
+                                language: { type: 'string' },
+                                confidence: { type: 'number', minimum: 0, maximum: 1 }
+                            }
+                        },
+                        languageSegments: {
+                            type: 'array',
+                            description: 'Present with "languageSegments": the text as runs of one language',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    text: { type: 'string' },
+                                    language: { type: 'string' },
+                                    confidence: { type: 'number' }
+                                }
+                            }
+                        }
+                    },
+                    required: [...AUDIO_RESULT_REQUIRED, 'text']
+                }
+            },
+            {
+                name: 'synthesize_document',
+                description: 'Convert a long text (up to 100000 characters) to a single audio file. The text is split at paragraph and sentence boundaries, synthesized in chunks and stitched together.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        text: {
+                            type: 'string',
+                            description: 'The document to convert to speech. Blank lines separate paragraphs.',
+                            minLength: 1,
+                            maxLength: MAX_DOCUMENT_LENGTH
+                        },
+                        ...INPUT_FORMAT_PROPERTIES,
+                        ...voiceSelectionProperties(),
+                        ...SPEECH_OPTION_PROPERTIES,
+                        chunkSilence: {
+                            type: 'integer',
+                            description: 'Silence between chunks and paragraphs, in milliseconds',
+                            minimum: 0,
+                            maximum: 5000,
+                            default: DEFAULT_CHUNK_SILENCE_MS
+                        },
+                        maxChunkLength: {
+                            type: 'integer',
+                            description: 'Maximum characters per synthesis request',
+                            minimum: 100,
+                            maximum: DEFAULT_MAX_CHUNK_LENGTH,
+                            default: DEFAULT_MAX_CHUNK_LENGTH
+                        },
+                        concurrency: {
+                            type: 'integer',
+                            description: 'Number of chunks synthesized in parallel',
+                            minimum: 1,
+                            maximum: MAX_DOCUMENT_CONCURRENCY,
+                            default: DEFAULT_DOCUMENT_CONCURRENCY
+                        },
+                        ...STITCHED_FORMAT_PROPERTY,
+                        ...INLINE_PROPERTY,
+                        ...TIMINGS_PROPERTY,
+                        ...OUTPUT_NAME_PROPERTY
+                    },
+                    required: ['text', 'language']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        ...AUDIO_RESULT_PROPERTIES,
+                        chunks: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    characters: { type: 'integer' },
+                                    offset: { type: 'integer', description: 'Start of the chunk in the combined audio (ms)' },
+                                    audioDuration: { type: 'integer' },
+                                    synthesisTime: { type: 'integer' },
+                                    cached: { type: 'boolean' }
+                                }
+                            }
+                        }
+                    },
+                    required: [...AUDIO_RESULT_REQUIRED, 'chunks']
+                }
+            },
+            {
+                name: 'synthesize_dialogue',
+                description: 'Convert a multi-speaker dialogue into a single audio file. Speakers are mapped to voices through an optional cast; uncast speakers get distinct voices for their language. A manifest records where each turn starts.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        turns: {
+                            type: 'array',
+                            description: 'The dialogue in speaking order',
+                            minItems: 1,
+                            maxItems: MAX_DIALOGUE_TURNS,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    speaker: { type: 'string', description: 'Speaker name, matched against "cast"', minLength: 1 },
+                                    text: {
+                                        type: 'string',
+                                        description: 'What the speaker says. [pause] / [pause:750] markers are allowed.',
+                                        minLength: 1,
+                                        maxLength: MAX_TURN_LENGTH
+                                    },
+                                    language: { type: 'string', description: 'Language of this turn (defaults to the speaker\'s cast language, then "language")' },
+                                    ...VOICE_SETTING_PROPERTIES,
+                                    gapAfter: {
+                                        type: 'integer',
+                                        description: 'Silence after this turn in milliseconds (overrides "gap")',
+                                        minimum: 0,
+                                        maximum: 5000
+                                    }
+                                },
+                                required: ['speaker', 'text']
+                            }
+                        },
+                        cast: {
+                            type: 'object',
+                            description: 'Voices per speaker: a voice name, or { voice, language, style, styleDegree, rate, pitch, volume }',
+                            additionalProperties: {
+                                oneOf: [
+                                    { type: 'string' },
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            voice: { type: 'string' },
+                                            language: { type: 'string' },
+                                            ...VOICE_SETTING_PROPERTIES
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        language: voiceSelectionProperties().language,
+                        gap: {
+                            type: 'integer',
+                            description: 'Silence between turns, in milliseconds',
+                            minimum: 0,
+                            maximum: 5000,
+                            default: DEFAULT_DIALOGUE_GAP_MS
+                        },
+                        concurrency: {
+                            type: 'integer',
+                            description: 'Number of turns synthesized in parallel',
+                            minimum: 1,
+                            maximum: MAX_DOCUMENT_CONCURRENCY,
+                            default: DEFAULT_DOCUMENT_CONCURRENCY
+                        },
+                        cache: SPEECH_OPTION_PROPERTIES.cache,
+                        ...STITCHED_FORMAT_PROPERTY,
+                        ...INLINE_PROPERTY,
+                        ...TIMINGS_PROPERTY,
+                        ...OUTPUT_NAME_PROPERTY
+                    },
+                    required: ['turns', 'language']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        ...AUDIO_RESULT_PROPERTIES,
+                        manifestFile: { type: 'string', description: 'Path of the JSON transcript/timing manifest' },
+                        cast: {
+                            type: 'object',
+                            description: 'Voices used by each speaker',
+                            additionalProperties: { type: 'array', items: { type: 'string' } }
+                        },
+                        turns: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    speaker: { type: 'string' },
+                                    voice: { type: 'string' },
+                                    language: { type: 'string' },
+                                    text: { type: 'string' },
+                                    start: { type: 'integer', description: 'Start of the turn in the combined audio (ms)' },
+                                    duration: { type: 'integer' },
+                                    synthesisTime: { type: 'integer' },
+                                    cached: { type: 'boolean' }
+                                }
+                            }
+                        }
+                    },
+                    required: [...AUDIO_RESULT_REQUIRED, 'manifestFile', 'cast', 'turns']
+                }
+            },
+            {
+                name: 'synthesize_batch',
+                description: 'Synthesize many independent texts, each to its own audio file, through a concurrency-limited queue. Transient failures are retried; failed items do not stop the batch. Reports progress per item when the request carries a progress token, stops starting new items when cancelled, and writes a JSON or CSV manifest of every item.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        items: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: MAX_BATCH_ITEMS,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    text: {
+                                        type: 'string',
+                                        description: 'Text to synthesize. [pause] / [pause:750] markers are allowed.',
+                                        minLength: 1,
+                                        maxLength: MAX_BATCH_ITEM_LENGTH
+                                    },
+                                    language: { type: 'string', description: 'Language of this item (defaults to "language")' },
+                                    voice: { type: 'string', description: 'Voice for this item (defaults to the language default)' },
+                                    outputName: {
+                                        type: 'string',
+                                        description: 'File name without extension (letters, digits, "_", "-", "."), optionally in subdirectories ("lesson-1/intro"); an existing file is replaced',
+                                        pattern: OUTPUT_PATH_PATTERN.source
+                                    }
+                                },
+                                required: ['text']
+                            }
+                        },
+                        language: {
+                            type: 'string',
+                            description: 'Default language for items without one'
+                        },
+                        batchName: {
+                            type: 'string',
+                            description: 'Base name of the manifest and of items without "outputName", optionally in subdirectories (default: mcp-batch-<timestamp>)',
+                            pattern: OUTPUT_PATH_PATTERN.source
+                        },
+                        concurrency: {
+                            type: 'integer',
+                            description: 'Number of items synthesized in parallel',
+                            minimum: 1,
+                            maximum: MAX_DOCUMENT_CONCURRENCY,
+                            default: DEFAULT_DOCUMENT_CONCURRENCY
+                        },
+                        retries: {
+                            type: 'integer',
+                            description: 'Retries per item after network errors, timeouts or throttling, on top of the retries of each service call',
+                            minimum: 0,
+                            maximum: MAX_BATCH_RETRIES,
+                            default: DEFAULT_BATCH_RETRIES
+                        },
+                        manifestFormat: {
+                            type: 'string',
+                            enum: BATCH_MANIFEST_FORMATS,
+                            description: 'Manifest file format',
+                            default: 'json'
+                        },
+                        outputFormat: {
+                            type: 'string',
+                            enum: OUTPUT_FORMAT_NAMES,
+                            description: 'Audio format of every item',
+                            default: defaultOutputFormat.name
+                        },
+                        cache: SPEECH_OPTION_PROPERTIES.cache
+                    },
+                    required: ['items']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        manifestFile: { type: 'string', description: 'Path of the manifest' },
+                        format: { type: 'string' },
+                        mimeType: { type: 'string' },
+                        backend: { type: 'string' },
+                        total: { type: 'integer' },
+                        succeeded: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        cancelled: { type: 'integer' },
+                        items: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    status: { type: 'string', enum: BATCH_ITEM_STATUSES },
+                                    language: { type: 'string' },
+                                    voice: { type: ['string', 'null'] },
+                                    text: { type: 'string' },
+                                    file: { type: 'string' },
+                                    path: { type: 'string' },
+                                    uri: { type: 'string' },
+                                    audioDuration: { type: 'integer' },
+                                    synthesisTime: { type: 'integer' },
+                                    attempts: { type: 'integer' },
+                                    cached: { type: 'boolean' },
+                                    error: {
+                                        type: 'object',
+                                        properties: { code: { type: 'string' }, message: { type: 'string' } }
+                                    }
+                                },
+                                required: ['index', 'status', 'text']
+                            }
+                        }
+                    },
+                    required: ['manifestFile', 'format', 'total', 'succeeded', 'failed', 'cancelled', 'items']
+                }
+            },
+            {
+                name: 'list_voices',
+                description: 'List available voices with locale, gender, speaking styles and multilingual support.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        language: {
+                            type: 'string',
+                            description: 'Filter by locale (e.g. fi-FI, includes multilingual voices) or language (e.g. fi)'
+                        },
+                        gender: {
+                            type: 'string',
+                            enum: ['Female', 'Male', 'Neutral']
+                        },
+                        style: {
+                            type: 'string',
+                            description: 'Only voices supporting this speaking style (e.g. cheerful)'
+                        },
+                        multilingual: {
+                            type: 'boolean',
+                            description: 'Only multilingual (true) or single-language (false) voices'
+                        },
+                        refresh: {
+                            type: 'boolean',
+                            description: 'Fetch the voice list from the service instead of using the cache',
+                            default: false
+                        }
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        voices: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    locale: { type: 'string' },
+                                    displayName: { type: 'string' },
+                                    gender: { type: 'string' },
+                                    styles: { type: 'array', items: { type: 'string' } },
+                                    multilingual: { type: 'boolean' },
+                                    secondaryLocales: { type: 'array', items: { type: 'string' } }
+                                }
+                            }
+                        },
+                        catalog: {
+                            type: 'object',
+                            properties: {
+                                source: { type: 'string' },
+                                updated: { type: ['string', 'null'] },
+                                voices: { type: 'integer' },
+                                languages: { type: 'integer' }
+                            }
+                        },
+                        warning: { type: 'string' }
+                    },
+                    required: ['voices', 'catalog']
+                }
+            },
+            {
+                name: 'add_pronunciation',
+                description: 'Add or replace a pronunciation dictionary entry. Entries are saved and applied to every later synthesis in the locale (or, for a language like "fi", all its locales).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        locale: {
+                            type: 'string',
+                            description: 'Locale (e.g. fi-FI) or language (e.g. fi) the entry applies to'
+                        },
+                        term: {
+                            type: 'string',
+                            description: 'Word or phrase as written in the text; matched as whole words'
+                        },
+                        alias: {
+                            type: 'string',
+                            description: 'Text to speak instead of the term (e.g. "sequel" for "SQL")'
+                        },
+                        phoneme: {
+                            type: 'string',
+                            description: 'Phonetic spelling of the term (use instead of alias)'
+                        },
+                        alphabet: {
+                            type: 'string',
+                            enum: PHONETIC_ALPHABETS,
+                            description: 'Phonetic alphabet of "phoneme"',
+                            default: 'ipa'
+                        },
+                        caseSensitive: {
+                            type: 'boolean',
+                            description: 'Only match the term with exactly this capitalization',
+                            default: false
+                        }
+                    },
+                    required: ['locale', 'term']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        locale: { type: 'string' },
+                        entry: PRONUNCIATION_ENTRY_SCHEMA,
+                        replaced: { type: 'boolean' },
+                        file: { type: 'string' }
+                    },
+                    required: ['locale', 'entry', 'replaced', 'file']
+                }
+            },
+            {
+                name: 'list_pronunciations',
+                description: 'List pronunciation dictionary entries.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        locale: {
+                            type: 'string',
+                            description: 'Only entries applying to this locale (e.g. fi-FI, which includes entries for "fi")'
+                        }
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        pronunciations: {
+                            type: 'array',
+                            items: {
+                                ...PRONUNCIATION_ENTRY_SCHEMA,
+                                properties: { locale: { type: 'string' }, ...PRONUNCIATION_ENTRY_SCHEMA.properties }
+                            }
+                        },
+                        file: { type: 'string' }
+                    },
+                    required: ['pronunciations', 'file']
+                }
+            },
+            {
+                name: 'list_audio_files',
+                description: 'List generated audio files, newest first, with their size, age and caption/manifest sidecars.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        directory: {
+                            type: 'string',
+                            description: 'Only files in this subdirectory of the output directory',
+                            pattern: OUTPUT_PATH_PATTERN.source
+                        },
+                        contains: {
+                            type: 'string',
+                            description: 'Only files whose name contains this text (case-insensitive)'
+                        },
+                        limit: {
+                            type: 'integer',
+                            description: 'Maximum number of files to return',
+                            minimum: 1,
+                            maximum: MAX_AUDIO_FILE_LIMIT,
+                            default: DEFAULT_AUDIO_FILE_LIMIT
+                        }
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        files: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    file: { type: 'string', description: 'Path relative to the output directory' },
+                                    path: { type: 'string' },
+                                    uri: { type: 'string' },
+                                    mimeType: { type: 'string' },
+                                    size: { type: 'integer', description: 'Bytes, including sidecars' },
+                                    modifiedAt: { type: 'string' },
+                                    sidecars: { type: 'array', items: { type: 'string' } }
+                                },
+                                required: ['file', 'path', 'uri', 'size', 'modifiedAt', 'sidecars']
+                            }
+                        },
+                        total: { type: 'integer', description: 'Matching files before "limit"' },
+                        totalBytes: { type: 'integer' },
+                        directory: { type: 'string' },
+                        retention: {
+                            type: 'object',
+                            properties: {
+                                maxAgeDays: { type: ['number', 'null'] },
+                                maxMegabytes: { type: ['number', 'null'] }
+                            }
+                        }
+                    },
+                    required: ['files', 'total', 'totalBytes', 'directory']
+                }
+            },
+            {
+                name: 'delete_audio_file',
+                description: 'Delete a generated audio file and its caption/manifest sidecars.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        file: {
+                            type: 'string',
+                            description: 'Path relative to the output directory (as returned by list_audio_files) or a tts://audio/ resource URI'
+                        },
+                        sidecars: {
+                            type: 'boolean',
+                            description: 'Also delete the files written next to it (captions, timings, dialogue manifest)',
+                            default: true
+                        }
+                    },
+                    required: ['file']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        deleted: { type: 'array', items: { type: 'string' } }
+                    },
+                    required: ['deleted']
+                }
+            },
+            {
+                name: 'play_audio',
+                description: 'Play a generated audio file on the speakers of the machine running the server, or control playback. Uses afplay, paplay, aplay or ffplay, whichever is installed.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        file: {
+                            type: 'string',
+                            description: 'Path relative to the output directory (as returned by the synthesis tools and list_audio_files) or a tts://audio/ URI; needed for "play" and "queue"'
+                        },
+                        action: {
+                            type: 'string',
+                            description: '"play" interrupts and clears the queue, "queue" plays after what is already queued, "stop" stops and clears the queue, "status" only reports',
+                            enum: PLAYBACK_ACTIONS,
+                            default: 'play'
+                        }
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        action: { type: 'string', enum: PLAYBACK_ACTIONS },
+                        playing: {
+                            type: ['object', 'null'],
+                            properties: {
+                                file: { type: 'string' },
+                                player: { type: 'string' },
+                                startedAt: { type: 'string' }
+                            }
+                        },
+                        queue: { type: 'array', items: { type: 'string' } },
+                        players: { type: 'array', items: { type: 'string' } },
+                        error: {
+                            type: 'object',
+                            properties: { code: { type: 'string' }, message: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            {
+                name: 'transcribe_audio',
+                description: 'Transcribe a generated WAV file with speech recognition, optionally scoring it against the expected text (word error rate).',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        file: {
+                            type: 'string',
+                            description: 'WAV file: path relative to the output directory or a tts://audio/ URI'
+                        },
+                        language: {
+                            type: 'string',
+                            description: 'Language spoken in the file (e.g., fi-FI)'
+                        },
+                        phrases: {
+                            type: 'array',
+                            description: 'Names and terms to help the recognizer',
+                            items: { type: 'string' },
+                            maxItems: MAX_RECOGNITION_PHRASES
+                        },
+                        reference: {
+                            type: 'string',
+                            description: 'Expected text; the result then includes the word error rate against it'
+                        }
+                    },
+                    required: ['file', 'language']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        file: { type: 'string' },
+                        text: { type: 'string' },
+                        language: { type: 'string' },
+                        segments: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    text: { type: 'string' },
+                                    offset: { type: 'number' },
+                                    duration: { type: 'number' }
+                                }
+                            }
+                        },
+                        audioDuration: { type: 'integer' },
+                        recognitionTime: { type: 'integer' },
+                        backend: { type: 'string' },
+                        verification: VERIFICATION_SCHEMA,
+                        error: {
+                            type: 'object',
+                            properties: { code: { type: 'string' }, message: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            {
+                name: 'get_config',
+                description: 'Show the effective server configuration (file, profile, environment and flags applied), with secrets redacted.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {}
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        file: { type: ['string', 'null'], description: 'Configuration file in use' },
+                        profile: { type: ['string', 'null'], description: 'Active profile' },
+                        profiles: { type: 'array', items: { type: 'string' }, description: 'Profiles defined in the file' },
+                        settings: { type: 'object', description: 'Effective settings by section; secrets are "[redacted]"' },
+                        sources: {
+                            type: 'object',
+                            description: 'Where each setting came from: default, file, profile <name>, env <NAME> or flag --<name>',
+                            additionalProperties: { type: 'string' }
+                        }
+                    },
+                    required: ['file', 'profile', 'profiles', 'settings', 'sources']
+                }
+            },
+            {
+                name: 'get_usage',
+                description: 'Show synthesis usage from the persistent ledger: requests, billable characters, audio, cache hits and failures per day and client, and the daily and monthly character budgets.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string', description: 'First day (YYYY-MM-DD, UTC). Default: the first day of this month' },
+                        to: { type: 'string', description: 'Last day (YYYY-MM-DD, UTC). Default: today' },
+                        client: { type: 'string', description: 'Only count this MCP client (by the name it reports)' }
+                    }
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string' },
+                        to: { type: 'string' },
+                        totals: { type: 'object', properties: USAGE_STATS_PROPERTIES },
+                        days: {
+                            type: 'array',
+                            items: { type: 'object', properties: { date: { type: 'string' }, ...USAGE_STATS_PROPERTIES } }
+                        },
+                        clients: {
+                            type: 'array',
+                            items: { type: 'object', properties: { client: { type: 'string' }, ...USAGE_STATS_PROPERTIES } }
+                        },
+                        budgets: {
+                            type: 'object',
+                            properties: { daily: USAGE_BUDGET_SCHEMA, monthly: USAGE_BUDGET_SCHEMA }
+                        }
+                    },
+                    required: ['from', 'to', 'totals', 'days', 'clients', 'budgets']
+                }
+            }
+        ]
+    };
+}
+
+/**
+ * Validate an optional integer tool argument, returning the default when absent
+ */
+function integerOption(args, name, { min, max, defaultValue, label = name }) {
+    const value = args[name];
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid "${label}": must be an integer between ${min} and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Resolve the optional "outputFormat" tool argument to a format descriptor
+ */
+function outputFormatOption(args, fallback = defaultOutputFormat) {
+    const { outputFormat } = args;
+    if (outputFormat === undefined || outputFormat === null) {
+        return fallback;
+    }
+    if (typeof outputFormat !== 'string') {
+        throw new Error('Invalid "outputFormat" parameter: expected a format name');
+    }
+    return getOutputFormat(outputFormat);
+}
+
+/**
+ * Resolve "outputFormat" for tools that stitch audio together
+ *
+ * Only WAV and raw PCM can be concatenated. A compressed server default falls
+ * back to WAV; an explicit compressed format is rejected.
+ */
+function stitchedFormatOption(args, kind) {
+    const format = outputFormatOption(args, isPcmFormat(defaultOutputFormat) ? defaultOutputFormat : getOutputFormat(DEFAULT_OUTPUT_FORMAT));
+    if (!isPcmFormat(format)) {
+        throw new Error(`Invalid "outputFormat" for ${kind}: ${format.name}. Use a wav-* or pcm-* format.`);
+    }
+    return format;
+}
+
+/**
+ * Validate the optional "inline" tool argument
+ */
+function inlineOption(args) {
+    const { inline = 'none' } = args;
+    if (!INLINE_MODES.includes(inline)) {
+        throw new Error(`Invalid "inline" parameter: expected one of ${INLINE_MODES.join(', ')}`);
+    }
+    return inline;
+}
+
+/**
+ * Validate the optional "format" and "markup" tool arguments
+ */
+function inputFormatOption(args) {
+    const { format = 'text', markup } = args;
+    if (!INPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid "format" parameter: expected one of ${INPUT_FORMATS.join(', ')}`);
+    }
+    if (markup !== undefined && format === 'text') {
+        throw new Error('"markup" only applies to the markdown and html formats');
+    }
+    return { format, policies: normalizeMarkupPolicies(markup) };
+}
+
+/**
+ * Speakable text of tool input written in `input.format`
+ */
+function convertInput(text, input, language) {
+    const converted = convertMarkup(text, input.format, { policies: input.policies, language });
+    if (stripMarkers(converted).length === 0) {
+        throw new Error(`The ${input.format} input contains no speakable text`);
+    }
+    return converted;
+}
+
+/**
+ * Validate the optional "timings" tool argument
+ */
+function timingsOption(args) {
+    const { timings = [] } = args;
+    if (!Array.isArray(timings) || timings.some((format) => !TIMING_FORMATS.includes(format))) {
+        throw new Error(`Invalid "timings" parameter: expected a list of ${TIMING_FORMATS.join(', ')}`);
+    }
+    return [...new Set(timings)];
+}
+
+/**
+ * Validate the optional "outputName" tool argument before anything is synthesized
+ */
+function outputNameOption(args) {
+    const { outputName } = args;
+    if (outputName === undefined || outputName === null) {
+        return null;
+    }
+    renderFilename(outputName, { kind: 'tts', language: 'en-US', voice: 'voice' }, { label: 'outputName' });
+    return outputName;
+}
+
+/**
+ * Fill prosody the call leaves out from the configured defaults
+ *
+ * Language segments cannot carry rate, pitch or volume, so those defaults are
+ * skipped for them.
+ */
+function withDefaultProsody(speechArgs, { segments = false } = {}) {
+    const defaults = segments
+        ? Object.fromEntries(Object.entries(DEFAULT_PROSODY).filter(([name]) => !['rate', 'pitch', 'volume'].includes(name)))
+        : DEFAULT_PROSODY;
+    const given = Object.fromEntries(Object.entries(speechArgs || {}).filter(([, value]) => value !== undefined));
+    return { ...defaults, ...given };
+}
+
+/**
+ * Timing file and bookmark lines for the text response
+ */
+function formatTimingDetails(result) {
+    const lines = Object.entries(result.timingFiles).map(([format, path]) => `- Timings (${format}): ${path}`);
+    if (result.bookmarks.length > 0) {
+        lines.push(`- Bookmarks: ${result.bookmarks.map((bookmark) => `${bookmark.name} @ ${Math.round(bookmark.offset)}ms`).join(', ')}`);
+    }
+    return lines.map((line) => `\n${line}`).join('');
+}
+
+/**
+ * Build the content items that carry a synthesized file inline
+ *
+ * Returns the extra content plus a note for the text response when the file
+ * is too large to embed.
+ */
+function inlineAudioContent(inline, result) {
+    if (inline === 'none') {
+        return { content: [], note: '' };
+    }
+
+    const audioData = readFileSync(result.audioFile);
+    if (audioData.length > MAX_INLINE_AUDIO_MB * 1024 * 1024) {
+        return {
+            content: [],
+            note: `\n⚠️ The audio is larger than ${MAX_INLINE_AUDIO_MB} MB and was not embedded; read ${result.uri} instead.\n`
+        };
+    }
+
+    const data = audioData.toString('base64');
+    const item = inline === 'audio'
+        ? { type: 'audio', data, mimeType: result.mimeType }
+        : { type: 'resource', resource: { uri: result.uri, mimeType: result.mimeType, blob: data } };
+    return { content: [item], note: '' };
+}
+
+/**
+ * Machine-readable description of a saved audio file (see AUDIO_RESULT_PROPERTIES)
+ */
+function audioResultPayload(result) {
+    return {
+        file: result.filename,
+        path: result.audioFile,
+        uri: result.uri,
+        voice: result.voice,
+        language: result.language,
+        format: result.format,
+        mimeType: result.mimeType,
+        backend: result.backend,
+        bookmarks: result.bookmarks,
+        timingFiles: result.timingFiles,
+        metrics: result.metrics
+    };
+}
+
+// What to try next for each error code
+const ERROR_HINTS = {
+    [ERROR_CODES.CREDENTIALS_MISSING]: 'Set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION, or use TTS_BACKEND=fake for offline testing.',
+    [ERROR_CODES.CREDENTIALS_INVALID]: 'Check that AZURE_SPEECH_KEY is valid for AZURE_SPEECH_REGION.',
+    [ERROR_CODES.QUOTA_EXCEEDED]: 'The service is throttling requests; retry later or lower "concurrency".',
+    [ERROR_CODES.BUDGET_EXCEEDED]: 'A configured character budget is used up; see get_usage, wait for the reset or raise USAGE_DAILY_CHARACTERS / USAGE_MONTHLY_CHARACTERS.',
+    [ERROR_CODES.INVALID_VOICE]: 'Pick a voice from list_voices (use refresh: true if the catalog is old).',
+    [ERROR_CODES.INVALID_REQUEST]: 'The request was rejected; check the language, SSML, options and output format.',
+    [ERROR_CODES.NETWORK]: 'Could not reach the speech service; check the network connection and retry.',
+    [ERROR_CODES.TIMEOUT]: 'The speech service did not answer in time; retry, or raise SYNTHESIS_TIMEOUT_MS for long texts.',
+    [ERROR_CODES.SERVICE_UNAVAILABLE]: 'The speech service is failing repeatedly; requests are paused briefly. Try again later.',
+    [ERROR_CODES.EMPTY_AUDIO]: 'The service returned no audio; check that the text contains speakable words.',
+    [ERROR_CODES.PLAYER_UNAVAILABLE]: 'Install a player (ffplay plays every format) or set AUDIO_PLAYER; the file itself is fine.',
+    [ERROR_CODES.SHUTTING_DOWN]: 'The server was stopped; send the request again once it is back.',
+    [ERROR_CODES.SYNTHESIS_FAILED]: 'See the server log for details.'
+};
+
+/**
+ * Tool result for a failed synthesis, with a stable error code
+ */
+function synthesisFailure(action, error) {
+    const code = errorCode(error);
+    return {
+        isError: true,
+        content: [
+            {
+                type: 'text',
+                text: `❌ ${action} failed: ${error.message}
+
+- Error code: ${code}
+- ${ERROR_HINTS[code]}`
+            }
+        ],
+        structuredContent: {
+            error: { code, message: error.message }
+        }
+    };
+}
+
+/**
+ * Format the performance metrics block shared by the synthesis tools
+ */
+function formatMetrics(metrics) {
+    return `**Performance Metrics:**
+- Synthesis Time: ${metrics.synthesisTime}ms
+- Audio Duration: ${metrics.audioDuration}ms
+- Word Count: ${metrics.wordCount}
+- Characters/Second: ${metrics.charactersPerSecond.toFixed(2)}
+- Words/Minute: ${metrics.wordsPerMinute.toFixed(2)}
+- Cached: ${metrics.cached ? 'yes' : 'no'}${metrics.firstByteLatency !== undefined ? `
+- First Byte: ${metrics.firstByteLatency}ms` : ''}${metrics.postProcessing ? `
+- Post-processing: ${describePostProcessing(metrics.postProcessing)}` : ''}`;
+}
+
+/**
+ * Remove the files of a result whose request was cancelled, then throw
+ *
+ * Nobody will receive the result, so its audio, timing files and manifest
+ * would only be clutter. Streamed speech is deliberately not discarded: its
+ * file is playable at every chunk and may already have been listened to.
+ */
+function discardIfCancelled(signal, result) {
+    if (!signal || !signal.aborted) {
+        return;
+    }
+    const files = [result.audioFile, ...Object.values(result.timingFiles || {}), result.manifestFile].filter(Boolean);
+    files.forEach((file) => rmSync(file, { force: true }));
+    log.info('Request cancelled, output removed', { files });
+    throw signal.reason;
+}
+
+/**
+ * Progress reporter for a streamed synthesis: the first chunk, then at most
+ * one notification per STREAM_PROGRESS_INTERVAL_MS
+ */
+function streamProgress(progress = () => {}) {
+    let lastReport = null;
+    return (bytes, filename) => {
+        const now = Date.now();
+        if (lastReport !== null && now - lastReport < STREAM_PROGRESS_INTERVAL_MS) {
+            return;
+        }
+        lastReport = now;
+        progress(bytes, undefined, `Streaming ${filename}: ${bytes} bytes written${audioStreams ? ` (live at /audio/streams/${encodeURIComponent(filename)})` : ''}`);
+    };
+}
+
+/**
+ * Handle a synthesize_speech tool call
+ */
+async function handleSynthesizeSpeech(args, { signal, progress, client } = {}) {
+    const { sentence, ssml, language, voice, languageSegments = false, play = false, verify = false, stream = false, rate, pitch, volume, style, styleDegree, pauses, cache = true } = args;
+    const speechArgs = { rate, pitch, volume, style, styleDegree, pauses };
+
+    // Validate required parameters
+    if (ssml !== undefined) {
+        if (sentence !== undefined) {
+            throw new Error('Provide either "sentence" or "ssml", not both');
+        }
+        if (Object.values(speechArgs).some((value) => value !== undefined)) {
+            throw new Error('Prosody, style and pause options cannot be combined with "ssml"; put them in the SSML document instead');
+        }
+        validateSSML(ssml);
+    } else if (!sentence || typeof sentence !== 'string') {
+        throw new Error('Invalid or missing "sentence" parameter');
+    }
+
+    if (language !== undefined && language !== null && (!language || typeof language !== 'string')) {
+        throw new Error('Invalid "language" parameter');
+    }
+    if (typeof languageSegments !== 'boolean') {
+        throw new Error('Invalid "languageSegments" parameter: expected true or false');
+    }
+    if (typeof play !== 'boolean') {
+        throw new Error('Invalid "play" parameter: expected true or false');
+    }
+    if (typeof verify !== 'boolean') {
+        throw new Error('Invalid "verify" parameter: expected true or false');
+    }
+    if (typeof stream !== 'boolean') {
+        throw new Error('Invalid "stream" parameter: expected true or false');
+    }
+    if (languageSegments && ssml !== undefined) {
+        throw new Error('"languageSegments" cannot be combined with "ssml"; use <lang> elements in the SSML document instead');
+    }
+    if (languageSegments && [rate, pitch, volume].some((value) => value !== undefined)) {
+        throw new Error('"languageSegments" cannot be combined with "rate", "pitch" or "volume"');
+    }
+    const input = inputFormatOption(args);
+    if (ssml !== undefined && input.format !== 'text') {
+        throw new Error('"format" cannot be combined with "ssml"');
+    }
+
+    // Validate language and voices against the catalog, detecting the language if needed.
+    // Unknown ones fail with an error code, like the service's own failures.
+    const detectionText = language ? null : (ssml !== undefined ? ssmlToText(ssml) : stripMarkers(convertInput(sentence, input, null)));
+    let detectedLanguage;
+    let locale;
+    let selectedVoice;
+    try {
+        detectedLanguage = language ? null : detectLocale(detectionText, voice);
+        locale = detectedLanguage ? detectedLanguage.language : normalizeLocale(language);
+        selectedVoice = getVoiceForLanguage(locale, voice);
+        if (ssml !== undefined) {
+            for (const ssmlVoice of validateSSML(ssml).voices) {
+                if (!voiceCatalog.getVoice(ssmlVoice)) {
+                    getVoiceForLanguage(locale, ssmlVoice);
+                }
+            }
+        }
+    } catch (error) {
+        return synthesisFailure('Speech synthesis', error);
+    }
+    const text = ssml !== undefined ? undefined : convertInput(sentence, input, locale);
+
+    if (typeof cache !== 'boolean') {
+        throw new Error('Invalid "cache" parameter: expected true or false');
+    }
+
+    const segments = languageSegments ? languageSegmentsFor(text, locale, selectedVoice) : null;
+    const options = {
+        ...(ssml !== undefined ? { ssml } : normalizeSpeechOptions(withDefaultProsody(speechArgs, { segments: languageSegments }))),
+        ...(segments ? { segments: segments.map(({ text, language: segmentLanguage }) => ({ text, language: segmentLanguage })) } : {}),
+        cache,
+        format: outputFormatOption(args),
+        timings: timingsOption(args),
+        outputName: outputNameOption(args),
+        postProcess: normalizePostProcessOptions(args.postProcess),
+        ...(stream ? { onStream: streamProgress(progress) } : {}),
+        signal,
+        client
+    };
+    const inline = inlineOption(args);
+    if (verify && options.format.container !== 'riff') {
+        throw new Error(`"verify" needs a WAV output format, not ${options.format.name}`);
+    }
+    if (options.postProcess && !isPcmFormat(options.format)) {
+        throw new Error(`"postProcess" needs a WAV or raw PCM output format, not ${options.format.name}`);
+    }
+    if (stream && options.postProcess) {
+        throw new Error('"stream" cannot be combined with "postProcess", which needs the whole audio');
+    }
+
+    try {
+        log.debug('Synthesizing speech', { sentence: text, ssml, language: locale, detectedLanguage, voice, format: options.format.name, stream });
+        const result = await synthesizeSpeech(text, locale, voice, options);
+
+        // Defensive check to ensure result has metrics
+        if (!result || !result.metrics) {
+            throw new Error('Invalid result from synthesizeSpeech - missing metrics');
+        }
+
+        const inlined = inlineAudioContent(inline, result);
+        const playback = play ? startPlayback(result) : null;
+        const verification = verify ? await verifySynthesis(result, signal) : null;
+        if (!stream) {
+            // A cancelled stream keeps its file; see discardIfCancelled
+            discardIfCancelled(signal, result);
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `🎵 Speech synthesis completed successfully!
+
+**Audio Details:**
+- File: ${result.filename}
+- Path: ${result.audioFile}
+- URI: ${result.uri}
+- Voice: ${result.voice}
+- Language: ${result.language}${detectedLanguage ? ` (detected, confidence ${detectedLanguage.confidence})` : ''}${segments ? `
+- Language segments: ${segments.map((segment) => segment.language).join(' → ')}` : ''}
+- Format: ${result.format} (${result.mimeType})${formatTimingDetails(result)}
+
+${formatMetrics(result.metrics)}
+
+**Original Text:**
+"${result.sentence}"
+
+The audio file has been saved and is ready for playback.${inlined.note}${playback ? `\n${describePlayback(playback)}` : ''}${verification ? `\n\n${describeVerification(verification)}` : ''}`
+                },
+                ...inlined.content
+            ],
+            structuredContent: {
+                ...audioResultPayload(result),
+                text: result.sentence,
+                ...(playback ? { playback } : {}),
+                ...(verification ? { verification } : {}),
+                ...(detectedLanguage ? { detectedLanguage } : {}),
+                ...(segments ? { languageSegments: segments } : {})
+            }
+        };
+        
+    } catch (error) {
+        return synthesisFailure('Speech synthesis', error);
+    }
+}
+
+/**
+ * Catalog locale for a detected ISO 639-1 language
+ *
+ * Prefers the requested voice's own locale, then DEFAULT_LOCALES, then the
+ * first catalog locale of the language. Returns null when no voice speaks it.
+ */
+function localeForLanguage(language, voice = null) {
+    const locales = voiceCatalog.languages().filter((locale) => locale.split('-')[0] === language);
+    const voiceLocale = voice && voiceCatalog.getVoice(voice) ? voiceCatalog.getVoice(voice).locale : null;
+    return [voiceLocale, DEFAULT_LOCALES[language], ...locales].find((locale) => locale && locales.includes(locale)) || null;
+}
+
+/**
+ * Detect the locale of a text for a request without "language"
+ */
+function detectLocale(text, voice = null) {
+    const { language, confidence } = detectLanguage(text);
+    if (!language) {
+        throw codedError(ERROR_CODES.INVALID_REQUEST, `Could not detect the language of the text (confidence ${confidence}). Pass "language" explicitly.`);
+    }
+    const locale = localeForLanguage(language, voice);
+    if (!locale) {
+        throw codedError(ERROR_CODES.INVALID_REQUEST, `Detected language "${language}", but no voice speaks it. Pass "language" explicitly.`);
+    }
+    return { language: locale, confidence };
+}
+
+/**
+ * Split text into runs by detected language, for a voice speaking `locale`
+ *
+ * Runs in languages the voice cannot speak are kept in `locale`, and
+ * neighbouring runs of the same locale are merged.
+ */
+function languageSegmentsFor(text, locale, voice) {
+    const entry = voiceCatalog.getVoice(voice);
+    const spoken = new Set(entry ? [entry.locale, ...(entry.secondaryLocales || [])] : [locale]);
+    const segments = [];
+
+    for (const segment of detectSegments(text, locale.split('-')[0])) {
+        const segmentLocale = segment.language === locale.split('-')[0] ? locale : localeForLanguage(segment.language);
+        const language = segmentLocale && spoken.has(segmentLocale) ? segmentLocale : locale;
+        const previous = segments[segments.length - 1];
+        if (previous && previous.language === language) {
+            previous.text += ` ${segment.text}`;
+            previous.confidence = Math.min(previous.confidence, segment.confidence);
+        } else {
+            segments.push({ text: segment.text, language, confidence: segment.confidence });
+        }
+    }
+    return segments;
+}
+
+/**
+ * Transcribe a synthesized file for "verify: true"
+ *
+ * Like playback, a recognition failure is reported instead of failing the synthesis.
+ */
+async function verifySynthesis(result, signal) {
+    try {
+        const transcription = await transcribeAudio(readFileSync(result.audioFile), result.language, { reference: result.sentence, signal });
+        return { transcript: transcription.text, ...transcription.verification };
+    } catch (error) {
+        log.warn('Verification failed', { error: error.message });
+        return { error: { code: errorCode(error), message: error.message } };
+    }
+}
+
+function describeVerification(verification) {
+    if (verification.error) {
+        return `⚠️ Could not verify the audio: ${verification.error.message}`;
+    }
+    const errors = verification.errors.slice(0, 10).map((error) => (
+        error.type === 'substitution' ? `"${error.expected}" → "${error.heard}"` : error.type === 'deletion' ? `missing "${error.expected}"` : `extra "${error.heard}"`
+    ));
+    return `**Verification:**
+- Heard: "${verification.transcript}"
+- Word error rate: ${Math.round(verification.wer * 1000) / 10}% (${verification.substitutions} substituted, ${verification.deletions} missing, ${verification.insertions} extra of ${verification.referenceWords} words)${errors.length > 0 ? `
+- Differences: ${errors.join(', ')}` : ''}`;
+}
+
+/**
+ * Queue a synthesized file on the local player for "play: true"
+ *
+ * Playback problems never fail the synthesis; they are reported instead.
+ */
+function startPlayback(result) {
+    try {
+        const { playing } = audioPlayer.enqueue(result.audioFile, result.filename);
+        return { status: playing && playing.file === result.filename ? 'playing' : 'queued' };
+    } catch (error) {
+        log.warn('Playback failed', { error: error.message });
+        return { status: 'unavailable', error: { code: errorCode(error), message: error.message } };
+    }
+}
+
+function describePlayback(playback) {
+    if (playback.status === 'unavailable') {
+        return `⚠️ Could not play the audio: ${playback.error.message}`;
+    }
+    return playback.status === 'playing' ? '🔈 Playing on the local speakers.' : '🔈 Queued for playback.';
+}
+
+/**
+ * Handle a synthesize_document tool call
+ */
+async function handleSynthesizeDocument(args, { signal, client } = {}) {
+    const { text, language, voice, rate, pitch, volume, style, styleDegree, pauses, cache = true } = args;
+
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        throw new Error('Invalid or missing "text" parameter');
+    }
+    if (text.length > MAX_DOCUMENT_LENGTH) {
+        throw new Error(`Document is too long: ${text.length} characters (maximum ${MAX_DOCUMENT_LENGTH})`);
+    }
+    if (!language || typeof language !== 'string') {
+        throw new Error('Invalid or missing "language" parameter');
+    }
+
+    const locale = normalizeLocale(language);
+    try {
+        getVoiceForLanguage(locale, voice);
+    } catch (error) {
+        return synthesisFailure('Document synthesis', error);
+    }
+    const speakable = convertInput(text, inputFormatOption(args), locale);
+
+    if (typeof cache !== 'boolean') {
+        throw new Error('Invalid "cache" parameter: expected true or false');
+    }
+
+    const format = stitchedFormatOption(args, 'documents');
+
+    const options = {
+        ...normalizeSpeechOptions(withDefaultProsody({ rate, pitch, volume, style, styleDegree, pauses })),
+        cache,
+        chunkSilence: integerOption(args, 'chunkSilence', { min: 0, max: 5000, defaultValue: DEFAULT_CHUNK_SILENCE_MS }),
+        maxChunkLength: integerOption(args, 'maxChunkLength', { min: 100, max: DEFAULT_MAX_CHUNK_LENGTH, defaultValue: DEFAULT_MAX_CHUNK_LENGTH }),
+        concurrency: integerOption(args, 'concurrency', { min: 1, max: MAX_DOCUMENT_CONCURRENCY, defaultValue: DEFAULT_DOCUMENT_CONCURRENCY }),
+        format,
+        timings: timingsOption(args),
+        outputName: outputNameOption(args),
+        signal,
+        client
+    };
+    const inline = inlineOption(args);
+
+    try {
+        log.debug('Synthesizing document', { text: speakable, language: locale, voice, format: format.name, maxChunkLength: options.maxChunkLength, concurrency: options.concurrency });
+        const result = await synthesizeDocument(speakable, locale, voice, options);
+        discardIfCancelled(signal, result);
+
+        const inlined = inlineAudioContent(inline, result);
+        const chunkRows = result.chunks.map((chunk) => (
+            `| ${chunk.index} | ${chunk.characters} | ${chunk.offset}ms | ${chunk.audioDuration}ms | ${chunk.synthesisTime}ms | ${chunk.cached ? 'yes' : 'no'} |`
+        ));
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `🎵 Document synthesis completed successfully!
+
+**Audio Details:**
+- File: ${result.filename}
+- Path: ${result.audioFile}
+- URI: ${result.uri}
+- Voice: ${result.voice}
+- Language: ${result.language}
+- Format: ${result.format} (${result.mimeType})${formatTimingDetails(result)}
+- Chunks: ${result.chunks.length}
+
+${formatMetrics(result.metrics)}
+
+**Chunk Timings:**
+| Chunk | Characters | Start | Audio Duration | Synthesis Time | Cached |
+|-------|------------|-------|----------------|----------------|--------|
+${chunkRows.join('\n')}
+
+The audio file has been saved and is ready for playback.${inlined.note}`
+                },
+                ...inlined.content
+            ],
+            structuredContent: {
+                ...audioResultPayload(result),
+                chunks: result.chunks
+            }
+        };
+
+    } catch (error) {
+        return synthesisFailure('Document synthesis', error);
+    }
+}
+
+/**
+ * Handle a synthesize_dialogue tool call
+ */
+async function handleSynthesizeDialogue(args, { signal, client } = {}) {
+    const { turns, cast = {}, language, cache = true } = args;
+
+    if (!Array.isArray(turns) || turns.length === 0) {
+        throw new Error('Invalid or missing "turns" parameter: expected a non-empty list of { speaker, text }');
+    }
+    if (turns.length > MAX_DIALOGUE_TURNS) {
+        throw new Error(`Dialogue is too long: ${turns.length} turns (maximum ${MAX_DIALOGUE_TURNS})`);
+    }
+    turns.forEach((turn, index) => {
+        if (!turn || typeof turn.speaker !== 'string' || turn.speaker.trim().length === 0) {
+            throw new Error(`Turn ${index + 1}: invalid or missing "speaker"`);
+        }
+        if (typeof turn.text !== 'string' || stripMarkers(turn.text).trim().length === 0) {
+            throw new Error(`Turn ${index + 1}: invalid or missing "text"`);
+        }
+        if (turn.text.length > MAX_TURN_LENGTH) {
+            throw new Error(`Turn ${index + 1} is too long: ${turn.text.length} characters (maximum ${MAX_TURN_LENGTH}); split it into several turns`);
+        }
+    });
+    const totalLength = turns.reduce((sum, turn) => sum + turn.text.length, 0);
+    if (totalLength > MAX_DOCUMENT_LENGTH) {
+        throw new Error(`Dialogue is too long: ${totalLength} characters (maximum ${MAX_DOCUMENT_LENGTH})`);
+    }
+    if (!language || typeof language !== 'string') {
+        throw new Error('Invalid or missing "language" parameter');
+    }
+    if (typeof cast !== 'object' || cast === null || Array.isArray(cast)) {
+        throw new Error('Invalid "cast" parameter: expected an object mapping speakers to voices');
+    }
+    if (typeof cache !== 'boolean') {
+        throw new Error('Invalid "cache" parameter: expected true or false');
+    }
+
+    // Assign voices and validate every turn's settings before synthesizing anything
+    const locale = normalizeLocale(language);
+    const castTurns = castDialogue(turns, {
+        cast,
+        language: locale,
+        selectVoice: getVoiceForLanguage,
+        voicesForLanguage: voiceCatalog.voicesForLanguage
+    }).map((turn, index) => {
+        try {
+            return { ...turn, settings: normalizeSpeechOptions(withDefaultProsody(turn.settings)) };
+        } catch (error) {
+            throw new Error(`Turn ${index + 1}: ${error.message}`);
+        }
+    });
+
+    const gap = integerOption(args, 'gap', { min: 0, max: 5000, defaultValue: DEFAULT_DIALOGUE_GAP_MS });
+    const options = {
+        gaps: turns.map((turn, index) => integerOption(turn, 'gapAfter', { min: 0, max: 5000, defaultValue: gap, label: `turns[${index}].gapAfter` })),
+        concurrency: integerOption(args, 'concurrency', { min: 1, max: MAX_DOCUMENT_CONCURRENCY, defaultValue: DEFAULT_DOCUMENT_CONCURRENCY }),
+        cache,
+        format: stitchedFormatOption(args, 'dialogues'),
+        timings: timingsOption(args),
+        outputName: outputNameOption(args),
+        signal,
+        client
+    };
+    const inline = inlineOption(args);
+
+    try {
+        log.debug('Synthesizing dialogue', { turns: turns.length, language: locale, format: options.format.name, concurrency: options.concurrency });
+        const result = await synthesizeDialogue(castTurns, locale, options);
+        discardIfCancelled(signal, result);
+
+        const inlined = inlineAudioContent(inline, result);
+        const castLines = Object.entries(result.cast).map(([speaker, voices]) => `- ${speaker}: ${voices.join(', ')}`);
+        const turnRows = result.turns.map((turn) => (
+            `| ${turn.index} | ${turn.speaker} | ${turn.start}ms | ${turn.duration}ms | ${turn.text.replace(/\|/g, '\\|')} |`
+        ));
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: `🎵 Dialogue synthesis completed successfully!
+
+**Audio Details:**
+- File: ${result.filename}
+- Path: ${result.audioFile}
+- URI: ${result.uri}
+- Language: ${result.language}
+- Format: ${result.format} (${result.mimeType})${formatTimingDetails(result)}
+- Manifest: ${result.manifestFile}
+- Turns: ${result.turns.length}
+
+**Cast:**
+${castLines.join('\n')}
+
+${formatMetrics(result.metrics)}
+
+**Transcript:**
+| Turn | Speaker | Start | Duration | Text |
+|------|---------|-------|----------|------|
+${turnRows.join('\n')}
+
+The audio file has been saved and is ready for playback.${inlined.note}`
+                },
+                ...inlined.content
+            ],
+            structuredContent: {
+                ...audioResultPayload(result),
+                manifestFile: result.manifestFile,
+                cast: result.cast,
+                turns: result.turns
+            }
+        };
+
+    } catch (error) {
+        return synthesisFailure('Dialogue synthesis', error);
+    }
+}
+
+/**
+ * Handle a synthesize_batch tool call
+ *
+ * Malformed arguments reject the whole batch; anything that goes wrong while
+ * synthesizing an item (including an unknown voice) is recorded for that item.
+ */
+async function handleSynthesizeBatch(args, { signal, progress, client }) {
+    const { items, language, batchName, manifestFormat = 'json', cache = true } = args;
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Invalid or missing "items" parameter: expected a non-empty list of { text, language, voice, outputName }');
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        throw new Error(`Batch is too large: ${items.length} items (maximum ${MAX_BATCH_ITEMS})`);
+    }
+    if (language !== undefined && typeof language !== 'string') {
+        throw new Error('Invalid "language" parameter');
+    }
+    if (batchName !== undefined) {
+        normalizeOutputName(batchName, 'batchName');
+    }
+    if (!BATCH_MANIFEST_FORMATS.includes(manifestFormat)) {
+        throw new Error(`Invalid "manifestFormat": ${manifestFormat}. Supported: ${BATCH_MANIFEST_FORMATS.join(', ')}`);
+    }
+    if (typeof cache !== 'boolean') {
+        throw new Error('Invalid "cache" parameter: expected true or false');
+    }
+
+    const format = outputFormatOption(args);
+    const outputNames = new Set();
+    const batchItems = items.map((item, index) => {
+        if (!item || typeof item.text !== 'string' || stripMarkers(item.text).trim().length === 0) {
+            throw new Error(`Item ${index + 1}: invalid or missing "text"`);
+        }
+        if (item.text.length > MAX_BATCH_ITEM_LENGTH) {
+            throw new Error(`Item ${index + 1} is too long: ${item.text.length} characters (maximum ${MAX_BATCH_ITEM_LENGTH}); use synthesize_document for long texts`);
+        }
+        const itemLanguage = item.language || language;
+        if (!itemLanguage || typeof itemLanguage !== 'string') {
+            throw new Error(`Item ${index + 1}: missing "language" (set it on the item or for the whole batch)`);
+        }
+        if (item.voice !== undefined && typeof item.voice !== 'string') {
+            throw new Error(`Item ${index + 1}: invalid "voice"`);
+        }
+
+        let outputName;
+        if (item.outputName !== undefined) {
+            outputName = typeof item.outputName === 'string' && item.outputName.endsWith(`.${format.extension}`)
+                ? item.outputName.slice(0, -format.extension.length - 1)
+                : item.outputName;
+            normalizeOutputName(outputName, `items[${index}].outputName`);
+            if (outputNames.has(outputName)) {
+                throw new Error(`Item ${index + 1}: duplicate "outputName": ${outputName}`);
+            }
+            outputNames.add(outputName);
+        }
+
+        return { text: item.text, language: normalizeLocale(itemLanguage), voice: item.voice, outputName };
+    });
+
+    const options = {
+        batchName,
+        concurrency: integerOption(args, 'concurrency', { min: 1, max: MAX_DOCUMENT_CONCURRENCY, defaultValue: DEFAULT_DOCUMENT_CONCURRENCY }),
+        retries: integerOption(args, 'retries', { min: 0, max: MAX_BATCH_RETRIES, defaultValue: DEFAULT_BATCH_RETRIES }),
+        format,
+        manifestFormat,
+        cache,
+        client,
+        signal,
+        onProgress: (done, total, entry) => progress(done, total, `Item ${entry.index} ${entry.status}`)
+    };
+
+    log.debug('Synthesizing batch', { items: batchItems.length, language, batchName, format: format.name, concurrency: options.concurrency, retries: options.retries });
+    const result = await synthesizeBatch(batchItems, options);
+    if (signal.aborted) {
+        log.info('Batch cancelled', { finished: result.succeeded + result.failed, total: result.total, manifest: result.manifestFile });
+    }
+
+    const failures = result.items
+        .filter((item) => item.status === 'failed')
+        .map((item) => `- Item ${item.index}: ${item.error.code} — ${item.error.message}`);
+
+    return {
+        // Only a batch where nothing worked is a failed call
+        isError: result.succeeded === 0 && result.failed > 0,
+        content: [
+            {
+                type: 'text',
+                text: `📦 Batch synthesis finished: ${result.succeeded} succeeded, ${result.failed} failed, ${result.cancelled} cancelled (of ${result.total})
+
+**Batch Details:**
+- Manifest: ${result.manifestFile}
+- Output directory: ${resolve(AUDIO_OUTPUT_DIR)}
+- Format: ${result.format} (${result.mimeType})
+- Total Time: ${result.synthesisTime}ms${failures.length > 0 ? `
+
+**Failures:**
+${failures.join('\n')}` : ''}`
+            }
+        ],
+        structuredContent: {
+            manifestFile: result.manifestFile,
+            format: result.format,
+            mimeType: result.mimeType,
+            backend: result.backend,
+            total: result.total,
+            succeeded: result.succeeded,
+            failed: result.failed,
+            cancelled: result.cancelled,
+            items: result.items
+        }
+    };
+}
+
+/**
+ * Handle a list_voices tool call
+ */
+async function handleListVoices(args) {
+    const { language, gender, style, multilingual, refresh = false } = args;
+    let warning = null;
+
+    if (refresh || voiceCatalog.isStale()) {
+        try {
+            await voiceCatalog.refresh();
+        } catch (error) {
+            log.warn('Voice catalog refresh failed', { error: error.message });
+            if (refresh) {
+                warning = `Could not refresh the voice list (${error.message}); showing the ${voiceCatalog.source} catalog.`;
+            }
+        }
+    }
+
+    const voices = voiceCatalog.search({ language, gender, style, multilingual });
+    const updated = voiceCatalog.fetchedAt ? voiceCatalog.fetchedAt.toISOString() : null;
+    const lines = voices.map((entry) => {
+        const flags = [entry.locale, entry.gender, entry.multilingual ? 'multilingual' : null].filter(Boolean);
+        const styles = entry.styles && entry.styles.length > 0 ? ` — styles: ${entry.styles.join(', ')}` : '';
+        return `- \`${entry.name}\` (${flags.join(', ')})${styles}`;
+    });
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `🗣️ Found ${voices.length} voice(s)
+${warning ? `\n⚠️ ${warning}\n` : ''}
+**Catalog:** ${voiceCatalog.source}, updated ${updated || 'unknown'}, ${voiceCatalog.voices.length} voices in ${voiceCatalog.languages().length} languages
+
+${lines.length > 0 ? lines.join('\n') : 'No voices match the given filters.'}`
+            }
+        ],
+        structuredContent: {
+            voices,
+            catalog: {
+                source: voiceCatalog.source,
+                updated,
+                voices: voiceCatalog.voices.length,
+                languages: voiceCatalog.languages().length
+            },
+            ...(warning ? { warning } : {})
+        }
+    };
+}
+
+/**
+ * Describe a lexicon entry as "term → alias" or "term → /phoneme/ (alphabet)"
+ */
+function describePronunciation(entry) {
+    const spoken = entry.alias !== undefined ? `"${entry.alias}"` : `/${entry.phoneme}/ (${entry.alphabet})`;
+    return `${entry.term} → ${spoken}${entry.caseSensitive ? ', case-sensitive' : ''}`;
+}
+
+/**
+ * Reject lexicon locales no voice can speak
+ */
+function validatePronunciationLocale(locale) {
+    if (typeof locale !== 'string' || locale.trim().length === 0) {
+        throw new Error('Missing required parameter: locale');
+    }
+    const normalized = normalizeLocale(locale);
+    const known = normalized.includes('-')
+        ? voiceCatalog.hasLanguage(normalized)
+        : voiceCatalog.languages().some((candidate) => candidate.split('-')[0] === normalized);
+    if (!known) {
+        throw new Error(`Unsupported language: ${locale}. Use list_voices to see the ${voiceCatalog.languages().length} supported languages.`);
+    }
+    return normalized;
+}
+
+/**
+ * Handle an add_pronunciation tool call
+ */
+async function handleAddPronunciation(args) {
+    const { locale, ...entry } = args;
+    const { locale: key, entry: saved, replaced } = lexicon.add(validatePronunciationLocale(locale), entry);
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `📖 ${replaced ? 'Updated' : 'Added'} pronunciation for ${key}: ${describePronunciation(saved)}
+
+Saved to ${lexicon.file}`
+            }
+        ],
+        structuredContent: { locale: key, entry: saved, replaced, file: lexicon.file }
+    };
+}
+
+/**
+ * Handle a list_pronunciations tool call
+ */
+async function handleListPronunciations(args) {
+    const { locale } = args;
+    const pronunciations = lexicon.list(locale ? validatePronunciationLocale(locale) : null);
+    const lines = pronunciations.map((entry) => `- [${entry.locale}] ${describePronunciation(entry)}`);
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `📖 ${pronunciations.length} pronunciation(s)${locale ? ` for ${normalizeLocale(locale)}` : ''}
+
+${lines.length > 0 ? lines.join('\n') : 'No pronunciations defined. Use add_pronunciation to add one.'}`
+            }
+        ],
+        structuredContent: { pronunciations, file: lexicon.file }
+    };
+}
+
+/**
+ * Handle a list_audio_files tool call
+ */
+async function handleListAudioFiles(args) {
+    const { directory, contains } = args;
+    if (contains !== undefined && typeof contains !== 'string') {
+        throw new Error('Invalid "contains" parameter: expected a string');
+    }
+    const limit = integerOption(args, 'limit', { min: 1, max: MAX_AUDIO_FILE_LIMIT, defaultValue: DEFAULT_AUDIO_FILE_LIMIT });
+
+    const matches = outputs.list({ directory: directory || null, contains: contains || null });
+    const files = matches.slice(0, limit).map((group) => ({
+        file: group.name,
+        path: group.path,
+        uri: audioResources.uriFor(group.name),
+        mimeType: mimeTypeForExtension(extname(group.name).slice(1)),
+        size: group.totalSize,
+        modifiedAt: new Date(group.mtimeMs).toISOString(),
+        sidecars: group.sidecars.map((sidecar) => sidecar.name)
+    }));
+    const totalBytes = matches.reduce((sum, group) => sum + group.totalSize, 0);
+    const { maxAgeMs, maxBytes } = outputs.policy;
+    const retention = {
+        maxAgeDays: maxAgeMs ? AUDIO_RETENTION_DAYS : null,
+        maxMegabytes: maxBytes ? AUDIO_RETENTION_MAX_MB : null
+    };
+    const lines = files.map((file) => `- ${file.file} (${file.size} bytes, ${file.modifiedAt})${file.sidecars.length > 0 ? ` + ${file.sidecars.join(', ')}` : ''}`);
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `🗂️ ${matches.length} audio file(s), ${totalBytes} bytes${files.length < matches.length ? ` (showing ${files.length})` : ''}
+- Directory: ${outputs.dir}${directory ? `/${directory}` : ''}
+- Retention: ${retention.maxAgeDays ? `${retention.maxAgeDays} days` : 'no age limit'}, ${retention.maxMegabytes ? `${retention.maxMegabytes} MB` : 'no size limit'}
+
+${lines.length > 0 ? lines.join('\n') : 'No audio files found.'}`
+            }
+        ],
+        structuredContent: {
+            files,
+            total: matches.length,
+            totalBytes,
+            directory: outputs.dir,
+            retention
+        }
+    };
+}
+
+/**
+ * Output file name from a "file" argument: a relative path or a tts://audio/ URI
+ */
+function outputFileName(file) {
+    return file.startsWith(AUDIO_URI_PREFIX) ? decodeURIComponent(file.slice(AUDIO_URI_PREFIX.length)) : file;
+}
+
+/**
+ * Handle a delete_audio_file tool call
+ */
+async function handleDeleteAudioFile(args) {
+    const { file, sidecars = true } = args;
+    if (!file || typeof file !== 'string') {
+        throw new Error('Invalid or missing "file" parameter');
+    }
+    if (typeof sidecars !== 'boolean') {
+        throw new Error('Invalid "sidecars" parameter: expected true or false');
+    }
+
+    const deleted = outputs.remove(outputFileName(file), { sidecars });
+    log.info('Deleted output files', { files: deleted });
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `🗑️ Deleted ${deleted.length} file(s):
+${deleted.map((entry) => `- ${entry}`).join('\n')}`
+            }
+        ],
+        structuredContent: { deleted }
+    };
+}
+
+/**
+ * Handle a play_audio tool call
+ */
+async function handlePlayAudio(args) {
+    const { file, action = 'play' } = args;
+    if (!PLAYBACK_ACTIONS.includes(action)) {
+        throw new Error(`Invalid "action": ${action}. Use one of: ${PLAYBACK_ACTIONS.join(', ')}`);
+    }
+
+    let summary;
+    if (action === 'stop') {
+        summary = `⏹️ Stopped playback (${audioPlayer.stop()} file(s) dropped)`;
+    } else if (action === 'status') {
+        summary = '🔈 Playback status';
+    } else {
+        if (!file || typeof file !== 'string') {
+            throw new Error(`Missing "file" parameter: "${action}" needs a file from list_audio_files or a tts://audio/ URI`);
+        }
+        const { name, path } = outputs.pathFor(outputFileName(file), 'file');
+        if (!existsSync(path)) {
+            throw new Error(`Output file not found: ${name}`);
+        }
+        try {
+            if (action === 'play') {
+                audioPlayer.play(path, name);
+            } else {
+                audioPlayer.enqueue(path, name);
+            }
+        } catch (error) {
+            return synthesisFailure('Playback', error);
+        }
+        summary = action === 'play' ? `▶️ Playing ${name}` : `⏯️ Queued ${name}`;
+    }
+
+    const status = audioPlayer.status();
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `${summary}
+
+- Now playing: ${status.playing ? `${status.playing.file} (${status.playing.player})` : 'nothing'}
+- Queue: ${status.queue.length > 0 ? status.queue.join(', ') : 'empty'}
+- Players: ${status.players.length > 0 ? status.players.join(', ') : 'none found'}`
+            }
+        ],
+        structuredContent: { action, ...status }
+    };
+}
+
+/**
+ * Handle a transcribe_audio tool call
+ */
+async function handleTranscribeAudio(args, { signal } = {}) {
+    const { file, language, phrases = [], reference } = args;
+    if (!file || typeof file !== 'string') {
+        throw new Error('Invalid or missing "file" parameter');
+    }
+    if (!language || typeof language !== 'string') {
+        throw new Error('Invalid or missing "language" parameter');
+    }
+    if (!Array.isArray(phrases) || phrases.length > MAX_RECOGNITION_PHRASES || phrases.some((phrase) => typeof phrase !== 'string' || !phrase.trim())) {
+        throw new Error(`Invalid "phrases": expected up to ${MAX_RECOGNITION_PHRASES} non-empty strings`);
+    }
+    if (reference !== undefined && typeof reference !== 'string') {
+        throw new Error('Invalid "reference" parameter: expected a string');
+    }
+
+    const { name, path } = outputs.pathFor(outputFileName(file), 'file');
+    if (!existsSync(path)) {
+        throw new Error(`Output file not found: ${name}`);
+    }
+    const locale = normalizeLocale(language);
+
+    let result;
+    try {
+        result = await transcribeAudio(readFileSync(path), locale, { phrases, reference: reference ?? null, signal });
+    } catch (error) {
+        return synthesisFailure('Transcription', error);
+    }
+    const verification = result.verification ? { transcript: result.text, ...result.verification } : null;
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `📝 Transcribed ${name}
+
+- Language: ${locale}
+- Audio Duration: ${result.audioDuration}ms
+- Recognition Time: ${result.recognitionTime}ms (${result.backend})
+
+**Transcript:**
+"${result.text}"${verification ? `\n\n${describeVerification(verification)}` : ''}`
+            }
+        ],
+        structuredContent: {
+            file: name,
+            text: result.text,
+            language: locale,
+            segments: result.segments,
+            audioDuration: result.audioDuration,
+            recognitionTime: result.recognitionTime,
+            backend: result.backend,
+            ...(verification ? { verification } : {})
+        }
+    };
+}
+
+/**
+ * Handle a get_config tool call
+ */
+async function handleGetConfig() {
+    const redacted = redactConfig(settings);
+    const lines = Object.keys(SETTINGS).map((path) => {
+        const [section, name] = path.split('.');
+        const value = name === undefined ? redacted[section] : redacted[section][name];
+        const shown = path === 'voices'
+            ? Object.entries(value).map(([locale, voice]) => `${locale}=${voice}`).join(', ')
+            : value === undefined || value === null ? 'unset' : JSON.stringify(value);
+        return `- ${path}: ${shown} (${configuration.sources[path]})`;
+    });
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `⚙️ Effective configuration
+
+- File: ${configuration.file || 'none'}
+- Profile: ${configuration.profile || 'none'}${configuration.profiles.length > 0 ? ` (available: ${configuration.profiles.join(', ')})` : ''}
+
+**Settings:**
+${lines.join('\n')}`
+            }
+        ],
+        structuredContent: {
+            file: configuration.file,
+            profile: configuration.profile,
+            profiles: configuration.profiles,
+            settings: redacted,
+            sources: configuration.sources
+        }
+    };
+}
+
+/**
+ * Handle a get_usage tool call
+ */
+async function handleGetUsage(args) {
+    const { from, to, client } = args;
+    if (client !== undefined && (typeof client !== 'string' || client.trim() === '')) {
+        throw new Error('Invalid "client" parameter: expected a non-empty string');
+    }
+    const summary = usage.summarize({
+        from: from === undefined ? null : normalizeUsageDate(from, 'from'),
+        to: to === undefined ? null : normalizeUsageDate(to, 'to'),
+        client: client || null
+    });
+    const budgets = usage.budgets();
+
+    const describeStats = (stats) => `${stats.requests} requests, ${stats.billableCharacters} billable characters, ${stats.audioSeconds}s audio, ${stats.cacheHits} cache hits, ${stats.failures} failed, ${stats.rejected} rejected`;
+    const describeBudget = (budget) => (budget.limit === null
+        ? `${budget.used} characters used, no budget`
+        : `${budget.used} of ${budget.limit} characters used, ${budget.remaining} left until ${budget.resetsAt}`);
+    const tiers = Object.entries(summary.totals.tiers).map(([tier, characters]) => `${tier} ${characters}`).join(', ');
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: `📊 Usage ${summary.from} to ${summary.to}${client ? ` for ${client}` : ''}
+
+- Total: ${describeStats(summary.totals)}
+- Billable characters by voice tier: ${tiers || 'none'}
+- Daily budget: ${describeBudget(budgets.daily)}
+- Monthly budget: ${describeBudget(budgets.monthly)}
+
+**By day:**
+${summary.days.map((day) => `- ${day.date}: ${describeStats(day)}`).join('\n') || '- No usage'}
+
+**By client:**
+${summary.clients.map((entry) => `- ${entry.client}: ${describeStats(entry)}`).join('\n') || '- No usage'}`
+            }
+        ],
+        structuredContent: { ...summary, budgets }
+    };
+}
+
+const TOOL_HANDLERS = {
+    synthesize_speech: handleSynthesizeSpeech,
+    synthesize_document: handleSynthesizeDocument,
+    synthesize_dialogue: handleSynthesizeDialogue,
+    synthesize_batch: handleSynthesizeBatch,
+    list_voices: handleListVoices,
+    add_pronunciation: handleAddPronunciation,
+    list_pronunciations: handleListPronunciations,
+    list_audio_files: handleListAudioFiles,
+    delete_audio_file: handleDeleteAudioFile,
+    play_audio: handlePlayAudio,
+    transcribe_audio: handleTranscribeAudio,
+    get_config: handleGetConfig,
+    get_usage: handleGetUsage
+};
+
+/**
+ * Create an MCP server with the tools and audio resources registered
+ *
+ * A server talks to one transport: stdio uses a single server, the HTTP
+ * transport creates one per client session.
+ */
+function createMcpServer() {
+    const server = new Server(
+        {
+            name: 'audio-mcp-tts-server',
+            version: '1.0.0',
+        },
+        {
+            capabilities: {
+                tools: {},
+                resources: {},
+            },
+        }
+    );
+
+    server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+
+    // Handle tool calls. Handlers also get an abort signal, which follows the
+    // client's cancellation and server shutdown, a progress reporter, which is a
+    // no-op unless the client sent a progress token, and the client's name for
+    // usage accounting.
+    async function callTool(request, extra, requestId) {
+        const { name, arguments: args = {}, _meta: meta = {} } = request.params;
+
+        const handler = TOOL_HANDLERS[name];
+        if (!handler) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        const progress = (done, total, message) => {
+            if (meta.progressToken === undefined) {
+                return;
+            }
+            server.notification({
+                method: 'notifications/progress',
+                params: { progressToken: meta.progressToken, progress: done, total, message }
+            }).catch((error) => {
+                log.warn('Failed to send progress notification', { error: error.message });
+            });
+        };
+
+        const client = (server.getClientVersion() || {}).name || 'unknown';
+        const job = jobs.start(name, extra.signal);
+        const startTime = Date.now();
+        log.info('Tool call started', { client });
+        try {
+            const result = await handler(args, { signal: job.signal, progress, client });
+            log.info('Tool call finished', {
+                durationMs: Date.now() - startTime,
+                // A batch where every item failed has no single error
+                error: result.isError && result.structuredContent && result.structuredContent.error ? result.structuredContent.error.code : undefined
+            });
+            return { ...result, _meta: { ...result._meta, requestId } };
+        } catch (error) {
+            log.info(job.signal.aborted ? 'Tool call cancelled' : 'Tool call rejected', { durationMs: Date.now() - startTime, error: error.message });
+            throw error;
+        } finally {
+            job.finish();
+        }
+    }
+
+    // Everything logged during a call carries its request ID, which the result reports in `_meta`
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+        const requestId = randomUUID();
+        return withLogContext({ requestId, tool: request.params.name }, () => callTool(request, extra, requestId));
+    });
+
+    // Expose generated audio files as resources
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+        return { resources: audioResources.list() };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        return { contents: [audioResources.read(request.params.uri)] };
+    });
+
+    return server;
+}
+
+/**
+ * Shut down gracefully on SIGTERM and SIGINT
+ *
+ * New tool calls are refused, running ones get SHUTDOWN_TIMEOUT_MS to finish
+ * and the rest are aborted, which closes their synthesizers and removes their
+ * output. A second signal exits at once.
+ */
+function handleShutdownSignals(httpServer = null) {
+    let stopping = false;
+
+    async function shutdown(signalName) {
+        if (stopping) {
+            log.warn(`🛑 ${signalName} received again, exiting without waiting`);
+            process.exit(1);
+        }
+        stopping = true;
+        log.info(`🛑 ${signalName} received: waiting up to ${SHUTDOWN_TIMEOUT_MS}ms for ${jobs.active} running request(s)`);
+        if (httpServer) {
+            httpServer.close();
+        }
+
+        const { finished, aborted, abandoned } = await jobs.shutdown(SHUTDOWN_TIMEOUT_MS);
+        aborted.forEach((job) => log.warn(`🛑 Aborted ${job.label} after ${job.runningMs}ms`));
+        abandoned.forEach((job) => log.error(`🛑 ${job.label} did not stop after being aborted`));
+        log.info(`🛑 Shutdown complete: ${finished} request(s) finished, ${aborted.length} aborted`);
+
+        // Let the last responses go out
+        await new Promise((resolveImmediate) => setImmediate(resolveImmediate));
+        process.exit(abandoned.length > 0 ? 1 : 0);
+    }
+
+    for (const signalName of ['SIGTERM', 'SIGINT']) {
+        process.on(signalName, () => {
+            shutdown(signalName).catch((error) => {
+                log.error('❌ Shutdown failed', { error: error.stack });
+                process.exit(1);
+            });
+        });
+    }
+}
+
+// Start the server
 async function main() {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error('🎵 MCP Text-to-Speech Server running');
-    console.error('📍 Supported languages: en-US, fi-FI, es-ES, de-DE, fr-FR, sv-SE');
-    console.error('🔊 Audio output directory:', AUDIO_OUTPUT_DIR);
+    const { type: transport, host, port } = settings.transport;
+
+    if (transport === 'http') {
+        const httpServer = await startHttpServer({
+            createMcpServer,
+            host,
+            port,
+            authToken: MCP_AUTH_TOKEN,
+            audioStreams,
+            health: () => ({
+                backend: backend.name,
+                voices: voiceCatalog.voices.length,
+                cache: synthesisCache ? synthesisCache.stats() : null,
+                service: backend.stats()
+            })
+        });
+        const { address, port: boundPort } = httpServer.address();
+        log.info(`🌐 MCP HTTP transport listening on http://${address.includes(':') ? `[${address}]` : address}:${boundPort} (MCP at /mcp, legacy SSE at /sse, health at /health, live audio at /audio/streams)`);
+        handleShutdownSignals(httpServer);
+    } else {
+        await createMcpServer().connect(new StdioServerTransport());
+        handleShutdownSignals();
+    }
+    log.info('🎵 MCP Text-to-Speech Server running');
+    log.info(`⚙️ Configuration: ${configuration.file || 'defaults and environment'}${configuration.profile ? ` (profile ${configuration.profile})` : ''}`);
+    log.info(`📍 Voice catalog: ${voiceCatalog.voices.length} voices in ${voiceCatalog.languages().length} languages (${voiceCatalog.source})`);
+    log.info(`🔊 Audio output directory: ${AUDIO_OUTPUT_DIR}`);
+    log.info(`🎚️ Default output format: ${defaultOutputFormat.name}`);
+    log.info(`🧩 Synthesis backend: ${backend.name}`);
+    log.info(`👂 Recognition backend: ${recognizer.name}`);
+    log.info(`⏱️ Service calls: ${SYNTHESIS_TIMEOUT_MS}ms timeout, ${SYNTHESIS_RETRIES} retries${TTS_BACKEND === 'azure' ? `, ${SYNTHESIS_RATE_LIMIT > 0 ? `${SYNTHESIS_RATE_LIMIT} requests/min` : `${AZURE_SPEECH_TIER} tier`} rate limit` : ''}`);
+    log.info(`💾 Synthesis cache: ${synthesisCache ? SYNTHESIS_CACHE_DIR : 'disabled'}`);
+    log.info(`🛑 Shutdown: running requests get ${SHUTDOWN_TIMEOUT_MS}ms to finish`);
+    log.info(`📊 Usage ledger: ${USAGE_LEDGER_FILE}, budgets ${USAGE_DAILY_CHARACTERS || 'none'} per day, ${USAGE_MONTHLY_CHARACTERS || 'none'} per month`);
+    log.info(`📖 Pronunciations: ${lexicon.list().length} from ${PRONUNCIATION_FILE}`);
+    log.info(`🔈 Audio players: ${audioPlayer.status().players.join(', ') || 'none'}`);
+    log.info(`🗂️ Output files: ${AUDIO_FILENAME_TEMPLATE}, kept ${AUDIO_RETENTION_DAYS ? `${AUDIO_RETENTION_DAYS} days` : 'forever'}${AUDIO_RETENTION_MAX_MB ? ` up to ${AUDIO_RETENTION_MAX_MB} MB` : ''}`);
+    const { deleted } = outputs.enforceRetention();
+    if (deleted.length > 0) {
+        log.info(`🧹 Removed ${deleted.length} expired output file(s)`);
+    }
+
+    // Bring the catalog up to date in the background; the cache keeps working offline
+    if (voiceCatalog.isStale()) {
+        voiceCatalog.refresh().catch((error) => {
+            log.warn('Voice catalog refresh failed', { error: error.message });
+        });
+    }
 }
 
 main().catch((error) => {
-    console.error('❌ Server error:', error);
+    log.error('❌ Server error', { error: error.stack || String(error) });
     process.exit(1);
 });
@@ -9,9 +9,40 @@
 
 import { config } from 'dotenv';
 import { spawn } from 'child_process';
-import { existsSync, unlinkSync, mkdirSync } from 'fs';
+import { createServer } from 'net';
+import { EventEmitter } from 'events';
+import { existsSync, unlinkSync, mkdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CallToolResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+import { concatWav, encodeWav, parseWav, pcmDurationMs } from './lib/wav.mjs';
+import { createSSML, validateSSML } from './lib/ssml.mjs';
+import { splitSentences, splitText } from './lib/chunking.mjs';
+import { createCacheKey, createSynthesisCache } from './lib/cache.mjs';
+import { buildCues, formatTimestamp, toSRT } from './lib/subtitles.mjs';
+import { castDialogue } from './lib/dialogue.mjs';
+import { MIN_CONFIDENCE, detectLanguage, detectSegments } from './lib/language.mjs';
+import { createPronunciationLexicon } from './lib/lexicon.mjs';
+import { mapWithConcurrency, withRetries } from './lib/concurrency.mjs';
+import { renderBatchManifest } from './lib/batch.mjs';
+import { SERVICE_TIERS, createCircuitBreaker, createResilientBackend, createTokenBucket } from './lib/resilience.mjs';
+import { codedError } from './lib/errors.mjs';
+import { createOutputManager } from './lib/outputs.mjs';
+import { createAudioPlayer, detectPlayers } from './lib/playback.mjs';
+import { wordErrorRate } from './lib/transcription.mjs';
+import { encodePcm, integratedLoudness, normalizePostProcessOptions, postProcessPcm } from './lib/postprocess.mjs';
+import { loadConfig, parseYaml, redactConfig } from './lib/config.mjs';
+import { createUsageLedger } from './lib/usage.mjs';
+import { convertMarkup, normalizeMarkupPolicies } from './lib/markup.mjs';
+import { createAudioStreams, createStreamingAudioFile } from './lib/streaming.mjs';
+import { getOutputFormat, pcmLayout } from './lib/formats.mjs';
+import { createLogger, withLogContext } from './lib/logging.mjs';
+import { createBackend } from './lib/backends/index.mjs';
+import { createAzureBackend } from './lib/backends/azure.mjs';
+import { SpeechSynthesizer } from 'microsoft-cognitiveservices-speech-sdk';
 
 // Load environment variables
 config();
@@ -22,7 +53,14 @@ const __dirname = dirname(__filename);
 // Test configuration
 const SERVER_FILE = './ms-tts.mjs';
 const TEST_AUDIO_DIR = './audio/test-output';
+const TEST_PRONUNCIATION_FILE = './audio/test-pronunciations.json';
+const TEST_USAGE_FILE = './audio/test-usage.json';
 const TIMEOUT_MS = 30000; // 30 seconds timeout for each test
+const STOP_TIMEOUT_MS = 15000; // Graceful shutdown before the server is killed
+
+// Use the real Azure backend when credentials are available, otherwise the offline fake
+const HAS_CREDENTIALS = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
+const TTS_BACKEND = process.env.TTS_BACKEND || (HAS_CREDENTIALS ? 'azure' : 'fake');
 
 // Ensure test output directory exists
 if (!existsSync(TEST_AUDIO_DIR)) {
@@ -30,21 +68,41 @@ if (!existsSync(TEST_AUDIO_DIR)) {
 }
 
 class MCPTestClient {
-    constructor() {
+    // `env` adds to or overrides the server's test environment
+    constructor({ env = {} } = {}) {
+        this.env = env;
         this.server = null;
+        this.stopping = null;
         this.requestId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.notificationListeners = new Set();
+        this.stdoutBuffer = '';
+        this.stderr = '';
     }
 
     async start() {
         return new Promise((resolve, reject) => {
             this.server = spawn('node', [SERVER_FILE], {
-                stdio: ['pipe', 'pipe', 'pipe']
+                stdio: ['pipe', 'pipe', 'pipe'],
+                env: {
+                    ...process.env,
+                    TTS_BACKEND,
+                    AUDIO_OUTPUT_DIR: TEST_AUDIO_DIR,
+                    SYNTHESIS_CACHE_DIR: './audio/test-cache',
+                    PRONUNCIATION_FILE: TEST_PRONUNCIATION_FILE,
+                    USAGE_LEDGER_FILE: TEST_USAGE_FILE,
+                    AUDIO_PLAYER: 'none',
+                    ...this.env
+                }
             });
 
             let initialized = false;
 
+            this.server.stdout.on('data', (data) => this.onStdout(data));
+
             this.server.stderr.on('data', (data) => {
                 const output = data.toString();
+                this.stderr += output;
                 console.log('Server stderr:', output);
                 
                 if (output.includes('MCP Text-to-Speech Server running') && !initialized) {
@@ -59,6 +117,15 @@ class MCPTestClient {
                 }
             });
 
+            // Requests still waiting will never be answered
+            this.server.on('exit', () => {
+                this.pending.forEach(({ reject: rejectPending, timer }, id) => {
+                    clearTimeout(timer);
+                    rejectPending(new Error(`Server exited before answering request ${id}`));
+                });
+                this.pending.clear();
+            });
+
             // Set timeout
             setTimeout(() => {
                 if (!initialized) {
@@ -68,6 +135,44 @@ class MCPTestClient {
         });
     }
 
+    // Messages are newline-delimited JSON; responses are matched to requests by id
+    onStdout(data) {
+        this.stdoutBuffer += data.toString();
+        let newline;
+        while ((newline = this.stdoutBuffer.indexOf('\n')) !== -1) {
+            const line = this.stdoutBuffer.slice(0, newline).trim();
+            this.stdoutBuffer = this.stdoutBuffer.slice(newline + 1);
+            if (line) {
+                this.onMessage(JSON.parse(line));
+            }
+        }
+    }
+
+    onMessage(message) {
+        if (message.id === undefined) {
+            this.notificationListeners.forEach(listener => listener(message));
+            return;
+        }
+
+        const pending = this.pending.get(message.id);
+        if (!pending) {
+            return;
+        }
+        this.pending.delete(message.id);
+        clearTimeout(pending.timer);
+
+        if (message.error) {
+            pending.reject(new Error(`MCP Error: ${message.error.message}`));
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    onNotification(listener) {
+        this.notificationListeners.add(listener);
+        return () => this.notificationListeners.delete(listener);
+    }
+
     async sendRequest(method, params = {}) {
         const request = {
             jsonrpc: '2.0',
@@ -77,45 +182,47 @@ class MCPTestClient {
         };
 
         return new Promise((resolve, reject) => {
-            let responseData = '';
-            let timer;
-
-            const onData = (data) => {
-                responseData += data.toString();
-                
-                try {
-                    const response = JSON.parse(responseData);
-                    this.server.stdout.removeListener('data', onData);
-                    clearTimeout(timer);
-                    
-                    if (response.error) {
-                        reject(new Error(`MCP Error: ${response.error.message}`));
-                    } else {
-                        resolve(response.result);
-                    }
-                } catch (e) {
-                    // Response might be partial, continue listening
-                }
-            };
-
-            this.server.stdout.on('data', onData);
-
-            // Set timeout
-            timer = setTimeout(() => {
-                this.server.stdout.removeListener('data', onData);
+            const timer = setTimeout(() => {
+                this.pending.delete(request.id);
                 reject(new Error(`Request timeout: ${method}`));
             }, TIMEOUT_MS);
+            this.pending.set(request.id, { resolve, reject, timer });
 
-            // Send request
             this.server.stdin.write(JSON.stringify(request) + '\n');
         });
     }
 
-    async stop() {
-        if (this.server) {
-            this.server.kill();
-            this.server = null;
+    sendNotification(method, params = {}) {
+        this.server.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+    }
+
+    // Cancelled requests get no response, so stop waiting for one
+    cancelRequest(id, reason = 'Cancelled by test') {
+        const pending = this.pending.get(id);
+        if (pending) {
+            this.pending.delete(id);
+            clearTimeout(pending.timer);
+            pending.reject(new Error(`Request ${id} cancelled`));
+        }
+        this.sendNotification('notifications/cancelled', { requestId: id, reason });
+    }
+
+    // Stop the server with SIGTERM like a process manager would, killing it if
+    // it does not exit in time; resolves with its exit code
+    stop() {
+        if (!this.stopping) {
+            const server = this.server;
+            const exited = !server || server.exitCode !== null || server.signalCode !== null;
+            this.stopping = exited ? Promise.resolve(server && server.exitCode) : new Promise(resolveExit => {
+                const timer = setTimeout(() => server.kill('SIGKILL'), STOP_TIMEOUT_MS);
+                server.once('exit', (code) => {
+                    clearTimeout(timer);
+                    resolveExit(code);
+                });
+                server.kill('SIGTERM');
+            });
         }
+        return this.stopping;
     }
 }
 
@@ -136,9 +243,8 @@ class TestSuite {
         console.log('🧪 Starting MS-TTS MCP Server Test Suite\n');
 
         // Check environment
-        const hasCredentials = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
-        if (!hasCredentials) {
-            console.log('⚠️  Warning: Azure Speech credentials not found. Speech synthesis tests will be limited.\n');
+        if (TTS_BACKEND === 'fake') {
+            console.log('⚠️  Warning: Azure Speech credentials not found. Speech synthesis tests use the offline fake backend.\n');
         }
 
         try {
@@ -186,6 +292,18 @@ class TestSuite {
     }
 }
 
+/**
+ * Extract the audio file path from a synthesis tool response
+ */
+function extractAudioPath(result) {
+    const textContent = result && result.content && result.content.find(c => c.type === 'text');
+    const pathMatch = textContent && textContent.text.match(/- Path: (.+)/);
+    if (!pathMatch) {
+        throw new Error('Response does not include the audio file path');
+    }
+    return pathMatch[1].trim();
+}
+
 // Initialize test suite
 const suite = new TestSuite();
 
@@ -201,6 +319,10 @@ suite.test('List available tools', async (client) => {
         throw new Error('No tools returned');
     }
 
+    if (!result.tools.some(tool => tool.name === 'list_voices')) {
+        throw new Error('Expected list_voices tool');
+    }
+
     const ttsTools = result.tools.filter(tool => tool.name === 'synthesize_speech');
     if (ttsTools.length !== 1) {
         throw new Error('Expected exactly one synthesize_speech tool');
@@ -216,12 +338,6 @@ suite.test('List available tools', async (client) => {
 
 // Test: Basic speech synthesis (English)
 suite.test('Synthesize English speech', async (client) => {
-    const hasCredentials = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
-    if (!hasCredentials) {
-        console.log('   ⚠️  Skipped: No Azure credentials');
-        return;
-    }
-
     const result = await client.sendRequest('tools/call', {
         name: 'synthesize_speech',
         arguments: {
@@ -248,12 +364,6 @@ suite.test('Synthesize English speech', async (client) => {
 
 // Test: Finnish speech synthesis
 suite.test('Synthesize Finnish speech', async (client) => {
-    const hasCredentials = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
-    if (!hasCredentials) {
-        console.log('   ⚠️  Skipped: No Azure credentials');
-        return;
-    }
-
     const result = await client.sendRequest('tools/call', {
         name: 'synthesize_speech',
         arguments: {
@@ -278,14 +388,50 @@ suite.test('Synthesize Finnish speech', async (client) => {
     console.log('   🇫🇮 Finnish synthesis successful');
 });
 
-// Test: Custom voice
-suite.test('Synthesize with specific voice', async (client) => {
-    const hasCredentials = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
-    if (!hasCredentials) {
-        console.log('   ⚠️  Skipped: No Azure credentials');
-        return;
+// Test: Synthesis without a language
+suite.test('Detect the language when it is omitted', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Hej, hur mår du idag? Jag skulle vilja boka ett bord för två personer.'
+        }
+    });
+
+    const { language, detectedLanguage } = result.structuredContent || {};
+    if (result.isError || language !== 'sv-SE' || !detectedLanguage || detectedLanguage.language !== 'sv-SE') {
+        throw new Error(`Expected detected sv-SE, got ${JSON.stringify(result.structuredContent)}`);
+    }
+    if (!result.content[0].text.includes('(detected, confidence')) {
+        throw new Error('Response does not report the detected language');
+    }
+
+    const mixed = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Welcome to the meeting, everyone. Hej allihop, välkomna till mötet! Let us begin with the agenda.',
+            voice: 'en-US-AvaMultilingualNeural',
+            languageSegments: true
+        }
+    });
+    const languages = (mixed.structuredContent.languageSegments || []).map(segment => segment.language);
+    if (mixed.isError || mixed.structuredContent.language !== 'en-US' || languages.join(',') !== 'en-US,sv-SE,en-US') {
+        throw new Error(`Unexpected segments: ${JSON.stringify(mixed.structuredContent)}`);
     }
 
+    const undetectable = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Build 123' }
+    });
+    const { code, message } = undetectable.structuredContent.error || {};
+    if (!undetectable.isError || code !== 'invalid_request' || !message.includes('Could not detect the language')) {
+        throw new Error(`Undetectable text should be rejected, got ${JSON.stringify(undetectable.structuredContent)}`);
+    }
+
+    console.log(`   🌐 Detected sv-SE (confidence ${detectedLanguage.confidence}) and segments ${languages.join(' → ')}`);
+});
+
+// Test: Custom voice
+suite.test('Synthesize with specific voice', async (client) => {
     const result = await client.sendRequest('tools/call', {
         name: 'synthesize_speech',
         arguments: {
@@ -311,89 +457,2420 @@ suite.test('Synthesize with specific voice', async (client) => {
     console.log('   🎤 Custom voice synthesis successful');
 });
 
-// Test: Error handling - missing sentence
-suite.test('Handle missing sentence parameter', async (client) => {
+// Test: Output file is a playable WAV
+suite.test('Write a valid WAV file', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Checking the audio file format.',
+            language: 'en-US'
+        }
+    });
+
+    const audioFile = extractAudioPath(result);
+    if (!existsSync(audioFile)) {
+        throw new Error(`Audio file not found: ${audioFile}`);
+    }
+
+    const { format, pcm } = parseWav(readFileSync(audioFile));
+    if (format.audioFormat !== 1 || pcm.length === 0) {
+        throw new Error('Audio file is not non-empty PCM WAV');
+    }
+
+    console.log(`   🔊 ${format.sampleRate} Hz WAV, ${pcmDurationMs(pcm.length, format)}ms`);
+    unlinkSync(audioFile);
+});
+
+// Test: Compressed output format
+suite.test('Synthesize MP3 output', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'This file is encoded as MP3.',
+            language: 'en-US',
+            outputFormat: 'mp3-24khz-48kbps'
+        }
+    });
+
+    const textContent = result.content.find(c => c.type === 'text');
+    if (!textContent.text.includes('- Format: mp3-24khz-48kbps (audio/mpeg)')) {
+        throw new Error(`Response does not report the MP3 format: ${textContent.text}`);
+    }
+
+    const audioFile = extractAudioPath(result);
+    if (!audioFile.endsWith('.mp3') || !existsSync(audioFile)) {
+        throw new Error(`MP3 file not found: ${audioFile}`);
+    }
+
+    // Every MP3 frame starts with an 11-bit sync word
+    const audioData = readFileSync(audioFile);
+    if (audioData[0] !== 0xFF || (audioData[1] & 0xE0) !== 0xE0) {
+        throw new Error('Audio file does not start with an MP3 frame');
+    }
+    const duration = Number((textContent.text.match(/- Audio Duration: (\d+)ms/) || [])[1]);
+    if (!(duration > 0)) {
+        throw new Error('MP3 audio duration was not reported');
+    }
+
+    console.log(`   🎧 ${audioData.length} byte MP3, ${duration}ms`);
+    unlinkSync(audioFile);
+});
+
+// Test: Machine-readable results
+suite.test('Return structured content with metrics', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Structured results are easy to parse.', language: 'en-US' }
+    });
+
+    const data = result.structuredContent;
+    if (!data || result.isError || data.language !== 'en-US' || data.format !== 'wav-16khz' || data.mimeType !== 'audio/wav') {
+        throw new Error(`Unexpected structured content: ${JSON.stringify(data)}`);
+    }
+    if (data.path !== extractAudioPath(result) || !data.uri.endsWith(encodeURIComponent(data.file))) {
+        throw new Error('Structured file details do not match the text response');
+    }
+    if (data.metrics.wordCount !== 6 || !(data.metrics.audioDuration > 0) || typeof data.metrics.cached !== 'boolean') {
+        throw new Error(`Unexpected metrics: ${JSON.stringify(data.metrics)}`);
+    }
+
+    const { tools } = await client.sendRequest('tools/list');
+    if (!tools.every(tool => tool.outputSchema && tool.outputSchema.type === 'object')) {
+        throw new Error('Not every tool declares an output schema');
+    }
+
+    unlinkSync(data.path);
+    console.log(`   🧾 Structured result for ${data.file}`);
+});
+
+// Test: Structured content matches the output schemas
+suite.test('Match structured content to the advertised output schemas', async (client) => {
+    const { tools } = await client.sendRequest('tools/list');
+    const ajv = new AjvJsonSchemaValidator();
+    const validators = new Map(tools.map(tool => [tool.name, ajv.getValidator(tool.outputSchema)]));
+
+    const calls = [
+        ['synthesize_speech', { sentence: 'Checking the schema of a plain result.', language: 'en-US' }],
+        ['synthesize_speech', { sentence: 'Checking a streamed MP3 result.', language: 'en-US', outputFormat: 'mp3-24khz-48kbps', stream: true }],
+        ['synthesize_speech', { sentence: 'Checking a post-processed result.', language: 'en-US', postProcess: { trimSilence: true } }],
+        ['synthesize_document', { text: 'The first paragraph of a short document, long enough for a chunk of its own.\n\nAnd the second paragraph of it.', language: 'en-US', maxChunkLength: 100 }],
+        ['synthesize_dialogue', { language: 'en-US', turns: [{ speaker: 'A', text: 'Hello there.' }, { speaker: 'B', text: 'Hi.' }] }],
+        ['synthesize_batch', { language: 'en-US', items: [{ text: 'One batch item.' }, { text: 'Bad voice.', voice: 'en-US-NoSuchNeural' }] }],
+        ['list_voices', { language: 'en-US' }],
+        ['list_audio_files', {}],
+        ['get_usage', {}],
+        ['get_config', {}]
+    ];
+    const created = [];
+    for (const [name, args] of calls) {
+        const result = await client.sendRequest('tools/call', { name, arguments: args });
+        const data = result.structuredContent;
+        if (result.isError) {
+            throw new Error(`${name} failed: ${result.content[0].text}`);
+        }
+        const { valid, errorMessage } = validators.get(name)(data);
+        if (!valid) {
+            throw new Error(`${name} does not match its output schema: ${errorMessage}`);
+        }
+        created.push(data.path, data.manifestFile, ...(data.items || []).map(item => item.path));
+    }
+
+    created.filter(path => path && existsSync(path)).forEach(path => unlinkSync(path));
+    console.log(`   📐 ${calls.length} results match their schemas`);
+});
+
+// Test: Synthesis failures carry an error code
+suite.test('Report synthesis failures with isError and a code', async (client) => {
+    if (TTS_BACKEND !== 'fake') {
+        console.log('   ⏭️ Skipped: needs the fake backend to force a failure');
+        return;
+    }
+
+    // The fake backend cannot encode Opus
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'This cannot be encoded.', language: 'en-US', outputFormat: 'ogg-24khz-opus' }
+    });
+
+    if (result.isError !== true || !result.structuredContent || !result.structuredContent.error) {
+        throw new Error('Failure was not reported with isError and an error payload');
+    }
+    const { code, message } = result.structuredContent.error;
+    if (code !== 'invalid_request' || !message.includes('ogg-24khz-opus')) {
+        throw new Error(`Unexpected error payload: ${JSON.stringify(result.structuredContent.error)}`);
+    }
+
+    console.log(`   🏷️ Failure reported as ${code}`);
+});
+
+// Test: Caption cues from word boundaries
+suite.test('Build caption cues from word boundaries', async () => {
+    const words = [
+        { text: 'Hello', offset: 100, duration: 300 },
+        { text: 'world', offset: 480, duration: 300 },
+        { text: '.', offset: 780, duration: 0 },
+        { text: 'Again', offset: 1200, duration: 300 }
+    ];
+    const cues = buildCues(words);
+    if (cues.length !== 2 || cues[0].text !== 'Hello world.' || cues[0].end !== 780) {
+        throw new Error(`Unexpected cues: ${JSON.stringify(cues)}`);
+    }
+
+    const srt = toSRT(cues);
+    if (!srt.startsWith('1\n00:00:00,100 --> 00:00:00,780\nHello world.\n\n2\n')) {
+        throw new Error(`Unexpected SRT:\n${srt}`);
+    }
+    if (formatTimestamp(3723456) !== '01:02:03.456') {
+        throw new Error(`Unexpected timestamp: ${formatTimestamp(3723456)}`);
+    }
+
+    console.log(`   💬 ${cues.length} cues built`);
+});
+
+// Test: Subtitle and timing sidecars
+suite.test('Write subtitles, timings and bookmarks', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            ssml: '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">Captions for <bookmark mark="middle"/>this sentence.</speak>',
+            language: 'en-US',
+            timings: ['vtt', 'srt', 'json']
+        }
+    });
+
+    const { timingFiles, bookmarks } = result.structuredContent;
+    if (!timingFiles || Object.keys(timingFiles).length !== 3) {
+        throw new Error(`Timing files not reported: ${JSON.stringify(timingFiles)}`);
+    }
+
+    const vtt = readFileSync(timingFiles.vtt, 'utf8');
+    if (!vtt.startsWith('WEBVTT') || !vtt.includes('Captions for this sentence')) {
+        throw new Error(`Unexpected WebVTT:\n${vtt}`);
+    }
+    const timing = JSON.parse(readFileSync(timingFiles.json, 'utf8'));
+    if (timing.words.length !== 4 || timing.visemes.length === 0 || timing.audioFile !== result.structuredContent.file) {
+        throw new Error('Timing sidecar is missing words or visemes');
+    }
+    if (bookmarks.length !== 1 || bookmarks[0].name !== 'middle' || !(bookmarks[0].offset > 0) || timing.bookmarks[0].name !== 'middle') {
+        throw new Error(`Unexpected bookmarks: ${JSON.stringify(bookmarks)}`);
+    }
+
+    Object.values(timingFiles).forEach(path => unlinkSync(path));
+    unlinkSync(extractAudioPath(result));
+    console.log(`   ⏱️ ${timing.words.length} words, ${timing.visemes.length} visemes, bookmark at ${bookmarks[0].offset}ms`);
+});
+
+// Test: Inline audio content
+suite.test('Return audio inline as base64 content', async (client) => {
+    const args = { sentence: 'Inline audio for remote clients.', language: 'en-US' };
+
+    const audioResult = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { ...args, inline: 'audio' }
+    });
+    // SDK clients reject results whose content they cannot parse
+    CallToolResultSchema.parse(audioResult);
+    const audioContent = audioResult.content.find(c => c.type === 'audio');
+    if (!audioContent || audioContent.mimeType !== 'audio/wav') {
+        throw new Error('Response does not include WAV audio content');
+    }
+    const { pcm } = parseWav(Buffer.from(audioContent.data, 'base64'));
+    if (pcm.length === 0) {
+        throw new Error('Inline audio is empty');
+    }
+
+    const resourceResult = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { ...args, inline: 'resource' }
+    });
+    CallToolResultSchema.parse(resourceResult);
+    const embedded = resourceResult.content.find(c => c.type === 'resource');
+    if (!embedded || !embedded.resource.uri.startsWith('tts://audio/') || !embedded.resource.blob) {
+        throw new Error('Response does not include an embedded audio resource');
+    }
+
+    unlinkSync(extractAudioPath(audioResult));
+    unlinkSync(extractAudioPath(resourceResult));
+    console.log(`   📦 ${audioContent.data.length} base64 characters returned inline`);
+});
+
+// Test: Generated files as MCP resources
+suite.test('List and read generated audio resources', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Fetch me as a resource.', language: 'en-US' }
+    });
+    const textContent = result.content.find(c => c.type === 'text');
+    const uri = (textContent.text.match(/- URI: (.+)/) || [])[1];
+
+    const { resources } = await client.sendRequest('resources/list');
+    const listed = resources.find(resource => resource.uri === uri);
+    if (!listed || listed.mimeType !== 'audio/wav') {
+        throw new Error(`Resource ${uri} is not listed`);
+    }
+
+    const { contents } = await client.sendRequest('resources/read', { uri });
+    const audioData = Buffer.from(contents[0].blob, 'base64');
+    if (!audioData.equals(readFileSync(extractAudioPath(result)))) {
+        throw new Error('Resource contents differ from the saved file');
+    }
+
     try {
-        await client.sendRequest('tools/call', {
-            name: 'synthesize_speech',
-            arguments: {
-                language: 'en-US'
-            }
-        });
-        throw new Error('Expected error for missing sentence');
+        await client.sendRequest('resources/read', { uri: 'tts://audio/..%2F..%2Fpackage.json' });
+        throw new Error('Expected error for a path outside the output directory');
     } catch (error) {
-        if (!error.message.includes('sentence')) {
-            throw new Error('Expected error message about missing sentence');
+        if (!error.message.includes('Invalid audio resource name')) {
+            throw new Error(`Expected invalid resource error, got: ${error.message}`);
         }
     }
 
-    console.log('   ❌ Correctly handled missing sentence');
+    unlinkSync(extractAudioPath(result));
+    console.log(`   🗂️ ${resources.length} resource(s) listed, ${audioData.length} bytes read`);
 });
 
-// Test: Error handling - unsupported language
-suite.test('Handle unsupported language', async (client) => {
-    try {
-        await client.sendRequest('tools/call', {
-            name: 'synthesize_speech',
-            arguments: {
-                sentence: 'Test sentence',
-                language: 'xx-XX'
+// Test: Output naming and retention
+suite.test('Name output files and apply the retention policy', async () => {
+    const dir = './audio/test-outputs';
+    rmSync(dir, { recursive: true, force: true });
+    let clock = Date.now();
+    const outputs = createOutputManager({
+        dir,
+        template: 'lessons/{date}/{kind}-{voice}',
+        isAudio: (name) => name.endsWith('.wav'),
+        sidecarExtensions: ['vtt'],
+        maxAgeMs: 60 * 60 * 1000,
+        maxBytes: 250,
+        now: () => clock
+    });
+
+    for (const name of ['../escape', '/etc/passwd', 'lessons/../../escape', '.hidden', 'a//b', 'x{unknown}']) {
+        try {
+            outputs.createPath({ language: 'en-US', voice: 'v', extension: 'wav', name });
+            throw new Error(`Expected ${name} to be rejected`);
+        } catch (error) {
+            if (!/Invalid "outputName"|Unknown field/.test(error.message)) {
+                throw error;
             }
-        });
-        throw new Error('Expected error for unsupported language');
-    } catch (error) {
-        if (!error.message.includes('Unsupported language')) {
-            throw new Error('Expected error message about unsupported language');
         }
     }
 
-    console.log('   🌍 Correctly handled unsupported language');
+    const first = outputs.createPath({ language: 'en-US', voice: 'en-US-AvaNeural', extension: 'wav' });
+    if (!/^lessons\/\d{4}-\d{2}-\d{2}\/tts-en-US-AvaNeural\.wav$/.test(first.filename) || !existsSync(dirname(first.outputPath))) {
+        throw new Error(`Unexpected generated name: ${first.filename}`);
+    }
+    writeFileSync(first.outputPath, Buffer.alloc(100));
+    writeFileSync(first.outputPath.replace(/\.wav$/, '.vtt'), 'WEBVTT\n');
+    const second = outputs.createPath({ language: 'en-US', voice: 'en-US-AvaNeural', extension: 'wav' });
+    if (!second.filename.endsWith('tts-en-US-AvaNeural-2.wav')) {
+        throw new Error(`Expected a suffix on collision, got ${second.filename}`);
+    }
+    const named = outputs.createPath({ language: 'fi-FI', voice: 'x', extension: 'wav', name: 'old/intro.wav' });
+    if (named.filename !== 'old/intro.wav') {
+        throw new Error(`Unexpected caller-supplied name: ${named.filename}`);
+    }
+    writeFileSync(named.outputPath, Buffer.alloc(100));
+    const past = new Date(clock - 2 * 60 * 60 * 1000);
+    utimesSync(named.outputPath, past, past);
+
+    const listed = outputs.list();
+    if (listed.length !== 2 || listed[0].name !== first.filename || listed[0].sidecars.length !== 1) {
+        throw new Error(`Unexpected listing: ${JSON.stringify(listed.map(file => file.name))}`);
+    }
+
+    // The old file expires; its now empty directory goes with it
+    const expired = outputs.enforceRetention();
+    if (expired.deleted.join() !== 'old/intro.wav' || existsSync(resolve(dir, 'old'))) {
+        throw new Error(`Expected the old file to expire, got ${JSON.stringify(expired)}`);
+    }
+
+    // Over the size limit the oldest files go first, but never the one being kept
+    writeFileSync(second.outputPath, Buffer.alloc(200));
+    clock += 1000;
+    const trimmed = outputs.enforceRetention({ keep: second.outputPath });
+    if (trimmed.deleted.length !== 2 || !existsSync(second.outputPath)) {
+        throw new Error(`Expected the older file and its captions to go, got ${JSON.stringify(trimmed)}`);
+    }
+
+    if (outputs.remove(second.filename).join() !== second.filename || outputs.list().length !== 0) {
+        throw new Error('File was not deleted');
+    }
+
+    rmSync(dir, { recursive: true, force: true });
+    console.log('   🗂️ Names confined to the output directory, retention by age and size');
 });
 
-// Test: Error handling - unknown tool
-suite.test('Handle unknown tool', async (client) => {
+// Test: Managing output files through tools
+suite.test('List and delete audio files through tools', async (client) => {
+    const stamp = Date.now();
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Keep me in a folder.',
+            language: 'en-US',
+            outputName: `lessons-${stamp}/intro-{language}`,
+            timings: ['vtt']
+        }
+    });
+    const { file, uri } = result.structuredContent;
+    if (file !== `lessons-${stamp}/intro-en_US.wav` || !uri.endsWith(`/lessons-${stamp}/intro-en_US.wav`)) {
+        throw new Error(`Unexpected output file ${file} (${uri})`);
+    }
+
     try {
         await client.sendRequest('tools/call', {
-            name: 'unknown_tool',
-            arguments: {}
+            name: 'synthesize_speech',
+            arguments: { sentence: 'Escape.', language: 'en-US', outputName: '../../escape' }
         });
-        throw new Error('Expected error for unknown tool');
+        throw new Error('Expected an error for a name outside the output directory');
     } catch (error) {
-        if (!error.message.includes('Unknown tool')) {
-            throw new Error('Expected error message about unknown tool');
+        if (!error.message.includes('Invalid "outputName"')) {
+            throw error;
         }
     }
 
-    console.log('   🔧 Correctly handled unknown tool');
-});
+    const listing = await client.sendRequest('tools/call', {
+        name: 'list_audio_files',
+        arguments: { directory: `lessons-${stamp}` }
+    });
+    const { files } = listing.structuredContent;
+    if (files.length !== 1 || files[0].file !== file || files[0].sidecars[0] !== `lessons-${stamp}/intro-en_US.vtt`) {
+        throw new Error(`Unexpected listing: ${JSON.stringify(files)}`);
+    }
 
-// Test: Performance - multiple quick requests
-suite.test('Handle multiple concurrent requests', async (client) => {
-    const hasCredentials = !!(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE);
-    if (!hasCredentials) {
-        console.log('   ⚠️  Skipped: No Azure credentials');
-        return;
+    const { contents } = await client.sendRequest('resources/read', { uri });
+    if (Buffer.from(contents[0].blob, 'base64').length === 0) {
+        throw new Error('Resource in a subdirectory could not be read');
     }
 
-    const requests = [
-        { sentence: 'First test', language: 'en-US' },
-        { sentence: 'Second test', language: 'en-US' },
-        { sentence: 'Third test', language: 'en-US' }
-    ];
+    const deletion = await client.sendRequest('tools/call', {
+        name: 'delete_audio_file',
+        arguments: { file: uri }
+    });
+    if (deletion.structuredContent.deleted.length !== 2 || existsSync(resolve(TEST_AUDIO_DIR, `lessons-${stamp}`))) {
+        throw new Error(`Unexpected deletion: ${JSON.stringify(deletion.structuredContent)}`);
+    }
 
-    // Note: We run these sequentially to avoid overwhelming the service
-    for (let i = 0; i < requests.length; i++) {
-        const result = await client.sendRequest('tools/call', {
-            name: 'synthesize_speech',
-            arguments: requests[i]
-        });
+    console.log(`   🗑️ ${file} listed with its captions and deleted`);
+});
 
-        if (!result || !result.content) {
-            throw new Error(`Request ${i + 1} failed`);
-        }
+// Test: Playback queue
+suite.test('Queue and stop local audio playback', async () => {
+    const spawned = [];
+    const spawn = (command, args) => {
+        const child = new EventEmitter();
+        child.kill = () => child.emit('exit', null, 'SIGTERM');
+        spawned.push({ command, args, child });
+        return child;
+    };
+    const players = detectPlayers({ find: (name) => (name === 'aplay' ? '/usr/bin/aplay' : null) });
+    if (players.length !== 1 || players[0].command !== '/usr/bin/aplay') {
+        throw new Error(`Unexpected players: ${JSON.stringify(players)}`);
     }
 
-    console.log('   🚀 Multiple requests handled successfully');
+    const player = createAudioPlayer({ players, spawn });
+    player.enqueue('/tmp/one.wav', 'one.wav');
+    player.enqueue('/tmp/two.wav', 'two.wav');
+    if (player.status().playing.file !== 'one.wav' || player.status().queue.join() !== 'two.wav') {
+        throw new Error(`Unexpected queue: ${JSON.stringify(player.status())}`);
+    }
+    spawned[0].child.emit('exit', 0);
+    if (spawned.length !== 2 || spawned[1].args.at(-1) !== '/tmp/two.wav') {
+        throw new Error('The next file did not start after the first finished');
+    }
+
+    player.enqueue('/tmp/three.wav', 'three.wav');
+    player.play('/tmp/four.wav', 'four.wav');
+    if (player.status().playing.file !== 'four.wav' || player.status().queue.length !== 0) {
+        throw new Error(`"play" should interrupt and clear the queue: ${JSON.stringify(player.status())}`);
+    }
+    if (player.stop() !== 1 || player.status().playing !== null || spawned.length !== 3) {
+        throw new Error('Stop did not end playback');
+    }
+
+    for (const [candidates, file] of [[[], '/tmp/one.wav'], [players, '/tmp/one.mp3']]) {
+        try {
+            createAudioPlayer({ players: candidates, spawn }).play(file);
+            throw new Error(`Expected ${file} to be unplayable`);
+        } catch (error) {
+            if (error.code !== 'player_unavailable') {
+                throw error;
+            }
+        }
+    }
+
+    console.log('   🔈 Files played in order, interrupted and stopped');
+});
+
+// Test: Playback without a player
+suite.test('Report playback as unavailable without a player', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Play me if you can.', language: 'en-US', play: true }
+    });
+    if (result.isError || result.structuredContent.playback.status !== 'unavailable') {
+        throw new Error(`Synthesis should succeed with playback unavailable: ${JSON.stringify(result.structuredContent)}`);
+    }
+
+    const playback = await client.sendRequest('tools/call', {
+        name: 'play_audio',
+        arguments: { file: result.structuredContent.uri }
+    });
+    if (!playback.isError || playback.structuredContent.error.code !== 'player_unavailable') {
+        throw new Error(`Expected player_unavailable, got ${JSON.stringify(playback.structuredContent)}`);
+    }
+
+    const status = await client.sendRequest('tools/call', {
+        name: 'play_audio',
+        arguments: { action: 'status' }
+    });
+    if (status.structuredContent.playing !== null || status.structuredContent.players.length !== 0) {
+        throw new Error(`Unexpected status: ${JSON.stringify(status.structuredContent)}`);
+    }
+
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'play_audio',
+            arguments: { file: '../package.json' }
+        });
+        throw new Error('Expected an error for a file outside the output directory');
+    } catch (error) {
+        if (!error.message.includes('Invalid "file"')) {
+            throw error;
+        }
+    }
+
+    unlinkSync(extractAudioPath(result));
+    console.log('   🔇 No player: synthesis kept, play_audio reports player_unavailable');
+});
+
+// Test: Word error rate and the fake recognizer
+suite.test('Score transcripts and recognize fake speech offline', async () => {
+    const scored = wordErrorRate('Hei, tämä on testi.', 'hei tämä oli testi kiitos');
+    if (scored.wer !== 0.5 || scored.substitutions !== 1 || scored.insertions !== 1 || scored.deletions !== 0) {
+        throw new Error(`Unexpected score: ${JSON.stringify(scored)}`);
+    }
+    if (wordErrorRate('Hello [pause:300] world!', 'hello world').wer !== 0) {
+        throw new Error('Punctuation, case and pause markers should not count as errors');
+    }
+
+    const fake = createBackend('fake');
+    const text = 'Hyvää huomenta, tämä on testi.';
+    const { audioData } = await fake.synthesize({ text });
+    const heard = await fake.transcribe({ audioData, language: 'fi-FI', vocabulary: [text] });
+    if (heard.text !== 'Hyvää huomenta tämä on testi' || heard.segments.length !== 5) {
+        throw new Error(`Unexpected transcript: ${heard.text}`);
+    }
+    const partial = await fake.transcribe({ audioData, language: 'fi-FI', vocabulary: ['tämä on'] });
+    if (wordErrorRate(text, partial.text).substitutions !== 3) {
+        throw new Error(`Words outside the vocabulary should be unknown: ${partial.text}`);
+    }
+
+    console.log(`   📝 Heard "${heard.text}"`);
+});
+
+// Test: Round-trip verification
+suite.test('Verify synthesized speech with a transcription', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Hyvää huomenta, tämä on testi.',
+            language: 'fi-FI',
+            voice: 'en-US-RyanMultilingualNeural',
+            verify: true
+        }
+    });
+    // The fake recognizer hears its own tones perfectly; real recognition may slip a word
+    const maxWer = TTS_BACKEND === 'fake' ? 0 : 0.4;
+    const { verification, file } = result.structuredContent;
+    if (result.isError || !verification || !(verification.wer <= maxWer) || verification.referenceWords !== 5) {
+        throw new Error(`Unexpected verification: ${JSON.stringify(verification)}`);
+    }
+
+    const transcription = await client.sendRequest('tools/call', {
+        name: 'transcribe_audio',
+        arguments: { file, language: 'fi-FI', reference: 'Hyvää iltaa, tämä on testi.' }
+    });
+    const { verification: scored } = transcription.structuredContent;
+    if (transcription.isError || !scored.errors.some(error => error.expected === 'iltaa') || !(scored.wer <= maxWer + 0.2)) {
+        throw new Error(`Unexpected transcription: ${JSON.stringify(transcription.structuredContent)}`);
+    }
+
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: 'Not a WAV.', language: 'en-US', outputFormat: 'mp3-24khz-48kbps', verify: true }
+        });
+        throw new Error('Expected verify to reject MP3 output');
+    } catch (error) {
+        if (!error.message.includes('"verify" needs a WAV output format')) {
+            throw error;
+        }
+    }
+
+    unlinkSync(extractAudioPath(result));
+    console.log(`   ✅ Round trip heard "${verification.transcript}" (WER ${verification.wer})`);
+});
+
+// Test: Post-processing of PCM audio
+suite.test('Measure loudness and post-process PCM', async () => {
+    const sine = (frames, amplitude, sampleRate) => Float32Array.from({ length: frames }, (_, i) => amplitude * Math.sin((2 * Math.PI * 997 * i) / sampleRate));
+
+    // BS.1770 reference: a stereo 997 Hz sine at -23 dBFS per channel reads -23 LUFS
+    const reference = sine(48000 * 3, 10 ** (-23 / 20), 48000);
+    const loudness = integratedLoudness([reference, reference], 48000);
+    if (Math.abs(loudness - -23) > 0.1 || integratedLoudness([new Float32Array(48000)], 48000) !== null) {
+        throw new Error(`Unexpected loudness: ${loudness}`);
+    }
+
+    // 100 ms silence, 500 ms tone at -20 dBFS, 200 ms silence (24 kHz mono)
+    const samples = new Float32Array(19200);
+    samples.set(sine(12000, 0.1, 24000), 2400);
+    const options = normalizePostProcessOptions({ trimSilence: true, normalize: 'loudness', sampleRate: 48000, channels: 2, padding: { leading: 50, trailing: 50 } });
+    const processed = postProcessPcm(encodePcm([samples]), { sampleRate: 24000, channels: 1 }, options);
+    const [trim, normalize] = processed.steps;
+    if (processed.steps.map(step => step.step).join() !== 'trim,normalize,resample,channels,pad'
+        || trim.leadingMs !== 100 || trim.trailingMs !== 200
+        || Math.abs(normalize.outputLoudness - -16) > 0.2 || normalize.limited) {
+        throw new Error(`Unexpected steps: ${JSON.stringify(processed.steps)}`);
+    }
+    if (processed.layout.sampleRate !== 48000 || processed.layout.channels !== 2 || processed.offsetShiftMs !== -50
+        || pcmDurationMs(processed.pcm.length, processed.layout) !== 600) {
+        throw new Error(`Unexpected output: ${JSON.stringify(processed.layout)}, shift ${processed.offsetShiftMs}`);
+    }
+
+    // Peak mode, and loudness targets that would clip are capped at the peak target
+    const peak = postProcessPcm(encodePcm([samples]), { sampleRate: 24000, channels: 1 }, normalizePostProcessOptions({ normalize: 'peak', targetPeak: -3 }));
+    const capped = postProcessPcm(encodePcm([samples]), { sampleRate: 24000, channels: 1 }, normalizePostProcessOptions({ normalize: 'loudness', targetLoudness: -5, targetPeak: -6 }));
+    if (Math.abs(peak.steps[0].outputPeak - -3) > 0.1 || !capped.steps[0].limited || Math.abs(capped.steps[0].outputPeak - -6) > 0.1) {
+        throw new Error(`Unexpected normalization: ${JSON.stringify([peak.steps, capped.steps])}`);
+    }
+
+    for (const invalid of [{ normalize: 'rms' }, { targetLoudness: -80 }, { padding: { leading: -1 } }, { channels: 6 }, { fadeIn: 10 }]) {
+        try {
+            normalizePostProcessOptions(invalid);
+            throw new Error(`Accepted ${JSON.stringify(invalid)}`);
+        } catch (error) {
+            if (!error.message.includes('postProcess')) {
+                throw error;
+            }
+        }
+    }
+    console.log(`   🎚️ Reference tone at ${loudness.toFixed(2)} LUFS, clip normalized to ${normalize.outputLoudness} LUFS`);
+});
+
+// Test: Post-processing through synthesize_speech
+suite.test('Trim, normalize and pad synthesized speech', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Evenly levelled clips.',
+            language: 'en-US',
+            timings: ['json'],
+            postProcess: { trimSilence: true, normalize: 'peak', targetPeak: -3, padding: { leading: 200, trailing: 100 }, sampleRate: 48000 }
+        }
+    });
+    if (result.isError) {
+        throw new Error(`Post-processing failed: ${result.content[0].text}`);
+    }
+
+    const { metrics, timingFiles } = result.structuredContent;
+    const steps = metrics.postProcessing || [];
+    if (steps.map(step => step.step).join() !== 'trim,normalize,resample,pad' || !result.content[0].text.includes('- Post-processing: trimmed')) {
+        throw new Error(`Unexpected post-processing: ${JSON.stringify(steps)}`);
+    }
+    const { format, pcm } = parseWav(readFileSync(extractAudioPath(result)));
+    if (format.sampleRate !== 48000 || pcmDurationMs(pcm.length, format) !== metrics.audioDuration) {
+        throw new Error(`Unexpected WAV format: ${JSON.stringify(format)}`);
+    }
+    // Word timings follow the audio: leading silence was replaced by the 200 ms padding
+    const timing = JSON.parse(readFileSync(timingFiles.json, 'utf8'));
+    if (TTS_BACKEND === 'fake' && Math.abs(timing.words[0].offset - 200) > 10) {
+        throw new Error(`First word not shifted: ${JSON.stringify(timing.words[0])}`);
+    }
+
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: 'Compressed.', language: 'en-US', outputFormat: 'mp3-24khz-48kbps', postProcess: { trimSilence: true } }
+        });
+        throw new Error('Expected postProcess to reject MP3 output');
+    } catch (error) {
+        if (!error.message.includes('"postProcess" needs a WAV or raw PCM output format')) {
+            throw error;
+        }
+    }
+
+    unlinkSync(timingFiles.json);
+    unlinkSync(extractAudioPath(result));
+    console.log(`   🎚️ ${steps.map(step => step.step).join(' → ')}, first word at ${timing.words[0].offset}ms`);
+});
+
+// Test: Documents only accept stitchable formats
+suite.test('Synthesize a document as raw PCM and reject MP3', async (client) => {
+    const text = 'First paragraph of the document.\n\nSecond paragraph of the document.';
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_document',
+        arguments: { text, language: 'en-US', outputFormat: 'pcm-24khz' }
+    });
+
+    const audioFile = extractAudioPath(result);
+    const audioData = readFileSync(audioFile);
+    if (!audioFile.endsWith('.pcm') || audioData.toString('ascii', 0, 4) === 'RIFF' || audioData.length % 2 !== 0) {
+        throw new Error(`Expected headerless 16-bit PCM, got ${audioFile}`);
+    }
+    unlinkSync(audioFile);
+
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_document',
+            arguments: { text, language: 'en-US', outputFormat: 'mp3-24khz-48kbps' }
+        });
+        throw new Error('Expected error for MP3 document output');
+    } catch (error) {
+        if (!error.message.includes('Invalid "outputFormat" for documents')) {
+            throw new Error(`Expected output format error, got: ${error.message}`);
+        }
+    }
+
+    console.log(`   🎚️ ${pcmDurationMs(audioData.length, { sampleRate: 24000, channels: 1, bitsPerSample: 16 })}ms of raw PCM, MP3 rejected`);
+});
+
+// Test: SSML generation escapes text
+suite.test('Build escaped SSML with prosody and pauses', async () => {
+    const ssml = createSSML('Tom & Jerry <3 [pause:300] "quotes"', 'en-US-JennyMultilingualNeural', 'en-US', {
+        rate: '+10%',
+        style: 'cheerful',
+        pauses: { sentence: 400 }
+    });
+
+    if (!ssml.includes('Tom &amp; Jerry &lt;3 <break time="300ms"/> &quot;quotes&quot;')) {
+        throw new Error(`Text was not escaped correctly: ${ssml}`);
+    }
+    if (!ssml.includes('<prosody rate="+10%">') || !ssml.includes('<mstts:express-as style="cheerful">')) {
+        throw new Error('Prosody or style element missing');
+    }
+    if (!ssml.includes('<mstts:silence type="Sentenceboundary-exact" value="400ms"/>')) {
+        throw new Error('Sentence pause missing');
+    }
+
+    // The generated document must pass our own validator
+    validateSSML(ssml);
+
+    console.log('   🧾 SSML escaped and valid');
+});
+
+// Test: Prosody options
+suite.test('Synthesize with prosody and style options', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Slow and cheerful. [pause:500] With a pause.',
+            language: 'en-US',
+            rate: '-10%',
+            pitch: '+2st',
+            volume: 'loud',
+            style: 'cheerful',
+            styleDegree: 1.5,
+            pauses: { leading: 200, trailing: 200 }
+        }
+    });
+
+    const textContent = result.content.find(c => c.type === 'text');
+    if (!textContent || !textContent.text.includes('Speech synthesis completed successfully')) {
+        throw new Error('Response does not indicate success');
+    }
+
+    console.log('   🎚️ Prosody synthesis successful');
+});
+
+// Test: Raw SSML input
+suite.test('Synthesize raw SSML', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            ssml: '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">Hello <break time="300ms"/> <emphasis>world</emphasis></speak>',
+            language: 'en-US'
+        }
+    });
+
+    const textContent = result.content.find(c => c.type === 'text');
+    if (!textContent || !textContent.text.includes('Speech synthesis completed successfully')) {
+        throw new Error('Response does not indicate success');
+    }
+    if (!textContent.text.includes('"Hello world"')) {
+        throw new Error('Response does not report the spoken text');
+    }
+
+    console.log('   📜 Raw SSML synthesis successful');
+});
+
+// Test: Error handling - disallowed SSML element
+suite.test('Reject SSML with disallowed elements', async (client) => {
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: {
+                ssml: '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US"><audio src="http://example.com/a.wav"/></speak>',
+                language: 'en-US'
+            }
+        });
+        throw new Error('Expected error for disallowed SSML element');
+    } catch (error) {
+        if (!error.message.includes('element <audio> is not allowed')) {
+            throw new Error(`Expected error about the <audio> element, got: ${error.message}`);
+        }
+    }
+
+    console.log('   🚫 Correctly rejected <audio> element');
+});
+
+// Test: Error handling - invalid character references
+suite.test('Reject SSML referring to characters XML does not allow', async (client) => {
+    const speak = (body) => `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-US">${body}</speak>`;
+    for (const reference of ['&#99999999;', '&#x110000;', '&#0;', '&#xFFFE;', '&#xD800;']) {
+        try {
+            validateSSML(speak(`Bad ${reference} character`));
+            throw new Error(`Expected ${reference} to be rejected`);
+        } catch (error) {
+            if (!error.message.includes(`"${reference}"`) || !error.message.includes('valid XML character')) {
+                throw new Error(`Unexpected error for ${reference}: ${error.message}`);
+            }
+        }
+    }
+    validateSSML(speak('Fine &#x1F600; &#233; &#x9; characters'));
+
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { ssml: speak('Out of range &#x110000;'), language: 'en-US' }
+    }).catch(error => error);
+    if (!(result instanceof Error) || !result.message.includes('does not refer to a valid XML character')) {
+        throw new Error(`Expected the tool to reject the reference, got: ${result.message || JSON.stringify(result)}`);
+    }
+
+    console.log('   🔣 Out-of-range and illegal character references rejected');
+});
+
+// Test: Error handling - invalid prosody value
+suite.test('Handle invalid prosody value', async (client) => {
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: {
+                sentence: 'Test sentence',
+                language: 'en-US',
+                rate: '"><audio/>'
+            }
+        });
+        throw new Error('Expected error for invalid rate');
+    } catch (error) {
+        if (!error.message.includes('Invalid "rate"')) {
+            throw new Error(`Expected error about rate, got: ${error.message}`);
+        }
+    }
+
+    console.log('   🎚️ Correctly rejected invalid rate');
+});
+
+// Test: Sentence splitting
+suite.test('Split sentences with language-specific abbreviations', async () => {
+    const finnish = splitSentences('Ostin esim. omenoita klo 5. Sitten lähdin kotiin.', 'fi-FI');
+    if (finnish.length !== 2 || !finnish[0].endsWith('klo 5.')) {
+        throw new Error(`Unexpected Finnish split: ${JSON.stringify(finnish)}`);
+    }
+
+    const german = splitSentences('Wir kamen am 3. Oktober, z.B. mit Dr. Müller. Dann gingen wir.', 'de-DE');
+    if (german.length !== 2) {
+        throw new Error(`Unexpected German split: ${JSON.stringify(german)}`);
+    }
+
+    const swedish = splitSentences('Vi åt t.ex. äpplen. Sedan gick vi hem.', 'sv-SE');
+    if (swedish.length !== 2) {
+        throw new Error(`Unexpected Swedish split: ${JSON.stringify(swedish)}`);
+    }
+
+    const chunks = splitText('First paragraph here.\n\nSecond one. ' + 'More words follow. '.repeat(20), { maxLength: 120 });
+    if (chunks.some(chunk => chunk.length > 120) || !chunks[0].includes('\n\nSecond one.')) {
+        throw new Error(`Unexpected chunks: ${JSON.stringify(chunks)}`);
+    }
+
+    console.log(`   ✂️ Sentences split correctly, ${chunks.length} chunks`);
+});
+
+// Test: Language detection
+suite.test('Detect the language of text and mixed-language segments', async () => {
+    const samples = {
+        sv: 'Hej, hur mår du idag? Jag skulle vilja boka ett bord för två personer.',
+        fi: 'Hyvää huomenta, miten voit tänään?',
+        de: 'Guten Morgen, wie geht es Ihnen heute?',
+        ru: 'Доброе утро, как дела?',
+        ja: 'おはようございます、元気ですか？'
+    };
+    for (const [expected, text] of Object.entries(samples)) {
+        const { language, confidence } = detectLanguage(text);
+        if (language !== expected || confidence < MIN_CONFIDENCE) {
+            throw new Error(`Expected ${expected} for "${text}", got ${language} (${confidence})`);
+        }
+    }
+    if (detectLanguage('Build 123').language !== null) {
+        throw new Error('Too little text should not be detected');
+    }
+
+    const segments = detectSegments('Welcome to the meeting, everyone. Hej allihop, välkomna till mötet! Let us begin with the agenda.', 'en');
+    if (segments.map(segment => segment.language).join(',') !== 'en,sv,en') {
+        throw new Error(`Unexpected segments: ${JSON.stringify(segments)}`);
+    }
+
+    const ssml = createSSML('Hello there. Hej då! [pause:200] Vi ses.', 'en-US-AvaMultilingualNeural', 'en-US', {
+        segments: [
+            { text: 'Hello there.', language: 'en-US' },
+            { text: 'Hej då! [pause:200] Vi ses.', language: 'sv-SE' }
+        ]
+    });
+    if (!ssml.includes('Hello there. <lang xml:lang="sv-SE">Hej då!</lang> <break time="200ms"/> <lang xml:lang="sv-SE">Vi ses.</lang>')) {
+        throw new Error(`Segments not wrapped in <lang>: ${ssml}`);
+    }
+    validateSSML(ssml);
+
+    console.log('   🌐 Languages and segments detected');
+});
+
+// Test: WAV concatenation
+suite.test('Concatenate WAV files with silence', async () => {
+    const format = { sampleRate: 16000, channels: 1, bitsPerSample: 16 };
+    const oneSecond = encodeWav(Buffer.alloc(32000, 1), format);
+    const combined = concatWav([oneSecond, oneSecond], { silenceMs: 500 });
+
+    const { format: parsedFormat, pcm } = parseWav(combined.audioData);
+    if (parsedFormat.sampleRate !== 16000 || pcm.length !== 32000 * 2 + 16000) {
+        throw new Error(`Unexpected combined audio: ${pcm.length} bytes at ${parsedFormat.sampleRate} Hz`);
+    }
+    if (combined.audioData.readUInt32LE(4) !== combined.audioData.length - 8) {
+        throw new Error('RIFF chunk size does not match the file size');
+    }
+    if (combined.segments[1].offset !== 1500 || combined.audioDuration !== 2500) {
+        throw new Error(`Unexpected segment timing: ${JSON.stringify(combined.segments)}`);
+    }
+
+    console.log('   🔗 WAV files concatenated with correct headers');
+});
+
+// Test: Long document synthesis
+suite.test('Synthesize a long document into one file', async (client) => {
+    const paragraph = 'This is a sentence in a long document. It keeps going for a while, e.g. with abbreviations. ';
+    const text = [paragraph.repeat(8), paragraph.repeat(8), paragraph.repeat(8)].join('\n\n');
+
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_document',
+        arguments: {
+            text,
+            language: 'en-US',
+            maxChunkLength: 500,
+            chunkSilence: 250,
+            concurrency: 2
+        }
+    });
+
+    const textContent = result.content.find(c => c.type === 'text');
+    if (!textContent || !textContent.text.includes('Document synthesis completed successfully')) {
+        throw new Error(`Response does not indicate success: ${textContent && textContent.text}`);
+    }
+
+    const chunkMatch = textContent.text.match(/- Chunks: (\d+)/);
+    if (!chunkMatch || Number(chunkMatch[1]) < 3 || !textContent.text.includes('**Chunk Timings:**')) {
+        throw new Error('Response does not report per-chunk timings');
+    }
+
+    const audioFile = extractAudioPath(result);
+    const { pcm } = parseWav(readFileSync(audioFile));
+    if (pcm.length === 0) {
+        throw new Error('Combined audio file is empty');
+    }
+    unlinkSync(audioFile);
+
+    console.log(`   📄 ${chunkMatch[1]} chunks stitched into one WAV`);
+});
+
+// Test: Dialogue casting
+suite.test('Cast dialogue speakers to distinct voices', async () => {
+    const voices = {
+        'en-US': ['en-US-AvaNeural', 'en-US-AndrewNeural', 'en-US-EmmaNeural'],
+        'fi-FI': ['fi-FI-SelmaNeural', 'fi-FI-HarriNeural']
+    };
+    const selectVoice = (language, voice) => voice || voices[language][0];
+    const voicesForLanguage = (language) => voices[language].map(name => ({ name }));
+
+    const turns = castDialogue([
+        { speaker: 'Anna', text: 'Hi!' },
+        { speaker: 'Ben', text: 'Hello.' },
+        { speaker: 'Cara', text: 'Hey.', style: 'cheerful' },
+        { speaker: 'Anna', text: 'Moi!', language: 'fi-FI' }
+    ], {
+        cast: { Ben: 'en-US-AvaNeural', Cara: { rate: '+10%' } },
+        language: 'en-US',
+        selectVoice,
+        voicesForLanguage
+    });
+
+    const assigned = turns.map(turn => turn.voice);
+    const expected = ['en-US-AndrewNeural', 'en-US-AvaNeural', 'en-US-EmmaNeural', 'fi-FI-SelmaNeural'];
+    if (assigned.join() !== expected.join()) {
+        throw new Error(`Unexpected cast: ${assigned.join(', ')}`);
+    }
+    if (turns[2].settings.style !== 'cheerful' || turns[2].settings.rate !== '+10%' || turns[3].language !== 'fi-FI') {
+        throw new Error(`Turn settings not merged: ${JSON.stringify(turns[2].settings)}`);
+    }
+
+    console.log(`   🎭 ${new Set(assigned).size} voices cast for 3 speakers`);
+});
+
+// Test: Dialogue synthesis
+suite.test('Synthesize a dialogue with a transcript manifest', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_dialogue',
+        arguments: {
+            language: 'en-US',
+            cast: { Teacher: 'en-US-AvaMultilingualNeural' },
+            gap: 500,
+            turns: [
+                { speaker: 'Teacher', text: 'Good morning, how are you?' },
+                { speaker: 'Student', text: 'I am fine, thank you.', gapAfter: 1000 },
+                { speaker: 'Teacher', text: 'Hyvää huomenta!', language: 'fi-FI' }
+            ]
+        }
+    });
+
+    if (result.isError) {
+        throw new Error(result.content[0].text);
+    }
+    const { turns, cast, manifestFile } = result.structuredContent;
+    if (cast.Teacher.join() !== 'en-US-AvaMultilingualNeural' || cast.Student[0] === cast.Teacher[0]) {
+        throw new Error(`Unexpected cast: ${JSON.stringify(cast)}`);
+    }
+    if (turns[1].start !== turns[0].start + turns[0].duration + 500 || turns[2].start !== turns[1].start + turns[1].duration + 1000) {
+        throw new Error(`Turn offsets do not include the gaps: ${JSON.stringify(turns)}`);
+    }
+
+    const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+    if (manifest.turns.length !== 3 || manifest.turns[2].language !== 'fi-FI' || manifest.turns[2].start !== turns[2].start) {
+        throw new Error('Manifest does not match the result');
+    }
+
+    unlinkSync(manifestFile);
+    unlinkSync(extractAudioPath(result));
+    console.log(`   🗨️ 3 turns stitched, last starts at ${turns[2].start}ms`);
+});
+
+// Test: Pronunciation lexicon
+suite.test('Apply pronunciation lexicon entries to SSML', async () => {
+    const file = resolve(TEST_AUDIO_DIR, 'lexicon-test.json');
+    rmSync(file, { force: true });
+    const lexicon = createPronunciationLexicon({ file }).load();
+
+    lexicon.add('fi', { term: 'SQL', alias: 'sequel' });
+    lexicon.add('fi-FI', { term: 'Visual Studio Code', alias: 'VS Code' });
+    lexicon.add('fi-FI', { term: 'Visual Studio', alias: 'Visual' });
+    const { replaced } = lexicon.add('fi-FI', { term: 'visual studio', phoneme: 'ˈvɪʒuəl ˈstjuːdioʊ' });
+    lexicon.add('fi-FI', { term: 'sql', alias: 'äs-kuu-äl' }); // Overrides the language-wide entry
+
+    const text = 'Avaa Visual Studio Code ja SQL-editori, ei SQLite [pause] SQL tai Visual Studio.';
+    const ssml = createSSML(text, 'fi-FI-SelmaNeural', 'fi-FI', { pronunciations: lexicon.entriesFor(text, 'fi-FI') });
+    const expected = [
+        '<sub alias="VS Code">Visual Studio Code</sub>',
+        '<sub alias="äs-kuu-äl">SQL</sub>-editori',
+        'SQLite',
+        '<break time="500ms"/> <sub alias="äs-kuu-äl">SQL</sub> tai',
+        '<phoneme alphabet="ipa" ph="ˈvɪʒuəl ˈstjuːdioʊ">Visual Studio</phoneme>.'
+    ];
+    for (const fragment of expected) {
+        if (!ssml.includes(fragment)) {
+            throw new Error(`Generated SSML is missing ${fragment}: ${ssml}`);
+        }
+    }
+    validateSSML(ssml);
+    if (!replaced || lexicon.entriesFor(text, 'sv-SE').length !== 0) {
+        throw new Error('Entries leaked across locales or were not replaced');
+    }
+
+    // Entries are persisted and validated on load
+    const reloaded = createPronunciationLexicon({ file }).load();
+    if (reloaded.list('fi-FI').length !== 4 || reloaded.list('fi-FI')[2].phoneme === undefined) {
+        throw new Error(`Lexicon was not persisted: ${JSON.stringify(reloaded.list())}`);
+    }
+    for (const entry of [{ term: 'x', alias: 'a', phoneme: 'b' }, { term: 'x', phoneme: 'a"b' }, { term: '', alias: 'a' }]) {
+        try {
+            lexicon.add('fi-FI', entry);
+        } catch {
+            continue;
+        }
+        throw new Error(`Invalid entry was accepted: ${JSON.stringify(entry)}`);
+    }
+    rmSync(file, { force: true });
+
+    console.log('   📖 Alias and phoneme entries applied to whole words only');
+});
+
+// Test: Pronunciation tools
+suite.test('Manage pronunciations through tools', async (client) => {
+    const stamp = Date.now();
+    const sentence = `Deploy Kubectl build ${stamp} now.`;
+    const synthesize = async () => {
+        const result = await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence, language: 'en-US' }
+        });
+        unlinkSync(extractAudioPath(result));
+        return result.structuredContent.metrics.cached;
+    };
+
+    await synthesize();
+    const added = await client.sendRequest('tools/call', {
+        name: 'add_pronunciation',
+        arguments: { locale: 'en-us', term: 'kubectl', alias: `cube control ${stamp}` }
+    });
+    if (added.structuredContent.locale !== 'en-US' || added.structuredContent.entry.alias !== `cube control ${stamp}`) {
+        throw new Error(`Unexpected add result: ${JSON.stringify(added.structuredContent)}`);
+    }
+
+    const listed = await client.sendRequest('tools/call', {
+        name: 'list_pronunciations',
+        arguments: { locale: 'en-US' }
+    });
+    if (!listed.structuredContent.pronunciations.some(entry => entry.term === 'kubectl')) {
+        throw new Error('Added pronunciation is not listed');
+    }
+
+    // The lexicon is part of the cache key, so the same sentence is synthesized again
+    if (await synthesize()) {
+        throw new Error('Lexicon change did not invalidate the cached audio');
+    }
+
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'add_pronunciation',
+            arguments: { locale: 'en-US', term: 'kubectl' }
+        });
+    } catch (error) {
+        if (!error.message.includes('exactly one of "alias" or "phoneme"')) {
+            throw error;
+        }
+        console.log('   📖 Pronunciation added, listed and applied');
+        return;
+    }
+    throw new Error('Entry without alias or phoneme was accepted');
+});
+
+// Test: Concurrent map failures
+suite.test('Settle in-flight work before a concurrent map rejects', async () => {
+    const started = [];
+    let slowFinished = false;
+    try {
+        await mapWithConcurrency([0, 1, 2, 3], 2, async (item) => {
+            started.push(item);
+            if (item === 0) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+                slowFinished = true;
+                return item;
+            }
+            throw new Error(`Item ${item} failed`);
+        });
+        throw new Error('Expected the map to reject');
+    } catch (error) {
+        if (error.message !== 'Item 1 failed') {
+            throw error;
+        }
+    }
+    if (!slowFinished) {
+        throw new Error('The map rejected before the in-flight item finished');
+    }
+    if (started.join(',') !== '0,1') {
+        throw new Error(`Items started after the failure: ${started.join(',')}`);
+    }
+});
+
+// Test: Retries and batch manifests
+suite.test('Retry transient failures and render batch manifests', async () => {
+    const transient = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    let calls = 0;
+    const { value, attempts } = await withRetries(async () => {
+        if (++calls < 3) {
+            throw transient;
+        }
+        return 'ok';
+    }, { retries: 2, baseDelayMs: 1 });
+    if (value !== 'ok' || attempts !== 3) {
+        throw new Error(`Expected success on the third attempt, got ${attempts}`);
+    }
+
+    calls = 0;
+    try {
+        await withRetries(async () => {
+            calls++;
+            throw new Error('Unknown voice: x');
+        }, { retries: 2, baseDelayMs: 1, shouldRetry: error => error === transient });
+        throw new Error('withRetries should rethrow');
+    } catch (error) {
+        if (calls !== 1 || error.attempts !== 1) {
+            throw new Error(`Permanent errors should not be retried (${calls} calls)`);
+        }
+    }
+
+    const csv = renderBatchManifest('csv', {
+        items: [
+            { index: 1, status: 'succeeded', language: 'en-US', voice: 'v', text: 'Hello, "world"', file: 'a.wav', audioDuration: 900, attempts: 1, cached: false },
+            { index: 2, status: 'failed', language: 'en-US', voice: null, text: 'Two\nlines', attempts: 1, error: { code: 'invalid_voice', message: 'Unknown voice' } }
+        ]
+    });
+    const lines = csv.split('\r\n');
+    if (lines[1] !== '1,succeeded,en-US,v,"Hello, ""world""",a.wav,900,1,false,,' || !lines[2].startsWith('2,failed,en-US,,"Two\nlines",,,1,,invalid_voice,')) {
+        throw new Error(`Unexpected CSV: ${csv}`);
+    }
+
+    console.log('   🔁 Retries stop at permanent errors; CSV fields are quoted');
+});
+
+// Test: Batch synthesis with progress
+suite.test('Synthesize a batch with progress notifications', async (client) => {
+    const progressToken = `batch-${Date.now()}`;
+    const updates = [];
+    const stopListening = client.onNotification(message => {
+        if (message.method === 'notifications/progress' && message.params.progressToken === progressToken) {
+            updates.push(message.params);
+        }
+    });
+
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_batch',
+        arguments: {
+            language: 'en-US',
+            manifestFormat: 'csv',
+            items: [
+                { text: 'First batch item.', outputName: 'test-batch-intro' },
+                { text: 'Toinen lause.', language: 'fi-FI' },
+                { text: 'Bad voice.', voice: 'en-US-NoSuchNeural' }
+            ]
+        },
+        _meta: { progressToken }
+    });
+    stopListening();
+
+    const { items, succeeded, failed, manifestFile } = result.structuredContent;
+    if (result.isError || succeeded !== 2 || failed !== 1) {
+        throw new Error(`Unexpected batch result: ${JSON.stringify(result.structuredContent)}`);
+    }
+    if (items[0].file !== 'test-batch-intro.wav' || items[2].error.code !== 'invalid_voice' || items[1].language !== 'fi-FI') {
+        throw new Error(`Unexpected items: ${JSON.stringify(items)}`);
+    }
+    if (updates.length !== 3 || updates[2].progress !== 3 || updates[2].total !== 3) {
+        throw new Error(`Expected 3 progress notifications, got ${JSON.stringify(updates)}`);
+    }
+
+    const manifest = readFileSync(manifestFile, 'utf8').trim().split('\r\n');
+    if (manifest.length !== 4 || !manifest[3].includes('invalid_voice')) {
+        throw new Error(`Unexpected manifest: ${manifest.join(' / ')}`);
+    }
+
+    items.filter(item => item.path).forEach(item => unlinkSync(item.path));
+    unlinkSync(manifestFile);
+    console.log(`   📦 2 of 3 items synthesized, ${updates.length} progress notifications`);
+});
+
+// Test: Batch where every item fails
+suite.test('Report a batch where every item failed', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_batch',
+        arguments: { language: 'en-US', items: [{ text: 'Bad voice.', voice: 'en-US-NoSuchNeural' }] }
+    });
+    const { items, manifestFile } = result.structuredContent;
+    if (!result.isError || items[0].status !== 'failed') {
+        throw new Error(`Expected a failed batch, got ${JSON.stringify(result.structuredContent)}`);
+    }
+    unlinkSync(manifestFile);
+    console.log('   📦 Failed batch reported with isError');
+});
+
+// Test: Batch cancellation
+suite.test('Stop a batch when the request is cancelled', async (client) => {
+    const batchName = `test-cancel-${Date.now()}`;
+    const manifestFile = resolve(TEST_AUDIO_DIR, `${batchName}.manifest.json`);
+    const requestId = client.requestId;
+
+    const cancelled = new Promise(resolveCancel => {
+        const stopListening = client.onNotification(message => {
+            if (message.method === 'notifications/progress' && message.params.progressToken === batchName) {
+                stopListening();
+                client.cancelRequest(requestId);
+                resolveCancel();
+            }
+        });
+    });
+    client.sendRequest('tools/call', {
+        name: 'synthesize_batch',
+        arguments: {
+            batchName,
+            language: 'en-US',
+            concurrency: 1,
+            cache: false,
+            items: Array.from({ length: 100 }, (_, i) => ({ text: `Cancellable item number ${i + 1}.` }))
+        },
+        _meta: { progressToken: batchName }
+    }).catch(() => {}); // Rejected by cancelRequest
+    await cancelled;
+
+    // A cancelled request gets no response; the manifest is still written
+    for (let waited = 0; !existsSync(manifestFile); waited += 50) {
+        if (waited > 10000) {
+            throw new Error('Cancelled batch did not write its manifest');
+        }
+        await new Promise(r => setTimeout(r, 50));
+    }
+
+    const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+    manifest.items.filter(item => item.path).forEach(item => unlinkSync(item.path));
+    unlinkSync(manifestFile);
+    if (manifest.cancelled === 0 || manifest.succeeded === 0 || manifest.total !== 100) {
+        throw new Error(`Expected a partly cancelled batch: ${manifest.succeeded} succeeded, ${manifest.cancelled} cancelled`);
+    }
+
+    console.log(`   🛑 Cancelled after ${manifest.succeeded} of ${manifest.total} items`);
+});
+
+// Test: Aborting an Azure synthesis
+suite.test('Abort an Azure synthesis without waiting for the service', async () => {
+    // A speech host that accepts the connection and never answers
+    const silentHost = createServer(() => {});
+    await new Promise(resolveListen => silentHost.listen(0, '127.0.0.1', resolveListen));
+    const backend = createAzureBackend({ endpoint: `ws://127.0.0.1:${silentHost.address().port}` });
+
+    const { close } = SpeechSynthesizer.prototype;
+    let closed = 0;
+    SpeechSynthesizer.prototype.close = function (...args) {
+        closed++;
+        return close.apply(this, args);
+    };
+    try {
+        const controller = new AbortController();
+        const reason = new Error('Stopped by the test');
+        setTimeout(() => controller.abort(reason), 200);
+        const error = await backend.synthesize({ text: 'Never spoken.', language: 'en-US', voice: 'en-US-AvaNeural', signal: controller.signal })
+            .catch(rejection => rejection);
+        // Give late SDK callbacks a chance to close the synthesizer again
+        await new Promise(r => setTimeout(r, 300));
+        if (error !== reason || closed !== 1) {
+            throw new Error(`Expected one close and the abort reason, got ${closed} close(s) and ${error && error.message}`);
+        }
+    } finally {
+        SpeechSynthesizer.prototype.close = close;
+        silentHost.close();
+    }
+
+    console.log('   ✋ Aborted synthesis closed once with the abort reason');
+});
+
+// Test: Service call resilience
+suite.test('Time out, retry and fail fast around the service', async () => {
+    let clock = 0;
+    const now = () => clock;
+
+    // F0 tier: a burst of 20, then one request every 3 seconds
+    const bucket = createTokenBucket({ ...SERVICE_TIERS.F0, now });
+    for (let i = 0; i < 20; i++) {
+        await bucket.take();
+    }
+    clock += 1500;
+    if (bucket.available() !== 0) {
+        throw new Error('Token bucket refilled too fast');
+    }
+    clock += 1500;
+    if (bucket.available() !== 1) {
+        throw new Error('Token bucket did not refill');
+    }
+
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 2, cooldownMs: 1000, now });
+    breaker.failure(new Error('ECONNRESET'));
+    breaker.check();
+    breaker.failure(new Error('ECONNRESET'));
+    try {
+        breaker.check();
+        throw new Error('Open circuit should fail fast');
+    } catch (error) {
+        if (error.code !== 'service_unavailable' || !error.message.includes('2 consecutive failures')) {
+            throw error;
+        }
+    }
+    clock += 1000;
+    breaker.check(); // Half-open trial
+    breaker.success();
+    if (breaker.state !== 'closed') {
+        throw new Error(`Circuit should close after a successful trial, is ${breaker.state}`);
+    }
+
+    // A hanging call times out, is retried, and repeated outages open the circuit
+    let calls = 0;
+    const hanging = {
+        name: 'stub',
+        synthesize: ({ signal }) => new Promise((_, reject) => {
+            calls++;
+            signal.addEventListener('abort', () => reject(signal.reason));
+        })
+    };
+    const resilient = createResilientBackend(hanging, { timeoutMs: 20, retries: 1, baseDelayMs: 1, failureThreshold: 3 });
+    for (const expected of ['timeout', 'service_unavailable']) {
+        try {
+            await resilient.synthesize({ text: 'x' });
+            throw new Error('Hanging synthesis should fail');
+        } catch (error) {
+            if (error.code !== expected) {
+                throw new Error(`Expected ${expected}, got ${error.code}: ${error.message}`);
+            }
+        }
+    }
+    if (calls !== 3 || resilient.stats().circuit !== 'open') {
+        throw new Error(`Expected 3 attempts and an open circuit, got ${calls} and ${resilient.stats().circuit}`);
+    }
+
+    // A half-open trial abandoned while waiting for a token does not block later calls
+    let healthy = false;
+    const recovering = {
+        name: 'stub',
+        synthesize: async () => {
+            if (!healthy) {
+                throw codedError('network', 'ECONNRESET');
+            }
+            return { audioData: Buffer.from('ok') };
+        }
+    };
+    const limited = createResilientBackend(recovering, {
+        retries: 0,
+        failureThreshold: 1,
+        cooldownMs: 30,
+        rateLimit: { capacity: 1, refillPerSecond: 10 }
+    });
+    await limited.synthesize({ text: 'x' }).catch(() => {});
+    await new Promise(r => setTimeout(r, 40));
+    const abandoned = new AbortController();
+    const waiting = limited.synthesize({ text: 'x', signal: abandoned.signal }).catch(error => error);
+    abandoned.abort(new Error('Gave up waiting'));
+    if ((await waiting).message !== 'Gave up waiting') {
+        throw new Error('The aborted call did not stop waiting for a token');
+    }
+    healthy = true;
+    await limited.synthesize({ text: 'x' });
+    if (limited.stats().circuit !== 'closed') {
+        throw new Error(`Expected the next trial to close the circuit, got ${limited.stats().circuit}`);
+    }
+
+    // Throttling is retried; a bad request is not
+    let attempts = 0;
+    const flaky = {
+        name: 'stub',
+        synthesize: async ({ text }) => {
+            attempts++;
+            if (text === 'bad') {
+                throw codedError('invalid_request', 'Bad request');
+            }
+            if (attempts < 3) {
+                throw codedError('quota_exceeded', 'Too many requests (429)');
+            }
+            return { audioData: Buffer.from('ok') };
+        }
+    };
+    const retrying = createResilientBackend(flaky, { retries: 2, baseDelayMs: 1 });
+    await retrying.synthesize({ text: 'good' });
+    attempts = 0;
+    await retrying.synthesize({ text: 'bad' }).catch(() => {});
+    if (attempts !== 1) {
+        throw new Error(`Invalid requests should not be retried (${attempts} attempts)`);
+    }
+
+    console.log('   ⏱️ Timeouts, retries, rate limit and circuit breaker behave');
+});
+
+// Test: Synthesis cache
+suite.test('Serve repeated requests from the synthesis cache', async (client) => {
+    const args = {
+        sentence: `Cache test number ${Date.now()}.`,
+        language: 'en-US'
+    };
+
+    const texts = [];
+    for (const extra of [{}, {}, { cache: false }]) {
+        const result = await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { ...args, ...extra }
+        });
+        texts.push(result.content.find(c => c.type === 'text').text);
+        unlinkSync(extractAudioPath(result));
+    }
+
+    if (!texts[0].includes('Cached: no')) {
+        throw new Error('First request should not be cached');
+    }
+    if (!texts[1].includes('Cached: yes')) {
+        throw new Error('Repeated request was not served from the cache');
+    }
+    if (!texts[2].includes('Cached: no')) {
+        throw new Error('cache: false should bypass the cache');
+    }
+
+    console.log('   💾 Second request served from cache');
+});
+
+// Test: Cache keys and eviction
+suite.test('Evict least recently used cache entries', async () => {
+    const keyA = createCacheKey({ text: 'Hello   world ', voice: 'v', language: 'en-US', options: { rate: '+10%', pitch: '+2st' } });
+    const keyB = createCacheKey({ text: 'Hello world', voice: 'v', language: 'en-US', options: { pitch: '+2st', rate: '+10%' } });
+    const keyC = createCacheKey({ text: 'Hello world', voice: 'v', language: 'en-US', options: { rate: '+20%' } });
+    if (keyA !== keyB || keyA === keyC) {
+        throw new Error('Cache keys do not normalize text and options correctly');
+    }
+
+    const dir = resolve(TEST_AUDIO_DIR, 'cache-eviction');
+    rmSync(dir, { recursive: true, force: true });
+    const cache = createSynthesisCache({ dir, maxBytes: 2500 });
+
+    cache.set('first', Buffer.alloc(1000));
+    cache.set('second', Buffer.alloc(1000));
+    await new Promise(r => setTimeout(r, 5));
+    cache.get('first'); // Make "second" the least recently used entry
+    cache.set('third', Buffer.alloc(1000));
+
+    if (!cache.get('first') || cache.get('second') || !cache.get('third')) {
+        throw new Error('Cache did not evict the least recently used entry');
+    }
+
+    // Hits do not rewrite the index; flush() does
+    const indexFile = resolve(dir, 'index.json');
+    const indexBefore = readFileSync(indexFile, 'utf8');
+    cache.get('third');
+    if (readFileSync(indexFile, 'utf8') !== indexBefore) {
+        throw new Error('A cache hit rewrote the index');
+    }
+    cache.flush();
+    if (JSON.parse(readFileSync(indexFile, 'utf8')).entries.third.hits !== 2) {
+        throw new Error('flush() did not persist the hit counts');
+    }
+
+    // The index survives a restart
+    const reopened = createSynthesisCache({ dir, maxBytes: 2500 });
+    if (reopened.stats().entries !== 2 || reopened.stats().hits !== cache.stats().hits) {
+        throw new Error('Cache index was not persisted');
+    }
+    rmSync(dir, { recursive: true, force: true });
+
+    console.log('   🧹 LRU eviction and index persistence work');
+});
+
+// Test: Configuration files and profiles
+suite.test('Load configuration files, profiles and overrides', async () => {
+    const file = './audio/test-config.yaml';
+    writeFileSync(file, `# Test configuration
+azure:
+  key: "secret-key"
+output:
+  format: wav-24khz   # overridden by the environment below
+voices:
+  fi_fi: fi-FI-HarriNeural
+profile: podcast
+profiles:
+  podcast:
+    prosody:
+      rate: '-5%'
+    limits:
+      timeoutMs: 10000
+  fast:
+    limits:
+      retries: 0
+`);
+
+    try {
+        const loaded = loadConfig({ argv: ['--config', file, '--port', '0'], env: { AUDIO_OUTPUT_FORMAT: 'wav-48khz' } });
+        const { settings, sources } = loaded;
+        if (loaded.profile !== 'podcast' || loaded.profiles.join() !== 'podcast,fast'
+            || settings.output.format !== 'wav-48khz' || sources['output.format'] !== 'env AUDIO_OUTPUT_FORMAT'
+            || settings.limits.timeoutMs !== 10000 || sources['limits.timeoutMs'] !== 'profile podcast'
+            || settings.prosody.rate !== '-5%' || settings.transport.port !== 0 || sources['transport.port'] !== 'flag --port'
+            || settings.voices['fi-FI'] !== 'fi-FI-HarriNeural' || settings.voices['en-US'] !== 'en-US-RyanMultilingualNeural') {
+            throw new Error(`Unexpected configuration: ${JSON.stringify(loaded)}`);
+        }
+        const redacted = redactConfig(settings);
+        if (redacted.azure.key !== '[redacted]' || redacted.transport.authToken !== null || settings.azure.key !== 'secret-key') {
+            throw new Error(`Secrets not redacted: ${JSON.stringify(redacted.azure)}`);
+        }
+        const parsed = parseYaml('a:\n  b: "x # y"  # comment\n  c: 1.5\n  d: ~\n  e: true\n');
+        if (JSON.stringify(parsed) !== '{"a":{"b":"x # y","c":1.5,"d":null,"e":true}}') {
+            throw new Error(`Unexpected YAML: ${JSON.stringify(parsed)}`);
+        }
+        const other = loadConfig({ argv: ['--config', file, '--profile', 'fast'], env: {} });
+        if (other.settings.limits.retries !== 0 || other.settings.limits.timeoutMs !== 30000) {
+            throw new Error(`Profile not switched: ${JSON.stringify(other.settings.limits)}`);
+        }
+
+        const invalid = [
+            [{ MCP_TTS_PROFILE: 'missing' }, [], 'Unknown configuration profile "missing". Profiles in'],
+            [{ SYNTHESIS_RETRIES: 'many' }, [], 'limits.retries from SYNTHESIS_RETRIES must be an integer between 0 and 10'],
+            [{}, ['--transport', 'pigeon'], 'transport.type from --transport must be one of stdio, http'],
+            [{}, ['--bogus'], 'Invalid command line']
+        ];
+        for (const [env, argv, message] of invalid) {
+            try {
+                loadConfig({ argv: ['--config', file, ...argv], env });
+                throw new Error(`Accepted ${JSON.stringify({ env, argv })}`);
+            } catch (error) {
+                if (!error.message.includes(message)) {
+                    throw error;
+                }
+            }
+        }
+
+        const invalidFiles = [
+            ['profiles:\n  broken:\n    limits:\n      timeoutMs: fast\n', `limits.timeoutMs in profile "broken" of ${file} must be an integer`],
+            ['output:\n\tdir: x\n', `${file}:2: Tabs are not allowed as indentation`],
+            ['output:\n  format: wav-16khz\n  format: wav-24khz\n', `${file}:3: Map keys must be unique`],
+            ['output:\n  format: [wav-16khz\n', `${file}:3: Flow sequence`],
+            ['output:\n  - a\n', `"output" in ${file} must be a mapping`],
+            ['output:\n  formt: x\n', 'unknown setting "output.formt"']
+        ];
+        for (const [yaml, message] of invalidFiles) {
+            writeFileSync(file, yaml);
+            try {
+                loadConfig({ argv: ['--config', file], env: {} });
+                throw new Error(`Accepted ${JSON.stringify(yaml)}`);
+            } catch (error) {
+                if (!error.message.includes(message)) {
+                    throw error;
+                }
+            }
+        }
+    } finally {
+        unlinkSync(file);
+    }
+    console.log('   ⚙️ File, profile, environment and flag layers resolved; invalid values rejected');
+});
+
+// Test: Effective configuration tool
+suite.test('Show the effective configuration with get_config', async (client) => {
+    const result = await client.sendRequest('tools/call', { name: 'get_config', arguments: {} });
+    const { settings, sources } = result.structuredContent;
+    if (settings.output.dir !== TEST_AUDIO_DIR || sources['output.dir'] !== 'env AUDIO_OUTPUT_DIR' || settings.backend.synthesis !== TTS_BACKEND) {
+        throw new Error(`Unexpected configuration: ${JSON.stringify(result.structuredContent)}`);
+    }
+    if (HAS_CREDENTIALS && (settings.azure.key !== '[redacted]' || result.content[0].text.includes(process.env.AZURE_SPEECH_KEY || process.env.AZURE_SPEECH_KEY_FREE))) {
+        throw new Error('The speech key was not redacted');
+    }
+    console.log(`   ⚙️ ${Object.keys(sources).length} settings, output format ${settings.output.format} (${sources['output.format']})`);
+});
+
+// Test: Invalid configuration stops the server
+suite.test('Refuse to start with an invalid configuration', async () => {
+    const file = './audio/test-invalid-config.json';
+    writeFileSync(file, JSON.stringify({ limits: { retries: 99 } }));
+    try {
+        const { code, stderr } = await new Promise((resolve, reject) => {
+            const server = spawn('node', [SERVER_FILE, '--config', file], { stdio: ['ignore', 'ignore', 'pipe'], env: { ...process.env, TTS_BACKEND } });
+            let stderr = '';
+            const timer = setTimeout(() => {
+                server.kill();
+                reject(new Error('Server did not exit'));
+            }, 10000);
+            server.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            server.on('exit', (exitCode) => {
+                clearTimeout(timer);
+                resolve({ code: exitCode, stderr });
+            });
+        });
+        if (code !== 1 || !stderr.includes(`Invalid configuration: limits.retries in ${file} must be an integer between 0 and 10, got 99`)) {
+            throw new Error(`Unexpected exit ${code}: ${stderr}`);
+        }
+    } finally {
+        unlinkSync(file);
+    }
+    console.log('   🛑 Exited with the offending setting named');
+});
+
+// Test: Usage ledger
+suite.test('Record usage and enforce character budgets', async () => {
+    const file = './audio/test-usage-ledger.json';
+    rmSync(file, { force: true });
+    let time = Date.parse('2025-03-31T23:00:00Z');
+    const now = () => time;
+    const ledger = createUsageLedger({ file, dailyCharacters: 100, monthlyCharacters: 150, now }).load();
+
+    ledger.record({ client: 'editor', voice: 'en-US-AvaNeural', characters: 60, audioMs: 4000, outcome: 'success' });
+    ledger.record({ client: 'editor', voice: 'en-US-AvaNeural', characters: 60, audioMs: 4000, outcome: 'cached' });
+    ledger.record({ client: 'cli', voice: 'en-US-Ava:DragonHDLatestNeural', characters: 30, audioMs: 2000, outcome: 'success' });
+    ledger.record({ client: 'cli', voice: 'en-US-AvaNeural', characters: 20, outcome: 'failure' });
+
+    const { daily, monthly } = ledger.budgets();
+    if (daily.used !== 90 || daily.remaining !== 10 || daily.resetsAt !== '2025-04-01T00:00:00.000Z' || monthly.used !== 90) {
+        throw new Error(`Unexpected budgets: ${JSON.stringify({ daily, monthly })}`);
+    }
+    ledger.checkBudget(10);
+    let rejection = null;
+    try {
+        ledger.checkBudget(11);
+    } catch (error) {
+        rejection = error;
+    }
+    if (!rejection || rejection.code !== 'budget_exceeded' || !rejection.message.includes('Daily character budget exceeded: 90 of 100 used')) {
+        throw new Error(`Expected a daily budget rejection, got ${rejection && rejection.message}`);
+    }
+
+    // Reserved characters count until released
+    const reservation = ledger.reserve(6);
+    try {
+        ledger.reserve(6);
+        throw new Error('Expected the reservation to use up the budget');
+    } catch (error) {
+        if (error.code !== 'budget_exceeded' || ledger.budgets().daily.used !== 96) {
+            throw error;
+        }
+    }
+    reservation.release();
+    ledger.reserve(10).release();
+
+    // A new day resets the daily budget, the monthly one carries on until the month ends
+    time = Date.parse('2025-04-01T01:00:00Z');
+    ledger.record({ client: 'cli', voice: 'en-US-AvaNeural', characters: 40, outcome: 'success' });
+    time = Date.parse('2025-04-02T01:00:00Z');
+    ledger.checkBudget(100);
+    ledger.record({ client: 'cli', voice: 'en-US-AvaNeural', characters: 50, outcome: 'success' });
+    time = Date.parse('2025-04-03T01:00:00Z');
+    ledger.record({ client: 'cli', voice: 'en-US-AvaNeural', characters: 50, outcome: 'success' });
+    try {
+        ledger.checkBudget(20);
+        throw new Error('Expected a monthly budget rejection');
+    } catch (error) {
+        if (error.code !== 'budget_exceeded' || !error.message.startsWith('Monthly character budget exceeded: 140 of 150 used')) {
+            throw error;
+        }
+    }
+
+    // Counts are written on flush(), not with every request
+    if (existsSync(file)) {
+        throw new Error('The ledger was written before flush()');
+    }
+    ledger.flush();
+
+    // The ledger survives a restart
+    const reloaded = createUsageLedger({ file, now }).load();
+    const march = reloaded.summarize({ from: '2025-03-01', to: '2025-03-31' });
+    const { totals } = march;
+    if (totals.requests !== 4 || totals.billableCharacters !== 90 || totals.characters !== 170 || totals.cacheHits !== 1 || totals.failures !== 1
+        || totals.audioSeconds !== 10 || totals.tiers.neural !== 60 || totals.tiers.hd !== 30) {
+        throw new Error(`Unexpected totals: ${JSON.stringify(totals)}`);
+    }
+    if (march.clients.map((entry) => entry.client).join(',') !== 'editor,cli' || march.days.length !== 1) {
+        throw new Error(`Unexpected breakdown: ${JSON.stringify(march)}`);
+    }
+    const april = reloaded.summarize({ client: 'cli' });
+    if (april.from !== '2025-04-01' || april.to !== '2025-04-03' || april.totals.billableCharacters !== 140 || april.days.length !== 3) {
+        throw new Error(`Unexpected current month: ${JSON.stringify(april)}`);
+    }
+    if (reloaded.budgets().daily.limit !== null) {
+        throw new Error('Expected no budget without limits');
+    }
+    rmSync(file, { force: true });
+    console.log('   📊 Usage counted per day, client and tier; budgets reset with the day and month');
+});
+
+// Test: Budgets under concurrent requests
+suite.test('Keep concurrent requests within the character budget', async () => {
+    const usageFile = './audio/test-usage-concurrent.json';
+    rmSync(usageFile, { force: true });
+    const client = new MCPTestClient({ env: { USAGE_LEDGER_FILE: usageFile, USAGE_DAILY_CHARACTERS: '100' } });
+    await client.start();
+    try {
+        // Each request fits the budget on its own, only two fit together
+        const results = await Promise.all([1, 2, 3, 4].map(n => client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: `Concurrent request number ${n} of four.`, language: 'en-US', cache: false }
+        })));
+
+        const succeeded = results.filter(result => !result.isError);
+        const rejected = results.filter(result => result.isError && result.structuredContent.error.code === 'budget_exceeded');
+        if (succeeded.length !== 2 || rejected.length !== 2) {
+            throw new Error(`Expected 2 successes and 2 rejections, got ${results.map(result => result.content[0].text.split('\n')[0]).join(' / ')}`);
+        }
+        const { budgets } = (await client.sendRequest('tools/call', { name: 'get_usage', arguments: {} })).structuredContent;
+        const spent = succeeded.reduce((sum, result) => sum + result.structuredContent.text.length, 0);
+        if (budgets.daily.used !== spent) {
+            throw new Error(`Expected ${spent} characters used once the requests finished, got ${budgets.daily.used}`);
+        }
+
+        // A stream refused before any audio arrived leaves no file behind
+        const outputName = `test-stream-refused-${Date.now()}`;
+        const refused = await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: 'This stream does not fit the budget.', language: 'en-US', stream: true, cache: false, outputName }
+        });
+        if (!refused.isError || refused.structuredContent.error.code !== 'budget_exceeded' || existsSync(resolve(TEST_AUDIO_DIR, `${outputName}.wav`))) {
+            throw new Error(`Expected a refused stream without a file, got ${JSON.stringify(refused.structuredContent)}`);
+        }
+
+        succeeded.forEach(result => unlinkSync(result.structuredContent.path));
+    } finally {
+        await client.stop();
+        rmSync(usageFile, { force: true });
+    }
+
+    console.log('   🧮 2 of 4 concurrent requests fit the budget, nothing overshot');
+});
+
+// Test: Usage tool
+suite.test('Report usage with get_usage', async (client) => {
+    const usage = async () => (await client.sendRequest('tools/call', { name: 'get_usage', arguments: {} })).structuredContent;
+    const before = await usage();
+    const sentence = `Counting the characters of request ${Date.now()}.`;
+    await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence, language: 'en-US', cache: false }
+    });
+    const after = await usage();
+    if (after.totals.requests !== before.totals.requests + 1 || after.totals.billableCharacters !== before.totals.billableCharacters + sentence.length) {
+        throw new Error(`Usage did not grow by one request of ${sentence.length} characters: ${JSON.stringify({ before: before.totals, after: after.totals })}`);
+    }
+    if (after.budgets.monthly.used < sentence.length || !after.clients.some((entry) => entry.client === 'unknown')) {
+        throw new Error(`Unexpected usage: ${JSON.stringify(after)}`);
+    }
+
+    const invalid = await client.sendRequest('tools/call', { name: 'get_usage', arguments: { from: '2025-13-01' } }).catch((error) => error);
+    if (!(invalid instanceof Error) || !invalid.message.includes('Invalid "from"')) {
+        throw new Error('Expected an invalid date to be rejected');
+    }
+    console.log(`   📊 ${after.totals.requests} requests, ${after.totals.billableCharacters} billable characters this month`);
+});
+
+// Test: Markdown and HTML input
+suite.test('Convert markdown and HTML into speakable text', async () => {
+    const markdown = [
+        '# Getting *started*',
+        '',
+        'Install the **server** from [GitHub](https://github.com/acme/tts) or see https://www.example.com/docs.',
+        '',
+        '- Clone it',
+        '- Run `npm install`',
+        '',
+        '```bash',
+        'npm test',
+        '```',
+        '',
+        '| Name | Age |',
+        '|------|-----|',
+        '| Alice | 30 |'
+    ].join('\n');
+    const spoken = convertMarkup(markdown, 'markdown', { policies: normalizeMarkupPolicies() });
+    const expected = [
+        '[emphasis]Getting started.[/emphasis] [pause:600]',
+        'Install the [emphasis]server[/emphasis] from GitHub or see example.com.',
+        '1. Clone it.',
+        '2. Run npm install.',
+        'Code example: bash.',
+        'Name: Alice, Age: 30.'
+    ].join('\n\n');
+    if (spoken !== expected) {
+        throw new Error(`Unexpected markdown conversion:\n${spoken}`);
+    }
+
+    const verbatim = convertMarkup(markdown, 'markdown', { policies: normalizeMarkupPolicies({ code: 'read', urls: 'read' }), language: 'fi-FI' });
+    if (!verbatim.includes('GitHub (https://github.com/acme/tts)') || !verbatim.includes('\n\nnpm test.\n\n')) {
+        throw new Error(`Expected URLs and code read out:\n${verbatim}`);
+    }
+    const skipped = convertMarkup(markdown, 'markdown', { policies: normalizeMarkupPolicies({ code: 'skip', urls: 'skip' }), language: 'fi-FI' });
+    if (skipped.includes('example') || skipped.includes('Koodi') || !convertMarkup('```\nx\n```', 'markdown', { language: 'fi-FI' }).startsWith('Koodiesimerkki')) {
+        throw new Error(`Expected code and URLs skipped:\n${skipped}`);
+    }
+
+    const html = '<html><head><style>p { color: red }</style></head><body><h2>Intro &amp; setup</h2>'
+        + '<p>Visit <a href="https://example.org/a">our site</a>.</p><ol><li>One</li><li>Two <b>bold</b></li></ol>'
+        + '<table><tr><th>City</th><th>Population</th></tr><tr><td>Oulu</td><td>200k</td></tr></table><script>alert(1)</script></body></html>';
+    const fromHtml = convertMarkup(html, 'html', { policies: normalizeMarkupPolicies() });
+    if (fromHtml !== '[emphasis]Intro & setup.[/emphasis] [pause:600]\n\nVisit our site.\n\n1. One.\n\n2. Two [emphasis]bold[/emphasis].\n\nCity: Oulu, Population: 200k.') {
+        throw new Error(`Unexpected HTML conversion:\n${fromHtml}`);
+    }
+
+    // Emphasis markers become <emphasis>, closed even when chunking split the pair
+    const ssml = createSSML('[emphasis]Title[/emphasis] and [emphasis]open', 'en-US-AvaNeural', 'en-US');
+    if (!ssml.includes('<emphasis level="moderate">Title</emphasis> and <emphasis level="moderate">open</emphasis>')) {
+        throw new Error(`Unexpected SSML: ${ssml}`);
+    }
+    for (const policies of [{ code: 'all' }, { images: 'skip' }, 'skip']) {
+        try {
+            normalizeMarkupPolicies(policies);
+            throw new Error(`Accepted invalid markup policies ${JSON.stringify(policies)}`);
+        } catch (error) {
+            if (!/markup/.test(error.message)) {
+                throw error;
+            }
+        }
+    }
+    console.log('   📝 Headings, lists, tables, code and links read by structure');
+});
+
+// Test: Markdown input through synthesize_speech
+suite.test('Synthesize markdown input', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: '## Release notes\n\n* **Faster** startup\n* See <https://example.com/changes>', language: 'en-US', format: 'markdown' }
+    });
+    const { text } = result.structuredContent;
+    if (result.isError || /[*#<>]|https/.test(text) || !text.includes('2. See example.com.')) {
+        throw new Error(`Markdown syntax was spoken: ${text}`);
+    }
+
+    const invalid = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Plain words', language: 'en-US', markup: { code: 'skip' } }
+    }).catch((error) => error);
+    if (!(invalid instanceof Error) || !invalid.message.includes('"markup" only applies')) {
+        throw new Error('Expected "markup" without a markup format to be rejected');
+    }
+    const empty = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: '```\nconst a = 1;\n```', language: 'en-US', format: 'markdown', markup: { code: 'skip' } }
+    }).catch((error) => error);
+    if (!(empty instanceof Error) || !empty.message.includes('no speakable text')) {
+        throw new Error('Expected markdown without speakable text to be rejected');
+    }
+    console.log(`   📝 Spoken: ${text.replace(/\s+/g, ' ')}`);
+});
+
+// Test: Streaming output files and live streams
+suite.test('Write streamed audio that stays playable', async () => {
+    const format = getOutputFormat('wav-16khz');
+    const source = encodeWav(Buffer.from(Array.from({ length: 3200 }, (_, i) => i % 256)), pcmLayout(format));
+    const path = resolve(TEST_AUDIO_DIR, `test-stream-unit-${Date.now()}.wav`);
+    mkdirSync(TEST_AUDIO_DIR, { recursive: true });
+    const file = createStreamingAudioFile(path, format);
+    const streams = createAudioStreams({ retainMs: 10 });
+    const live = streams.open('unit.wav', format);
+
+    // Odd chunk sizes split the RIFF header and sample frames
+    for (const [start, end] of [[0, 45], [45, 52], [52, 1001], [1001, source.length]]) {
+        live.write(file.write(source.subarray(start, end)));
+        const written = readFileSync(path);
+        const { pcm } = parseWav(written);
+        if (pcm.length !== file.bytes || pcm.length % 2 !== 0 || written.readUInt32LE(40) !== pcm.length) {
+            throw new Error(`Invalid partial file after ${end} bytes: ${pcm.length} PCM bytes, ${file.bytes} written`);
+        }
+    }
+    const { bytes, audioDuration } = file.close();
+    if (!readFileSync(path).equals(source) || bytes !== 3200 || audioDuration !== 100) {
+        throw new Error(`Streamed file differs from the source: ${bytes} bytes, ${audioDuration}ms`);
+    }
+    unlinkSync(path);
+
+    // A late listener gets everything so far, with a header for an unknown length
+    const received = [];
+    let ended = false;
+    streams.follow('unit.wav', { onData: chunk => received.push(chunk), onEnd: () => { ended = true; } });
+    live.end();
+    const body = Buffer.concat(received);
+    if (!ended || streams.list().length !== 1 || !parseWav(body).pcm.equals(source.subarray(44))) {
+        throw new Error(`Unexpected live stream: ${body.length} bytes, ended ${ended}`);
+    }
+    if (streams.follow('missing.wav', { onData() {}, onEnd() {} }) !== null) {
+        throw new Error('Following an unknown stream should return null');
+    }
+
+    console.log('   🌊 Partial files valid after every chunk; live stream replayed to a late listener');
+});
+
+// Test: Streaming synthesis
+suite.test('Stream synthesis to disk and report first byte latency', async (client) => {
+    const progressToken = `stream-${Date.now()}`;
+    const updates = [];
+    const stopListening = client.onNotification(message => {
+        if (message.method === 'notifications/progress' && message.params.progressToken === progressToken) {
+            updates.push(message.params);
+        }
+    });
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'Streaming writes the audio file while the service is still speaking.', language: 'en-US', stream: true, cache: false },
+        _meta: { progressToken }
+    });
+    stopListening();
+
+    const { metrics, path: audioFile } = result.structuredContent || {};
+    if (result.isError || !metrics || !Number.isInteger(metrics.firstByteLatency) || metrics.firstByteLatency > metrics.synthesisTime) {
+        throw new Error(`Expected a first byte latency: ${JSON.stringify(result)}`);
+    }
+    if (!result.content[0].text.includes(`First Byte: ${metrics.firstByteLatency}ms`) || updates.length === 0 || !updates[0].message.startsWith('Streaming ')) {
+        throw new Error(`Missing streaming details: ${JSON.stringify(updates)}`);
+    }
+    const { format, pcm } = parseWav(readFileSync(audioFile));
+    if (pcmDurationMs(pcm.length, format) !== metrics.audioDuration) {
+        throw new Error(`Streamed file holds ${pcmDurationMs(pcm.length, format)}ms, expected ${metrics.audioDuration}ms`);
+    }
+
+    const rejected = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence: 'No.', language: 'en-US', stream: true, postProcess: { trimSilence: true } }
+    }).catch(error => error);
+    if (!/"stream" cannot be combined with "postProcess"/.test(rejected.message)) {
+        throw new Error(`Expected stream with postProcess to be rejected: ${rejected.message}`);
+    }
+
+    unlinkSync(audioFile);
+    console.log(`   ⏱️ First byte after ${metrics.firstByteLatency}ms of ${metrics.synthesisTime}ms, ${updates.length} progress notifications`);
+});
+
+// Test: Cancelled streaming synthesis
+suite.test('Keep a playable partial file when a stream is cancelled', async (client) => {
+    const outputName = `test-stream-cancel-${Date.now()}`;
+    const audioFile = resolve(TEST_AUDIO_DIR, `${outputName}.wav`);
+    const sentence = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} keeps the synthesizer talking for a while.`).join(' ');
+    const requestId = client.requestId;
+
+    const firstChunk = new Promise(resolveChunk => {
+        const stopListening = client.onNotification(message => {
+            if (message.method === 'notifications/progress' && message.params.progressToken === outputName) {
+                stopListening();
+                client.cancelRequest(requestId);
+                resolveChunk();
+            }
+        });
+    });
+    client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: { sentence, language: 'en-US', stream: true, cache: false, outputName },
+        _meta: { progressToken: outputName }
+    }).catch(() => {}); // Rejected by cancelRequest
+    await firstChunk;
+    await new Promise(r => setTimeout(r, 300));
+
+    const written = readFileSync(audioFile);
+    const { format, pcm } = parseWav(written);
+    const partialMs = pcmDurationMs(pcm.length, format);
+    // The fake backend speaks about 60ms per character
+    if (pcm.length === 0 || written.readUInt32LE(40) !== pcm.length || partialMs >= (sentence.length * 60) / 2) {
+        throw new Error(`Expected a short valid partial file, got ${pcm.length} PCM bytes (${partialMs}ms)`);
+    }
+
+    // Unlike other output, the file is neither removed nor written to once the request has stopped
+    await new Promise(r => setTimeout(r, 1000));
+    if (!existsSync(audioFile) || !readFileSync(audioFile).equals(written)) {
+        throw new Error('The partial file was removed or changed after cancellation');
+    }
+
+    unlinkSync(audioFile);
+    console.log(`   🛑 Cancelled stream left ${partialMs}ms of playable audio`);
+});
+
+// Test: Cancelling a request removes its output
+suite.test('Remove the output of a cancelled document', async (client) => {
+    const outputName = `test-cancel-doc-${Date.now()}`;
+    const audioFile = resolve(TEST_AUDIO_DIR, `${outputName}.wav`);
+    const text = Array.from({ length: 60 }, (_, i) => `Paragraph ${i + 1} is one of many in a document that takes a while.`).join('\n\n');
+    const requestId = client.requestId;
+
+    client.sendRequest('tools/call', {
+        name: 'synthesize_document',
+        arguments: { text, language: 'en-US', maxChunkLength: 100, concurrency: 1, cache: false, timings: ['vtt'], outputName }
+    }).catch(() => {}); // Rejected by cancelRequest
+    await new Promise(r => setTimeout(r, 50));
+    client.cancelRequest(requestId);
+
+    // The server keeps serving and leaves nothing behind
+    const voices = await client.sendRequest('tools/call', { name: 'list_voices', arguments: { language: 'en-US' } });
+    if (voices.isError || existsSync(audioFile) || existsSync(audioFile.replace(/\.wav$/, '.vtt'))) {
+        throw new Error('Cancelled document left output behind');
+    }
+
+    console.log('   🛑 Cancelled document wrote no files');
+});
+
+// Test: Graceful shutdown
+suite.test('Drain and abort running requests on shutdown', async () => {
+    const client = new MCPTestClient({ env: { SHUTDOWN_TIMEOUT_MS: '1000' } });
+    await client.start();
+    try {
+        const outputName = `test-shutdown-${Date.now()}`;
+        const longSentence = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} keeps the synthesizer busy past the deadline.`).join(' ');
+        const streaming = new Promise(resolveStreaming => {
+            const stopListening = client.onNotification(message => {
+                if (message.method === 'notifications/progress' && message.params.progressToken === outputName) {
+                    stopListening();
+                    resolveStreaming();
+                }
+            });
+        });
+        const long = client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: longSentence, language: 'en-US', stream: true, cache: false, outputName },
+            _meta: { progressToken: outputName }
+        });
+        await streaming;
+        const short = client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence: 'This one finishes in time.', language: 'en-US', stream: true, cache: false }
+        });
+
+        const exited = client.stop();
+        await new Promise(r => setTimeout(r, 100));
+        const refused = await client.sendRequest('tools/call', { name: 'list_voices', arguments: {} }).catch(error => error);
+        const [longResult, shortResult, exitCode] = await Promise.all([long, short, exited]);
+
+        if (shortResult.isError || longResult.structuredContent.error.code !== 'shutting_down') {
+            throw new Error(`Expected the short request to finish and the long one to be aborted: ${JSON.stringify([shortResult.structuredContent, longResult.structuredContent])}`);
+        }
+        if (!/shutting down/.test(refused.message) || exitCode !== 0) {
+            throw new Error(`Expected new requests to be refused and a clean exit: ${refused.message}, exit code ${exitCode}`);
+        }
+        if (!client.stderr.includes('Shutdown complete: 1 request(s) finished, 1 aborted')) {
+            throw new Error(`Shutdown was not logged: ${client.stderr.split('\n').filter(line => line.includes('🛑')).join(' / ')}`);
+        }
+
+        // A stream keeps the audio it received
+        unlinkSync(shortResult.structuredContent.path);
+        unlinkSync(resolve(TEST_AUDIO_DIR, `${outputName}.wav`));
+        console.log('   🛑 One request drained, one aborted at the deadline, new requests refused');
+    } finally {
+        await client.stop();
+    }
+});
+
+// Test: Logger
+suite.test('Write leveled, redacted JSON logs with request context', async () => {
+    const logFile = resolve(TEST_AUDIO_DIR, `test-log-${Date.now()}.log`);
+    const logger = createLogger({ level: 'info', format: 'json', file: logFile, redactText: true });
+    await withLogContext({ requestId: 'request-1' }, async () => {
+        logger.debug('Hidden below the level');
+        logger.info('Synthesizing', { sentence: 'A private sentence', options: { ssml: '<speak>Private</speak>', rate: 'slow' } });
+        await new Promise(r => setTimeout(r, 1));
+        logger.warn('After a timer', { attempts: 2 });
+    });
+    logger.error('Outside any request');
+
+    const entries = readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    unlinkSync(logFile);
+    if (entries.length !== 3 || entries.map(entry => entry.level).join() !== 'info,warn,error') {
+        throw new Error(`Unexpected log levels: ${JSON.stringify(entries)}`);
+    }
+    if (entries[1].requestId !== 'request-1' || entries[2].requestId !== undefined || entries[1].attempts !== 2) {
+        throw new Error(`Request context not propagated: ${JSON.stringify(entries)}`);
+    }
+    if (entries[0].sentence !== '[redacted, 18 characters]' || entries[0].options.ssml !== '[redacted, 22 characters]' || entries[0].options.rate !== 'slow') {
+        throw new Error(`Text not redacted: ${JSON.stringify(entries[0])}`);
+    }
+
+    const textFile = resolve(TEST_AUDIO_DIR, `test-log-${Date.now()}.txt`);
+    createLogger({ format: 'text', file: textFile }).info('Saved speech', { voice: 'en-US-JennyNeural', text: 'two words' });
+    const line = readFileSync(textFile, 'utf8');
+    unlinkSync(textFile);
+    if (!/^\S+Z INFO  Saved speech voice=en-US-JennyNeural text="two words"\n$/.test(line)) {
+        throw new Error(`Unexpected text log line: ${line}`);
+    }
+    try {
+        createLogger({ level: 'verbose' });
+        throw new Error('An unknown level was accepted');
+    } catch (error) {
+        if (!/Unknown log level "verbose"/.test(error.message)) {
+            throw error;
+        }
+    }
+
+    console.log('   🪵 Levels filtered, context kept across timers, text redacted');
+});
+
+// Test: Request IDs in server logs
+suite.test('Log tool calls with request IDs and redacted text', async () => {
+    const client = new MCPTestClient({ env: { LOG_LEVEL: 'debug', LOG_FORMAT: 'json', LOG_REDACT_TEXT: 'true' } });
+    await client.start();
+    const sentence = 'Confidential words stay out of the log.';
+    let result;
+    try {
+        result = await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: { sentence, language: 'en-US', cache: false, outputName: `test-log-${Date.now()}` }
+        });
+    } finally {
+        await client.stop();
+    }
+
+    const requestId = result._meta && result._meta.requestId;
+    const entries = client.stderr.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+    const messages = entries.filter(entry => entry.requestId === requestId).map(entry => entry.msg);
+    unlinkSync(result.structuredContent.path);
+    if (!requestId || !['Tool call started', 'Synthesizing speech', 'Synthesized audio', 'Saved speech', 'Tool call finished'].every(msg => messages.includes(msg))) {
+        throw new Error(`Missing request log entries for ${requestId}: ${JSON.stringify(messages)}`);
+    }
+    if (client.stderr.includes('Confidential') || !entries.some(entry => entry.msg.includes('MCP Text-to-Speech Server running'))) {
+        throw new Error('Log contains the spoken text or lacks the startup entry');
+    }
+
+    console.log(`   🪵 ${messages.length} log entries for request ${requestId.slice(0, 8)}, text redacted`);
+});
+
+// Test: Voice catalog
+suite.test('List voices for a language', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'list_voices',
+        arguments: { language: 'fi-FI' }
+    });
+
+    const textContent = result.content.find(c => c.type === 'text');
+    if (!textContent || !textContent.text.includes('fi-FI-SelmaNeural')) {
+        throw new Error('Expected fi-FI-SelmaNeural in the voice list');
+    }
+    if (!textContent.text.includes('en-US-RyanMultilingualNeural')) {
+        throw new Error('Expected multilingual voices in the fi-FI voice list');
+    }
+    if (textContent.text.includes('de-DE-KatjaNeural')) {
+        throw new Error('Voice list includes voices for other languages');
+    }
+
+    console.log('   🗣️ Voice catalog filtered by language');
+});
+
+// Test: Error handling - unknown voice
+suite.test('Handle unknown voice with suggestions', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Test sentence',
+            language: 'en-US',
+            voice: 'en-US-JenyMultilingualNeural'
+        }
+    });
+    const { code, message } = result.structuredContent.error || {};
+    if (!result.isError || code !== 'invalid_voice' || !message.includes('Unknown voice') || !message.includes('en-US-JennyMultilingualNeural')) {
+        throw new Error(`Expected an invalid_voice failure with a suggestion, got: ${JSON.stringify(result.structuredContent)}`);
+    }
+
+    console.log('   🔎 Correctly suggested a near match');
+});
+
+// Test: Error handling - voice for another language
+suite.test('Handle voice that cannot speak the language', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Guten Tag',
+            language: 'de-DE',
+            voice: 'fi-FI-SelmaNeural'
+        }
+    });
+    const { code, message } = result.structuredContent.error || {};
+    if (!result.isError || code !== 'invalid_voice' || !message.includes('cannot speak de-DE')) {
+        throw new Error(`Expected an invalid_voice failure, got: ${JSON.stringify(result.structuredContent)}`);
+    }
+
+    console.log('   🌍 Correctly rejected mismatched voice');
+});
+
+// Test: Error handling - missing sentence
+suite.test('Handle missing sentence parameter', async (client) => {
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'synthesize_speech',
+            arguments: {
+                language: 'en-US'
+            }
+        });
+        throw new Error('Expected error for missing sentence');
+    } catch (error) {
+        if (!error.message.includes('sentence')) {
+            throw new Error('Expected error message about missing sentence');
+        }
+    }
+
+    console.log('   ❌ Correctly handled missing sentence');
+});
+
+// Test: Error handling - unsupported language
+suite.test('Handle unsupported language', async (client) => {
+    const result = await client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: {
+            sentence: 'Test sentence',
+            language: 'xx-XX'
+        }
+    });
+    const { code, message } = result.structuredContent.error || {};
+    if (!result.isError || code !== 'invalid_request' || !message.includes('Unsupported language')) {
+        throw new Error(`Expected an invalid_request failure, got: ${JSON.stringify(result.structuredContent)}`);
+    }
+
+    // The same code for a batch item, where the error is classified after the fact
+    const batch = await client.sendRequest('tools/call', {
+        name: 'synthesize_batch',
+        arguments: { items: [{ text: 'Test sentence', language: 'xx-XX' }] }
+    });
+    const item = batch.structuredContent.items[0];
+    if (item.status !== 'failed' || item.error.code !== 'invalid_request') {
+        throw new Error(`Expected an invalid_request batch item, got: ${JSON.stringify(item)}`);
+    }
+    if (batch.structuredContent.manifestFile) {
+        unlinkSync(batch.structuredContent.manifestFile);
+    }
+
+    console.log('   🌍 Correctly handled unsupported language');
+});
+
+// Test: Error handling - unknown tool
+suite.test('Handle unknown tool', async (client) => {
+    try {
+        await client.sendRequest('tools/call', {
+            name: 'unknown_tool',
+            arguments: {}
+        });
+        throw new Error('Expected error for unknown tool');
+    } catch (error) {
+        if (!error.message.includes('Unknown tool')) {
+            throw new Error('Expected error message about unknown tool');
+        }
+    }
+
+    console.log('   🔧 Correctly handled unknown tool');
+});
+
+// Test: Performance - multiple quick requests
+suite.test('Handle multiple concurrent requests', async (client) => {
+    const requests = [
+        { sentence: 'First test', language: 'en-US' },
+        { sentence: 'Second test', language: 'en-US' },
+        { sentence: 'Third test', language: 'en-US' }
+    ];
+
+    const results = await Promise.all(requests.map(args => client.sendRequest('tools/call', {
+        name: 'synthesize_speech',
+        arguments: args
+    })));
+
+    results.forEach((result, i) => {
+        if (!result || !result.content) {
+            throw new Error(`Request ${i + 1} failed`);
+        }
+        if (result.structuredContent.text !== requests[i].sentence) {
+            throw new Error(`Response ${i + 1} does not belong to its request`);
+        }
+        unlinkSync(extractAudioPath(result));
+    });
+
+    console.log('   🚀 Multiple requests handled successfully');
+});
+
+// Test: HTTP transport with bearer-token auth
+suite.test('Serve MCP over HTTP with bearer auth', async () => {
+    const token = 'test-token';
+    const httpServer = spawn('node', [SERVER_FILE, '--transport', 'http', '--port', '0'], {
+        stdio: ['ignore', 'ignore', 'pipe'],
+        env: {
+            ...process.env,
+            TTS_BACKEND,
+            AUDIO_OUTPUT_DIR: TEST_AUDIO_DIR,
+            SYNTHESIS_CACHE_DIR: './audio/test-cache',
+            PRONUNCIATION_FILE: TEST_PRONUNCIATION_FILE,
+            USAGE_LEDGER_FILE: TEST_USAGE_FILE,
+            AUDIO_PLAYER: 'none',
+            MCP_AUTH_TOKEN: token
+        }
+    });
+    const controller = new AbortController();
+
+    try {
+        const baseUrl = await new Promise((resolve, reject) => {
+            let output = '';
+            const timer = setTimeout(() => reject(new Error('HTTP server startup timeout')), 10000);
+            httpServer.stderr.on('data', (data) => {
+                output += data.toString();
+                const match = output.match(/listening on (http:\/\/\S+)/);
+                if (match) {
+                    clearTimeout(timer);
+                    resolve(match[1]);
+                }
+            });
+        });
+
+        const health = await fetch(`${baseUrl}/health`);
+        const healthBody = await health.json();
+        if (health.status !== 200 || healthBody.status !== 'ok' || healthBody.backend !== TTS_BACKEND) {
+            throw new Error(`Unexpected health response: ${JSON.stringify(healthBody)}`);
+        }
+
+        for (const path of ['/mcp', '/sse']) {
+            const unauthorized = await fetch(`${baseUrl}${path}`);
+            if (unauthorized.status !== 401) {
+                throw new Error(`Expected 401 without a token on ${path}, got ${unauthorized.status}`);
+            }
+        }
+
+        const headers = { Authorization: `Bearer ${token}` };
+        const mcpClient = new Client({ name: 'test-http-client', version: '1.0.0' });
+        await mcpClient.connect(new StreamableHTTPClientTransport(new URL('/mcp', baseUrl), { requestInit: { headers } }));
+        const { tools } = await mcpClient.listTools();
+        if (!tools.some(tool => tool.name === 'synthesize_speech')) {
+            throw new Error(`Unexpected tools/list response over Streamable HTTP: ${tools.map(tool => tool.name).join(', ')}`);
+        }
+
+        // A streamed synthesis can be listened to over HTTP
+        const synthesis = await mcpClient.callTool({
+            name: 'synthesize_speech',
+            arguments: { sentence: 'Listen along over HTTP.', language: 'en-US', stream: true, cache: false }
+        });
+        const { file: filename, path: audioFile } = synthesis.structuredContent;
+        const listed = await (await fetch(`${baseUrl}/audio/streams`, { headers })).json();
+        const live = await fetch(`${baseUrl}/audio/streams/${encodeURIComponent(filename)}`, { headers });
+        const liveAudio = Buffer.from(await live.arrayBuffer());
+        if (!listed.streams.some(stream => stream.id === filename) || live.headers.get('content-type') !== 'audio/wav'
+            || !parseWav(liveAudio).pcm.equals(parseWav(readFileSync(audioFile)).pcm)) {
+            throw new Error(`Unexpected live stream: ${JSON.stringify(listed)}, ${liveAudio.length} bytes`);
+        }
+        unlinkSync(audioFile);
+        await mcpClient.close();
+
+        const unknownSession = await fetch(`${baseUrl}/mcp`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': 'no-such-session' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+        });
+        if (unknownSession.status !== 404) {
+            throw new Error(`Expected 404 for an unknown session, got ${unknownSession.status}`);
+        }
+
+        // Legacy SSE clients are still served
+        const stream = await fetch(`${baseUrl}/sse`, { headers, signal: controller.signal });
+        const reader = stream.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        const nextEvent = async (name) => {
+            for (;;) {
+                const match = buffered.match(new RegExp(`event: ${name}\\ndata: (.*)\\n\\n`));
+                if (match) {
+                    buffered = buffered.slice(match.index + match[0].length);
+                    return match[1];
+                }
+                const { value, done } = await reader.read();
+                if (done) {
+                    throw new Error(`SSE stream ended before a ${name} event`);
+                }
+                buffered += decoder.decode(value, { stream: true });
+            }
+        };
+
+        const endpoint = await nextEvent('endpoint');
+        const posted = await fetch(new URL(endpoint, baseUrl), {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+        });
+        if (posted.status !== 202) {
+            throw new Error(`Expected 202 for a posted message, got ${posted.status}`);
+        }
+
+        const response = JSON.parse(await nextEvent('message'));
+        if (!response.result || !response.result.tools.some(tool => tool.name === 'synthesize_speech')) {
+            throw new Error(`Unexpected tools/list response over SSE: ${JSON.stringify(response)}`);
+        }
+
+        console.log(`   🌐 ${tools.length} tools listed over Streamable HTTP and SSE at ${baseUrl}, ${filename} streamed live`);
+    } finally {
+        controller.abort();
+        httpServer.kill();
+    }
 });
 
 // Run the test suite